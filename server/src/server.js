@@ -1,25 +1,34 @@
 const express = require('express');
 const cors = require('cors');
-const { spawn } = require('child_process');
-const { Client } = require('ssh2');
-const ping = require('ping');
 const helmet = require('helmet');
-const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
 
-const security = require('./utils/security');
+// stdio transport: selected with --stdio or MCP_TRANSPORT=stdio
+// stdout then carries JSON-RPC messages only, so all console output goes to stderr
+const useStdio = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+if (useStdio) {
+  console.log = console.info = console.debug = console.error;
+}
+
 const rateLimiter = require('./utils/rate-limiter');
 const logger = require('./utils/logger');
-const crypto = require('./utils/crypto');
 const authManager = require('./utils/auth-manager');
+const accessTokens = require('./utils/access-tokens');
+const elevationManager = require('./utils/elevation-manager');
 const PortManager = require('./utils/port-manager');
 const portManager = new PortManager();
 const helpGenerator = require('./utils/help-generator');
-const powershellExecutor = require('./utils/powershell-enhanced');
-const httpClient = require('./utils/http-client');
-const ProjectDetector = require('./utils/project-detector');
-const { getClientIP, createTextResult, handleValidationError, getNumericEnv, createDirCommand } = require('./utils/helpers');
+const toolRegistry = require('./utils/tool-registry');
+const mcpDispatcher = require('./utils/mcp-dispatcher');
+const sessionManager = require('./utils/session-manager');
+const cancellationManager = require('./utils/cancellation-manager');
+const requestContext = require('./utils/request-context');
+const resourceManager = require('./utils/resource-manager');
+const logForwarder = require('./utils/log-forwarder');
+const buildScheduler = require('./utils/build-scheduler');
+const buildLockManager = require('./utils/build-lock-manager');
+const StdioTransport = require('./utils/stdio-transport');
+const { getClientIP, getNumericEnv } = require('./utils/helpers');
 
 // Validate critical environment variables
 function validateEnvironment() {
@@ -27,8 +36,9 @@ function validateEnvironment() {
   
   // Check for production security settings
   if (process.env.NODE_ENV === 'production') {
-    if (!process.env.MCP_AUTH_TOKEN || process.env.MCP_AUTH_TOKEN === 'change-this-to-a-secure-random-token') {
-      warnings.push('MCP_AUTH_TOKEN must be set to a secure value in production');
+    const legacyToken = process.env.MCP_AUTH_TOKEN && process.env.MCP_AUTH_TOKEN !== 'change-this-to-a-secure-random-token';
+    if (!legacyToken && !process.env.MCP_TOKENS_FILE) {
+      warnings.push('MCP_AUTH_TOKEN or MCP_TOKENS_FILE must be set to a secure value in production');
     }
     
     if (!process.env.ALLOWED_IPS) {
@@ -100,7 +110,8 @@ app.use(helmet({
 app.set('trust proxy', true);
 
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*'
+  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
+  exposedHeaders: ['Mcp-Session-Id']
 }));
 // Enhanced JSON parsing with robust error handling for complex commands
 function validateAndParseJsonRpc(body) {
@@ -191,7 +202,11 @@ app.use((req, res, next) => {
     return next();
   }
   
-  const limitResult = rateLimiter.checkLimit(clientIP, maxRequests, windowMs);
+  // A JSON-RPC batch counts as one request per entry; one over MCP_BATCH_MAX_SIZE is
+  // rejected without running anything, so it counts once
+  const batchSize = req.path === '/mcp' && Array.isArray(req.body) ? req.body.length : 0;
+  const cost = batchSize > 0 && batchSize <= getNumericEnv('MCP_BATCH_MAX_SIZE', 20) ? batchSize : 1;
+  const limitResult = rateLimiter.checkLimit(clientIP, maxRequests, windowMs, cost);
   
   if (!limitResult.allowed) {
     logger.security('Rate limit exceeded', { clientIP, error: limitResult.error });
@@ -293,7 +308,23 @@ app.use((req, res, next) => {
   }
   
   // Validate token using secure comparison
-  if (!authManager.validateToken(token)) {
+  const identity = authManager.authenticate(token);
+  if (!identity && accessTokens.isAccessToken(token)) {
+    logger.security('Invalid access token', { clientIP, path: req.path });
+    return res.status(401).json({
+      error: {
+        code: 'AUTH_ACCESS_TOKEN_INVALID',
+        message: 'Access token is expired, revoked or invalid',
+        details: {
+          timestamp: new Date().toISOString(),
+          suggestion: 'Exchange your credential for a new access token at POST /auth/refresh',
+          clientIP: clientIP
+        }
+      }
+    });
+  }
+  
+  if (!identity) {
     logger.security('Invalid authorization token', { 
       clientIP,
       path: req.path,
@@ -338,8 +369,21 @@ app.use((req, res, next) => {
     });
   }
   
-  // Authentication successful
-  next();
+  if (req.path.startsWith('/admin/') && !authManager.isAdmin(identity)) {
+    logger.security('Admin endpoint denied', { clientIP, path: req.path, tokenName: identity.name, role: identity.role });
+    return res.status(403).json({
+      error: {
+        code: 'AUTH_ROLE_INSUFFICIENT',
+        message: `Token '${identity.name}' (${identity.role}) may not use admin endpoints`
+      }
+    });
+  }
+  
+  // Authentication successful; jobs are owned by the token's name
+  req.identity = identity;
+  req.tokenFingerprint = authManager.getTokenFingerprint(token);
+  // Log entries written while handling the request name the token
+  requestContext.run({ clientIP, identity }, next);
 });
 
 // リモートホスト設定
@@ -374,9 +418,11 @@ app.get('/health', (req, res) => {
       timeoutMinutes: timeoutMinutes,
       dangerousMode: process.env.ENABLE_DANGEROUS_MODE === 'true',
       devCommands: process.env.ENABLE_DEV_COMMANDS === 'true',
-      authConfigured: !!process.env.MCP_AUTH_TOKEN,
+      authConfigured: authManager.isAuthEnabled(),
       port: getNumericEnv('MCP_SERVER_PORT', getNumericEnv('DEFAULT_SERVER_PORT', 8080))
-    }
+    },
+    // Active grants without their paths, reasons or grantors; GET /admin/elevations has the rest
+    elevations: elevationManager.list().map(({ id, tokenName, tools, expiresAt }) => ({ id, tokenName, tools, expiresAt }))
   });
 });
 
@@ -480,7 +526,7 @@ app.get('/config/validate', (req, res) => {
   res.json(config);
 });
 
-// Enhanced authentication refresh endpoint
+// Exchange a long-lived credential for a short-lived access token
 app.post('/auth/refresh', (req, res) => {
   const clientIP = getClientIP(req);
   const authHeader = req.headers.authorization;
@@ -494,9 +540,20 @@ app.post('/auth/refresh', (req, res) => {
   }
   
   const extractedToken = authManager.extractToken(authHeader);
-  const isValidToken = authManager.validateToken(extractedToken);
   
-  if (!isValidToken) {
+  if (accessTokens.isAccessToken(extractedToken)) {
+    return res.status(400).json({
+      error: {
+        code: 'AUTH_CREDENTIAL_REQUIRED',
+        message: 'Access tokens cannot be refreshed; exchange the long-lived credential instead',
+        details: { timestamp: new Date().toISOString() }
+      }
+    });
+  }
+  
+  const issued = authManager.issueAccessToken(extractedToken, req.body && req.body.ttl);
+  
+  if (!issued) {
     logger.security('Authentication refresh failed - invalid token', {
       clientIP,
       providedTokenPartial: authManager.getPartialToken(extractedToken)
@@ -516,22 +573,48 @@ app.post('/auth/refresh', (req, res) => {
     });
   }
   
-  // Token is valid - in this implementation, we don't actually refresh since tokens don't expire
-  // But we provide confirmation and session information
-  logger.info('Authentication refresh successful', { clientIP });
-  
   res.json({
-    status: 'token_valid',
-    message: 'Authentication token is valid and active',
+    status: 'token_issued',
+    message: `Access token issued for '${issued.identity.name}'`,
     timestamp: new Date().toISOString(),
-    session: {
-      tokenValid: true,
-      serverUptime: process.uptime(),
-      lastValidation: new Date().toISOString()
-    }
+    tokenType: 'Bearer',
+    accessToken: issued.token,
+    tokenId: issued.tokenId,
+    expiresIn: issued.expiresIn,
+    expiresAt: issued.expiresAt,
+    tokenName: issued.identity.name,
+    role: issued.identity.role
   });
 });
 
+// Revoke an access token: by presenting it, or by id with an admin credential
+app.post('/auth/revoke', (req, res) => {
+  const clientIP = getClientIP(req);
+  const { token, tokenId } = req.body || {};
+  
+  if (typeof token === 'string') {
+    const payload = accessTokens.decode(token);
+    if (!payload) {
+      return res.status(400).json({ error: { code: 'AUTH_TOKEN_UNKNOWN', message: 'Not an access token issued by this server' } });
+    }
+    accessTokens.revoke(payload.jti, payload.exp);
+    return res.json({ revoked: true, tokenId: payload.jti });
+  }
+  
+  if (typeof tokenId !== 'string' || !tokenId) {
+    return res.status(400).json({ error: { code: 'AUTH_REVOKE_INVALID', message: 'Provide the access token or its tokenId' } });
+  }
+  
+  const identity = authManager.authenticate(authManager.extractToken(req.headers.authorization));
+  if (authManager.isAuthEnabled() && !(identity && authManager.isAdmin(identity))) {
+    logger.security('Access token revocation denied', { clientIP, tokenId });
+    return res.status(403).json({ error: { code: 'AUTH_ROLE_INSUFFICIENT', message: 'Revoking by tokenId needs an admin token' } });
+  }
+  
+  accessTokens.revoke(tokenId);
+  res.json({ revoked: true, tokenId });
+});
+
 // Advanced authentication debug endpoint (development mode only)
 app.post('/auth/debug', (req, res) => {
   const clientIP = getClientIP(req);
@@ -591,12 +674,7 @@ app.get('/help/tools', (req, res) => {
   const clientIP = getClientIP(req);
   
   try {
-    // Get current tools configuration (this will be dynamic)
-    const mockTools = []; // We'll populate this with actual tools from the server
-    
-    // For now, we'll read the tools from the server configuration
-    // This is a simplified version - in reality we'd get this from the MCP tools definition
-    const documentation = helpGenerator.generateToolDocumentation(mockTools);
+    const documentation = helpGenerator.generateToolDocumentation(toolRegistry.listWithCategories());
     
     logger.info('Help documentation requested', { clientIP });
     
@@ -627,8 +705,7 @@ app.get('/help/category/:category', (req, res) => {
   }
   
   try {
-    const mockTools = []; // Will be populated with actual tools
-    const documentation = helpGenerator.generateToolDocumentation(mockTools);
+    const documentation = helpGenerator.generateToolDocumentation(toolRegistry.listWithCategories());
     const categoryDocs = documentation.categories[category];
     
     if (!categoryDocs) {
@@ -870,6 +947,11 @@ app.get('/help/whats-new/:version', (req, res) => {
 
 // JSONRPC request validation middleware
 function validateJSONRPC(req, res, next) {
+  // Batch entries are validated one by one by the dispatcher
+  if (Array.isArray(req.body)) {
+    return next();
+  }
+  
   // Check if jsonrpc field is "2.0"
   if (req.body.jsonrpc !== '2.0') {
     return res.status(400).json({
@@ -894,8 +976,8 @@ function validateJSONRPC(req, res, next) {
     });
   }
   
-  // Check if id is present (can be string, number, or null)
-  if (req.body.id === undefined) {
+  // Check if id is present (can be string, number, or null); notifications carry none
+  if (req.body.id === undefined && !req.body.method.startsWith('notifications/')) {
     return res.status(400).json({
       jsonrpc: '2.0',
       id: null,
@@ -909,3502 +991,269 @@ function validateJSONRPC(req, res, next) {
   next();
 }
 
-// MCP endpoint
-app.post('/mcp', validateJSONRPC, async (req, res) => {
-  const clientIP = getClientIP(req);
-  logger.info('Received MCP request', { 
-    clientIP, 
-    method: req.body.method, 
-    toolName: req.body.params?.name 
-  });
-  
-  // Use the already-parsed request body directly
-  const { method, params, id } = req.body;
-  
-  try {
-    if (method === 'initialize') {
-      // MCP protocol initialization with welcome message (CLAUDE.md 第13条)
-      const serverInfo = {
-        name: 'windows-mcp-server',
-        version: require('../package.json').version,
-        authConfigured: authManager.isAuthEnabled(),
-        dangerousMode: process.env.ENABLE_DANGEROUS_MODE === 'true'
-      };
-      
-      const welcomeMessage = helpGenerator.generateWelcomeMessage(serverInfo);
-      
-      res.json({
-        jsonrpc: '2.0',
-        id: id,
-        result: {
-          protocolVersion: '2024-11-05',
-          capabilities: {
-            tools: {},
-            resources: {},
-            prompts: {},
-            logging: {}
-          },
-          serverInfo: {
-            ...serverInfo,
-            welcomeMessage,
-            helpEndpoints: {
-              comprehensive: '/help/tools',
-              quickReference: '/help/quick',
-              categories: '/help/category/{category}',
-              authentication: '/auth/status'
-            }
-          },
-          // 第13条完全実装: 初期化時の即座機能通知
-          immediateNotification: {
-            message: '🎉 MCP Connection Successful! Python Virtual Environment Support Available!',
-            criticalFeatures: {
-              '🐍 Python Testing Ready': 'build_python tool with virtual environment auto-creation',
-              '🔨 Multi-Language Builds': '.NET, Java, Python, Node.js, Go, Rust, C++, Ruby',
-              '⚡ Windows Automation': 'PowerShell execution with security controls',
-              '📋 Help Available': 'Use tools/list or visit /help/tools for detailed examples'
-            },
-            quickStart: 'build_python: {"projectPath": "C:/project", "commands": ["test"], "useVirtualEnv": true}',
-            version: serverInfo.version,
-            totalTools: 10
-          }
-        }
-      });
-      
-      logger.info('MCP initialization completed with welcome message', { 
-        clientIP: getClientIP(req),
-        version: serverInfo.version
-      });
-    } else if (method === 'shutdown') {
-      // MCP protocol shutdown
-      res.json({
-        jsonrpc: '2.0',
-        id: id,
-        result: {}
-      });
-      logger.info('MCP shutdown requested', { clientIP });
-    } else if (method === 'ping') {
-      // MCP protocol ping/pong for health check
-      res.json({
-        jsonrpc: '2.0',
-        id: id,
-        result: { status: 'pong' }
-      });
-    } else if (method === 'tools/list') {
-      // Enhanced tools/list with help information (CLAUDE.md 第13条)
-      res.json({
-        jsonrpc: '2.0',
-        id: id,
-        result: {
-          tools: [
-          {
-            name: 'build_dotnet',
-            description: 'Build a .NET application',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { type: 'string' },
-                configuration: { type: 'string' },
-                remoteHost: { type: 'string', description: 'Optional remote host IP (NordVPN mesh)' }
-              },
-              required: ['projectPath']
-            }
-          },
-          {
-            name: 'run_powershell',
-            description: 'Execute PowerShell commands with optional timeout',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                command: { type: 'string' },
-                remoteHost: { type: 'string', description: 'Optional remote host IP (NordVPN mesh)' },
-                timeout: { 
-                  type: 'number', 
-                  description: `Command timeout in seconds (default: ${getNumericEnv('POWERSHELL_DEFAULT_TIMEOUT', 300)}, max: ${getNumericEnv('POWERSHELL_MAX_TIMEOUT', 1800)})`,
-                  minimum: 1,
-                  maximum: 1800
-                }
-              },
-              required: ['command']
-            }
-          },
-          {
-            name: 'ping_host',
-            description: 'Check connectivity to remote host',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                host: { type: 'string' }
-              },
-              required: ['host']
-            }
-          },
-          {
-            name: 'ssh_command',
-            description: 'Execute command on remote Windows via SSH',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                host: { type: 'string' },
-                username: { type: 'string' },
-                password: { type: 'string' },
-                command: { type: 'string' }
-              },
-              required: ['host', 'username', 'password', 'command']
-            }
-          },
-          {
-            name: 'run_batch',
-            description: 'Execute batch file in allowed directories',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                batchFile: { 
-                  type: 'string',
-                  description: 'Path to batch file (must be in allowed directories defined by ALLOWED_BATCH_DIRS)'
-                },
-                workingDirectory: {
-                  type: 'string',
-                  description: 'Working directory for batch execution'
-                }
-              },
-              required: ['batchFile']
-            }
-          },
-          {
-            name: 'mcp_self_build',
-            description: 'Build, test, and install/update the MCP server itself',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                action: { 
-                  type: 'string',
-                  enum: ['build', 'test', 'install', 'update', 'start', 'stop', 'status'],
-                  description: 'Action to perform on the MCP server'
-                },
-                targetPath: {
-                  type: 'string',
-                  description: `Target installation path (default: ${process.env.MCP_SERVER_PATH || 'C:\\mcp-server'})`
-                },
-                options: {
-                  type: 'object',
-                  properties: {
-                    skipTests: { type: 'boolean', description: 'Skip running tests' },
-                    forceDangerous: { type: 'boolean', description: 'Force dangerous mode on installation' },
-                    autoStart: { type: 'boolean', description: 'Auto-start after installation' }
-                  }
-                }
-              },
-              required: ['action']
-            }
-          },
-          {
-            name: 'process_manager',
-            description: 'Manage Windows processes and services',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                action: { 
-                  type: 'string',
-                  enum: ['start', 'stop', 'restart', 'status', 'list', 'kill'],
-                  description: 'Process management action'
-                },
-                processName: {
-                  type: 'string',
-                  description: 'Process or service name'
-                },
-                options: {
-                  type: 'object',
-                  properties: {
-                    force: { type: 'boolean', description: 'Force kill process' },
-                    asService: { type: 'boolean', description: 'Manage as Windows service' },
-                    waitTime: { type: 'number', description: 'Wait time in seconds' }
-                  }
-                }
-              },
-              required: ['action']
-            }
-          },
-          {
-            name: 'file_sync',
-            description: 'Synchronize files and directories between locations',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                source: { 
-                  type: 'string',
-                  description: 'Source path (file or directory)'
-                },
-                destination: {
-                  type: 'string',
-                  description: 'Destination path'
-                },
-                options: {
-                  type: 'object',
-                  properties: {
-                    recursive: { type: 'boolean', description: 'Recursive copy for directories' },
-                    overwrite: { type: 'boolean', description: 'Overwrite existing files' },
-                    pattern: { type: 'string', description: 'File pattern filter (e.g., *.js)' },
-                    excludePattern: { type: 'string', description: 'Exclude pattern' },
-                    verify: { type: 'boolean', description: 'Verify file integrity after copy' }
-                  }
-                }
-              },
-              required: ['source', 'destination']
-            }
-          },
-          {
-            name: 'build_java',
-            description: 'Build Java applications using Maven or Gradle',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to project file (pom.xml, build.gradle, or build.gradle.kts)'
-                },
-                buildTool: {
-                  type: 'string',
-                  enum: ['maven', 'gradle', 'auto'],
-                  description: 'Build tool to use (auto-detected if not specified)'
-                },
-                goals: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Maven goals (e.g., ["clean", "compile", "test"])'
-                },
-                tasks: {
-                  type: 'array', 
-                  items: { type: 'string' },
-                  description: 'Gradle tasks (e.g., ["clean", "build", "test"])'
-                },
-                profiles: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Maven profiles to activate'
-                },
-                properties: {
-                  type: 'object',
-                  description: 'Build properties (e.g., {"maven.test.skip": "false"})'
-                },
-                useWrapper: {
-                  type: 'boolean',
-                  description: 'Use Gradle wrapper (gradlew) instead of gradle command'
-                },
-                javaHome: {
-                  type: 'string',
-                  description: 'JAVA_HOME path override'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath']
-            }
-          },
-          {
-            name: 'build_python',
-            description: 'Build and test Python applications with virtual environment support',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to Python project directory'
-                },
-                buildTool: {
-                  type: 'string',
-                  enum: ['pip', 'poetry', 'conda', 'pipenv', 'auto'],
-                  description: 'Build tool to use (auto-detected if not specified)'
-                },
-                commands: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Commands to execute (e.g., ["install", "test", "build"])'
-                },
-                useVirtualEnv: {
-                  type: 'boolean',
-                  description: 'Automatically use/create virtual environment (default: true)'
-                },
-                venvName: {
-                  type: 'string',
-                  description: 'Virtual environment directory name (default: ".venv")'
-                },
-                virtualEnv: {
-                  type: 'string',
-                  description: 'DEPRECATED: Use venvName instead. Path to existing virtual environment'
-                },
-                pythonVersion: {
-                  type: 'string',
-                  description: 'Python version requirement (e.g., "3.9", ">=3.8")'
-                },
-                installDeps: {
-                  type: 'boolean',
-                  description: 'Install dependencies before running commands (default: true)'
-                },
-                requirements: {
-                  type: 'string',
-                  description: 'Requirements file path (default: auto-detect requirements.txt, requirements-dev.txt, etc.)'
-                },
-                extraPackages: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Additional packages to install (e.g., ["pytest", "pytest-asyncio"])'
-                },
-                testRunner: {
-                  type: 'string',
-                  enum: ['pytest', 'unittest', 'nose2', 'tox'],
-                  description: 'Test runner to use'
-                },
-                outputDir: {
-                  type: 'string',
-                  description: 'Output directory for build artifacts'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath']
-            }
-          },
-          {
-            name: 'build_node',
-            description: 'Build Node.js/TypeScript applications',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to Node.js project directory (containing package.json)'
-                },
-                packageManager: {
-                  type: 'string',
-                  enum: ['npm', 'yarn', 'pnpm', 'auto'],
-                  description: 'Package manager to use (auto-detected if not specified)'
-                },
-                scripts: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Package.json scripts to run (e.g., ["build", "test", "lint"])'
-                },
-                nodeVersion: {
-                  type: 'string',
-                  description: 'Node.js version requirement (e.g., "18", ">=16")'
-                },
-                environment: {
-                  type: 'string',
-                  enum: ['development', 'production', 'test'],
-                  description: 'Build environment'
-                },
-                installDeps: {
-                  type: 'boolean',
-                  description: 'Install dependencies before building (default: true)'
-                },
-                outputDir: {
-                  type: 'string',
-                  description: 'Output directory for build artifacts (default: dist)'
-                },
-                typeCheck: {
-                  type: 'boolean',
-                  description: 'Run TypeScript type checking'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath']
-            }
-          },
-          {
-            name: 'build_go',
-            description: 'Build Go applications with module support and cross-compilation',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to Go project directory (containing go.mod)'
-                },
-                action: {
-                  type: 'string',
-                  enum: ['build', 'test', 'run', 'install', 'clean', 'mod', 'vet', 'fmt'],
-                  description: 'Go action to perform'
-                },
-                outputPath: {
-                  type: 'string',
-                  description: 'Output path for build artifacts'
-                },
-                targetOS: {
-                  type: 'string',
-                  enum: ['windows', 'linux', 'darwin', 'freebsd'],
-                  description: 'Target operating system for cross-compilation'
-                },
-                targetArch: {
-                  type: 'string',
-                  enum: ['amd64', 'arm64', '386', 'arm'],
-                  description: 'Target architecture for cross-compilation'
-                },
-                buildFlags: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Additional build flags (e.g., ["-ldflags", "-s -w"])'
-                },
-                tags: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Build tags to include'
-                },
-                modAction: {
-                  type: 'string',
-                  enum: ['download', 'tidy', 'verify', 'init'],
-                  description: 'Go module action (when action is "mod")'
-                },
-                coverage: {
-                  type: 'boolean',
-                  description: 'Enable test coverage (for test action)'
-                },
-                verbose: {
-                  type: 'boolean',
-                  description: 'Enable verbose output'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath', 'action']
-            }
-          },
-          {
-            name: 'build_rust',
-            description: 'Build Rust applications using Cargo',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to Rust project directory (containing Cargo.toml)'
-                },
-                action: {
-                  type: 'string',
-                  enum: ['build', 'test', 'run', 'check', 'clippy', 'fmt', 'doc', 'clean', 'update'],
-                  description: 'Cargo action to perform'
-                },
-                release: {
-                  type: 'boolean',
-                  description: 'Build in release mode with optimizations'
-                },
-                target: {
-                  type: 'string',
-                  description: 'Target triple for cross-compilation (e.g., x86_64-pc-windows-msvc)'
-                },
-                features: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Features to enable during build'
-                },
-                allFeatures: {
-                  type: 'boolean',
-                  description: 'Enable all available features'
-                },
-                noDefaultFeatures: {
-                  type: 'boolean',
-                  description: 'Disable default features'
-                },
-                testName: {
-                  type: 'string',
-                  description: 'Specific test name to run'
-                },
-                allTargets: {
-                  type: 'boolean',
-                  description: 'Apply action to all targets (for clippy/test)'
-                },
-                denyWarnings: {
-                  type: 'boolean',
-                  description: 'Treat warnings as errors (for clippy)'
-                },
-                outputDir: {
-                  type: 'string',
-                  description: 'Target directory for build artifacts'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath', 'action']
-            }
-          },
-          {
-            name: 'build_cpp',
-            description: 'Build C/C++ applications using CMake, MSBuild, or Make',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string',
-                  description: 'Path to C++ project directory or solution file'
-                },
-                buildSystem: {
-                  type: 'string',
-                  enum: ['cmake', 'msbuild', 'make', 'ninja'],
-                  description: 'Build system to use'
-                },
-                buildType: {
-                  type: 'string',
-                  enum: ['Debug', 'Release', 'RelWithDebInfo', 'MinSizeRel'],
-                  description: 'Build configuration type'
-                },
-                generator: {
-                  type: 'string',
-                  description: 'CMake generator (e.g., "Visual Studio 17 2022", "Ninja")'
-                },
-                buildDir: {
-                  type: 'string',
-                  description: 'Build directory path (default: build)'
-                },
-                configuration: {
-                  type: 'string',
-                  description: 'MSBuild configuration (Debug/Release)'
-                },
-                platform: {
-                  type: 'string',
-                  description: 'MSBuild platform (x86/x64/ARM64)'
-                },
-                target: {
-                  type: 'string',
-                  description: 'Specific target to build'
-                },
-                parallel: {
-                  type: 'boolean',
-                  description: 'Enable parallel builds'
-                },
-                verbose: {
-                  type: 'boolean',
-                  description: 'Enable verbose build output'
-                },
-                cmakeOptions: {
-                  type: 'object',
-                  description: 'CMake cache variables (-D options)'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['projectPath', 'buildSystem']
-            }
-          },
-          {
-            name: 'build_docker',
-            description: 'Build Docker images with advanced options',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                contextPath: { 
-                  type: 'string',
-                  description: 'Docker build context path'
-                },
-                imageName: {
-                  type: 'string',
-                  description: 'Docker image name and tag (e.g., myapp:latest)'
-                },
-                dockerfile: {
-                  type: 'string',
-                  description: 'Path to Dockerfile (default: Dockerfile)'
-                },
-                buildArgs: {
-                  type: 'object',
-                  description: 'Build arguments as key-value pairs'
-                },
-                target: {
-                  type: 'string',
-                  description: 'Multi-stage build target'
-                },
-                platform: {
-                  type: 'string',
-                  description: 'Target platform (e.g., linux/amd64)'
-                },
-                noCache: {
-                  type: 'boolean',
-                  description: 'Disable build cache'
-                },
-                pull: {
-                  type: 'boolean',
-                  description: 'Always pull base images'
-                },
-                squash: {
-                  type: 'boolean',
-                  description: 'Squash newly built layers into a single layer'
-                },
-                labels: {
-                  type: 'object',
-                  description: 'Metadata labels for the image'
-                },
-                secrets: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Build secrets (format: id=mysecret,src=/path/to/secret)'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP (NordVPN mesh)' 
-                }
-              },
-              required: ['contextPath', 'imageName']
-            }
-          },
-          {
-            name: 'build_kotlin',
-            description: 'Build Kotlin/Android projects with Gradle',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string', 
-                  description: 'Path to Kotlin/Android project directory'
-                },
-                projectType: {
-                  type: 'string',
-                  enum: ['android', 'jvm', 'native', 'multiplatform'],
-                  description: 'Type of Kotlin project'
-                },
-                buildVariant: {
-                  type: 'string',
-                  description: 'Android build variant (e.g., debug, release)'
-                },
-                tasks: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Gradle tasks to execute'
-                },
-                buildType: {
-                  type: 'string',
-                  description: 'Build type for native projects'
-                },
-                target: {
-                  type: 'string',
-                  description: 'Target platform for native/multiplatform'
-                },
-                signingConfig: {
-                  type: 'object',
-                  properties: {
-                    storeFile: { type: 'string' },
-                    storePassword: { type: 'string' },
-                    keyAlias: { type: 'string' },
-                    keyPassword: { type: 'string' }
-                  },
-                  description: 'Android signing configuration'
-                },
-                gradleOptions: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Additional Gradle options'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP'
-                }
-              },
-              required: ['projectPath', 'projectType']
-            }
-          },
-          {
-            name: 'build_swift',
-            description: 'Build Swift packages and iOS/macOS applications',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string', 
-                  description: 'Path to Swift project directory'
-                },
-                action: {
-                  type: 'string',
-                  enum: ['build', 'test', 'run', 'package', 'clean'],
-                  description: 'Swift build action'
-                },
-                configuration: {
-                  type: 'string',
-                  enum: ['debug', 'release'],
-                  description: 'Build configuration'
-                },
-                platform: {
-                  type: 'string',
-                  description: 'Target platform (iOS, macOS, tvOS, watchOS, windows)'
-                },
-                arch: {
-                  type: 'string',
-                  description: 'Target architecture'
-                },
-                enableCodeCoverage: {
-                  type: 'boolean',
-                  description: 'Enable code coverage for tests'
-                },
-                parallel: {
-                  type: 'boolean',
-                  description: 'Enable parallel testing'
-                },
-                package: {
-                  type: 'string',
-                  description: 'Specific package to build in workspace'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP'
-                }
-              },
-              required: ['projectPath', 'action']
-            }
-          },
-          {
-            name: 'build_php',
-            description: 'Build PHP applications with Composer and run tests',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string', 
-                  description: 'Path to PHP project directory'
-                },
-                action: {
-                  type: 'string',
-                  enum: ['install', 'update', 'test', 'build', 'artisan', 'serve'],
-                  description: 'PHP build action'
-                },
-                packageManager: {
-                  type: 'string',
-                  enum: ['composer', 'pear'],
-                  description: 'Package manager'
-                },
-                noDev: {
-                  type: 'boolean',
-                  description: 'Skip development dependencies'
-                },
-                optimize: {
-                  type: 'boolean',
-                  description: 'Optimize autoloader'
-                },
-                testFramework: {
-                  type: 'string',
-                  enum: ['phpunit', 'phpspec', 'codeception', 'behat'],
-                  description: 'Testing framework'
-                },
-                coverage: {
-                  type: 'boolean',
-                  description: 'Generate code coverage'
-                },
-                testSuite: {
-                  type: 'string',
-                  description: 'Specific test suite to run'
-                },
-                artisanCommand: {
-                  type: 'string',
-                  description: 'Laravel Artisan command'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP'
-                }
-              },
-              required: ['projectPath', 'action']
-            }
-          },
-          {
-            name: 'build_ruby',
-            description: 'Build Ruby/Rails applications with Bundler',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string', 
-                  description: 'Path to Ruby project directory'
-                },
-                action: {
-                  type: 'string',
-                  enum: ['install', 'update', 'exec', 'test', 'build', 'rails', 'rake'],
-                  description: 'Ruby build action'
-                },
-                withoutGroups: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Groups to exclude from installation'
-                },
-                deployment: {
-                  type: 'boolean',
-                  description: 'Install in deployment mode'
-                },
-                railsCommand: {
-                  type: 'string',
-                  description: 'Rails command to execute'
-                },
-                railsEnv: {
-                  type: 'string',
-                  enum: ['development', 'test', 'production'],
-                  description: 'Rails environment'
-                },
-                rakeTask: {
-                  type: 'string',
-                  description: 'Rake task to execute'
-                },
-                testFramework: {
-                  type: 'string',
-                  enum: ['rspec', 'minitest', 'test-unit'],
-                  description: 'Testing framework'
-                },
-                parallel: {
-                  type: 'boolean',
-                  description: 'Run tests in parallel'
-                },
-                format: {
-                  type: 'string',
-                  description: 'Test output format'
-                },
-                gemspec: {
-                  type: 'string',
-                  description: 'Gemspec file for building gem'
-                },
-                remoteHost: { 
-                  type: 'string', 
-                  description: 'Optional remote host IP'
-                }
-              },
-              required: ['projectPath', 'action']
-            }
-          },
-          {
-            name: 'encode_file_base64',
-            description: 'Encode files to Base64 format with comprehensive security validation for PDF verification and file content analysis',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                filePath: { 
-                  type: 'string',
-                  description: 'Absolute path to file to encode (must be in allowed directories)'
-                },
-                options: {
-                  type: 'object',
-                  properties: {
-                    maxSizeBytes: { 
-                      type: 'number', 
-                      description: `Maximum file size in bytes (default: 10MB, max: ${getNumericEnv('FILE_ENCODING_MAX_UPLOAD', 52428800)})`,
-                      minimum: 1,
-                      maximum: 52428800
-                    },
-                    allowedExtensions: {
-                      type: 'array',
-                      items: { type: 'string' },
-                      description: 'Allowed file extensions (default: [".pdf", ".txt", ".docx", ".png", ".jpg", ".jpeg"])'
-                    },
-                    preview: {
-                      type: 'boolean',
-                      description: 'Return preview info only (metadata without full Base64 content)'
-                    }
-                  }
-                }
-              },
-              required: ['filePath']
-            }
-          },
-          {
-            name: 'http_request',
-            description: 'Execute HTTP requests bypassing PowerShell limitations - perfect for AI server testing and JSON API calls',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: { 
-                  type: 'string', 
-                  description: 'Target URL (supports localhost for AI server testing)'
-                },
-                method: { 
-                  type: 'string', 
-                  enum: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'],
-                  description: 'HTTP method'
-                },
-                headers: { 
-                  type: 'object', 
-                  description: 'HTTP headers as key-value pairs'
-                },
-                body: { 
-                  type: 'string', 
-                  description: 'Request body as string'
-                },
-                json: { 
-                  type: 'object', 
-                  description: 'Auto-serialize JSON object (sets Content-Type: application/json)'
-                },
-                timeout: { 
-                  type: 'number', 
-                  default: 30, 
-                  minimum: 1,
-                  maximum: 300,
-                  description: 'Timeout in seconds (default: 30, max: 300)'
-                },
-                followRedirects: {
-                  type: 'boolean',
-                  default: true,
-                  description: 'Follow HTTP redirects automatically'
-                }
-              },
-              required: ['url', 'method']
-            }
-          },
-          {
-            name: 'http_json_request',
-            description: 'Specialized HTTP JSON request tool designed for AI chat API testing - eliminates PowerShell escaping issues',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: { 
-                  type: 'string', 
-                  description: 'Target URL (optimized for localhost AI servers like http://localhost:8090/api/chat)'
-                },
-                method: { 
-                  type: 'string', 
-                  enum: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-                  default: 'POST',
-                  description: 'HTTP method (defaults to POST for AI chat)'
-                },
-                jsonPayload: { 
-                  type: 'object', 
-                  description: 'JSON payload object - automatically serialized and escaped (e.g., {"message":"Hello AI","model":"tinyllama"})'
-                },
-                headers: { 
-                  type: 'object', 
-                  description: 'Additional HTTP headers (Content-Type: application/json is automatic)'
-                },
-                timeout: { 
-                  type: 'number', 
-                  default: 30, 
-                  minimum: 1,
-                  maximum: 300,
-                  description: 'Timeout in seconds for AI server response'
-                }
-              },
-              required: ['url', 'jsonPayload']
-            }
-          },
-          {
-            name: 'environment_info',
-            description: 'Display Windows MCP environment information and optimal project recommendations',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                projectPath: { 
-                  type: 'string', 
-                  description: 'Optional: Path to project directory for project-specific analysis and recommendations'
-                },
-                includeSystemInfo: {
-                  type: 'boolean',
-                  default: true,
-                  description: 'Include Windows system information (.NET SDKs, PowerShell version, etc.)'
-                },
-                analyzeProject: {
-                  type: 'boolean',
-                  default: false,
-                  description: 'Analyze project type and provide build environment recommendations'
-                }
-              }
-            }
-          }
-        ],
-        
-        // Enhanced welcome message and help information (CLAUDE.md 第13条完全実装)
-        welcomeMessage: helpGenerator.generateWelcomeMessage({
-          version: require('../package.json').version,
-          authConfigured: authManager.isAuthEnabled(),
-          dangerousMode: process.env.ENABLE_DANGEROUS_MODE === 'true',
-          tools: 11
-        }),
-        
-        helpInfo: {
-          message: '🎉 All 11 tools available! Environment info and project analysis included in v1.0.44!',
-          featuredCapabilities: {
-            '🐍 Python Virtual Environments': 'build_python: Auto-creates .venv, installs deps, runs pytest/unittest',
-            '🔨 Multi-Language Builds': '.NET, Java, Python, Node.js, Go, Rust, C++, Ruby, Docker',
-            '⚡ PowerShell Execution': 'Full Windows automation with timeout controls',
-            '📁 File Operations': 'Base64 encoding, file sync, large file transfers',
-            '🌐 HTTP Client': 'Direct API testing with JSON support, bypasses PowerShell limitations'
-          },
-          quickStart: {
-            'Python Testing': 'build_python: {"projectPath": "C:/project", "commands": ["test"], "useVirtualEnv": true}',
-            'Build .NET': 'build_dotnet: {"projectPath": "C:/project.csproj", "configuration": "Release"}',
-            'Run Commands': 'run_powershell: {"command": "Get-Process"}',
-            'AI Chat Testing': 'http_request: {"url": "http://localhost:8080/api/chat", "method": "POST", "json": {"message": "Hello AI", "model": "tinyllama"}}',
-            'Get Detailed Help': 'Visit /help/tools for comprehensive examples with Python venv'
-          },
-          helpEndpoints: {
-            '/help/quick': 'Quick reference and common examples',
-            '/help/tools': 'Complete tool documentation',
-            '/help/category/build': 'Build tools documentation',
-            '/help/category/system': 'System tools documentation',
-            '/help/category/files': 'File operation tools',
-            '/auth/status': 'Check authentication status'
-          },
-          totalTools: 9, // Updated count for v1.0.28
-          categories: helpGenerator.categories
-        }
-        }
-      });
-      
-      logger.info('Tools list requested with help information', { 
-        clientIP: getClientIP(req),
-        toolCount: 9
-      });
-    } else if (method === 'tools/call') {
-      const { name, arguments: args } = params;
-      let result;
-      
-      switch (name) {
-        case 'build_dotnet':
-          try {
-            const validatedPath = security.validatePath(args.projectPath);
-            const configuration = args.configuration || 'Debug';
-            
-            // Extract project name from path
-            const projectName = validatedPath.split('\\').pop().replace('.csproj', '');
-            
-            // Fixed directory structure: <BUILD_BASE_DIR>\<project-name>\release
-            const buildBaseDir = process.env.BUILD_BASE_DIR || 'C:\\build';
-            const projectDir = `${buildBaseDir}\\${projectName}`;
-            const releaseDir = `${projectDir}\\release`;
-            
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              // Create directories and build on remote host
-              const commands = [
-                `if not exist "${projectDir}" mkdir "${projectDir}"`,
-                `if not exist "${releaseDir}" mkdir "${releaseDir}"`,
-                `dotnet build "${validatedPath}" -c ${configuration} -o "${releaseDir}"`
-              ];
-              const command = commands.join(' && ');
-              result = await executeRemoteCommand(validatedHost, command);
-            } else {
-              // Create project directory structure
-              await executeBuild('cmd.exe', ['/c', createDirCommand(projectDir)]);
-              await executeBuild('cmd.exe', ['/c', createDirCommand(releaseDir)]);
-              
-              // Copy project to build directory (preserving repository structure)
-              const projectSourceDir = validatedPath.substring(0, validatedPath.lastIndexOf('\\'));
-              await executeBuild('xcopy.exe', [
-                projectSourceDir,
-                projectDir,
-                '/E', '/I', '/Y', '/Q'
-              ]);
-              
-              // Build project with output to release directory
-              result = await executeBuild('dotnet.exe', [
-                'build', 
-                validatedPath, 
-                '-c', configuration,
-                '-o', releaseDir
-              ]);
-              
-              // Add output path to result
-              const originalText = result.content[0].text;
-              result.content[0].text = `${originalText}\n\nProject repository saved to: ${projectDir}\nRelease output saved to: ${releaseDir}`;
-            }
-            
-            logger.info('Build completed', { 
-              clientIP, 
-              projectPath: validatedPath, 
-              configuration, 
-              projectDir,
-              releaseDir 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Build', logger, clientIP, { args });
-          }
-          break;
-          
-        case 'run_powershell':
-          try {
-            // CRITICAL UPDATE: Enhanced PowerShell execution with UTF-8 and streaming support
-            if (!args.command) {
-              throw new Error('Command is required for PowerShell execution');
-            }
-
-            const dangerousMode = process.env.ENABLE_DANGEROUS_MODE === 'true';
-            const startTime = Date.now();
-            
-            // Enhanced command validation
-            let validatedCommand;
-            if (dangerousMode) {
-              validatedCommand = args.command;
-              logger.security('DANGEROUS MODE: Unrestricted PowerShell execution', { 
-                clientIP, 
-                command: args.command.substring(0, 100),
-                fullCommand: args.command.length
-              });
-            } else {
-              // Validate command using security module
-              const validation = powershellExecutor.validateCommand(args.command);
-              if (!validation.isValid) {
-                throw new Error(`Command validation failed: ${validation.warnings.join(', ')}`);
-              }
-              
-              // Enhanced PowerShell validation for enterprise environments
-              const isEnterpriseMode = process.env.ENABLE_ENTERPRISE_DEV_MODE === 'true';
-              const enhancedPowerShell = process.env.ENABLE_ENHANCED_POWERSHELL === 'true';
-              
-              if (isEnterpriseMode || enhancedPowerShell) {
-                try {
-                  validatedCommand = security.validateEnhancedPowerShell(args.command);
-                  logger.info('Enterprise PowerShell validation successful', { 
-                    clientIP, 
-                    commandLength: args.command.length,
-                    enhancedFeatures: true
-                  });
-                } catch (enterpriseError) {
-                  // Fallback to standard validation if enterprise fails
-                  logger.warn('Enterprise validation failed, falling back to standard', { 
-                    clientIP, 
-                    error: enterpriseError.message 
-                  });
-                  validatedCommand = security.validatePowerShellCommand(args.command);
-                }
-              } else {
-                validatedCommand = security.validatePowerShellCommand(args.command);
-              }
-            }
-            
-            // Enhanced timeout handling with dotnet-aware defaults
-            const maxAllowedTimeout = getNumericEnv('MAX_ALLOWED_TIMEOUT', 3600000); // 60 minutes max
-            let defaultTimeout = getNumericEnv('POWERSHELL_DEFAULT_TIMEOUT', 300) * 1000; // Use PowerShell default timeout in milliseconds
-            
-            // Increase default timeout for dotnet commands (initial compilation can be slow)
-            if (validatedCommand.toLowerCase().includes('dotnet')) {
-              defaultTimeout = Math.max(defaultTimeout, getNumericEnv('DOTNET_BUILD_TIMEOUT', 600000)); // Use .NET build timeout
-            }
-            
-            const requestedTimeoutMs = args.timeout ? 
-              Math.min(parseInt(args.timeout) * 1000, maxAllowedTimeout) : 
-              defaultTimeout;
-
-            // Execution options
-            const execOptions = {
-              timeout: requestedTimeoutMs,
-              streaming: args.streaming || false,
-              workingDirectory: args.workingDirectory || null
-            };
-
-            // Handle remote execution
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              result = await executeRemoteCommand(validatedHost, validatedCommand);
-            } else {
-              // Execute with enhanced PowerShell executor (UTF-8 + streaming)
-              const execResult = await powershellExecutor.executePowerShellCommand(
-                validatedCommand, 
-                execOptions
-              );
-
-              // Create enhanced response with detailed information
-              const response = {
-                success: execResult.success,
-                exitCode: execResult.exitCode,
-                executionTime: execResult.executionTime,
-                timestamp: execResult.timestamp,
-                processId: execResult.processId,
-                command: execResult.command,
-                workingDirectory: execResult.workingDirectory
-              };
-
-              // Include output based on success/failure
-              if (execResult.success) {
-                response.output = execResult.stdout;
-                if (execResult.stderr && execResult.stderr.trim()) {
-                  response.warnings = execResult.stderr;
-                }
-              } else {
-                response.error = {
-                  code: 'POWERSHELL_EXECUTION_FAILED',
-                  message: `PowerShell command failed with exit code ${execResult.exitCode}`,
-                  details: {
-                    stdout: execResult.stdout,
-                    stderr: execResult.stderr,
-                    exitCode: execResult.exitCode,
-                    signal: execResult.signal,
-                    executionTime: execResult.executionTime,
-                    command: execResult.command,
-                    workingDirectory: execResult.workingDirectory,
-                    suggestions: [
-                      'Check command syntax and permissions',
-                      'Verify file paths and accessibility',
-                      'Review PowerShell execution policy settings',
-                      'Check for Japanese characters in file paths (encoding issue)'
-                    ]
-                  }
-                };
-              }
-
-              // Include streaming data if requested
-              if (args.streaming && execResult.streamingData) {
-                response.streamingData = execResult.streamingData;
-              }
-
-              result = createTextResult(JSON.stringify(response, null, 2));
-            }
-            
-            logger.info('Enhanced PowerShell command executed', { 
-              clientIP, 
-              command: args.command.substring(0, 100),
-              success: result.success !== false,
-              executionTime: Date.now() - startTime,
-              dangerousMode,
-              streaming: args.streaming || false,
-              timeout: requestedTimeoutMs
-            });
-
-          } catch (error) {
-            // Enhanced error reporting for PowerShell failures
-            const errorResponse = {
-              error: {
-                code: 'POWERSHELL_COMMAND_ERROR',
-                message: error.message,
-                details: {
-                  command: args.command?.substring(0, 200) + (args.command?.length > 200 ? '...' : ''),
-                  timestamp: new Date().toISOString(),
-                  clientIP,
-                  suggestions: [
-                    'Check command syntax and special character escaping',
-                    'Verify PowerShell execution permissions',
-                    'Use proper JSON escaping for complex commands',
-                    'Consider using batch file execution for complex scripts'
-                  ],
-                  helpEndpoints: {
-                    documentation: '/help/category/system',
-                    troubleshooting: '/help/quick'
-                  }
-                }
-              }
-            };
-
-            logger.error('PowerShell command failed with enhanced error', { 
-              clientIP, 
-              command: args.command?.substring(0, 100),
-              error: error.message,
-              timestamp: new Date().toISOString()
-            });
-
-            result = createTextResult(JSON.stringify(errorResponse, null, 2));
-          }
-          break;
-          
-        case 'ping_host':
-          try {
-            const validatedHost = security.validateIPAddress(args.host);
-            result = await pingHost(validatedHost);
-            logger.info('Ping executed', { clientIP, host: validatedHost });
-          } catch (error) {
-            result = handleValidationError(error, 'Ping', logger, clientIP, { host: args.host });
-          }
-          break;
-          
-        case 'ssh_command':
-          try {
-            const validatedCreds = security.validateSSHCredentials(args.host, args.username, args.password);
-            
-            // Check if dangerous mode is enabled for SSH commands too
-            const dangerousMode = process.env.ENABLE_DANGEROUS_MODE === 'true';
-            let validatedCommand;
-            
-            if (dangerousMode) {
-              validatedCommand = args.command;
-              logger.security('DANGEROUS MODE: Unrestricted SSH command execution', { 
-                clientIP, 
-                host: validatedCreds.host,
-                command: args.command.substring(0, 100),
-                fullCommand: args.command
-              });
-            } else {
-              validatedCommand = security.validatePowerShellCommand(args.command);
-            }
-            
-            result = await executeSSHCommand(validatedCreds.host, validatedCreds.username, validatedCreds.password, validatedCommand);
-            logger.info('SSH command executed', { 
-              clientIP, 
-              host: validatedCreds.host, 
-              username: validatedCreds.username,
-              dangerousMode 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'SSH', logger, clientIP, { host: args.host });
-          }
-          break;
-          
-        case 'run_batch':
-          try {
-            // Check if dangerous mode is enabled
-            const dangerousMode = process.env.ENABLE_DANGEROUS_MODE === 'true';
-            let validatedPath;
-            
-            if (dangerousMode) {
-              // In dangerous mode, allow any path
-              if (!args.batchFile || typeof args.batchFile !== 'string') {
-                throw new Error('Batch file path is required');
-              }
-              validatedPath = args.batchFile;
-              logger.security('DANGEROUS MODE: Unrestricted batch file execution', { 
-                clientIP, 
-                batchFile: args.batchFile,
-                workingDirectory: args.workingDirectory
-              });
-            } else {
-              // Use the new validateBatchFilePath function from security module
-              validatedPath = security.validateBatchFilePath(args.batchFile);
-            }
-            
-            const workingDir = args.workingDirectory || validatedPath.substring(0, validatedPath.lastIndexOf('\\'));
-            
-            // Execute the batch file
-            result = await executeBuild('cmd.exe', ['/c', `cd /d "${workingDir}" && "${validatedPath}"`]);
-            
-            logger.info('Batch file executed', { 
-              clientIP, 
-              batchFile: validatedPath,
-              workingDirectory: workingDir 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Batch execution', logger, clientIP, { batchFile: args.batchFile });
-          }
-          break;
-          
-        case 'mcp_self_build':
-          try {
-            const action = args.action;
-            const targetPath = args.targetPath || process.env.MCP_SERVER_PATH || 'C:\\mcp-server';
-            const options = args.options || {};
-            
-            switch (action) {
-              case 'build':
-                // Build the MCP server from source
-                result = await executeBuild('npm', ['run', 'build:all'], {
-                  cwd: process.cwd()
-                });
-                break;
-                
-              case 'test':
-                // Run tests with optional skip
-                if (options.skipTests) {
-                  result = createTextResult('Tests skipped by option');
-                } else {
-                  const testResult = await executeBuild('npm', ['test'], {
-                    cwd: process.cwd()
-                  });
-                  const coverageResult = await executeBuild('npm', ['run', 'test:coverage'], {
-                    cwd: process.cwd()
-                  });
-                  result = createTextResult(`Tests:\n${testResult.content[0].text}\n\nCoverage:\n${coverageResult.content[0].text}`);
-                }
-                break;
-                
-              case 'install':
-                // Install MCP server (new installation)
-                const setupScript = path.join(process.cwd(), 'setup-windows-vm.ps1');
-                const psCommand = `Set-Location -Path "${process.cwd()}"; .\\setup-windows-vm.ps1 -TargetPath "${targetPath}"${options.forceDangerous ? ' -EnableDangerous' : ''}`;
-                
-                if (dangerousMode) {
-                  result = await executeBuild('powershell.exe', ['-ExecutionPolicy', 'Bypass', '-Command', psCommand]);
-                } else {
-                  result = createTextResult('Installation requires dangerous mode to be enabled');
-                }
-                
-                if (options.autoStart && result.success) {
-                  // Auto-start after installation
-                  const startResult = await executeBuild('powershell.exe', [
-                    '-ExecutionPolicy', 'Bypass',
-                    '-Command', `Start-Process -FilePath "${targetPath}\\start-mcp-server.bat" -WorkingDirectory "${targetPath}"`
-                  ]);
-                  result = createTextResult(`${result.content[0].text}\n\nAuto-start: ${startResult.content[0].text}`);
-                }
-                break;
-                
-              case 'update':
-                // Update MCP server from GitHub
-                if (dangerousMode) {
-                  const updateScript = path.join(targetPath, 'server', 'setup', 'update-from-git.ps1');
-                  const updateCommand = `Set-Location -Path "${targetPath}"; powershell -ExecutionPolicy Bypass -File "${updateScript}"`;
-                  
-                  result = await executeBuild('powershell.exe', [
-                    '-ExecutionPolicy', 'Bypass',
-                    '-Command', updateCommand
-                  ], {
-                    timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000), // 30 minutes for update
-                    workingDirectory: targetPath
-                  });
-                  
-                  if (options.autoStart && result.success) {
-                    // Auto-restart after successful update
-                    await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-                    const restartResult = await executeBuild('powershell.exe', [
-                      '-ExecutionPolicy', 'Bypass',
-                      '-Command', `Set-Location -Path "${targetPath}"; npm run dangerous`
-                    ], {
-                      workingDirectory: targetPath
-                    });
-                    result = createTextResult(`${result.content[0].text}\n\nAuto-restart: ${restartResult.content[0].text}`);
-                  }
-                } else {
-                  result = createTextResult('Update requires dangerous mode to be enabled. Use run_powershell with "npm run update" instead.');
-                }
-                break;
-                
-              case 'start':
-                // Start MCP server
-                const startBat = path.join(targetPath, 'start-mcp-server.bat');
-                result = await executeBuild('cmd.exe', ['/c', `start /B "" "${startBat}"`]);
-                break;
-                
-              case 'stop':
-                // Stop MCP server
-                result = await executeBuild('taskkill', ['/F', '/IM', 'node.exe', '/FI', 'WINDOWTITLE eq MCP Server*']);
-                break;
-                
-              case 'status':
-                // Check MCP server status
-                const statusResult = await executeBuild('tasklist', ['/FI', 'IMAGENAME eq node.exe', '/FO', 'CSV']);
-                const isRunning = statusResult.content[0].text.includes('node.exe');
-                result = createTextResult(`MCP Server status: ${isRunning ? 'Running' : 'Stopped'}\n\n${statusResult.content[0].text}`);
-                break;
-                
-              default:
-                result = createTextResult(`Unknown action: ${action}`);
-            }
-            
-            logger.info('MCP self-build action executed', { 
-              clientIP, 
-              action,
-              targetPath,
-              options 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'MCP self-build', logger, clientIP, { action: args.action });
-          }
-          break;
-          
-        case 'process_manager':
-          try {
-            const action = args.action;
-            const processName = args.processName;
-            const options = args.options || {};
-            
-            switch (action) {
-              case 'start':
-                if (options.asService) {
-                  result = await executeBuild('net', ['start', processName]);
-                } else {
-                  result = await executeBuild('start', ['""', processName], { shell: true });
-                }
-                break;
-                
-              case 'stop':
-                if (options.asService) {
-                  result = await executeBuild('net', ['stop', processName]);
-                } else {
-                  const killArgs = options.force ? ['/F', '/IM', `${processName}.exe`] : ['/IM', `${processName}.exe`];
-                  result = await executeBuild('taskkill', killArgs);
-                }
-                break;
-                
-              case 'restart':
-                if (options.asService) {
-                  await executeBuild('net', ['stop', processName]);
-                  if (options.waitTime) {
-                    await new Promise(resolve => setTimeout(resolve, options.waitTime * 1000));
-                  }
-                  result = await executeBuild('net', ['start', processName]);
-                } else {
-                  result = createTextResult('Restart only supported for services');
-                }
-                break;
-                
-              case 'status':
-                if (options.asService) {
-                  result = await executeBuild('sc', ['query', processName]);
-                } else {
-                  result = await executeBuild('tasklist', ['/FI', `IMAGENAME eq ${processName}.exe`, '/FO', 'CSV']);
-                }
-                break;
-                
-              case 'list':
-                if (options.asService) {
-                  result = await executeBuild('sc', ['query', 'type=', 'service', 'state=', 'all']);
-                } else {
-                  result = await executeBuild('tasklist', ['/FO', 'CSV']);
-                }
-                break;
-                
-              case 'kill':
-                const pid = processName; // In this case, processName is actually PID
-                result = await executeBuild('taskkill', options.force ? ['/F', '/PID', pid] : ['/PID', pid]);
-                break;
-                
-              default:
-                result = createTextResult(`Unknown action: ${action}`);
-            }
-            
-            logger.info('Process manager action executed', { 
-              clientIP, 
-              action,
-              processName,
-              options 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Process manager', logger, clientIP, { action: args.action });
-          }
-          break;
-          
-        case 'file_sync':
-          try {
-            const source = dangerousMode ? args.source : security.validateBuildPath(args.source);
-            const destination = dangerousMode ? args.destination : security.validateBuildPath(args.destination);
-            const options = args.options || {};
-            
-            // Build robocopy command
-            const robocopyArgs = [source, destination];
-            
-            if (options.pattern) {
-              robocopyArgs.push(options.pattern);
-            } else {
-              robocopyArgs.push('*.*');
-            }
-            
-            // Add robocopy flags
-            const flags = [];
-            if (options.recursive) flags.push('/E'); // Copy subdirectories including empty ones
-            if (!options.overwrite) flags.push('/XC', '/XN', '/XO'); // Exclude changed, newer, older files
-            if (options.excludePattern) flags.push('/XF', options.excludePattern);
-            if (options.verify) flags.push('/V'); // Verify after copy
-            
-            // Add retry and wait options
-            flags.push('/R:3', '/W:10'); // Retry 3 times, wait 10 seconds
-            
-            robocopyArgs.push(...flags);
-            
-            result = await executeBuild('robocopy', robocopyArgs);
-            
-            // Robocopy returns 0-7 for success, 8+ for errors
-            const exitCode = result.exitCode || 0;
-            if (exitCode >= 8) {
-              result = createTextResult(`File sync failed with code ${exitCode}:\n${result.content[0].text}`);
-            } else {
-              result = createTextResult(`File sync completed successfully:\n${result.content[0].text}`);
-            }
-            
-            logger.info('File sync executed', { 
-              clientIP, 
-              source,
-              destination,
-              options 
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'File sync', logger, clientIP, { source: args.source, destination: args.destination });
-          }
-          break;
-
-        case 'encode_file_base64':
-          try {
-            if (!args.filePath) {
-              throw new Error('filePath is required');
-            }
-
-            // Check if dangerous mode is enabled
-            const dangerousMode = process.env.ENABLE_DANGEROUS_MODE === 'true';
-
-            // Security validation
-            const filePath = dangerousMode ? args.filePath : security.validateBuildPath(args.filePath);
-            const options = args.options || {};
-            
-            // Set defaults from environment or options
-            const envMaxSize = getNumericEnv('FILE_ENCODING_MAX_SIZE', 10485760); // 10MB default
-            const envExtensions = process.env.FILE_ENCODING_ALLOWED_EXTENSIONS 
-              ? process.env.FILE_ENCODING_ALLOWED_EXTENSIONS.split(',').map(ext => ext.trim())
-              : ['.pdf', '.txt', '.docx', '.png', '.jpg', '.jpeg'];
-            
-            const maxSizeBytes = options.maxSizeBytes || envMaxSize;
-            const allowedExtensions = options.allowedExtensions || envExtensions;
-            const previewOnly = options.preview || false;
-            
-            // Check file exists
-            if (!fs.existsSync(filePath)) {
-              throw new Error(`File not found: ${filePath}`);
-            }
-            
-            // Get file stats
-            const stats = fs.statSync(filePath);
-            const fileSize = stats.size;
-            const fileName = path.basename(filePath);
-            const fileExtension = path.extname(filePath).toLowerCase();
-            
-            // Validate file size
-            if (fileSize > maxSizeBytes) {
-              throw new Error(`File size ${fileSize} bytes exceeds maximum allowed size ${maxSizeBytes} bytes`);
-            }
-            
-            // Validate file extension
-            if (!allowedExtensions.includes(fileExtension)) {
-              throw new Error(`File extension '${fileExtension}' not allowed. Allowed extensions: ${allowedExtensions.join(', ')}`);
-            }
-            
-            // Log security event
-            logger.security('File encoding requested', {
-              clientIP,
-              filePath,
-              fileSize,
-              fileExtension,
-              previewOnly,
-              dangerousMode
-            });
-            
-            if (previewOnly) {
-              // Return metadata only
-              result = createTextResult(JSON.stringify({
-                fileName,
-                fileSize,
-                fileExtension,
-                lastModified: stats.mtime.toISOString(),
-                isReadable: true,
-                preview: true
-              }, null, 2));
-            } else {
-              // Read and encode file
-              const fileBuffer = fs.readFileSync(filePath);
-              const base64Content = fileBuffer.toString('base64');
-              
-              // Create response with metadata
-              const response = {
-                content: [{
-                  type: 'text',
-                  text: base64Content
-                }],
-                fileName,
-                fileSize,
-                fileExtension,
-                lastModified: stats.mtime.toISOString(),
-                encoded: true,
-                encoding: 'base64'
-              };
-              
-              result = createTextResult(JSON.stringify(response));
-            }
-            
-            logger.info('File encoding completed', { 
-              clientIP, 
-              filePath,
-              fileSize,
-              encoded: !previewOnly
-            });
-            
-          } catch (error) {
-            logger.error('File encoding failed', { 
-              clientIP, 
-              filePath: args.filePath, 
-              error: error.message 
-            });
-            result = handleValidationError(error, 'File encoding', logger, clientIP, { filePath: args.filePath });
-          }
-          break;
-
-        case 'http_request':
-          try {
-            if (!args.url || !args.method) {
-              throw new Error('url and method are required');
-            }
-
-            const startTime = Date.now();
-            
-            // Log the request initiation
-            logger.info('HTTP request initiated', {
-              clientIP,
-              url: args.url,
-              method: args.method,
-              hasHeaders: !!args.headers,
-              hasBody: !!(args.body || args.json),
-              timeout: args.timeout || 30
-            });
-
-            // Execute HTTP request using httpClient
-            const httpResult = await httpClient.executeRequest({
-              url: args.url,
-              method: args.method,
-              headers: args.headers || {},
-              body: args.body,
-              json: args.json,
-              timeout: args.timeout || 30,
-              followRedirects: args.followRedirects !== false
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            if (httpResult.success) {
-              // Try to parse JSON response if applicable
-              let parsedBody = null;
-              const contentType = httpResult.headers['content-type'] || '';
-              
-              if (contentType.includes('application/json') && httpResult.body) {
-                try {
-                  parsedBody = JSON.parse(httpResult.body);
-                } catch (parseError) {
-                  logger.warn('Failed to parse JSON response', { 
-                    requestId: httpResult.requestId, 
-                    error: parseError.message 
-                  });
-                }
-              }
-
-              const responseData = {
-                success: true,
-                statusCode: httpResult.statusCode,
-                statusMessage: httpResult.statusMessage,
-                headers: httpResult.headers,
-                body: httpResult.body,
-                json: parsedBody,
-                executionTime: httpResult.executionTime,
-                requestId: httpResult.requestId,
-                timestamp: new Date().toISOString()
-              };
-
-              result = createTextResult(JSON.stringify(responseData, null, 2));
-
-              logger.info('HTTP request completed successfully', {
-                clientIP,
-                requestId: httpResult.requestId,
-                statusCode: httpResult.statusCode,
-                executionTime: httpResult.executionTime,
-                responseSize: httpResult.body ? httpResult.body.length : 0
-              });
-
-            } else {
-              // Handle request failure
-              const errorData = {
-                success: false,
-                error: httpResult.error,
-                executionTime: httpResult.executionTime,
-                requestId: httpResult.requestId,
-                timestamp: new Date().toISOString(),
-                url: args.url,
-                method: args.method
-              };
-
-              result = createTextResult(JSON.stringify(errorData, null, 2));
-
-              logger.error('HTTP request failed', {
-                clientIP,
-                requestId: httpResult.requestId,
-                error: httpResult.error,
-                executionTime: httpResult.executionTime,
-                url: args.url,
-                method: args.method
-              });
-            }
-
-          } catch (error) {
-            logger.error('HTTP request execution failed', {
-              clientIP,
-              url: args.url,
-              method: args.method,
-              error: error.message
-            });
-            result = handleValidationError(error, 'HTTP request', logger, clientIP, { 
-              url: args.url, 
-              method: args.method 
-            });
-          }
-          break;
-
-        case 'http_json_request':
-          try {
-            if (!args.url || !args.jsonPayload) {
-              throw new Error('url and jsonPayload are required');
-            }
-
-            const startTime = Date.now();
-            
-            // Log the JSON request initiation
-            logger.info('HTTP JSON request initiated', {
-              clientIP,
-              url: args.url,
-              method: args.method || 'POST',
-              hasJsonPayload: !!args.jsonPayload,
-              hasHeaders: !!args.headers,
-              timeout: args.timeout || 30
-            });
-
-            // Prepare headers with automatic Content-Type
-            const headers = {
-              'Content-Type': 'application/json',
-              ...(args.headers || {})
-            };
-
-            // Execute HTTP request using httpClient with JSON payload
-            const httpResult = await httpClient.executeRequest({
-              url: args.url,
-              method: args.method || 'POST',
-              headers: headers,
-              json: args.jsonPayload, // Use the json parameter for proper serialization
-              timeout: args.timeout || 30,
-              followRedirects: false // Usually false for API endpoints
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            if (httpResult.success) {
-              // Try to parse JSON response
-              let parsedBody = null;
-              const contentType = httpResult.headers['content-type'] || '';
-              
-              if (contentType.includes('application/json') && httpResult.body) {
-                try {
-                  parsedBody = JSON.parse(httpResult.body);
-                } catch (parseError) {
-                  logger.warn('Failed to parse JSON response', { 
-                    requestId: httpResult.requestId, 
-                    error: parseError.message 
-                  });
-                }
-              }
-
-              const responseData = {
-                success: true,
-                statusCode: httpResult.statusCode,
-                statusMessage: httpResult.statusMessage,
-                headers: httpResult.headers,
-                body: httpResult.body,
-                json: parsedBody,
-                executionTime: executionTime,
-                url: args.url,
-                method: args.method || 'POST'
-              };
-
-              logger.info('HTTP JSON request completed successfully', {
-                clientIP,
-                url: args.url,
-                method: args.method || 'POST',
-                statusCode: httpResult.statusCode,
-                executionTime,
-                responseBodyLength: httpResult.body ? httpResult.body.length : 0,
-                hasJsonResponse: !!parsedBody
-              });
-
-              result = createTextResult(JSON.stringify(responseData, null, 2));
-            } else {
-              const errorResponse = {
-                success: false,
-                error: httpResult.error,
-                statusCode: httpResult.statusCode,
-                statusMessage: httpResult.statusMessage,
-                executionTime: executionTime,
-                url: args.url,
-                method: args.method || 'POST',
-                timestamp: new Date().toISOString()
-              };
-
-              logger.error('HTTP JSON request failed', {
-                clientIP,
-                url: args.url,
-                method: args.method || 'POST',
-                error: httpResult.error,
-                statusCode: httpResult.statusCode,
-                executionTime
-              });
-
-              result = createTextResult(JSON.stringify(errorResponse, null, 2));
-            }
-          } catch (error) {
-            logger.error('HTTP JSON request exception', { 
-              clientIP, 
-              error: error.message,
-              url: args.url,
-              method: args.method || 'POST'
-            });
-            
-            result = handleValidationError(error, 'HTTP JSON request', logger, clientIP, { 
-              url: args.url, 
-              method: args.method || 'POST',
-              hasJsonPayload: !!args.jsonPayload
-            });
-          }
-          break;
-
-        case 'environment_info':
-          try {
-            const startTime = Date.now();
-            const info = [];
-            
-            // Basic environment information
-            info.push('🔧 Windows MCP Server Environment');
-            info.push('═'.repeat(50));
-            info.push(`📅 Timestamp: ${new Date().toISOString()}`);
-            info.push(`🌐 Client IP: ${clientIP}`);
-            info.push(`⚙️  Server Version: v${require('../package.json').version}`);
-            info.push(`🖥️  Platform: Windows (${process.platform})`);
-            info.push(`📦 Node.js: ${process.version}`);
-            info.push('');
-
-            // Windows environment details
-            if (args.includeSystemInfo !== false) {
-              info.push('🏗️  Windows Build Environment');
-              info.push('─'.repeat(30));
-              
-              try {
-                // PowerShell version check
-                const psVersionResult = await executeBuild('powershell.exe', [
-                  '-Command', '$PSVersionTable.PSVersion.ToString()'
-                ]);
-                if (psVersionResult.success) {
-                  info.push(`💙 PowerShell: ${psVersionResult.output.trim()}`);
-                }
-
-                // .NET SDK versions
-                const dotnetResult = await executeBuild('dotnet.exe', ['--list-sdks']);
-                if (dotnetResult.success && dotnetResult.output) {
-                  const sdks = dotnetResult.output.trim().split('\n').slice(0, 3);
-                  info.push(`🔷 .NET SDKs: ${sdks.length} installed`);
-                  sdks.forEach(sdk => info.push(`   • ${sdk.trim()}`));
-                }
-
-                // Windows SDK check
-                const winSdkResult = await executeBuild('powershell.exe', [
-                  '-Command', 'Get-ItemProperty "HKLM:\\SOFTWARE\\Microsoft\\Microsoft SDKs\\Windows\\*" | Select-Object -ExpandProperty ProductVersion -ErrorAction SilentlyContinue | Sort-Object -Unique'
-                ]);
-                if (winSdkResult.success && winSdkResult.output.trim()) {
-                  const winSdks = winSdkResult.output.trim().split('\n').slice(0, 3);
-                  info.push(`🪟 Windows SDKs: ${winSdks.length} found`);
-                  winSdks.forEach(sdk => info.push(`   • ${sdk.trim()}`));
-                }
-
-              } catch (systemError) {
-                info.push(`⚠️  System info query failed: ${systemError.message}`);
-              }
-              
-              info.push('');
-            }
-
-            // Available build tools
-            info.push('🛠️  Available Build Tools');
-            info.push('─'.repeat(25));
-            info.push('• build_dotnet - .NET applications (WPF, WinForms, WinUI, Core)');
-            info.push('• build_python - Python applications with virtual environments');
-            info.push('• build_java - Java applications (Maven, Gradle)');
-            info.push('• build_nodejs - Node.js applications and React/Vue projects');
-            info.push('• build_go - Go applications and modules');
-            info.push('• build_rust - Rust applications using Cargo');
-            info.push('• build_cpp - C++ applications with MSVC/MinGW');
-            info.push('• run_powershell - Direct PowerShell command execution');
-            info.push('• run_batch - Windows batch file execution');
-            info.push('• http_json_request - AI chat API testing without escaping');
-            info.push('');
-
-            // Connection status
-            info.push('🌐 Connection Status');
-            info.push('─'.repeat(20));
-            info.push('✅ MCP Server: Active and responding');
-            info.push(`🔐 Authentication: ${authManager.isAuthEnabled() ? 'Enabled' : 'Disabled'}`);
-            info.push(`⚡ Dangerous Mode: ${process.env.ENABLE_DANGEROUS_MODE === 'true' ? '🟡 Enabled' : '🟢 Disabled'}`);
-            info.push(`📝 Rate Limiting: ${process.env.ENABLE_DANGEROUS_MODE === 'true' ? 'Bypassed' : 'Active'}`);
-            info.push('');
-
-            // Project analysis (optional)
-            if (args.analyzeProject && args.projectPath) {
-              const detector = new ProjectDetector();
-              const detection = await detector.detectProject(args.projectPath);
-              
-              info.push('🔍 Project Analysis');
-              info.push('─'.repeat(20));
-              info.push(detector.generateReport(detection));
-              info.push('');
-            }
-
-            // Environment recommendations
-            info.push('💡 Environment Recommendations');
-            info.push('─'.repeat(30));
-            info.push('🎯 For WPF/WinForms/WinUI: This Windows environment is OPTIMAL');
-            info.push('🎯 For .NET Core/Standard: Cross-platform compatible');
-            info.push('🎯 For Xamarin/MAUI: Consider macOS for iOS development');
-            info.push('🎯 For Docker apps: Use container-based builds');
-            info.push('');
-
-            // Usage examples
-            info.push('📋 Quick Usage Examples');
-            info.push('─'.repeat(25));
-            info.push('🔨 Build WPF app: build_dotnet project_path="C:/MyWpfApp.csproj" configuration="Release"');
-            info.push('🐍 Python with venv: build_python project_path="C:/MyPython" action="test" create_venv="true"');
-            info.push('🌐 Test AI server: http_json_request url="http://localhost:8090/api/chat" jsonPayload={"message":"Hello"}');
-            info.push('⚡ Run PowerShell: run_powershell command="Get-Process | Where-Object {$_.ProcessName -like \'*python*\'}"');
-            
-            const executionTime = Date.now() - startTime;
-
-            logger.info('Environment info generated', {
-              clientIP,
-              includeSystemInfo: args.includeSystemInfo !== false,
-              analyzeProject: !!args.analyzeProject,
-              projectPath: args.projectPath || 'none',
-              executionTime
-            });
-
-            result = createTextResult(info.join('\n'));
-          } catch (error) {
-            logger.error('Environment info generation failed', {
-              clientIP,
-              error: error.message
-            });
-            result = handleValidationError(error, 'Environment info', logger, clientIP, args);
-          }
-          break;
-
-        case 'build_java':
-          try {
-            if (!args.projectPath) {
-              throw new Error('projectPath is required');
-            }
-
-            // Use specialized validation for Java builds
-            const buildTool = security.validateJavaBuild(args.projectPath, args.buildTool);
-            const validatedPath = args.projectPath; // Already validated in validateJavaBuild
-            
-            const projectDir = validatedPath.substring(0, validatedPath.lastIndexOf('\\'));
-            let command = '';
-            let commandArgs = [];
-            
-            if (buildTool === 'maven') {
-              command = 'mvn';
-              const goals = args.goals || ['compile'];
-              commandArgs = [...goals];
-              
-              // Add profiles
-              if (args.profiles && args.profiles.length > 0) {
-                commandArgs.push(`-P${args.profiles.join(',')}`);
-              }
-              
-              // Add properties
-              if (args.properties) {
-                for (const [key, value] of Object.entries(args.properties)) {
-                  commandArgs.push(`-D${key}=${value}`);
-                }
-              }
-            } else if (buildTool === 'gradle') {
-              command = args.useWrapper ? 'gradlew' : 'gradle';
-              const tasks = args.tasks || ['build'];
-              commandArgs = [...tasks];
-              
-              // Add properties
-              if (args.properties) {
-                for (const [key, value] of Object.entries(args.properties)) {
-                  commandArgs.push(`-D${key}=${value}`);
-                }
-              }
-            }
-            
-            // Set JAVA_HOME if specified
-            const buildOptions = {
-              workingDirectory: projectDir,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000)
-            };
-            
-            if (args.javaHome) {
-              buildOptions.env = { ...process.env, JAVA_HOME: args.javaHome };
-            }
-            
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-            
-            // Validate the final command for security
-            const fullCommand = `${command} ${commandArgs.join(' ')}`;
-            security.validateBuildCommand(fullCommand);
-            
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-            
-            if (!result.success) {
-              throw new Error(`Java build failed: ${result.output || result.error}`);
-            }
-            
-            result = createTextResult(`Java build completed successfully:\n${result.output}`);
-            
-            logger.info('Java build executed', { 
-              clientIP, 
-              buildTool,
-              projectPath: validatedPath,
-              command: `${command} ${commandArgs.join(' ')}`
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Java build', logger, clientIP, { projectPath: args.projectPath });
-          }
-          break;
-
-        case 'build_python':
-          try {
-            if (!args.projectPath) {
-              throw new Error('projectPath is required');
-            }
-
-            // Enhanced Python environment validation for enterprise development
-            const isEnterpriseMode = process.env.ENABLE_ENTERPRISE_DEV_MODE === 'true';
-            const pythonEnhanced = process.env.ENABLE_PYTHON_ENV_MANAGEMENT === 'true';
-            
-            // Use specialized validation for Python builds
-            const buildTool = security.validatePythonBuild(args.projectPath, args.buildTool);
-            const validatedPath = args.projectPath; // Already validated in validatePythonBuild
-            
-            // Enhanced Python environment setup for enterprise environments
-            let pythonEnvironment = null;
-            if (isEnterpriseMode || pythonEnhanced) {
-              try {
-                const testCommand = 'python -m pytest tests/';
-                pythonEnvironment = security.validatePythonEnvironment(validatedPath, testCommand);
-                logger.info('Enterprise Python environment validated', { 
-                  clientIP, 
-                  projectPath: validatedPath,
-                  pythonPath: pythonEnvironment.pythonPath,
-                  enhancedMode: true
-                });
-              } catch (enterpriseError) {
-                logger.warn('Enterprise Python validation failed, using standard mode', { 
-                  clientIP, 
-                  error: enterpriseError.message 
-                });
-              }
-            }
-            
-            // Virtual environment settings
-            const useVirtualEnv = args.useVirtualEnv !== false; // Default to true
-            const venvName = args.venvName || args.virtualEnv || '.venv';
-            const venvPath = path.join(validatedPath, venvName);
-            const installDeps = args.installDeps !== false; // Default to true
-            
-            // Auto-detect build tool if needed
-            let finalBuildTool = buildTool;
-            if (buildTool === 'auto') {
-              const fs = require('fs');
-              if (fs.existsSync(path.join(validatedPath, 'pyproject.toml'))) {
-                finalBuildTool = 'poetry';
-              } else if (fs.existsSync(path.join(validatedPath, 'Pipfile'))) {
-                finalBuildTool = 'pipenv';
-              } else if (fs.existsSync(path.join(validatedPath, 'environment.yml'))) {
-                finalBuildTool = 'conda';
-              } else {
-                finalBuildTool = 'pip';
-              }
-            }
-            
-            let results = [];
-            const commands = args.commands || ['install', 'test'];
-            
-            // Create virtual environment if needed and using pip
-            if (useVirtualEnv && finalBuildTool === 'pip') {
-              const fs = require('fs');
-              if (!fs.existsSync(venvPath)) {
-                logger.info('Creating virtual environment', { venvPath });
-                const createVenvResult = await executeBuild('python', ['-m', 'venv', venvName], {
-                  workingDirectory: validatedPath,
-                  timeout: 60000 // 1 minute for venv creation
-                });
-                if (!createVenvResult.success) {
-                  throw new Error(`Failed to create virtual environment: ${createVenvResult.error}`);
-                }
-                results.push('✓ Created virtual environment: ' + venvName);
-              } else {
-                results.push('✓ Using existing virtual environment: ' + venvName);
-              }
-            }
-            
-            // Determine Python and pip executables based on virtual environment
-            let pythonExe = 'python';
-            let pipExe = 'pip';
-            
-            if (useVirtualEnv && finalBuildTool === 'pip') {
-              // Use virtual environment executables
-              if (process.platform === 'win32') {
-                pythonExe = path.join(venvPath, 'Scripts', 'python.exe');
-                pipExe = path.join(venvPath, 'Scripts', 'pip.exe');
-              } else {
-                pythonExe = path.join(venvPath, 'bin', 'python');
-                pipExe = path.join(venvPath, 'bin', 'pip');
-              }
-            }
-            
-            // Install dependencies if needed
-            if (installDeps && finalBuildTool === 'pip') {
-              // Auto-detect requirements file
-              const fs = require('fs');
-              let reqFile = args.requirements;
-              if (!reqFile) {
-                const possibleFiles = ['requirements.txt', 'requirements-dev.txt', 'dev-requirements.txt', 'test-requirements.txt'];
-                for (const file of possibleFiles) {
-                  if (fs.existsSync(path.join(validatedPath, file))) {
-                    reqFile = file;
-                    break;
-                  }
-                }
-              }
-              
-              if (reqFile && fs.existsSync(path.join(validatedPath, reqFile))) {
-                const installResult = await executeBuild(pipExe, ['install', '-r', reqFile], {
-                  workingDirectory: validatedPath,
-                  timeout: getNumericEnv('COMMAND_TIMEOUT', 600000) // 10 minutes for package installation
-                });
-                if (!installResult.success) {
-                  throw new Error(`Failed to install dependencies: ${installResult.error}`);
-                }
-                results.push(`✓ Installed dependencies from ${reqFile}`);
-              }
-              
-              // Install extra packages if specified
-              if (args.extraPackages && args.extraPackages.length > 0) {
-                const installResult = await executeBuild(pipExe, ['install', ...args.extraPackages], {
-                  workingDirectory: validatedPath,
-                  timeout: getNumericEnv('COMMAND_TIMEOUT', 300000) // 5 minutes for package installation
-                });
-                if (!installResult.success) {
-                  throw new Error(`Failed to install extra packages: ${installResult.error}`);
-                }
-                results.push(`✓ Installed extra packages: ${args.extraPackages.join(', ')}`);
-              }
-            }
-            
-            // Execute commands
-            for (const cmd of commands) {
-              let command = '';
-              let commandArgs = [];
-              
-              if (finalBuildTool === 'pip') {
-                if (cmd === 'install') {
-                  if (!installDeps) {
-                    // Only run if not already done above
-                    const reqFile = args.requirements || 'requirements.txt';
-                    command = pipExe;
-                    commandArgs = ['install', '-r', reqFile];
-                  } else {
-                    continue; // Skip, already handled above
-                  }
-                } else if (cmd === 'test') {
-                  const testRunner = args.testRunner || 'pytest';
-                  if (useVirtualEnv) {
-                    // Use test runner from virtual environment
-                    if (process.platform === 'win32') {
-                      command = path.join(venvPath, 'Scripts', testRunner + '.exe');
-                    } else {
-                      command = path.join(venvPath, 'bin', testRunner);
-                    }
-                  } else {
-                    command = testRunner;
-                  }
-                  commandArgs = [];
-                } else if (cmd === 'build') {
-                  command = pythonExe;
-                  commandArgs = ['setup.py', 'build'];
-                } else {
-                  // Custom command
-                  command = pythonExe;
-                  commandArgs = ['-m', cmd];
-                }
-              } else if (finalBuildTool === 'poetry') {
-                command = 'poetry';
-                commandArgs = [cmd];
-              } else if (finalBuildTool === 'conda') {
-                command = 'conda';
-                commandArgs = [cmd];
-              } else if (finalBuildTool === 'pipenv') {
-                command = 'pipenv';
-                commandArgs = [cmd];
-              }
-              
-              if (command) {
-                const buildOptions = {
-                  workingDirectory: validatedPath,
-                  timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000)
-                };
-                
-                // Enhanced Python environment for enterprise development
-                if (pythonEnvironment && pythonEnvironment.pythonPath) {
-                  buildOptions.environment = {
-                    ...process.env,
-                    PYTHONPATH: pythonEnvironment.pythonPath
-                  };
-                  logger.info('Applied enterprise PYTHONPATH', { 
-                    clientIP, 
-                    pythonPath: pythonEnvironment.pythonPath,
-                    command: cmd
-                  });
-                }
-                
-                if (args.remoteHost) {
-                  const validatedHost = security.validateIPAddress(args.remoteHost);
-                  buildOptions.remoteHost = validatedHost;
-                }
-                
-                // Validate the final command for security
-                const fullCommand = `${command} ${commandArgs.join(' ')}`;
-                security.validateBuildCommand(fullCommand);
-                
-                // Execute command
-                const cmdResult = await executeBuild(command, commandArgs, buildOptions);
-                
-                if (!cmdResult.success) {
-                  throw new Error(`Python ${cmd} failed: ${cmdResult.output || cmdResult.error}`);
-                }
-                
-                results.push(`✓ Executed ${cmd}: ${cmdResult.output}`);
-              }
-            }
-            
-            result = createTextResult(`Python build completed successfully:\n\n${results.join('\n')}`);
-            
-            logger.info('Python build executed', { 
-              clientIP, 
-              buildTool: finalBuildTool,
-              projectPath: validatedPath,
-              useVirtualEnv,
-              venvName,
-              commands
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Python build', logger, clientIP, { projectPath: args.projectPath });
-          }
-          break;
-
-        case 'build_node':
-          try {
-            if (!args.projectPath) {
-              throw new Error('projectPath is required');
-            }
-
-            // Use specialized validation for Node.js builds
-            const packageManager = security.validateNodeBuild(args.projectPath, args.packageManager);
-            const validatedPath = args.projectPath; // Already validated in validateNodeBuild
-            
-            // Auto-detect package manager if needed
-            let finalPackageManager = packageManager;
-            if (packageManager === 'auto') {
-              const fs = require('fs');
-              if (fs.existsSync(path.join(validatedPath, 'yarn.lock'))) {
-                finalPackageManager = 'yarn';
-              } else if (fs.existsSync(path.join(validatedPath, 'pnpm-lock.yaml'))) {
-                finalPackageManager = 'pnpm';
-              } else {
-                finalPackageManager = 'npm';
-              }
-            }
-            
-            const scripts = args.scripts || ['build'];
-            const installDeps = args.installDeps !== false; // Default to true
-            const environment = args.environment || 'production';
-            
-            let commands = [];
-            
-            // Install dependencies first if requested
-            if (installDeps) {
-              if (finalPackageManager === 'npm') {
-                commands.push(['npm', ['install']]);
-              } else if (finalPackageManager === 'yarn') {
-                commands.push(['yarn', ['install']]);
-              } else if (finalPackageManager === 'pnpm') {
-                commands.push(['pnpm', ['install']]);
-              }
-            }
-            
-            // Add script commands
-            for (const script of scripts) {
-              if (finalPackageManager === 'npm') {
-                commands.push(['npm', ['run', script]]);
-              } else if (finalPackageManager === 'yarn') {
-                commands.push(['yarn', [script]]);
-              } else if (finalPackageManager === 'pnpm') {
-                commands.push(['pnpm', ['run', script]]);
-              }
-            }
-            
-            // TypeScript type checking if requested
-            if (args.typeCheck) {
-              commands.push(['npx', ['tsc', '--noEmit']]);
-            }
-            
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000),
-              env: { ...process.env, NODE_ENV: environment }
-            };
-            
-            if (args.nodeVersion) {
-              buildOptions.env.NODE_VERSION = args.nodeVersion;
-            }
-            
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-            
-            // Execute commands sequentially
-            let finalResult = null;
-            for (const [command, commandArgs] of commands) {
-              // Validate each command for security
-              const fullCommand = `${command} ${commandArgs.join(' ')}`;
-              security.validateBuildCommand(fullCommand);
-              
-              finalResult = await executeBuild(command, commandArgs, buildOptions);
-              if (!finalResult.success) {
-                throw new Error(`Node.js build failed at ${command}: ${finalResult.output || finalResult.error}`);
-              }
-            }
-            
-            result = createTextResult(`Node.js build completed successfully:\n${finalResult.output}`);
-            
-            logger.info('Node.js build executed', { 
-              clientIP, 
-              packageManager: finalPackageManager,
-              projectPath: validatedPath,
-              scripts,
-              environment
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Node.js build', logger, clientIP, { projectPath: args.projectPath });
-          }
-          break;
-
-        case 'build_go':
-          try {
-            if (!args.projectPath || !args.action) {
-              throw new Error('projectPath and action are required');
-            }
-
-            // Validate project path and action
-            const validatedPath = security.validatePath(args.projectPath);
-            const validActions = ['build', 'test', 'run', 'install', 'clean', 'mod', 'vet', 'fmt'];
-            if (!validActions.includes(args.action)) {
-              throw new Error(`Invalid Go action. Expected: ${validActions.join(', ')}`);
-            }
-
-            let command = 'go';
-            let commandArgs = [args.action];
-            
-            // Handle different Go actions
-            if (args.action === 'build') {
-              if (args.outputPath) {
-                commandArgs.push('-o', args.outputPath);
-              }
-              if (args.buildFlags && args.buildFlags.length > 0) {
-                commandArgs.push(...args.buildFlags);
-              }
-              if (args.tags && args.tags.length > 0) {
-                commandArgs.push('-tags', args.tags.join(','));
-              }
-            } else if (args.action === 'test') {
-              if (args.verbose) {
-                commandArgs.push('-v');
-              }
-              if (args.coverage) {
-                commandArgs.push('-cover');
-              }
-              commandArgs.push('./...');
-            } else if (args.action === 'mod') {
-              if (!args.modAction) {
-                throw new Error('modAction is required when action is "mod"');
-              }
-              const validModActions = ['download', 'tidy', 'verify', 'init'];
-              if (!validModActions.includes(args.modAction)) {
-                throw new Error(`Invalid mod action. Expected: ${validModActions.join(', ')}`);
-              }
-              commandArgs = ['mod', args.modAction];
-            } else if (args.action === 'vet' || args.action === 'fmt') {
-              commandArgs.push('./...');
-            }
-
-            // Build environment with cross-compilation support
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000),
-              env: { ...process.env }
-            };
-
-            // Cross-compilation support
-            if (args.targetOS) {
-              buildOptions.env.GOOS = args.targetOS;
-            }
-            if (args.targetArch) {
-              buildOptions.env.GOARCH = args.targetArch;
-            }
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Validate the final command for security
-            const fullCommand = `${command} ${commandArgs.join(' ')}`;
-            security.validateBuildCommand(fullCommand);
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Go ${args.action} failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`Go ${args.action} completed successfully:\n${result.output}`);
-
-            logger.info('Go build executed', { 
-              clientIP, 
-              action: args.action,
-              projectPath: validatedPath,
-              command: fullCommand,
-              crossCompilation: args.targetOS || args.targetArch ? `${args.targetOS || 'current'}/${args.targetArch || 'current'}` : null
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Go build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
-          }
-          break;
-
-        case 'build_rust':
-          try {
-            if (!args.projectPath || !args.action) {
-              throw new Error('projectPath and action are required');
-            }
-
-            // Validate project path and action
-            const validatedPath = security.validatePath(args.projectPath);
-            const validActions = ['build', 'test', 'run', 'check', 'clippy', 'fmt', 'doc', 'clean', 'update'];
-            if (!validActions.includes(args.action)) {
-              throw new Error(`Invalid Rust action. Expected: ${validActions.join(', ')}`);
-            }
-
-            let command = 'cargo';
-            let commandArgs = [args.action];
-            
-            // Handle different Cargo actions
-            if (args.action === 'build' || args.action === 'test' || args.action === 'check') {
-              if (args.release) {
-                commandArgs.push('--release');
-              }
-              if (args.target) {
-                commandArgs.push('--target', args.target);
-              }
-              if (args.features && args.features.length > 0) {
-                commandArgs.push('--features', args.features.join(','));
-              }
-              if (args.allFeatures) {
-                commandArgs.push('--all-features');
-              }
-              if (args.noDefaultFeatures) {
-                commandArgs.push('--no-default-features');
-              }
-            }
-
-            // Test-specific options
-            if (args.action === 'test') {
-              if (args.testName) {
-                commandArgs.push(args.testName);
-              }
-            }
-
-            // Clippy-specific options
-            if (args.action === 'clippy') {
-              if (args.allTargets) {
-                commandArgs.push('--all-targets');
-              }
-              if (args.denyWarnings) {
-                commandArgs.push('--', '-D', 'warnings');
-              }
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000)
-            };
-
-            // Set target directory if specified
-            if (args.outputDir) {
-              buildOptions.env = { ...process.env, CARGO_TARGET_DIR: args.outputDir };
-            }
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Validate the final command for security
-            const fullCommand = `${command} ${commandArgs.join(' ')}`;
-            security.validateBuildCommand(fullCommand);
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Rust ${args.action} failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`Rust ${args.action} completed successfully:\n${result.output}`);
-
-            logger.info('Rust build executed', { 
-              clientIP, 
-              action: args.action,
-              projectPath: validatedPath,
-              command: fullCommand,
-              release: args.release,
-              target: args.target
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Rust build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
-          }
-          break;
-
-        case 'build_cpp':
-          try {
-            if (!args.projectPath || !args.buildSystem) {
-              throw new Error('projectPath and buildSystem are required');
-            }
-
-            // Validate project path and build system
-            const validatedPath = security.validatePath(args.projectPath);
-            const validBuildSystems = ['cmake', 'msbuild', 'make', 'ninja'];
-            if (!validBuildSystems.includes(args.buildSystem)) {
-              throw new Error(`Invalid build system. Expected: ${validBuildSystems.join(', ')}`);
-            }
-
-            let commands = [];
-
-            if (args.buildSystem === 'cmake') {
-              const buildDir = args.buildDir || 'build';
-              
-              // Configure step
-              let configureArgs = ['-S', '.', '-B', buildDir];
-              
-              if (args.generator) {
-                configureArgs.push('-G', args.generator);
-              }
-              if (args.buildType) {
-                configureArgs.push(`-DCMAKE_BUILD_TYPE=${args.buildType}`);
-              }
-              if (args.cmakeOptions) {
-                for (const [key, value] of Object.entries(args.cmakeOptions)) {
-                  configureArgs.push(`-D${key}=${value}`);
-                }
-              }
-              
-              commands.push(['cmake', configureArgs]);
-              
-              // Build step
-              let buildArgs = ['--build', buildDir];
-              if (args.target) {
-                buildArgs.push('--target', args.target);
-              }
-              if (args.parallel) {
-                buildArgs.push('--parallel');
-              }
-              if (args.verbose) {
-                buildArgs.push('--verbose');
-              }
-              
-              commands.push(['cmake', buildArgs]);
-              
-            } else if (args.buildSystem === 'msbuild') {
-              let msbuildArgs = [validatedPath];
-              
-              if (args.configuration) {
-                msbuildArgs.push(`/p:Configuration=${args.configuration}`);
-              }
-              if (args.platform) {
-                msbuildArgs.push(`/p:Platform=${args.platform}`);
-              }
-              if (args.target) {
-                msbuildArgs.push(`/t:${args.target}`);
-              }
-              if (args.parallel) {
-                msbuildArgs.push('/m');
-              }
-              if (args.verbose) {
-                msbuildArgs.push('/v:detailed');
-              }
-              
-              commands.push(['msbuild', msbuildArgs]);
-              
-            } else if (args.buildSystem === 'make') {
-              let makeArgs = [];
-              
-              if (args.target) {
-                makeArgs.push(args.target);
-              }
-              if (args.parallel) {
-                makeArgs.push('-j');
-              }
-              
-              commands.push(['make', makeArgs]);
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('CPP_BUILD_TIMEOUT', 600000) // C++ build timeout
-            };
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Execute commands sequentially
-            let finalResult = null;
-            for (const [command, commandArgs] of commands) {
-              // Validate each command for security
-              const fullCommand = `${command} ${commandArgs.join(' ')}`;
-              security.validateBuildCommand(fullCommand);
-              
-              finalResult = await executeBuild(command, commandArgs, buildOptions);
-              if (!finalResult.success) {
-                throw new Error(`C++ build failed at ${command}: ${finalResult.output || finalResult.error}`);
-              }
-            }
-
-            result = createTextResult(`C++ build completed successfully:\n${finalResult.output}`);
-
-            logger.info('C++ build executed', { 
-              clientIP, 
-              buildSystem: args.buildSystem,
-              projectPath: validatedPath,
-              buildType: args.buildType,
-              configuration: args.configuration
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'C++ build', logger, clientIP, { projectPath: args.projectPath, buildSystem: args.buildSystem });
-          }
-          break;
-
-        case 'build_docker':
-          try {
-            if (!args.contextPath || !args.imageName) {
-              throw new Error('contextPath and imageName are required');
-            }
-
-            // Validate context path and image name
-            const validatedPath = security.validatePath(args.contextPath);
-            
-            // Basic image name validation
-            if (!/^[a-z0-9]([a-z0-9\-_\.]*[a-z0-9])?(\:[a-zA-Z0-9]([a-zA-Z0-9\-_\.]*[a-zA-Z0-9])?)?$/.test(args.imageName.toLowerCase())) {
-              throw new Error('Invalid image name format');
-            }
-
-            let command = 'docker';
-            let commandArgs = ['build', '-t', args.imageName];
-            
-            // Add build options
-            if (args.dockerfile) {
-              commandArgs.push('-f', args.dockerfile);
-            }
-            
-            if (args.buildArgs) {
-              for (const [key, value] of Object.entries(args.buildArgs)) {
-                commandArgs.push('--build-arg', `${key}=${value}`);
-              }
-            }
-            
-            if (args.target) {
-              commandArgs.push('--target', args.target);
-            }
-            
-            if (args.platform) {
-              commandArgs.push('--platform', args.platform);
-            }
-            
-            if (args.noCache) {
-              commandArgs.push('--no-cache');
-            }
-            
-            if (args.pull) {
-              commandArgs.push('--pull');
-            }
-            
-            if (args.squash) {
-              commandArgs.push('--squash');
-            }
-            
-            if (args.labels) {
-              for (const [key, value] of Object.entries(args.labels)) {
-                commandArgs.push('--label', `${key}=${value}`);
-              }
-            }
-            
-            if (args.secrets && args.secrets.length > 0) {
-              for (const secret of args.secrets) {
-                commandArgs.push('--secret', secret);
-              }
-            }
-            
-            // Add context path (always last)
-            commandArgs.push('.');
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // Default 30 minutes for Docker builds
-            };
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Validate the final command for security
-            const fullCommand = `${command} ${commandArgs.join(' ')}`;
-            security.validateBuildCommand(fullCommand);
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Docker build failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`Docker build completed successfully:\n${result.output}`);
-
-            logger.info('Docker build executed', { 
-              clientIP, 
-              imageName: args.imageName,
-              contextPath: validatedPath,
-              command: fullCommand,
-              dockerfile: args.dockerfile,
-              target: args.target
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Docker build', logger, clientIP, { contextPath: args.contextPath, imageName: args.imageName });
-          }
-          break;
-
-        case 'build_kotlin':
-          try {
-            if (!args.projectPath || !args.projectType) {
-              throw new Error('projectPath and projectType are required');
-            }
-
-            // Validate project path and type
-            const validatedPath = security.validatePath(args.projectPath);
-            const validatedProject = security.validateKotlinBuild(validatedPath, args.projectType);
-
-            let command;
-            let commandArgs = [];
-
-            // Determine Gradle wrapper or command
-            const gradlewPath = path.join(validatedPath, 'gradlew.bat');
-            const gradlewExists = await fs.promises.access(gradlewPath).then(() => true).catch(() => false);
-            command = gradlewExists ? gradlewPath : 'gradle';
-
-            // Build command based on project type
-            switch (args.projectType) {
-              case 'android':
-                // Android specific build
-                if (args.tasks && args.tasks.length > 0) {
-                  commandArgs.push(...args.tasks);
-                } else if (args.buildVariant) {
-                  commandArgs.push(`assemble${args.buildVariant.charAt(0).toUpperCase() + args.buildVariant.slice(1)}`);
-                } else {
-                  commandArgs.push('assemble');
-                }
-
-                // Add signing configuration if provided
-                if (args.signingConfig) {
-                  if (args.signingConfig.storeFile) {
-                    commandArgs.push(`-Pandroid.injected.signing.store.file=${args.signingConfig.storeFile}`);
-                  }
-                  if (args.signingConfig.storePassword) {
-                    const password = args.signingConfig.storePassword.startsWith('encrypted:') ?
-                      crypto.decrypt(args.signingConfig.storePassword.substring(10)) :
-                      args.signingConfig.storePassword;
-                    commandArgs.push(`-Pandroid.injected.signing.store.password=${password}`);
-                  }
-                  if (args.signingConfig.keyAlias) {
-                    commandArgs.push(`-Pandroid.injected.signing.key.alias=${args.signingConfig.keyAlias}`);
-                  }
-                  if (args.signingConfig.keyPassword) {
-                    const keyPassword = args.signingConfig.keyPassword.startsWith('encrypted:') ?
-                      crypto.decrypt(args.signingConfig.keyPassword.substring(10)) :
-                      args.signingConfig.keyPassword;
-                    commandArgs.push(`-Pandroid.injected.signing.key.password=${keyPassword}`);
-                  }
-                }
-                break;
-
-              case 'native':
-                // Kotlin/Native build
-                commandArgs.push('build');
-                if (args.target) {
-                  commandArgs.push(`-Ptarget=${args.target}`);
-                }
-                if (args.buildType) {
-                  commandArgs.push(`-PbuildType=${args.buildType}`);
-                }
-                break;
-
-              case 'multiplatform':
-                // Kotlin Multiplatform build
-                if (args.tasks && args.tasks.length > 0) {
-                  commandArgs.push(...args.tasks);
-                } else {
-                  commandArgs.push('build');
-                }
-                if (args.target) {
-                  commandArgs.push(`-Ptarget=${args.target}`);
-                }
-                break;
-
-              case 'jvm':
-              default:
-                // Standard JVM build
-                if (args.tasks && args.tasks.length > 0) {
-                  commandArgs.push(...args.tasks);
-                } else {
-                  commandArgs.push('build');
-                }
-                break;
-            }
-
-            // Add Gradle options
-            if (args.gradleOptions && args.gradleOptions.length > 0) {
-              commandArgs.push(...security.validateBuildFlags(args.gradleOptions));
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 600000) // Default timeout for Android builds
-            };
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Kotlin build failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`Kotlin build completed successfully:\n${result.output}`);
-
-            logger.info('Kotlin build executed', { 
-              clientIP, 
-              projectPath: validatedPath,
-              projectType: args.projectType,
-              buildVariant: args.buildVariant,
-              tasks: args.tasks
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Kotlin build', logger, clientIP, { projectPath: args.projectPath, projectType: args.projectType });
-          }
-          break;
-
-        case 'build_swift':
-          try {
-            if (!args.projectPath || !args.action) {
-              throw new Error('projectPath and action are required');
-            }
-
-            // Validate project path and action
-            const validatedPath = security.validatePath(args.projectPath);
-            const validatedAction = security.validateSwiftBuild(validatedPath, args.action);
-
-            const command = 'swift';
-            let commandArgs = [validatedAction.action];
-
-            // Add configuration
-            if (args.configuration) {
-              commandArgs.push('-c', args.configuration);
-            }
-
-            // Action-specific options
-            switch (validatedAction.action) {
-              case 'build':
-                if (args.package) {
-                  commandArgs.push('--package-path', args.package);
-                }
-                if (args.arch) {
-                  commandArgs.push('--arch', args.arch);
-                }
-                break;
-
-              case 'test':
-                if (args.enableCodeCoverage) {
-                  commandArgs.push('--enable-code-coverage');
-                }
-                if (args.parallel) {
-                  commandArgs.push('--parallel');
-                }
-                break;
-
-              case 'run':
-                // Run specific arguments can be added here
-                break;
-
-              case 'package':
-                // Package specific options
-                break;
-
-              case 'clean':
-                // No additional arguments for clean
-                break;
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
-            };
-
-            // Add platform-specific environment variables if needed
-            if (args.platform) {
-              buildOptions.env = {
-                ...process.env,
-                SWIFT_PLATFORM: args.platform
-              };
-            }
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Swift ${args.action} failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`Swift ${args.action} completed successfully:\n${result.output}`);
-
-            logger.info('Swift build executed', { 
-              clientIP, 
-              projectPath: validatedPath,
-              action: args.action,
-              configuration: args.configuration,
-              platform: args.platform
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Swift build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
-          }
-          break;
-
-        case 'build_php':
-          try {
-            if (!args.projectPath || !args.action) {
-              throw new Error('projectPath and action are required');
-            }
-
-            // Validate project path and action
-            const validatedPath = security.validatePath(args.projectPath);
-            const validatedAction = security.validatePhpBuild(validatedPath, args.action);
-
-            let command;
-            let commandArgs = [];
-
-            // Determine package manager
-            const packageManager = args.packageManager || 'composer';
-
-            switch (validatedAction.action) {
-              case 'install':
-                command = packageManager;
-                commandArgs.push('install');
-                if (args.noDev) {
-                  commandArgs.push('--no-dev');
-                }
-                if (args.optimize) {
-                  commandArgs.push('--optimize-autoloader');
-                }
-                break;
-
-              case 'update':
-                command = packageManager;
-                commandArgs.push('update');
-                if (args.noDev) {
-                  commandArgs.push('--no-dev');
-                }
-                break;
-
-              case 'test':
-                // Determine test framework
-                const testFramework = args.testFramework || 'phpunit';
-                const vendorBinPath = path.join(validatedPath, 'vendor', 'bin', testFramework);
-                const vendorBinExists = await fs.promises.access(vendorBinPath).then(() => true).catch(() => false);
-                
-                command = vendorBinExists ? vendorBinPath : testFramework;
-                
-                if (testFramework === 'phpunit') {
-                  if (args.coverage) {
-                    commandArgs.push('--coverage-text');
-                  }
-                  if (args.testSuite) {
-                    commandArgs.push(`--testsuite=${args.testSuite}`);
-                  }
-                } else if (testFramework === 'phpspec') {
-                  commandArgs.push('run');
-                  if (args.format) {
-                    commandArgs.push('--format', args.format);
-                  }
-                }
-                break;
-
-              case 'artisan':
-                command = 'php';
-                commandArgs.push('artisan', args.artisanCommand || 'list');
-                break;
-
-              case 'serve':
-                command = 'php';
-                commandArgs.push('-S', `localhost:${getNumericEnv('PHP_SERVE_PORT', 8000)}`, '-t', 'public');
-                break;
-
-              case 'build':
-                // Custom build script
-                command = packageManager;
-                commandArgs.push('run', 'build');
-                break;
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
-            };
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`PHP ${args.action} failed: ${result.output || result.error}`);
-            }
-
-            result = createTextResult(`PHP ${args.action} completed successfully:\n${result.output}`);
-
-            logger.info('PHP build executed', { 
-              clientIP, 
-              projectPath: validatedPath,
-              action: args.action,
-              packageManager: packageManager,
-              testFramework: args.testFramework
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'PHP build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
-          }
-          break;
-
-        case 'build_ruby':
-          try {
-            if (!args.projectPath || !args.action) {
-              throw new Error('projectPath and action are required');
-            }
-
-            // Validate project path and action
-            const validatedPath = security.validatePath(args.projectPath);
-            const validatedAction = security.validateRubyBuild(validatedPath, args.action);
-
-            let command;
-            let commandArgs = [];
-            let buildEnv = { ...process.env };
-
-            switch (validatedAction.action) {
-              case 'install':
-                command = 'bundle';
-                commandArgs.push('install');
-                if (args.withoutGroups && args.withoutGroups.length > 0) {
-                  commandArgs.push('--without', args.withoutGroups.join(' '));
-                }
-                if (args.deployment) {
-                  commandArgs.push('--deployment');
-                }
-                break;
-
-              case 'update':
-                command = 'bundle';
-                commandArgs.push('update');
-                break;
-
-              case 'exec':
-                command = 'bundle';
-                commandArgs.push('exec');
-                if (args.command) {
-                  commandArgs.push(...args.command.split(' '));
-                }
-                break;
-
-              case 'test':
-                const testFramework = args.testFramework || 'rspec';
-                command = testFramework;
-                
-                if (testFramework === 'rspec') {
-                  if (args.parallel) {
-                    command = 'parallel_rspec';
-                  }
-                  if (args.format) {
-                    commandArgs.push('--format', args.format);
-                  }
-                } else if (testFramework === 'minitest') {
-                  command = 'ruby';
-                  commandArgs.push('-Itest');
-                }
-                break;
-
-              case 'rails':
-                command = 'rails';
-                if (args.railsCommand) {
-                  commandArgs.push(...args.railsCommand.split(' '));
-                }
-                if (args.railsEnv) {
-                  buildEnv.RAILS_ENV = args.railsEnv;
-                }
-                break;
-
-              case 'rake':
-                command = 'rake';
-                if (args.rakeTask) {
-                  commandArgs.push(args.rakeTask);
-                }
-                break;
-
-              case 'build':
-                command = 'gem';
-                commandArgs.push('build');
-                if (args.gemspec) {
-                  commandArgs.push(args.gemspec);
-                } else {
-                  // Find gemspec file
-                  const gemspecPath = path.join(validatedPath, '*.gemspec');
-                  commandArgs.push(gemspecPath);
-                }
-                break;
-            }
-
-            const buildOptions = {
-              workingDirectory: validatedPath,
-              env: buildEnv,
-              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
-            };
-
-            if (args.remoteHost) {
-              const validatedHost = security.validateIPAddress(args.remoteHost);
-              buildOptions.remoteHost = validatedHost;
-            }
-
-            // Execute build
-            result = await executeBuild(command, commandArgs, buildOptions);
-
-            if (!result.success) {
-              throw new Error(`Ruby ${args.action} failed: ${result.output || result.error}`);
-            }
+// Check whether the client accepts Server-Sent Events
+function acceptsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
 
-            result = createTextResult(`Ruby ${args.action} completed successfully:\n${result.output}`);
+// Resource subscriptions and client log levels end with their session
+sessionManager.on('terminated', (sessionId) => {
+  resourceManager.unsubscribeAll(sessionId);
+  logForwarder.clear(sessionId);
+});
 
-            logger.info('Ruby build executed', { 
-              clientIP, 
-              projectPath: validatedPath,
-              action: args.action,
-              testFramework: args.testFramework,
-              railsEnv: args.railsEnv
-            });
-          } catch (error) {
-            result = handleValidationError(error, 'Ruby build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
-          }
-          break;
-          
-        default:
-          logger.warn('Unknown tool requested', { clientIP, toolName: name });
-          result = createTextResult(`Unknown tool: ${name}`);
-      }
-      
-      res.json({
-        jsonrpc: '2.0',
-        id: id,
-        result: result
-      });
-    } else {
-      res.json({
+// MCP endpoint (Streamable HTTP transport)
+// tools/call answers with an SSE stream when the client accepts text/event-stream,
+// so output notifications arrive while the command is still running.
+app.post('/mcp', validateJSONRPC, async (req, res) => {
+  const clientIP = getClientIP(req);
+  const { method, id } = req.body;
+  
+  // Sessions are optional; a session id that is sent must be known and belong to the caller's token
+  const sessionId = req.get('Mcp-Session-Id');
+  let session = null;
+  if (sessionId) {
+    session = sessionManager.get(sessionId, req.identity ? req.identity.name : null);
+    if (!session) {
+      return res.status(404).json({
         jsonrpc: '2.0',
         id: id,
         error: {
-          code: -32601,
-          message: `Method not found: ${method}`
+          code: -32001,
+          message: 'Session not found'
         }
       });
     }
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      id: req.body.id,
-      error: {
-        code: -32603,
-        message: 'Internal error',
-        data: error.message
-      }
+  }
+  
+  // JSON-RPC batch: one JSON array response, per-entry ids and errors
+  if (Array.isArray(req.body)) {
+    const responses = await mcpDispatcher.dispatchBatch(req.body, {
+      clientIP,
+      transport: 'http',
+      sessionId: session ? session.id : null,
+      token: req.tokenFingerprint,
+      identity: req.identity,
+      notify: (message) => session && sessionManager.broadcast(session.id, message)
     });
+    // A batch of notifications only is acknowledged without a body
+    if (Array.isArray(responses) && responses.length === 0) {
+      return res.status(202).end();
+    }
+    return res.json(responses);
+  }
+  
+  if (method === 'initialize') {
+    session = sessionManager.create(clientIP, req.identity ? req.identity.name : null);
+    res.set('Mcp-Session-Id', session.id);
+  }
+  
+  const streaming = method === 'tools/call' && acceptsEventStream(req);
+  if (streaming) {
+    sessionManager.openStream(res);
+  }
+  
+  // Notifications go on this response's stream, or the session's GET stream
+  const notify = (message) => {
+    if (streaming) {
+      sessionManager.writeEvent(res, message);
+    } else if (session) {
+      sessionManager.broadcast(session.id, message);
+    }
+  };
+  
+  // Use the already-parsed request body directly
+  const response = await mcpDispatcher.dispatch(req.body, {
+    clientIP,
+    transport: 'http',
+    sessionId: session ? session.id : null,
+    token: req.tokenFingerprint,
+    identity: req.identity,
+    notify
+  });
+  
+  // Notifications are acknowledged without a JSON-RPC response
+  if (id === undefined) {
+    return res.status(202).end();
+  }
+  
+  if (streaming) {
+    sessionManager.writeEvent(res, response);
+    res.end();
+  } else {
+    res.status(response.error && response.error.code === -32603 ? 500 : 200).json(response);
   }
 });
 
-async function executeBuild(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    // Prepare spawn options
-    const spawnOptions = {
-      cwd: options.workingDirectory || process.cwd(),
-      env: options.env || process.env
-    };
-    
-    // Remove shell: true to prevent command injection
-    const childProcess = spawn(command, args, spawnOptions);
-    let output = '';
-    let error = '';
-    let processExited = false;
+// Server-initiated message stream for a session
+app.get('/mcp', (req, res) => {
+  if (!acceptsEventStream(req)) {
+    return res.status(406).json({
+      error: 'Not Acceptable',
+      message: 'GET /mcp requires Accept: text/event-stream'
+    });
+  }
+  
+  const sessionId = req.get('Mcp-Session-Id');
+  if (!sessionId) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Mcp-Session-Id header is required'
+    });
+  }
+  
+  if (!sessionManager.attachStream(sessionId, res, req.identity ? req.identity.name : null)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found'
+    });
+  }
+  
+  logger.info('MCP event stream opened', { clientIP: getClientIP(req), sessionId });
+});
 
-    // Add timeout handling
-    const timeout = options.timeout || getNumericEnv('COMMAND_TIMEOUT', 1800000); // 30 minutes default
-    const timer = setTimeout(() => {
-      if (!processExited) {
-        childProcess.kill('SIGTERM');
-        setTimeout(() => {
-          if (!processExited) {
-            childProcess.kill('SIGKILL');
-          }
-        }, 5000);
-        const timeoutError = new Error(`Command timed out after ${timeout/1000} seconds`);
-        timeoutError.code = 'ETIMEDOUT';
-        timeoutError.timeout = timeout;
-        reject(timeoutError);
-      }
-    }, timeout);
+// Cancel an in-flight tools/call (REST equivalent of notifications/cancelled)
+// Requests are scoped to the caller: the Mcp-Session-Id header or the client IP, and
+// with authentication the token name, so only the token that started a call can cancel it.
+app.post('/mcp/cancel', (req, res) => {
+  const { requestId, reason } = req.body || {};
+  
+  if (requestId === undefined || requestId === null) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'requestId is required'
+    });
+  }
+  
+  const scope = { sessionId: req.get('Mcp-Session-Id'), clientIP: getClientIP(req), identity: req.identity };
+  const cancelled = cancellationManager.cancel(
+    cancellationManager.keyFor(scope, requestId),
+    reason || 'Cancelled via REST API'
+  );
+  
+  if (!cancelled) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No running request with id ${JSON.stringify(requestId)}`
+    });
+  }
+  
+  res.json({ cancelled: true, requestId });
+});
 
-    // Handle stdout safely
-    if (childProcess.stdout) {
-      childProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-    }
+// In-flight tools/call requests of the caller
+app.get('/mcp/requests', (req, res) => {
+  res.json({
+    requests: cancellationManager.list(cancellationManager.scopeOf({
+      sessionId: req.get('Mcp-Session-Id'),
+      clientIP: getClientIP(req),
+      identity: req.identity
+    }))
+  });
+});
 
-    // Handle stderr safely
-    if (childProcess.stderr) {
-      childProcess.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-    }
+// Build scheduler state: the caller's running and queued builds, queue positions and estimated waits
+app.get('/mcp/queue', (req, res) => {
+  res.json(buildScheduler.snapshot(cancellationManager.scopeOf({
+    sessionId: req.get('Mcp-Session-Id'),
+    clientIP: getClientIP(req),
+    identity: req.identity
+  })));
+});
 
-    childProcess.on('error', (err) => {
-      clearTimeout(timer);
-      processExited = true;
-      resolve(createTextResult(`Process error: ${err.message}`));
-    });
+// Build directory locks held by running builds (including stale ones)
+app.get('/admin/build-locks', (req, res) => {
+  res.json({ locks: buildLockManager.list() });
+});
 
-    childProcess.on('close', (code, signal) => {
-      clearTimeout(timer);
-      processExited = true;
-      
-      const result = {
-        success: code === 0 && !signal,
-        output: output,
-        error: error,
-        exitCode: code,
-        signal: signal,
-        content: [{
-          type: 'text',
-          text: `${output}${error ? '\n\nErrors:\n' + error : ''}`
-        }]
-      };
-      
-      if (signal) {
-        result.content[0].text = `Process terminated by signal: ${signal}\n${result.content[0].text}`;
-        result.success = false;
-      } else if (code !== 0 && !options.ignoreExitCode) {
-        result.content[0].text = `Process failed with code ${code}:\n${result.content[0].text}`;
-        result.success = false;
-      }
-      
-      resolve(result);
-    });
-  });
-}
+// Access tokens revoked before their expiry
+app.get('/admin/tokens/revoked', (req, res) => {
+  res.json({ revoked: accessTokens.listRevoked() });
+});
 
-async function pingHost(host) {
+// Rotate a named token; the old one is accepted for graceSeconds (default TOKEN_ROTATION_GRACE)
+app.post('/admin/tokens/:name/rotate', (req, res) => {
+  const graceSeconds = req.body && req.body.graceSeconds !== undefined ? Number(req.body.graceSeconds) : undefined;
+  
   try {
-    const result = await ping.promise.probe(host);
-    return createTextResult(
-      `Ping result for ${host}:\nAlive: ${result.alive}\nTime: ${result.time}ms\nStatus: ${result.output}`
-    );
+    const rotation = authManager.rotateToken(req.params.name, graceSeconds);
+    logger.security('Token rotated', {
+      clientIP: getClientIP(req),
+      rotatedToken: rotation.name,
+      previousValidUntil: rotation.previousValidUntil
+    });
+    res.json(rotation);
   } catch (error) {
-    return createTextResult(`Ping failed for ${host}: ${error.message}`);
+    res.status(400).json({ error: 'Bad Request', message: error.message });
   }
-}
+});
 
-async function executeSSHCommand(host, username, password, command) {
-  return new Promise((resolve) => {
-    const conn = new Client();
-    let output = '';
-    let connectionTimeout;
-    
-    // Log connection attempt with hashed credentials
-    logger.info('SSH connection attempt', {
-      host,
-      username,
-      passwordHash: crypto.hashForLogging(password)
-    });
-    
-    // Set connection timeout
-    connectionTimeout = setTimeout(() => {
-      conn.end();
-      resolve(createTextResult(`SSH connection timeout to ${host}`));
-    }, getNumericEnv('SSH_TIMEOUT', 30000));
-    
-    conn.on('ready', () => {
-      clearTimeout(connectionTimeout);
-      conn.exec(command, (err, stream) => {
-        if (err) {
-          conn.end();
-          resolve(createTextResult(`SSH Error: ${err.message}`));
-          return;
-        }
-        
-        stream.on('close', (code, signal) => {
-          conn.end();
-          resolve(createTextResult(`SSH Command completed (code: ${code}):\n${output}`));
-        }).on('data', (data) => {
-          output += data.toString();
-        }).stderr.on('data', (data) => {
-          output += `STDERR: ${data.toString()}`;
-        });
-      });
-    }).connect({
-      host: host,
-      username: username,
-      password: password,
-      port: getNumericEnv('SSH_PORT', 22),
-      readyTimeout: getNumericEnv('SSH_TIMEOUT', 30000)
-    });
-    
-    conn.on('error', (err) => {
-      clearTimeout(connectionTimeout);
-      logger.error('SSH connection error', { host, error: err.message });
-      resolve(createTextResult(`Connection failed to ${host}: ${err.message}`));
-    });
-  });
-}
+// Active elevations
+app.get('/admin/elevations', (req, res) => {
+  res.json({ elevations: elevationManager.list() });
+});
 
-async function executeRemoteCommand(host, command) {
-  const username = process.env.REMOTE_USERNAME || 'Administrator';
-  let password = process.env.REMOTE_PASSWORD;
+// Grant a token a time-boxed elevated scope: { tokenName, tools, paths?, unrestricted?, minutes?, reason? }
+app.post('/admin/elevations', (req, res) => {
+  const body = req.body || {};
+  const unknownTools = Array.isArray(body.tools) ? body.tools.filter(name => !toolRegistry.get(name)) : [];
   
-  if (!password) {
-    return createTextResult('Error: REMOTE_PASSWORD environment variable not set');
+  if (unknownTools.length > 0) {
+    return res.status(400).json({ error: 'Bad Request', message: `Unknown tools: ${unknownTools.join(', ')}` });
   }
   
-  // Decrypt password if encrypted
   try {
-    password = crypto.decrypt(password);
+    const grantedBy = req.identity ? req.identity.name : `ip:${getClientIP(req)}`;
+    res.status(201).json(elevationManager.grant(body, grantedBy));
   } catch (error) {
-    logger.error('Failed to decrypt remote password', { error: error.message });
-    return createTextResult('Error: Failed to decrypt remote password');
+    res.status(400).json({ error: 'Bad Request', message: error.message });
   }
+});
+
+// End an elevation before it expires
+app.delete('/admin/elevations/:id', (req, res) => {
+  const elevation = elevationManager.revoke(req.params.id, req.identity ? req.identity.name : `ip:${getClientIP(req)}`);
   
-  return await executeSSHCommand(host, username, password, command);
-}
+  if (!elevation) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No active elevation with id ${req.params.id}`
+    });
+  }
+  
+  res.json({ revoked: true, elevation });
+});
+
+// Break a build directory lock, e.g. one held by a hung build
+app.delete('/admin/build-locks/:id', (req, res) => {
+  const lock = buildLockManager.breakLock(req.params.id, {
+    clientIP: getClientIP(req),
+    reason: req.query.reason || 'Broken via admin API'
+  });
+  
+  if (!lock) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No build lock with id ${req.params.id}`
+    });
+  }
+  
+  res.json({ broken: true, lock });
+});
+
+// Explicit session termination
+app.delete('/mcp', (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+  
+  if (!sessionManager.get(sessionId, req.identity ? req.identity.name : null) || !sessionManager.terminate(sessionId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found'
+    });
+  }
+  
+  res.status(204).end();
+});
 
 // Smart server startup with automatic port detection
 async function startServer() {
@@ -4493,6 +1342,7 @@ async function startServer() {
       console.log('    🚨 COMMAND VALIDATION: DISABLED');
       console.log('');
       console.log('    ⚡ USE ONLY IN FULLY TRUSTED ENVIRONMENTS ⚡');
+      console.log('    💡 Prefer time-boxed elevations: POST /admin/elevations');
       console.log('');
       console.log('⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️  ⚠️');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -4523,7 +1373,7 @@ async function startServer() {
     const isDevCommandsEnabled = process.env.ENABLE_DEV_COMMANDS === 'true';
     console.log(`   • Dev Commands: ${isDevCommandsEnabled ? '✅ ENABLED' : '❌ DISABLED'}`);
     
-    console.log(`   • Authentication: ${process.env.MCP_AUTH_TOKEN ? '✅ CONFIGURED' : '⚠️  NOT SET'}`);
+    console.log(`   • Authentication: ${authManager.isAuthEnabled() ? '✅ CONFIGURED' : '⚠️  NOT SET'}`);
     console.log('');
     
     // Display available IP addresses
@@ -4562,9 +1412,24 @@ async function startServer() {
   return server;
 }
 
+// Serve MCP over stdin/stdout instead of HTTP
+// The HTTP middleware (rate limiting, IP whitelist, bearer auth) does not apply:
+// the client that spawned this process is the only peer.
+async function startStdioServer() {
+  const transport = new StdioTransport();
+  
+  logger.info('MCP server listening on stdio', {
+    version: require('../package.json').version,
+    tools: toolRegistry.size
+  });
+  
+  await transport.start();
+  process.exit(0);
+}
+
 // Only start server if not in test environment  
 if (process.env.NODE_ENV !== 'test') {
-  startServer().catch(error => {
+  (useStdio ? startStdioServer() : startServer()).catch(error => {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
   });
@@ -0,0 +1,81 @@
+/**
+ * artifact_download tool - Stored build output as Base64, in chunks
+ */
+
+const artifactStore = require('../utils/artifact-store');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'artifact_download',
+  category: 'files',
+  description: 'Download a stored artifact as Base64, by SHA-256 or by artifact set id and path; ' +
+    'large files are read in chunks by passing nextOffset back',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      sha256: {
+        type: 'string',
+        pattern: '^[0-9a-f]{64}$',
+        description: 'Content hash of the file'
+      },
+      id: {
+        type: 'string',
+        description: 'Artifact set id (together with path)'
+      },
+      path: {
+        type: 'string',
+        description: 'File path as listed in the artifact set manifest'
+      },
+      offset: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Byte offset to read from (default: 0)'
+      },
+      length: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 4194304,
+        description: 'Maximum bytes to return (default: 1048576)'
+      }
+    },
+    additionalProperties: false
+  },
+
+  async handler(args, { identity }) {
+    let sha256 = args.sha256;
+    let filePath = null;
+
+    if (!sha256) {
+      if (!args.id || !args.path) {
+        return { ...createTextResult('Pass sha256, or id and path'), isError: true };
+      }
+
+      const manifest = artifactStore.get(args.id, identity);
+      const file = manifest && manifest.files.find(entry => entry.path === args.path);
+      if (!file) {
+        return { ...createTextResult(`Artifact not found: ${args.path} in ${args.id}`), isError: true };
+      }
+      sha256 = file.sha256;
+      filePath = file.path;
+    }
+
+    // A hash alone only reads files of builds the caller may see
+    const chunk = filePath || artifactStore.isFileVisible(sha256, identity) ?
+      artifactStore.read(sha256, args.offset || 0, args.length || 1048576) : null;
+    if (!chunk) {
+      return { ...createTextResult(`Artifact not found: ${sha256}`), isError: true };
+    }
+
+    return createTextResult(JSON.stringify({
+      sha256: chunk.sha256,
+      path: filePath,
+      size: chunk.size,
+      offset: chunk.offset,
+      nextOffset: chunk.offset + chunk.length,
+      complete: chunk.complete,
+      encoding: 'base64',
+      data: chunk.data.toString('base64')
+    }, null, 2));
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * artifact_get tool - Manifest of a stored build
+ */
+
+const artifactStore = require('../utils/artifact-store');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'artifact_get',
+  category: 'files',
+  description: 'Get the manifest of a stored build: tool, arguments, commit, timestamp and files with their SHA-256',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'Artifact set id from artifact_list or a build result'
+      }
+    },
+    required: ['id'],
+    additionalProperties: false
+  },
+
+  async handler(args, { identity }) {
+    const manifest = artifactStore.get(args.id, identity);
+    if (!manifest) {
+      return { ...createTextResult(`Artifact set not found: ${args.id}`), isError: true };
+    }
+
+    return createTextResult(JSON.stringify(manifest, null, 2));
+  }
+};
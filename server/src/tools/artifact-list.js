@@ -0,0 +1,39 @@
+/**
+ * artifact_list tool - Builds whose outputs are in the artifact store
+ */
+
+const artifactStore = require('../utils/artifact-store');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'artifact_list',
+  category: 'files',
+  description: 'List stored build artifact sets (newest first) from builds called with artifacts patterns; ' +
+    'tokens see only their own builds',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool: {
+        type: 'string',
+        description: 'Only builds of this tool (e.g. build_go)'
+      },
+      commit: {
+        type: 'string',
+        description: 'Only builds of this commit (full hash or prefix)'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 500,
+        description: 'Maximum entries to return (default: 50)'
+      }
+    },
+    additionalProperties: false
+  },
+
+  async handler(args, { identity }) {
+    const artifacts = artifactStore.list({ tool: args.tool, commit: args.commit, limit: args.limit }, identity);
+    return createTextResult(JSON.stringify({ artifacts }, null, 2));
+  }
+};
@@ -0,0 +1,196 @@
+/**
+ * build_cpp tool - Build C/C++ applications using CMake, MSBuild, or Make
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_cpp',
+  category: 'build',
+  diagnostics: ['msbuild', 'gcc'],
+  description: 'Build C/C++ applications using CMake, MSBuild, or Make',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string',
+        description: 'Path to C++ project directory or solution file'
+      },
+      buildSystem: {
+        type: 'string',
+        enum: ['cmake', 'msbuild', 'make', 'ninja'],
+        description: 'Build system to use'
+      },
+      buildType: {
+        type: 'string',
+        enum: ['Debug', 'Release', 'RelWithDebInfo', 'MinSizeRel'],
+        description: 'Build configuration type'
+      },
+      generator: {
+        type: 'string',
+        description: 'CMake generator (e.g., "Visual Studio 17 2022", "Ninja")'
+      },
+      buildDir: {
+        type: 'string',
+        description: 'Build directory path (default: build)'
+      },
+      configuration: {
+        type: 'string',
+        description: 'MSBuild configuration (Debug/Release)'
+      },
+      platform: {
+        type: 'string',
+        description: 'MSBuild platform (x86/x64/ARM64)'
+      },
+      target: {
+        type: 'string',
+        description: 'Specific target to build'
+      },
+      parallel: {
+        type: 'boolean',
+        description: 'Enable parallel builds'
+      },
+      verbose: {
+        type: 'boolean',
+        description: 'Enable verbose build output'
+      },
+      cmakeOptions: {
+        type: 'object',
+        description: 'CMake cache variables (-D options)'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['projectPath', 'buildSystem'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.buildSystem) {
+        throw new Error('projectPath and buildSystem are required');
+      }
+
+      // Validate project path and build system
+      const validatedPath = security.validatePath(args.projectPath);
+      const validBuildSystems = ['cmake', 'msbuild', 'make', 'ninja'];
+      if (!validBuildSystems.includes(args.buildSystem)) {
+        throw new Error(`Invalid build system. Expected: ${validBuildSystems.join(', ')}`);
+      }
+
+      let commands = [];
+
+      if (args.buildSystem === 'cmake') {
+        const buildDir = args.buildDir || 'build';
+
+        // Configure step
+        let configureArgs = ['-S', '.', '-B', buildDir];
+
+        if (args.generator) {
+          configureArgs.push('-G', args.generator);
+        }
+        if (args.buildType) {
+          configureArgs.push(`-DCMAKE_BUILD_TYPE=${args.buildType}`);
+        }
+        if (args.cmakeOptions) {
+          for (const [key, value] of Object.entries(args.cmakeOptions)) {
+            configureArgs.push(`-D${key}=${value}`);
+          }
+        }
+
+        commands.push(['cmake', configureArgs]);
+
+        // Build step
+        let buildArgs = ['--build', buildDir];
+        if (args.target) {
+          buildArgs.push('--target', args.target);
+        }
+        if (args.parallel) {
+          buildArgs.push('--parallel');
+        }
+        if (args.verbose) {
+          buildArgs.push('--verbose');
+        }
+
+        commands.push(['cmake', buildArgs]);
+
+      } else if (args.buildSystem === 'msbuild') {
+        let msbuildArgs = [validatedPath];
+
+        if (args.configuration) {
+          msbuildArgs.push(`/p:Configuration=${args.configuration}`);
+        }
+        if (args.platform) {
+          msbuildArgs.push(`/p:Platform=${args.platform}`);
+        }
+        if (args.target) {
+          msbuildArgs.push(`/t:${args.target}`);
+        }
+        if (args.parallel) {
+          msbuildArgs.push('/m');
+        }
+        if (args.verbose) {
+          msbuildArgs.push('/v:detailed');
+        }
+
+        commands.push(['msbuild', msbuildArgs]);
+
+      } else if (args.buildSystem === 'make') {
+        let makeArgs = [];
+
+        if (args.target) {
+          makeArgs.push(args.target);
+        }
+        if (args.parallel) {
+          makeArgs.push('-j');
+        }
+
+        commands.push(['make', makeArgs]);
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('CPP_BUILD_TIMEOUT', 600000) // C++ build timeout
+      };
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute commands sequentially
+      let finalResult = null;
+      for (const [command, commandArgs] of commands) {
+        // Validate each command for security
+        const fullCommand = `${command} ${commandArgs.join(' ')}`;
+        security.validateBuildCommand(fullCommand);
+
+        finalResult = await executeBuild(command, commandArgs, buildOptions);
+        if (!finalResult.success) {
+          throw new Error(`C++ build failed at ${command}: ${finalResult.output || finalResult.error}`);
+        }
+      }
+
+      result = createTextResult(`C++ build completed successfully:\n${finalResult.output}`);
+
+      logger.info('C++ build executed', { 
+        clientIP, 
+        buildSystem: args.buildSystem,
+        projectPath: validatedPath,
+        buildType: args.buildType,
+        configuration: args.configuration
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'C++ build', logger, clientIP, { projectPath: args.projectPath, buildSystem: args.buildSystem });
+    }
+
+    return result;
+  }
+};
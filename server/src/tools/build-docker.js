@@ -0,0 +1,173 @@
+/**
+ * build_docker tool - Build Docker images with advanced options
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_docker',
+  category: 'build',
+  description: 'Build Docker images with advanced options',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextPath: { 
+        type: 'string',
+        description: 'Docker build context path'
+      },
+      imageName: {
+        type: 'string',
+        description: 'Docker image name and tag (e.g., myapp:latest)'
+      },
+      dockerfile: {
+        type: 'string',
+        description: 'Path to Dockerfile (default: Dockerfile)'
+      },
+      buildArgs: {
+        type: 'object',
+        description: 'Build arguments as key-value pairs'
+      },
+      target: {
+        type: 'string',
+        description: 'Multi-stage build target'
+      },
+      platform: {
+        type: 'string',
+        description: 'Target platform (e.g., linux/amd64)'
+      },
+      noCache: {
+        type: 'boolean',
+        description: 'Disable build cache'
+      },
+      pull: {
+        type: 'boolean',
+        description: 'Always pull base images'
+      },
+      squash: {
+        type: 'boolean',
+        description: 'Squash newly built layers into a single layer'
+      },
+      labels: {
+        type: 'object',
+        description: 'Metadata labels for the image'
+      },
+      secrets: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Build secrets (format: id=mysecret,src=/path/to/secret)'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['contextPath', 'imageName'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.contextPath || !args.imageName) {
+        throw new Error('contextPath and imageName are required');
+      }
+
+      // Validate context path and image name
+      const validatedPath = security.validatePath(args.contextPath);
+
+      // Basic image name validation
+      if (!/^[a-z0-9]([a-z0-9\-_\.]*[a-z0-9])?(\:[a-zA-Z0-9]([a-zA-Z0-9\-_\.]*[a-zA-Z0-9])?)?$/.test(args.imageName.toLowerCase())) {
+        throw new Error('Invalid image name format');
+      }
+
+      let command = 'docker';
+      let commandArgs = ['build', '-t', args.imageName];
+
+      // Add build options
+      if (args.dockerfile) {
+        commandArgs.push('-f', args.dockerfile);
+      }
+
+      if (args.buildArgs) {
+        for (const [key, value] of Object.entries(args.buildArgs)) {
+          commandArgs.push('--build-arg', `${key}=${value}`);
+        }
+      }
+
+      if (args.target) {
+        commandArgs.push('--target', args.target);
+      }
+
+      if (args.platform) {
+        commandArgs.push('--platform', args.platform);
+      }
+
+      if (args.noCache) {
+        commandArgs.push('--no-cache');
+      }
+
+      if (args.pull) {
+        commandArgs.push('--pull');
+      }
+
+      if (args.squash) {
+        commandArgs.push('--squash');
+      }
+
+      if (args.labels) {
+        for (const [key, value] of Object.entries(args.labels)) {
+          commandArgs.push('--label', `${key}=${value}`);
+        }
+      }
+
+      if (args.secrets && args.secrets.length > 0) {
+        for (const secret of args.secrets) {
+          commandArgs.push('--secret', secret);
+        }
+      }
+
+      // Add context path (always last)
+      commandArgs.push('.');
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // Default 30 minutes for Docker builds
+      };
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Validate the final command for security
+      const fullCommand = `${command} ${commandArgs.join(' ')}`;
+      security.validateBuildCommand(fullCommand);
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Docker build failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Docker build completed successfully:\n${result.output}`);
+
+      logger.info('Docker build executed', { 
+        clientIP, 
+        imageName: args.imageName,
+        contextPath: validatedPath,
+        command: fullCommand,
+        dockerfile: args.dockerfile,
+        target: args.target
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Docker build', logger, clientIP, { contextPath: args.contextPath, imageName: args.imageName });
+    }
+
+    return result;
+  }
+};
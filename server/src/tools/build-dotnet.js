@@ -0,0 +1,186 @@
+/**
+ * build_dotnet tool - Build a .NET application
+ */
+
+const path = require('path');
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const buildLockManager = require('../utils/build-lock-manager');
+const sourceCopy = require('../utils/source-copy');
+const requestContext = require('../utils/request-context');
+const { handleValidationError, createDirCommand, createTextResult, toLocalPath } = require('../utils/helpers');
+const { executeBuild, executeRemoteCommand } = require('../utils/command-executor');
+
+/**
+ * Fixed directory structure: <BUILD_BASE_DIR>\<project-name>\release
+ * Isolated builds use the workspace's project copy instead, so they share nothing.
+ */
+function buildDirsOf(projectPath) {
+  const context = requestContext.get();
+  if (context && context.workspace) {
+    const projectDir = context.workspace.copyDir;
+    return { projectDir, releaseDir: path.join(projectDir, 'release'), isolated: true };
+  }
+
+  const projectName = projectPath.split('\\').pop().replace('.csproj', '');
+  const buildBaseDir = process.env.BUILD_BASE_DIR || 'C:\\build';
+  const projectDir = `${buildBaseDir}\\${projectName}`;
+
+  return { projectDir, releaseDir: `${projectDir}\\release`, isolated: false };
+}
+
+/**
+ * Copy the project into projectDir and build it to releaseDir, locally or on a remote host
+ * With runTests, dotnet test follows a successful build and writes TRX to projectDir\TestResults.
+ * Without sourceDir (isolated builds) projectDir already is the copy.
+ */
+async function build(validatedPath, configuration, projectDir, releaseDir, validatedHost, runTests, sourceDir) {
+  let result;
+  let copySummary = null;
+
+  if (validatedHost) {
+    // Create directories and build on remote host
+    const commands = [
+      `if not exist "${projectDir}" mkdir "${projectDir}"`,
+      `if not exist "${releaseDir}" mkdir "${releaseDir}"`,
+      `dotnet build "${validatedPath}" -c ${configuration} -o "${releaseDir}"`
+    ];
+    if (runTests) {
+      commands.push(`dotnet test "${validatedPath}" -c ${configuration} --logger trx --results-directory "${projectDir}\\TestResults"`);
+    }
+    const command = commands.join(' && ');
+    result = await executeRemoteCommand(validatedHost, command);
+  } else {
+    // Create project directory structure
+    await executeBuild('cmd.exe', ['/c', createDirCommand(projectDir)]);
+    await executeBuild('cmd.exe', ['/c', createDirCommand(releaseDir)]);
+
+    // Copy project to build directory (preserving repository structure); only changed files are transferred
+    let copyText = 'Source copy: isolated workspace';
+    if (sourceDir) {
+      try {
+        copySummary = await sourceCopy.sync(sourceDir, path.resolve(projectDir));
+        copyText = `Source copy: ${copySummary.copied.length} copied, ${copySummary.unchanged} unchanged, ` +
+          `${copySummary.deleted.length} deleted`;
+      } catch (error) {
+        // The build reads the source project, so a failed copy does not stop it
+        logger.warn('Source copy failed', { sourceDir, projectDir, error: error.message });
+        copyText = `Source copy failed: ${error.message}`;
+      }
+    }
+
+    // Build project with output to release directory
+    result = await executeBuild('dotnet.exe', [
+      'build', 
+      validatedPath, 
+      '-c', configuration,
+      '-o', releaseDir
+    ]);
+
+    if (runTests && result.success !== false) {
+      const testResult = await executeBuild('dotnet.exe', [
+        'test',
+        validatedPath,
+        '-c', configuration,
+        '--logger', 'trx',
+        '--results-directory', `${projectDir}\\TestResults`
+      ]);
+      result = {
+        ...testResult,
+        content: [{ type: 'text', text: `${result.content[0].text}\n\nTest run:\n${testResult.content[0].text}` }]
+      };
+    }
+
+    // Add output path to result
+    const originalText = result.content[0].text;
+    result.content[0].text = `${originalText}\n\n${copyText}\nProject repository saved to: ${projectDir}\nRelease output saved to: ${releaseDir}`;
+  }
+
+  return copySummary ? { ...result, sourceCopy: copySummary } : result;
+}
+
+module.exports = {
+  name: 'build_dotnet',
+  category: 'build',
+  diagnostics: ['msbuild'],
+  description: 'Build a .NET application',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { type: 'string' },
+      configuration: { type: 'string' },
+      remoteHost: { type: 'string', description: 'Optional remote host IP (NordVPN mesh)' },
+      lockMode: {
+        type: 'string',
+        enum: ['wait', 'fail'],
+        description: 'If another build is using the same build directory: wait for it (default) or fail immediately'
+      },
+      lockTimeout: {
+        type: 'number',
+        minimum: 1,
+        description: 'Seconds to wait for the build directory lock (default BUILD_LOCK_TIMEOUT)'
+      },
+      runTests: {
+        type: 'boolean',
+        description: 'Run dotnet test after a successful build and return the TRX results'
+      }
+    },
+    required: ['projectPath'],
+    additionalProperties: false
+  },
+
+  // Outputs go to the release directory, not the project directory
+  artifactRoot(args) {
+    return buildDirsOf(security.validatePath(args.projectPath)).releaseDir;
+  },
+
+  testReports(args) {
+    if (!args.runTests) {
+      return null;
+    }
+    return { root: buildDirsOf(security.validatePath(args.projectPath)).projectDir, patterns: ['TestResults/**/*.trx'] };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const validatedPath = security.validatePath(args.projectPath);
+      const configuration = args.configuration || 'Debug';
+
+      const { projectDir, releaseDir, isolated } = buildDirsOf(validatedPath);
+
+      const validatedHost = args.remoteHost ? security.validateIPAddress(args.remoteHost) : null;
+
+      // Builds of the same project share projectDir; only one may write to it at a time
+      // (an isolated build's projectDir is its own workspace)
+      const lock = await buildLockManager.acquire(projectDir, {
+        host: validatedHost,
+        wait: args.lockMode !== 'fail',
+        timeoutSeconds: args.lockTimeout
+      });
+
+      try {
+        result = await build(validatedPath, configuration, projectDir, releaseDir, validatedHost, args.runTests,
+          isolated ? null : toLocalPath(path.win32.dirname(validatedPath)));
+      } finally {
+        buildLockManager.release(lock);
+      }
+
+      logger.info('Build completed', { 
+        clientIP, 
+        projectPath: validatedPath, 
+        configuration, 
+        projectDir,
+        releaseDir 
+      });
+    } catch (error) {
+      if (error instanceof buildLockManager.BuildLockError) {
+        return { ...createTextResult(error.message), isError: true };
+      }
+      result = handleValidationError(error, 'Build', logger, clientIP, { args });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,169 @@
+/**
+ * build_go tool - Build Go applications with module support and cross-compilation
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_go',
+  category: 'build',
+  diagnostics: ['go'],
+  description: 'Build Go applications with module support and cross-compilation',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string',
+        description: 'Path to Go project directory (containing go.mod)'
+      },
+      action: {
+        type: 'string',
+        enum: ['build', 'test', 'run', 'install', 'clean', 'mod', 'vet', 'fmt'],
+        description: 'Go action to perform'
+      },
+      outputPath: {
+        type: 'string',
+        description: 'Output path for build artifacts'
+      },
+      targetOS: {
+        type: 'string',
+        enum: ['windows', 'linux', 'darwin', 'freebsd'],
+        description: 'Target operating system for cross-compilation'
+      },
+      targetArch: {
+        type: 'string',
+        enum: ['amd64', 'arm64', '386', 'arm'],
+        description: 'Target architecture for cross-compilation'
+      },
+      buildFlags: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Additional build flags (e.g., ["-ldflags", "-s -w"])'
+      },
+      tags: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Build tags to include'
+      },
+      modAction: {
+        type: 'string',
+        enum: ['download', 'tidy', 'verify', 'init'],
+        description: 'Go module action (when action is "mod")'
+      },
+      coverage: {
+        type: 'boolean',
+        description: 'Enable test coverage (for test action)'
+      },
+      verbose: {
+        type: 'boolean',
+        description: 'Enable verbose output'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.action) {
+        throw new Error('projectPath and action are required');
+      }
+
+      // Validate project path and action
+      const validatedPath = security.validatePath(args.projectPath);
+      const validActions = ['build', 'test', 'run', 'install', 'clean', 'mod', 'vet', 'fmt'];
+      if (!validActions.includes(args.action)) {
+        throw new Error(`Invalid Go action. Expected: ${validActions.join(', ')}`);
+      }
+
+      let command = 'go';
+      let commandArgs = [args.action];
+
+      // Handle different Go actions
+      if (args.action === 'build') {
+        if (args.outputPath) {
+          commandArgs.push('-o', args.outputPath);
+        }
+        if (args.buildFlags && args.buildFlags.length > 0) {
+          commandArgs.push(...args.buildFlags);
+        }
+        if (args.tags && args.tags.length > 0) {
+          commandArgs.push('-tags', args.tags.join(','));
+        }
+      } else if (args.action === 'test') {
+        if (args.verbose) {
+          commandArgs.push('-v');
+        }
+        if (args.coverage) {
+          commandArgs.push('-cover');
+        }
+        commandArgs.push('./...');
+      } else if (args.action === 'mod') {
+        if (!args.modAction) {
+          throw new Error('modAction is required when action is "mod"');
+        }
+        const validModActions = ['download', 'tidy', 'verify', 'init'];
+        if (!validModActions.includes(args.modAction)) {
+          throw new Error(`Invalid mod action. Expected: ${validModActions.join(', ')}`);
+        }
+        commandArgs = ['mod', args.modAction];
+      } else if (args.action === 'vet' || args.action === 'fmt') {
+        commandArgs.push('./...');
+      }
+
+      // Build environment with cross-compilation support
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000),
+        env: { ...process.env }
+      };
+
+      // Cross-compilation support
+      if (args.targetOS) {
+        buildOptions.env.GOOS = args.targetOS;
+      }
+      if (args.targetArch) {
+        buildOptions.env.GOARCH = args.targetArch;
+      }
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Validate the final command for security
+      const fullCommand = `${command} ${commandArgs.join(' ')}`;
+      security.validateBuildCommand(fullCommand);
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Go ${args.action} failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Go ${args.action} completed successfully:\n${result.output}`);
+
+      logger.info('Go build executed', { 
+        clientIP, 
+        action: args.action,
+        projectPath: validatedPath,
+        command: fullCommand,
+        crossCompilation: args.targetOS || args.targetArch ? `${args.targetOS || 'current'}/${args.targetArch || 'current'}` : null
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Go build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
+    }
+
+    return result;
+  }
+};
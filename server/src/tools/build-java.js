@@ -0,0 +1,158 @@
+/**
+ * build_java tool - Build Java applications using Maven or Gradle
+ */
+
+const path = require('path');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_java',
+  category: 'build',
+  diagnostics: ['java'],
+  description: 'Build Java applications using Maven or Gradle',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string',
+        description: 'Path to project file (pom.xml, build.gradle, or build.gradle.kts)'
+      },
+      buildTool: {
+        type: 'string',
+        enum: ['maven', 'gradle', 'auto'],
+        description: 'Build tool to use (auto-detected if not specified)'
+      },
+      goals: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Maven goals (e.g., ["clean", "compile", "test"])'
+      },
+      tasks: {
+        type: 'array', 
+        items: { type: 'string' },
+        description: 'Gradle tasks (e.g., ["clean", "build", "test"])'
+      },
+      profiles: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Maven profiles to activate'
+      },
+      properties: {
+        type: 'object',
+        description: 'Build properties (e.g., {"maven.test.skip": "false"})'
+      },
+      useWrapper: {
+        type: 'boolean',
+        description: 'Use Gradle wrapper (gradlew) instead of gradle command'
+      },
+      javaHome: {
+        type: 'string',
+        description: 'JAVA_HOME path override'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['projectPath'],
+    additionalProperties: false
+  },
+
+  // Surefire, Failsafe and Gradle write JUnit XML reports on every test run
+  testReports(args) {
+    return {
+      root: path.dirname(path.resolve(args.projectPath)),
+      patterns: ['target/surefire-reports/TEST-*.xml', 'target/failsafe-reports/TEST-*.xml', 'build/test-results/**/*.xml']
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath) {
+        throw new Error('projectPath is required');
+      }
+
+      // Use specialized validation for Java builds
+      const buildTool = security.validateJavaBuild(args.projectPath, args.buildTool);
+      const validatedPath = args.projectPath; // Already validated in validateJavaBuild
+
+      const projectDir = validatedPath.substring(0, validatedPath.lastIndexOf('\\'));
+      let command = '';
+      let commandArgs = [];
+
+      if (buildTool === 'maven') {
+        command = 'mvn';
+        const goals = args.goals || ['compile'];
+        commandArgs = [...goals];
+
+        // Add profiles
+        if (args.profiles && args.profiles.length > 0) {
+          commandArgs.push(`-P${args.profiles.join(',')}`);
+        }
+
+        // Add properties
+        if (args.properties) {
+          for (const [key, value] of Object.entries(args.properties)) {
+            commandArgs.push(`-D${key}=${value}`);
+          }
+        }
+      } else if (buildTool === 'gradle') {
+        command = args.useWrapper ? 'gradlew' : 'gradle';
+        const tasks = args.tasks || ['build'];
+        commandArgs = [...tasks];
+
+        // Add properties
+        if (args.properties) {
+          for (const [key, value] of Object.entries(args.properties)) {
+            commandArgs.push(`-D${key}=${value}`);
+          }
+        }
+      }
+
+      // Set JAVA_HOME if specified
+      const buildOptions = {
+        workingDirectory: projectDir,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000)
+      };
+
+      if (args.javaHome) {
+        buildOptions.env = { ...process.env, JAVA_HOME: args.javaHome };
+      }
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Validate the final command for security
+      const fullCommand = `${command} ${commandArgs.join(' ')}`;
+      security.validateBuildCommand(fullCommand);
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Java build failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Java build completed successfully:\n${result.output}`);
+
+      logger.info('Java build executed', { 
+        clientIP, 
+        buildTool,
+        projectPath: validatedPath,
+        command: `${command} ${commandArgs.join(' ')}`
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Java build', logger, clientIP, { projectPath: args.projectPath });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * build_kotlin tool - Build Kotlin/Android projects with Gradle
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const crypto = require('../utils/crypto');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_kotlin',
+  category: 'build',
+  description: 'Build Kotlin/Android projects with Gradle',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string', 
+        description: 'Path to Kotlin/Android project directory'
+      },
+      projectType: {
+        type: 'string',
+        enum: ['android', 'jvm', 'native', 'multiplatform'],
+        description: 'Type of Kotlin project'
+      },
+      buildVariant: {
+        type: 'string',
+        description: 'Android build variant (e.g., debug, release)'
+      },
+      tasks: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Gradle tasks to execute'
+      },
+      buildType: {
+        type: 'string',
+        description: 'Build type for native projects'
+      },
+      target: {
+        type: 'string',
+        description: 'Target platform for native/multiplatform'
+      },
+      signingConfig: {
+        type: 'object',
+        properties: {
+          storeFile: { type: 'string' },
+          storePassword: { type: 'string' },
+          keyAlias: { type: 'string' },
+          keyPassword: { type: 'string' }
+        },
+        description: 'Android signing configuration'
+      },
+      gradleOptions: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Additional Gradle options'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP'
+      }
+    },
+    required: ['projectPath', 'projectType'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.projectType) {
+        throw new Error('projectPath and projectType are required');
+      }
+
+      // Validate project path and type
+      const validatedPath = security.validatePath(args.projectPath);
+      const validatedProject = security.validateKotlinBuild(validatedPath, args.projectType);
+
+      let command;
+      let commandArgs = [];
+
+      // Determine Gradle wrapper or command
+      const gradlewPath = path.join(validatedPath, 'gradlew.bat');
+      const gradlewExists = await fs.promises.access(gradlewPath).then(() => true).catch(() => false);
+      command = gradlewExists ? gradlewPath : 'gradle';
+
+      // Build command based on project type
+      switch (args.projectType) {
+        case 'android':
+          // Android specific build
+          if (args.tasks && args.tasks.length > 0) {
+            commandArgs.push(...args.tasks);
+          } else if (args.buildVariant) {
+            commandArgs.push(`assemble${args.buildVariant.charAt(0).toUpperCase() + args.buildVariant.slice(1)}`);
+          } else {
+            commandArgs.push('assemble');
+          }
+
+          // Add signing configuration if provided
+          if (args.signingConfig) {
+            if (args.signingConfig.storeFile) {
+              commandArgs.push(`-Pandroid.injected.signing.store.file=${args.signingConfig.storeFile}`);
+            }
+            if (args.signingConfig.storePassword) {
+              const password = args.signingConfig.storePassword.startsWith('encrypted:') ?
+                crypto.decrypt(args.signingConfig.storePassword.substring(10)) :
+                args.signingConfig.storePassword;
+              commandArgs.push(`-Pandroid.injected.signing.store.password=${password}`);
+            }
+            if (args.signingConfig.keyAlias) {
+              commandArgs.push(`-Pandroid.injected.signing.key.alias=${args.signingConfig.keyAlias}`);
+            }
+            if (args.signingConfig.keyPassword) {
+              const keyPassword = args.signingConfig.keyPassword.startsWith('encrypted:') ?
+                crypto.decrypt(args.signingConfig.keyPassword.substring(10)) :
+                args.signingConfig.keyPassword;
+              commandArgs.push(`-Pandroid.injected.signing.key.password=${keyPassword}`);
+            }
+          }
+          break;
+
+        case 'native':
+          // Kotlin/Native build
+          commandArgs.push('build');
+          if (args.target) {
+            commandArgs.push(`-Ptarget=${args.target}`);
+          }
+          if (args.buildType) {
+            commandArgs.push(`-PbuildType=${args.buildType}`);
+          }
+          break;
+
+        case 'multiplatform':
+          // Kotlin Multiplatform build
+          if (args.tasks && args.tasks.length > 0) {
+            commandArgs.push(...args.tasks);
+          } else {
+            commandArgs.push('build');
+          }
+          if (args.target) {
+            commandArgs.push(`-Ptarget=${args.target}`);
+          }
+          break;
+
+        case 'jvm':
+        default:
+          // Standard JVM build
+          if (args.tasks && args.tasks.length > 0) {
+            commandArgs.push(...args.tasks);
+          } else {
+            commandArgs.push('build');
+          }
+          break;
+      }
+
+      // Add Gradle options
+      if (args.gradleOptions && args.gradleOptions.length > 0) {
+        commandArgs.push(...security.validateBuildFlags(args.gradleOptions));
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 600000) // Default timeout for Android builds
+      };
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Kotlin build failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Kotlin build completed successfully:\n${result.output}`);
+
+      logger.info('Kotlin build executed', { 
+        clientIP, 
+        projectPath: validatedPath,
+        projectType: args.projectType,
+        buildVariant: args.buildVariant,
+        tasks: args.tasks
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Kotlin build', logger, clientIP, { projectPath: args.projectPath, projectType: args.projectType });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * build_node tool - Build Node.js/TypeScript applications
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+// Where jest-junit and mocha-junit-reporter write, for projects that use them
+const JUNIT_DIR = 'test-results';
+
+/**
+ * Arguments that make a script write JUnit XML: the JUnit reporter for jest or mocha
+ * when the script runs one of them without choosing reporters itself and package.json
+ * declares jest-junit or mocha-junit-reporter
+ * @returns {Array<string>}
+ */
+function junitReporterArgs(projectPath, script) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+  } catch (error) {
+    return [];
+  }
+
+  const command = (manifest.scripts && manifest.scripts[script]) || '';
+  const declares = name => Boolean((manifest.dependencies && manifest.dependencies[name]) ||
+    (manifest.devDependencies && manifest.devDependencies[name]));
+
+  if (typeof command !== 'string' || /--reporters?\b/.test(command)) {
+    return [];
+  }
+  if (/\bjest\b/.test(command) && declares('jest-junit')) {
+    return ['--reporters=default', '--reporters=jest-junit'];
+  }
+  if (/\bmocha\b/.test(command) && declares('mocha-junit-reporter')) {
+    return ['--reporter', 'mocha-junit-reporter'];
+  }
+  return [];
+}
+
+module.exports = {
+  name: 'build_node',
+  category: 'build',
+  description: 'Build Node.js/TypeScript applications',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string',
+        description: 'Path to Node.js project directory (containing package.json)'
+      },
+      packageManager: {
+        type: 'string',
+        enum: ['npm', 'yarn', 'pnpm', 'auto'],
+        description: 'Package manager to use (auto-detected if not specified)'
+      },
+      scripts: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Package.json scripts to run (e.g., ["build", "test", "lint"])'
+      },
+      nodeVersion: {
+        type: 'string',
+        description: 'Node.js version requirement (e.g., "18", ">=16")'
+      },
+      environment: {
+        type: 'string',
+        enum: ['development', 'production', 'test'],
+        description: 'Build environment'
+      },
+      installDeps: {
+        type: 'boolean',
+        description: 'Install dependencies before building (default: true)'
+      },
+      outputDir: {
+        type: 'string',
+        description: 'Output directory for build artifacts (default: dist)'
+      },
+      typeCheck: {
+        type: 'boolean',
+        description: 'Run TypeScript type checking'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['projectPath'],
+    additionalProperties: false
+  },
+
+  testReports(args) {
+    return { root: path.resolve(args.projectPath), patterns: [`${JUNIT_DIR}/**/*.xml`, 'junit.xml'] };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath) {
+        throw new Error('projectPath is required');
+      }
+
+      // Use specialized validation for Node.js builds
+      const packageManager = security.validateNodeBuild(args.projectPath, args.packageManager);
+      const validatedPath = args.projectPath; // Already validated in validateNodeBuild
+
+      // Auto-detect package manager if needed
+      let finalPackageManager = packageManager;
+      if (packageManager === 'auto') {
+        if (fs.existsSync(path.join(validatedPath, 'yarn.lock'))) {
+          finalPackageManager = 'yarn';
+        } else if (fs.existsSync(path.join(validatedPath, 'pnpm-lock.yaml'))) {
+          finalPackageManager = 'pnpm';
+        } else {
+          finalPackageManager = 'npm';
+        }
+      }
+
+      const scripts = args.scripts || ['build'];
+      const installDeps = args.installDeps !== false; // Default to true
+      const environment = args.environment || 'production';
+
+      let commands = [];
+
+      // Install dependencies first if requested
+      if (installDeps) {
+        if (finalPackageManager === 'npm') {
+          commands.push(['npm', ['install']]);
+        } else if (finalPackageManager === 'yarn') {
+          commands.push(['yarn', ['install']]);
+        } else if (finalPackageManager === 'pnpm') {
+          commands.push(['pnpm', ['install']]);
+        }
+      }
+
+      // Add script commands; test scripts get the JUnit reporter the project declares
+      for (const script of scripts) {
+        const reporterArgs = junitReporterArgs(validatedPath, script);
+        if (finalPackageManager === 'npm') {
+          commands.push(['npm', ['run', script, ...(reporterArgs.length > 0 ? ['--', ...reporterArgs] : [])]]);
+        } else if (finalPackageManager === 'yarn') {
+          commands.push(['yarn', [script, ...reporterArgs]]);
+        } else if (finalPackageManager === 'pnpm') {
+          commands.push(['pnpm', ['run', script, ...reporterArgs]]);
+        }
+      }
+
+      // TypeScript type checking if requested
+      if (args.typeCheck) {
+        commands.push(['npx', ['tsc', '--noEmit']]);
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000),
+        env: {
+          JEST_JUNIT_OUTPUT_DIR: JUNIT_DIR,
+          MOCHA_FILE: `${JUNIT_DIR}/mocha-junit.xml`,
+          ...process.env,
+          NODE_ENV: environment
+        }
+      };
+
+      if (args.nodeVersion) {
+        buildOptions.env.NODE_VERSION = args.nodeVersion;
+      }
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute commands sequentially
+      let finalResult = null;
+      for (const [command, commandArgs] of commands) {
+        // Validate each command for security
+        const fullCommand = `${command} ${commandArgs.join(' ')}`;
+        security.validateBuildCommand(fullCommand);
+
+        finalResult = await executeBuild(command, commandArgs, buildOptions);
+        if (!finalResult.success) {
+          throw new Error(`Node.js build failed at ${command}: ${finalResult.output || finalResult.error}`);
+        }
+      }
+
+      result = createTextResult(`Node.js build completed successfully:\n${finalResult.output}`);
+
+      logger.info('Node.js build executed', { 
+        clientIP, 
+        packageManager: finalPackageManager,
+        projectPath: validatedPath,
+        scripts,
+        environment
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Node.js build', logger, clientIP, { projectPath: args.projectPath });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * build_php tool - Build PHP applications with Composer and run tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_php',
+  category: 'build',
+  description: 'Build PHP applications with Composer and run tests',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string', 
+        description: 'Path to PHP project directory'
+      },
+      action: {
+        type: 'string',
+        enum: ['install', 'update', 'test', 'build', 'artisan', 'serve'],
+        description: 'PHP build action'
+      },
+      packageManager: {
+        type: 'string',
+        enum: ['composer', 'pear'],
+        description: 'Package manager'
+      },
+      noDev: {
+        type: 'boolean',
+        description: 'Skip development dependencies'
+      },
+      optimize: {
+        type: 'boolean',
+        description: 'Optimize autoloader'
+      },
+      testFramework: {
+        type: 'string',
+        enum: ['phpunit', 'phpspec', 'codeception', 'behat'],
+        description: 'Testing framework'
+      },
+      coverage: {
+        type: 'boolean',
+        description: 'Generate code coverage'
+      },
+      testSuite: {
+        type: 'string',
+        description: 'Specific test suite to run'
+      },
+      format: {
+        type: 'string',
+        description: 'Test output format (phpspec)'
+      },
+      artisanCommand: {
+        type: 'string',
+        description: 'Laravel Artisan command'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP'
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.action) {
+        throw new Error('projectPath and action are required');
+      }
+
+      // Validate project path and action
+      const validatedPath = security.validatePath(args.projectPath);
+      const validatedAction = security.validatePhpBuild(validatedPath, args.action);
+
+      let command;
+      let commandArgs = [];
+
+      // Determine package manager
+      const packageManager = args.packageManager || 'composer';
+
+      switch (validatedAction.action) {
+        case 'install':
+          command = packageManager;
+          commandArgs.push('install');
+          if (args.noDev) {
+            commandArgs.push('--no-dev');
+          }
+          if (args.optimize) {
+            commandArgs.push('--optimize-autoloader');
+          }
+          break;
+
+        case 'update':
+          command = packageManager;
+          commandArgs.push('update');
+          if (args.noDev) {
+            commandArgs.push('--no-dev');
+          }
+          break;
+
+        case 'test':
+          // Determine test framework
+          const testFramework = args.testFramework || 'phpunit';
+          const vendorBinPath = path.join(validatedPath, 'vendor', 'bin', testFramework);
+          const vendorBinExists = await fs.promises.access(vendorBinPath).then(() => true).catch(() => false);
+
+          command = vendorBinExists ? vendorBinPath : testFramework;
+
+          if (testFramework === 'phpunit') {
+            if (args.coverage) {
+              commandArgs.push('--coverage-text');
+            }
+            if (args.testSuite) {
+              commandArgs.push(`--testsuite=${args.testSuite}`);
+            }
+          } else if (testFramework === 'phpspec') {
+            commandArgs.push('run');
+            if (args.format) {
+              commandArgs.push('--format', args.format);
+            }
+          }
+          break;
+
+        case 'artisan':
+          command = 'php';
+          commandArgs.push('artisan', args.artisanCommand || 'list');
+          break;
+
+        case 'serve':
+          command = 'php';
+          commandArgs.push('-S', `localhost:${getNumericEnv('PHP_SERVE_PORT', 8000)}`, '-t', 'public');
+          break;
+
+        case 'build':
+          // Custom build script
+          command = packageManager;
+          commandArgs.push('run', 'build');
+          break;
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
+      };
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`PHP ${args.action} failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`PHP ${args.action} completed successfully:\n${result.output}`);
+
+      logger.info('PHP build executed', { 
+        clientIP, 
+        projectPath: validatedPath,
+        action: args.action,
+        packageManager: packageManager,
+        testFramework: args.testFramework
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'PHP build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
+    }
+
+    return result;
+  }
+};
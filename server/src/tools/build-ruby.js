@@ -0,0 +1,201 @@
+/**
+ * build_ruby tool - Build Ruby/Rails applications with Bundler
+ */
+
+const path = require('path');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_ruby',
+  category: 'build',
+  description: 'Build Ruby/Rails applications with Bundler',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string', 
+        description: 'Path to Ruby project directory'
+      },
+      action: {
+        type: 'string',
+        enum: ['install', 'update', 'exec', 'test', 'build', 'rails', 'rake'],
+        description: 'Ruby build action'
+      },
+      withoutGroups: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Groups to exclude from installation'
+      },
+      deployment: {
+        type: 'boolean',
+        description: 'Install in deployment mode'
+      },
+      railsCommand: {
+        type: 'string',
+        description: 'Rails command to execute'
+      },
+      railsEnv: {
+        type: 'string',
+        enum: ['development', 'test', 'production'],
+        description: 'Rails environment'
+      },
+      rakeTask: {
+        type: 'string',
+        description: 'Rake task to execute'
+      },
+      command: {
+        type: 'string',
+        description: 'Command to run with bundle exec (exec action)'
+      },
+      testFramework: {
+        type: 'string',
+        enum: ['rspec', 'minitest', 'test-unit'],
+        description: 'Testing framework'
+      },
+      parallel: {
+        type: 'boolean',
+        description: 'Run tests in parallel'
+      },
+      format: {
+        type: 'string',
+        description: 'Test output format'
+      },
+      gemspec: {
+        type: 'string',
+        description: 'Gemspec file for building gem'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP'
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.action) {
+        throw new Error('projectPath and action are required');
+      }
+
+      // Validate project path and action
+      const validatedPath = security.validatePath(args.projectPath);
+      const validatedAction = security.validateRubyBuild(validatedPath, args.action);
+
+      let command;
+      let commandArgs = [];
+      let buildEnv = { ...process.env };
+
+      switch (validatedAction.action) {
+        case 'install':
+          command = 'bundle';
+          commandArgs.push('install');
+          if (args.withoutGroups && args.withoutGroups.length > 0) {
+            commandArgs.push('--without', args.withoutGroups.join(' '));
+          }
+          if (args.deployment) {
+            commandArgs.push('--deployment');
+          }
+          break;
+
+        case 'update':
+          command = 'bundle';
+          commandArgs.push('update');
+          break;
+
+        case 'exec':
+          command = 'bundle';
+          commandArgs.push('exec');
+          if (args.command) {
+            commandArgs.push(...args.command.split(' '));
+          }
+          break;
+
+        case 'test':
+          const testFramework = args.testFramework || 'rspec';
+          command = testFramework;
+
+          if (testFramework === 'rspec') {
+            if (args.parallel) {
+              command = 'parallel_rspec';
+            }
+            if (args.format) {
+              commandArgs.push('--format', args.format);
+            }
+          } else if (testFramework === 'minitest') {
+            command = 'ruby';
+            commandArgs.push('-Itest');
+          }
+          break;
+
+        case 'rails':
+          command = 'rails';
+          if (args.railsCommand) {
+            commandArgs.push(...args.railsCommand.split(' '));
+          }
+          if (args.railsEnv) {
+            buildEnv.RAILS_ENV = args.railsEnv;
+          }
+          break;
+
+        case 'rake':
+          command = 'rake';
+          if (args.rakeTask) {
+            commandArgs.push(args.rakeTask);
+          }
+          break;
+
+        case 'build':
+          command = 'gem';
+          commandArgs.push('build');
+          if (args.gemspec) {
+            commandArgs.push(args.gemspec);
+          } else {
+            // Find gemspec file
+            const gemspecPath = path.join(validatedPath, '*.gemspec');
+            commandArgs.push(gemspecPath);
+          }
+          break;
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        env: buildEnv,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
+      };
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Ruby ${args.action} failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Ruby ${args.action} completed successfully:\n${result.output}`);
+
+      logger.info('Ruby build executed', { 
+        clientIP, 
+        projectPath: validatedPath,
+        action: args.action,
+        testFramework: args.testFramework,
+        railsEnv: args.railsEnv
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Ruby build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * build_rust tool - Build Rust applications using Cargo
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_rust',
+  category: 'build',
+  diagnostics: ['cargo'],
+  description: 'Build Rust applications using Cargo',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string',
+        description: 'Path to Rust project directory (containing Cargo.toml)'
+      },
+      action: {
+        type: 'string',
+        enum: ['build', 'test', 'run', 'check', 'clippy', 'fmt', 'doc', 'clean', 'update'],
+        description: 'Cargo action to perform'
+      },
+      release: {
+        type: 'boolean',
+        description: 'Build in release mode with optimizations'
+      },
+      target: {
+        type: 'string',
+        description: 'Target triple for cross-compilation (e.g., x86_64-pc-windows-msvc)'
+      },
+      features: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Features to enable during build'
+      },
+      allFeatures: {
+        type: 'boolean',
+        description: 'Enable all available features'
+      },
+      noDefaultFeatures: {
+        type: 'boolean',
+        description: 'Disable default features'
+      },
+      testName: {
+        type: 'string',
+        description: 'Specific test name to run'
+      },
+      allTargets: {
+        type: 'boolean',
+        description: 'Apply action to all targets (for clippy/test)'
+      },
+      denyWarnings: {
+        type: 'boolean',
+        description: 'Treat warnings as errors (for clippy)'
+      },
+      outputDir: {
+        type: 'string',
+        description: 'Target directory for build artifacts'
+      },
+      messageFormat: {
+        type: 'string',
+        enum: ['human', 'json'],
+        description: 'Compiler message format; json emits cargo JSON messages (default: human)'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP (NordVPN mesh)' 
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.action) {
+        throw new Error('projectPath and action are required');
+      }
+
+      // Validate project path and action
+      const validatedPath = security.validatePath(args.projectPath);
+      const validActions = ['build', 'test', 'run', 'check', 'clippy', 'fmt', 'doc', 'clean', 'update'];
+      if (!validActions.includes(args.action)) {
+        throw new Error(`Invalid Rust action. Expected: ${validActions.join(', ')}`);
+      }
+
+      let command = 'cargo';
+      let commandArgs = [args.action];
+
+      // Handle different Cargo actions
+      if (args.action === 'build' || args.action === 'test' || args.action === 'check') {
+        if (args.release) {
+          commandArgs.push('--release');
+        }
+        if (args.target) {
+          commandArgs.push('--target', args.target);
+        }
+        if (args.features && args.features.length > 0) {
+          commandArgs.push('--features', args.features.join(','));
+        }
+        if (args.allFeatures) {
+          commandArgs.push('--all-features');
+        }
+        if (args.noDefaultFeatures) {
+          commandArgs.push('--no-default-features');
+        }
+      }
+
+      if (args.messageFormat === 'json' && ['build', 'test', 'run', 'check', 'clippy', 'doc'].includes(args.action)) {
+        commandArgs.push('--message-format=json');
+      }
+
+      // Test-specific options
+      if (args.action === 'test') {
+        if (args.testName) {
+          commandArgs.push(args.testName);
+        }
+      }
+
+      // Clippy-specific options
+      if (args.action === 'clippy') {
+        if (args.allTargets) {
+          commandArgs.push('--all-targets');
+        }
+        if (args.denyWarnings) {
+          commandArgs.push('--', '-D', 'warnings');
+        }
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000)
+      };
+
+      // Set target directory if specified
+      if (args.outputDir) {
+        buildOptions.env = { ...process.env, CARGO_TARGET_DIR: args.outputDir };
+      }
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Validate the final command for security
+      const fullCommand = `${command} ${commandArgs.join(' ')}`;
+      security.validateBuildCommand(fullCommand);
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Rust ${args.action} failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Rust ${args.action} completed successfully:\n${result.output}`);
+
+      logger.info('Rust build executed', { 
+        clientIP, 
+        action: args.action,
+        projectPath: validatedPath,
+        command: fullCommand,
+        release: args.release,
+        target: args.target
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Rust build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
+    }
+
+    return result;
+  }
+};
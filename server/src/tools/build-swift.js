@@ -0,0 +1,153 @@
+/**
+ * build_swift tool - Build Swift packages and iOS/macOS applications
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'build_swift',
+  category: 'build',
+  description: 'Build Swift packages and iOS/macOS applications',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: { 
+        type: 'string', 
+        description: 'Path to Swift project directory'
+      },
+      action: {
+        type: 'string',
+        enum: ['build', 'test', 'run', 'package', 'clean'],
+        description: 'Swift build action'
+      },
+      configuration: {
+        type: 'string',
+        enum: ['debug', 'release'],
+        description: 'Build configuration'
+      },
+      platform: {
+        type: 'string',
+        description: 'Target platform (iOS, macOS, tvOS, watchOS, windows)'
+      },
+      arch: {
+        type: 'string',
+        description: 'Target architecture'
+      },
+      enableCodeCoverage: {
+        type: 'boolean',
+        description: 'Enable code coverage for tests'
+      },
+      parallel: {
+        type: 'boolean',
+        description: 'Enable parallel testing'
+      },
+      package: {
+        type: 'string',
+        description: 'Specific package to build in workspace'
+      },
+      remoteHost: { 
+        type: 'string', 
+        description: 'Optional remote host IP'
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.projectPath || !args.action) {
+        throw new Error('projectPath and action are required');
+      }
+
+      // Validate project path and action
+      const validatedPath = security.validatePath(args.projectPath);
+      const validatedAction = security.validateSwiftBuild(validatedPath, args.action);
+
+      const command = 'swift';
+      let commandArgs = [validatedAction.action];
+
+      // Add configuration
+      if (args.configuration) {
+        commandArgs.push('-c', args.configuration);
+      }
+
+      // Action-specific options
+      switch (validatedAction.action) {
+        case 'build':
+          if (args.package) {
+            commandArgs.push('--package-path', args.package);
+          }
+          if (args.arch) {
+            commandArgs.push('--arch', args.arch);
+          }
+          break;
+
+        case 'test':
+          if (args.enableCodeCoverage) {
+            commandArgs.push('--enable-code-coverage');
+          }
+          if (args.parallel) {
+            commandArgs.push('--parallel');
+          }
+          break;
+
+        case 'run':
+          // Run specific arguments can be added here
+          break;
+
+        case 'package':
+          // Package specific options
+          break;
+
+        case 'clean':
+          // No additional arguments for clean
+          break;
+      }
+
+      const buildOptions = {
+        workingDirectory: validatedPath,
+        timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000) // 5 minutes
+      };
+
+      // Add platform-specific environment variables if needed
+      if (args.platform) {
+        buildOptions.env = {
+          ...process.env,
+          SWIFT_PLATFORM: args.platform
+        };
+      }
+
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        buildOptions.remoteHost = validatedHost;
+      }
+
+      // Execute build
+      result = await executeBuild(command, commandArgs, buildOptions);
+
+      if (!result.success) {
+        throw new Error(`Swift ${args.action} failed: ${result.output || result.error}`);
+      }
+
+      result = createTextResult(`Swift ${args.action} completed successfully:\n${result.output}`);
+
+      logger.info('Swift build executed', { 
+        clientIP, 
+        projectPath: validatedPath,
+        action: args.action,
+        configuration: args.configuration,
+        platform: args.platform
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Swift build', logger, clientIP, { projectPath: args.projectPath, action: args.action });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,306 @@
+/**
+ * encode_file_base64 tool - Encode files to Base64 format with comprehensive security validation for PDF verification and file content analysis
+ * Without range options the whole file is returned (up to FILE_ENCODING_MAX_SIZE). With
+ * offset/length only that range is read, and with chunkSize the file is walked chunk
+ * by chunk using the nextCursor of each response; ranged reads have no file size limit.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const { createTextResult, handleValidationError, getNumericEnv, hashFile, toLocalPath } = require('../utils/helpers');
+
+// Bytes per chunk in chunked mode; keeps each response a few MB of JSON
+const MAX_CHUNK_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Read length bytes at offset without loading the rest of the file
+ */
+function readRange(filePath, offset, length) {
+  const data = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  let filled = 0;
+
+  try {
+    while (filled < length) {
+      const bytesRead = fs.readSync(fd, data, filled, length - filled, offset + filled);
+      if (bytesRead === 0) {
+        break;
+      }
+      filled += bytesRead;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return data.subarray(0, filled);
+}
+
+/**
+ * Key tying a cursor to one file; the cursor is only valid while size and mtime are unchanged
+ */
+function fileKeyOf(filePath) {
+  return crypto.createHash('sha256').update(filePath.toLowerCase()).digest('hex').substring(0, 16);
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(state.offset) && Number.isInteger(state.chunkSize) && state.chunkSize > 0) {
+      return state;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error('Invalid cursor');
+}
+
+module.exports = {
+  name: 'encode_file_base64',
+  category: 'files',
+  description: 'Encode files to Base64 format with comprehensive security validation for PDF verification and file content analysis',
+  annotations: { readOnlyHint: true },
+
+  // Resolved on every tools/list so the advertised limits follow the current environment
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        filePath: { 
+          type: 'string',
+          description: 'Absolute path to file to encode (must be in allowed directories)'
+        },
+        options: {
+          type: 'object',
+          properties: {
+            maxSizeBytes: { 
+              type: 'number', 
+              description: `Maximum file size in bytes (default: 10MB, max: ${getNumericEnv('FILE_ENCODING_MAX_UPLOAD', 52428800)})`,
+              minimum: 1,
+              maximum: 52428800
+            },
+            allowedExtensions: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Allowed file extensions (default: [".pdf", ".txt", ".docx", ".png", ".jpg", ".jpeg"])'
+            },
+            preview: {
+              type: 'boolean',
+              description: 'Return preview info only (metadata without full Base64 content)'
+            },
+            offset: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Start of a ranged read in bytes (default: 0)'
+            },
+            length: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Bytes to read from offset (default: to the end of the file, at most maxSizeBytes)'
+            },
+            chunkSize: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_CHUNK_BYTES,
+              description: 'Read the file in chunks of this many bytes, starting at offset; each response carries a nextCursor until the last chunk'
+            },
+            cursor: {
+              type: 'string',
+              description: 'nextCursor of the previous chunk; replaces offset, chunkSize and gzip'
+            },
+            gzip: {
+              type: 'boolean',
+              description: 'Gzip the bytes before Base64 encoding (hashes are always of the uncompressed bytes)'
+            },
+            sha256: {
+              type: 'boolean',
+              description: 'Include the SHA-256 of the whole file (always included with the last chunk in chunked mode)'
+            }
+          }
+        }
+      },
+      required: ['filePath'],
+      additionalProperties: false
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.filePath) {
+        throw new Error('filePath is required');
+      }
+
+      // Dangerous mode, or an elevation granted for this call
+      const dangerousMode = elevationManager.isUnrestricted();
+
+      // Security validation; read the path that was validated
+      const filePath = dangerousMode
+        ? path.resolve(args.filePath)
+        : toLocalPath(security.validateBuildPath(args.filePath));
+      const options = args.options || {};
+
+      // Set defaults from environment or options
+      const envMaxSize = getNumericEnv('FILE_ENCODING_MAX_SIZE', 10485760); // 10MB default
+      const envExtensions = process.env.FILE_ENCODING_ALLOWED_EXTENSIONS 
+        ? process.env.FILE_ENCODING_ALLOWED_EXTENSIONS.split(',').map(ext => ext.trim())
+        : ['.pdf', '.txt', '.docx', '.png', '.jpg', '.jpeg'];
+
+      const maxSizeBytes = options.maxSizeBytes || envMaxSize;
+      const allowedExtensions = options.allowedExtensions || envExtensions;
+      const previewOnly = options.preview || false;
+      const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+      const chunked = Boolean(cursor || options.chunkSize);
+      const ranged = chunked || options.offset !== undefined || options.length !== undefined;
+
+      // Check file exists
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+
+      // Get file stats
+      const stats = fs.statSync(filePath);
+      const fileSize = stats.size;
+      const fileName = path.basename(filePath);
+      const fileExtension = path.extname(filePath).toLowerCase();
+
+      // Validate file size; ranged reads are limited per range instead
+      if (!ranged && fileSize > maxSizeBytes) {
+        throw new Error(`File size ${fileSize} bytes exceeds maximum allowed size ${maxSizeBytes} bytes`);
+      }
+
+      // Validate file extension
+      if (!allowedExtensions.includes(fileExtension)) {
+        throw new Error(`File extension '${fileExtension}' not allowed. Allowed extensions: ${allowedExtensions.join(', ')}`);
+      }
+
+      // Log security event
+      logger.security('File encoding requested', {
+        clientIP,
+        filePath,
+        fileSize,
+        fileExtension,
+        previewOnly,
+        offset: cursor ? cursor.offset : options.offset,
+        chunked,
+        dangerousMode
+      });
+
+      if (previewOnly) {
+        // Return metadata only
+        result = createTextResult(JSON.stringify({
+          fileName,
+          fileSize,
+          fileExtension,
+          lastModified: stats.mtime.toISOString(),
+          isReadable: true,
+          preview: true,
+          ...(options.sha256 && { sha256: await hashFile(filePath) })
+        }, null, 2));
+      } else if (ranged) {
+        const gzip = cursor ? Boolean(cursor.gzip) : Boolean(options.gzip);
+        const offset = cursor ? cursor.offset : (options.offset || 0);
+
+        if (cursor && (cursor.file !== fileKeyOf(filePath) || cursor.size !== fileSize || cursor.mtime !== stats.mtimeMs)) {
+          throw new Error('File changed since the cursor was issued (or the cursor belongs to another file); start again from offset 0');
+        }
+        if (offset > fileSize) {
+          throw new Error(`Offset ${offset} is beyond the end of the file (${fileSize} bytes)`);
+        }
+
+        const chunkSize = cursor ? cursor.chunkSize : options.chunkSize;
+        const requested = chunked ? chunkSize : (options.length || fileSize - offset);
+        if (requested > maxSizeBytes) {
+          throw new Error(`Range of ${requested} bytes exceeds maximum allowed size ${maxSizeBytes} bytes`);
+        }
+
+        const data = readRange(filePath, offset, Math.min(requested, fileSize - offset));
+        const nextOffset = offset + data.length;
+        const complete = nextOffset >= fileSize;
+        const response = {
+          fileName,
+          fileSize,
+          fileExtension,
+          lastModified: stats.mtime.toISOString(),
+          offset,
+          length: data.length,
+          nextOffset,
+          complete,
+          encoding: 'base64',
+          compression: gzip ? 'gzip' : 'none',
+          data: (gzip ? zlib.gzipSync(data) : data).toString('base64'),
+          chunkSha256: crypto.createHash('sha256').update(data).digest('hex')
+        };
+
+        if (options.sha256 || (chunked && complete)) {
+          response.sha256 = await hashFile(filePath);
+        }
+        if (chunked && !complete) {
+          response.nextCursor = encodeCursor({
+            file: fileKeyOf(filePath),
+            size: fileSize,
+            mtime: stats.mtimeMs,
+            offset: nextOffset,
+            chunkSize,
+            gzip
+          });
+        }
+
+        result = createTextResult(JSON.stringify(response, null, 2));
+      } else {
+        // Read and encode file
+        const fileBuffer = readRange(filePath, 0, fileSize);
+        const base64Content = (options.gzip ? zlib.gzipSync(fileBuffer) : fileBuffer).toString('base64');
+
+        // Create response with metadata
+        const response = {
+          content: [{
+            type: 'text',
+            text: base64Content
+          }],
+          fileName,
+          fileSize,
+          fileExtension,
+          lastModified: stats.mtime.toISOString(),
+          encoded: true,
+          encoding: 'base64'
+        };
+        if (options.gzip) {
+          response.compression = 'gzip';
+        }
+        if (options.sha256) {
+          response.sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+        }
+
+        result = createTextResult(JSON.stringify(response));
+      }
+
+      logger.info('File encoding completed', { 
+        clientIP, 
+        filePath,
+        fileSize,
+        encoded: !previewOnly
+      });
+
+    } catch (error) {
+      logger.error('File encoding failed', { 
+        clientIP, 
+        filePath: args.filePath, 
+        error: error.message 
+      });
+      result = handleValidationError(error, 'File encoding', logger, clientIP, { filePath: args.filePath });
+    }
+
+    return result;
+  }
+};
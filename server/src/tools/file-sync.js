@@ -0,0 +1,93 @@
+/**
+ * file_sync tool - Synchronize files and directories between locations
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const { createTextResult, handleValidationError } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'file_sync',
+  category: 'files',
+  description: 'Synchronize files and directories between locations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      source: { 
+        type: 'string',
+        description: 'Source path (file or directory)'
+      },
+      destination: {
+        type: 'string',
+        description: 'Destination path'
+      },
+      options: {
+        type: 'object',
+        properties: {
+          recursive: { type: 'boolean', description: 'Recursive copy for directories' },
+          overwrite: { type: 'boolean', description: 'Overwrite existing files' },
+          pattern: { type: 'string', description: 'File pattern filter (e.g., *.js)' },
+          excludePattern: { type: 'string', description: 'Exclude pattern' },
+          verify: { type: 'boolean', description: 'Verify file integrity after copy' }
+        }
+      }
+    },
+    required: ['source', 'destination'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const dangerousMode = elevationManager.isUnrestricted();
+      const source = dangerousMode ? args.source : security.validateBuildPath(args.source);
+      const destination = dangerousMode ? args.destination : security.validateBuildPath(args.destination);
+      const options = args.options || {};
+
+      // Build robocopy command
+      const robocopyArgs = [source, destination];
+
+      if (options.pattern) {
+        robocopyArgs.push(options.pattern);
+      } else {
+        robocopyArgs.push('*.*');
+      }
+
+      // Add robocopy flags
+      const flags = [];
+      if (options.recursive) flags.push('/E'); // Copy subdirectories including empty ones
+      if (!options.overwrite) flags.push('/XC', '/XN', '/XO'); // Exclude changed, newer, older files
+      if (options.excludePattern) flags.push('/XF', options.excludePattern);
+      if (options.verify) flags.push('/V'); // Verify after copy
+
+      // Add retry and wait options
+      flags.push('/R:3', '/W:10'); // Retry 3 times, wait 10 seconds
+
+      robocopyArgs.push(...flags);
+
+      result = await executeBuild('robocopy', robocopyArgs);
+
+      // Robocopy returns 0-7 for success, 8+ for errors
+      const exitCode = result.exitCode || 0;
+      if (exitCode >= 8) {
+        result = createTextResult(`File sync failed with code ${exitCode}:\n${result.content[0].text}`);
+      } else {
+        result = createTextResult(`File sync completed successfully:\n${result.content[0].text}`);
+      }
+
+      logger.info('File sync executed', { 
+        clientIP, 
+        source,
+        destination,
+        options 
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'File sync', logger, clientIP, { source: args.source, destination: args.destination });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * http_request tool - Execute HTTP requests bypassing PowerShell limitations - perfect for AI server testing and JSON API calls
+ */
+
+const logger = require('../utils/logger');
+const httpClient = require('../utils/http-client');
+const { createTextResult, handleValidationError } = require('../utils/helpers');
+
+module.exports = {
+  name: 'http_request',
+  category: 'network',
+  description: 'Execute HTTP requests bypassing PowerShell limitations - perfect for AI server testing and JSON API calls',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: { 
+        type: 'string', 
+        description: 'Target URL (supports localhost for AI server testing)'
+      },
+      method: { 
+        type: 'string', 
+        enum: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'],
+        description: 'HTTP method'
+      },
+      headers: { 
+        type: 'object', 
+        description: 'HTTP headers as key-value pairs'
+      },
+      body: { 
+        type: 'string', 
+        description: 'Request body as string'
+      },
+      json: { 
+        type: 'object', 
+        description: 'Auto-serialize JSON object (sets Content-Type: application/json)'
+      },
+      timeout: { 
+        type: 'number', 
+        default: 30, 
+        minimum: 1,
+        maximum: 300,
+        description: 'Timeout in seconds (default: 30, max: 300)'
+      },
+      followRedirects: {
+        type: 'boolean',
+        default: true,
+        description: 'Follow HTTP redirects automatically'
+      }
+    },
+    required: ['url', 'method'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (!args.url || !args.method) {
+        throw new Error('url and method are required');
+      }
+
+      const startTime = Date.now();
+
+      // Log the request initiation
+      logger.info('HTTP request initiated', {
+        clientIP,
+        url: args.url,
+        method: args.method,
+        hasHeaders: !!args.headers,
+        hasBody: !!(args.body || args.json),
+        timeout: args.timeout || 30
+      });
+
+      // Execute HTTP request using httpClient
+      const httpResult = await httpClient.executeRequest({
+        url: args.url,
+        method: args.method,
+        headers: args.headers || {},
+        body: args.body,
+        json: args.json,
+        timeout: args.timeout || 30,
+        followRedirects: args.followRedirects !== false
+      });
+
+      const executionTime = Date.now() - startTime;
+
+      if (httpResult.success) {
+        // Try to parse JSON response if applicable
+        let parsedBody = null;
+        const contentType = httpResult.headers['content-type'] || '';
+
+        if (contentType.includes('application/json') && httpResult.body) {
+          try {
+            parsedBody = JSON.parse(httpResult.body);
+          } catch (parseError) {
+            logger.warn('Failed to parse JSON response', { 
+              requestId: httpResult.requestId, 
+              error: parseError.message 
+            });
+          }
+        }
+
+        const responseData = {
+          success: true,
+          statusCode: httpResult.statusCode,
+          statusMessage: httpResult.statusMessage,
+          headers: httpResult.headers,
+          body: httpResult.body,
+          json: parsedBody,
+          executionTime: httpResult.executionTime,
+          requestId: httpResult.requestId,
+          timestamp: new Date().toISOString()
+        };
+
+        result = createTextResult(JSON.stringify(responseData, null, 2));
+
+        logger.info('HTTP request completed successfully', {
+          clientIP,
+          requestId: httpResult.requestId,
+          statusCode: httpResult.statusCode,
+          executionTime: httpResult.executionTime,
+          responseSize: httpResult.body ? httpResult.body.length : 0
+        });
+
+      } else {
+        // Handle request failure
+        const errorData = {
+          success: false,
+          error: httpResult.error,
+          executionTime: httpResult.executionTime,
+          requestId: httpResult.requestId,
+          timestamp: new Date().toISOString(),
+          url: args.url,
+          method: args.method
+        };
+
+        result = createTextResult(JSON.stringify(errorData, null, 2));
+
+        logger.error('HTTP request failed', {
+          clientIP,
+          requestId: httpResult.requestId,
+          error: httpResult.error,
+          executionTime: httpResult.executionTime,
+          url: args.url,
+          method: args.method
+        });
+      }
+
+    } catch (error) {
+      logger.error('HTTP request execution failed', {
+        clientIP,
+        url: args.url,
+        method: args.method,
+        error: error.message
+      });
+      result = handleValidationError(error, 'HTTP request', logger, clientIP, { 
+        url: args.url, 
+        method: args.method 
+      });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Built-in MCP tools
+ * Each module declares its name, category, description, inputSchema and handler.
+ * The order here is the order advertised by tools/list.
+ */
+
+module.exports = [
+  require('./build-dotnet'),
+  require('./run-powershell'),
+  require('./ping-host'),
+  require('./ssh-command'),
+  require('./run-batch'),
+  require('./run-pipeline'),
+  require('./mcp-self-build'),
+  require('./process-manager'),
+  require('./file-sync'),
+  require('./build-java'),
+  require('./build-python'),
+  require('./build-node'),
+  require('./build-go'),
+  require('./build-rust'),
+  require('./build-cpp'),
+  require('./build-docker'),
+  require('./build-kotlin'),
+  require('./build-swift'),
+  require('./build-php'),
+  require('./build-ruby'),
+  require('./encode-file-base64'),
+  require('./upload-file'),
+  require('./workspace-manifest'),
+  require('./workspace-push'),
+  require('./http-request'),
+  require('./http-json-request'),
+  require('./environment-info'),
+  require('./job-status'),
+  require('./job-output'),
+  require('./job-cancel'),
+  require('./artifact-list'),
+  require('./artifact-get'),
+  require('./artifact-download')
+];
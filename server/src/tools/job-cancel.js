@@ -0,0 +1,42 @@
+/**
+ * job_cancel tool - Stop an asynchronous job and its processes
+ */
+
+const logger = require('../utils/logger');
+const jobManager = require('../utils/job-manager');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'job_cancel',
+  category: 'management',
+  description: 'Cancel a running background job and kill its process tree',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job id returned by a tools/call with async: true'
+      },
+      reason: {
+        type: 'string',
+        description: 'Reason recorded with the cancelled job'
+      }
+    },
+    required: ['jobId'],
+    additionalProperties: false
+  },
+
+  async handler(args, caller) {
+    const job = jobManager.get(args.jobId, caller);
+    if (!job) {
+      return { ...createTextResult(`Job not found: ${args.jobId}`), isError: true };
+    }
+
+    if (!jobManager.cancel(job, args.reason || 'Cancelled via job_cancel')) {
+      return { ...createTextResult(`Job ${job.id} is not running (status: ${job.status})`), isError: true };
+    }
+
+    logger.info('Job cancelled', { clientIP: caller.clientIP, jobId: job.id, tool: job.tool });
+    return createTextResult(`Job ${job.id} (${job.tool}) cancelled`);
+  }
+};
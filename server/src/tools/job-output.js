@@ -0,0 +1,45 @@
+/**
+ * job_output tool - Incremental output of an asynchronous job
+ */
+
+const jobManager = require('../utils/job-manager');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'job_output',
+  category: 'management',
+  description: 'Read the output of a background job from a byte offset; pass nextOffset back to continue',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job id returned by a tools/call with async: true'
+      },
+      offset: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Byte offset to read from (default: 0)'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 1048576,
+        description: 'Maximum bytes to return (default: 65536)'
+      }
+    },
+    required: ['jobId'],
+    additionalProperties: false
+  },
+
+  async handler(args, caller) {
+    const job = jobManager.get(args.jobId, caller);
+    if (!job) {
+      return { ...createTextResult(`Job not found: ${args.jobId}`), isError: true };
+    }
+
+    const output = jobManager.readOutput(job, args.offset || 0, args.limit || 65536);
+    return createTextResult(JSON.stringify({ jobId: job.id, status: job.status, ...output }, null, 2));
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * job_status tool - Status of asynchronous jobs started with async: true
+ */
+
+const jobManager = require('../utils/job-manager');
+const buildScheduler = require('../utils/build-scheduler');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'job_status',
+  category: 'management',
+  description: 'Get the status and result of a background job, or list your jobs when jobId is omitted',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job id returned by a tools/call with async: true'
+      },
+      status: {
+        type: 'string',
+        enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'interrupted'],
+        description: 'Only list jobs with this status (when jobId is omitted)'
+      }
+    },
+    additionalProperties: false
+  },
+
+  async handler(args, caller) {
+    if (!args.jobId) {
+      const jobs = jobManager.list(caller, args.status).map(job => {
+        const { result, ...summary } = jobManager.describe(job);
+        return summary;
+      });
+      return createTextResult(JSON.stringify({ jobs }, null, 2));
+    }
+
+    const job = jobManager.get(args.jobId, caller);
+    if (!job) {
+      return { ...createTextResult(`Job not found: ${args.jobId}`), isError: true };
+    }
+
+    const status = jobManager.describe(job);
+    if (job.status === 'queued') {
+      status.queue = buildScheduler.positionOf(job.id);
+    }
+
+    return createTextResult(JSON.stringify(status, null, 2));
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * mcp_self_build tool - Build, test, and install/update the MCP server itself
+ */
+
+const path = require('path');
+
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const { createTextResult, handleValidationError, getNumericEnv } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'mcp_self_build',
+  category: 'management',
+  description: 'Build, test, and install/update the MCP server itself',
+
+  // Resolved on every tools/list so the advertised default path follows the current environment
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        action: { 
+          type: 'string',
+          enum: ['build', 'test', 'install', 'update', 'start', 'stop', 'status'],
+          description: 'Action to perform on the MCP server'
+        },
+        targetPath: {
+          type: 'string',
+          description: `Target installation path (default: ${process.env.MCP_SERVER_PATH || 'C:\\mcp-server'})`
+        },
+        options: {
+          type: 'object',
+          properties: {
+            skipTests: { type: 'boolean', description: 'Skip running tests' },
+            forceDangerous: { type: 'boolean', description: 'Force dangerous mode on installation' },
+            autoStart: { type: 'boolean', description: 'Auto-start after installation' }
+          }
+        }
+      },
+      required: ['action'],
+      additionalProperties: false
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const dangerousMode = elevationManager.isUnrestricted();
+      const action = args.action;
+      const targetPath = args.targetPath || process.env.MCP_SERVER_PATH || 'C:\\mcp-server';
+      const options = args.options || {};
+
+      switch (action) {
+        case 'build':
+          // Build the MCP server from source
+          result = await executeBuild('npm', ['run', 'build:all'], {
+            cwd: process.cwd()
+          });
+          break;
+
+        case 'test':
+          // Run tests with optional skip
+          if (options.skipTests) {
+            result = createTextResult('Tests skipped by option');
+          } else {
+            const testResult = await executeBuild('npm', ['test'], {
+              cwd: process.cwd()
+            });
+            const coverageResult = await executeBuild('npm', ['run', 'test:coverage'], {
+              cwd: process.cwd()
+            });
+            result = createTextResult(`Tests:\n${testResult.content[0].text}\n\nCoverage:\n${coverageResult.content[0].text}`);
+          }
+          break;
+
+        case 'install':
+          // Install MCP server (new installation)
+          const setupScript = path.join(process.cwd(), 'setup-windows-vm.ps1');
+          const psCommand = `Set-Location -Path "${process.cwd()}"; .\\setup-windows-vm.ps1 -TargetPath "${targetPath}"${options.forceDangerous ? ' -EnableDangerous' : ''}`;
+
+          if (dangerousMode) {
+            result = await executeBuild('powershell.exe', ['-ExecutionPolicy', 'Bypass', '-Command', psCommand]);
+          } else {
+            result = createTextResult('Installation requires dangerous mode to be enabled');
+          }
+
+          if (options.autoStart && result.success) {
+            // Auto-start after installation
+            const startResult = await executeBuild('powershell.exe', [
+              '-ExecutionPolicy', 'Bypass',
+              '-Command', `Start-Process -FilePath "${targetPath}\\start-mcp-server.bat" -WorkingDirectory "${targetPath}"`
+            ]);
+            result = createTextResult(`${result.content[0].text}\n\nAuto-start: ${startResult.content[0].text}`);
+          }
+          break;
+
+        case 'update':
+          // Update MCP server from GitHub
+          if (dangerousMode) {
+            const updateScript = path.join(targetPath, 'server', 'setup', 'update-from-git.ps1');
+            const updateCommand = `Set-Location -Path "${targetPath}"; powershell -ExecutionPolicy Bypass -File "${updateScript}"`;
+
+            result = await executeBuild('powershell.exe', [
+              '-ExecutionPolicy', 'Bypass',
+              '-Command', updateCommand
+            ], {
+              timeout: getNumericEnv('COMMAND_TIMEOUT', 1800000), // 30 minutes for update
+              workingDirectory: targetPath
+            });
+
+            if (options.autoStart && result.success) {
+              // Auto-restart after successful update
+              await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
+              const restartResult = await executeBuild('powershell.exe', [
+                '-ExecutionPolicy', 'Bypass',
+                '-Command', `Set-Location -Path "${targetPath}"; npm run dangerous`
+              ], {
+                workingDirectory: targetPath
+              });
+              result = createTextResult(`${result.content[0].text}\n\nAuto-restart: ${restartResult.content[0].text}`);
+            }
+          } else {
+            result = createTextResult('Update requires dangerous mode to be enabled. Use run_powershell with "npm run update" instead.');
+          }
+          break;
+
+        case 'start':
+          // Start MCP server
+          const startBat = path.join(targetPath, 'start-mcp-server.bat');
+          result = await executeBuild('cmd.exe', ['/c', `start /B "" "${startBat}"`]);
+          break;
+
+        case 'stop':
+          // Stop MCP server
+          result = await executeBuild('taskkill', ['/F', '/IM', 'node.exe', '/FI', 'WINDOWTITLE eq MCP Server*']);
+          break;
+
+        case 'status':
+          // Check MCP server status
+          const statusResult = await executeBuild('tasklist', ['/FI', 'IMAGENAME eq node.exe', '/FO', 'CSV']);
+          const isRunning = statusResult.content[0].text.includes('node.exe');
+          result = createTextResult(`MCP Server status: ${isRunning ? 'Running' : 'Stopped'}\n\n${statusResult.content[0].text}`);
+          break;
+
+        default:
+          result = createTextResult(`Unknown action: ${action}`);
+      }
+
+      logger.info('MCP self-build action executed', { 
+        clientIP, 
+        action,
+        targetPath,
+        options 
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'MCP self-build', logger, clientIP, { action: args.action });
+    }
+
+    return result;
+  }
+};
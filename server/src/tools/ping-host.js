@@ -0,0 +1,37 @@
+/**
+ * ping_host tool - Check connectivity to remote host
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { handleValidationError } = require('../utils/helpers');
+const { pingHost } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'ping_host',
+  category: 'network',
+  description: 'Check connectivity to remote host',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      host: { type: 'string' }
+    },
+    required: ['host'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const validatedHost = security.validateIPAddress(args.host);
+      result = await pingHost(validatedHost);
+      logger.info('Ping executed', { clientIP, host: validatedHost });
+    } catch (error) {
+      result = handleValidationError(error, 'Ping', logger, clientIP, { host: args.host });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * process_manager tool - Manage Windows processes and services
+ */
+
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'process_manager',
+  category: 'system',
+  description: 'Manage Windows processes and services',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: { 
+        type: 'string',
+        enum: ['start', 'stop', 'restart', 'status', 'list', 'kill'],
+        description: 'Process management action'
+      },
+      processName: {
+        type: 'string',
+        description: 'Process or service name'
+      },
+      options: {
+        type: 'object',
+        properties: {
+          force: { type: 'boolean', description: 'Force kill process' },
+          asService: { type: 'boolean', description: 'Manage as Windows service' },
+          waitTime: { type: 'number', description: 'Wait time in seconds' }
+        }
+      }
+    },
+    required: ['action'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const action = args.action;
+      const processName = args.processName;
+      const options = args.options || {};
+
+      switch (action) {
+        case 'start':
+          if (options.asService) {
+            result = await executeBuild('net', ['start', processName]);
+          } else {
+            result = await executeBuild('start', ['""', processName], { shell: true });
+          }
+          break;
+
+        case 'stop':
+          if (options.asService) {
+            result = await executeBuild('net', ['stop', processName]);
+          } else {
+            const killArgs = options.force ? ['/F', '/IM', `${processName}.exe`] : ['/IM', `${processName}.exe`];
+            result = await executeBuild('taskkill', killArgs);
+          }
+          break;
+
+        case 'restart':
+          if (options.asService) {
+            await executeBuild('net', ['stop', processName]);
+            if (options.waitTime) {
+              await new Promise(resolve => setTimeout(resolve, options.waitTime * 1000));
+            }
+            result = await executeBuild('net', ['start', processName]);
+          } else {
+            result = createTextResult('Restart only supported for services');
+          }
+          break;
+
+        case 'status':
+          if (options.asService) {
+            result = await executeBuild('sc', ['query', processName]);
+          } else {
+            result = await executeBuild('tasklist', ['/FI', `IMAGENAME eq ${processName}.exe`, '/FO', 'CSV']);
+          }
+          break;
+
+        case 'list':
+          if (options.asService) {
+            result = await executeBuild('sc', ['query', 'type=', 'service', 'state=', 'all']);
+          } else {
+            result = await executeBuild('tasklist', ['/FO', 'CSV']);
+          }
+          break;
+
+        case 'kill':
+          const pid = processName; // In this case, processName is actually PID
+          result = await executeBuild('taskkill', options.force ? ['/F', '/PID', pid] : ['/PID', pid]);
+          break;
+
+        default:
+          result = createTextResult(`Unknown action: ${action}`);
+      }
+
+      logger.info('Process manager action executed', { 
+        clientIP, 
+        action,
+        processName,
+        options 
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Process manager', logger, clientIP, { action: args.action });
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * run_batch tool - Execute batch file in allowed directories
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const { handleValidationError } = require('../utils/helpers');
+const { executeBuild } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'run_batch',
+  category: 'system',
+  description: 'Execute batch file in allowed directories',
+  supportsAsync: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      batchFile: { 
+        type: 'string',
+        description: 'Path to batch file (must be in allowed directories defined by ALLOWED_BATCH_DIRS)'
+      },
+      workingDirectory: {
+        type: 'string',
+        description: 'Working directory for batch execution'
+      }
+    },
+    required: ['batchFile'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      // Dangerous mode, or an elevation granted for this call
+      const dangerousMode = elevationManager.isUnrestricted();
+      let validatedPath;
+
+      if (dangerousMode) {
+        // In dangerous mode, allow any path
+        if (!args.batchFile || typeof args.batchFile !== 'string') {
+          throw new Error('Batch file path is required');
+        }
+        validatedPath = args.batchFile;
+        logger.security('DANGEROUS MODE: Unrestricted batch file execution', { 
+          clientIP, 
+          batchFile: args.batchFile,
+          workingDirectory: args.workingDirectory
+        });
+      } else {
+        // Use the new validateBatchFilePath function from security module
+        validatedPath = security.validateBatchFilePath(args.batchFile);
+      }
+
+      const workingDir = args.workingDirectory || validatedPath.substring(0, validatedPath.lastIndexOf('\\'));
+
+      // Execute the batch file
+      result = await executeBuild('cmd.exe', ['/c', `cd /d "${workingDir}" && "${validatedPath}"`]);
+
+      logger.info('Batch file executed', { 
+        clientIP, 
+        batchFile: validatedPath,
+        workingDirectory: workingDir 
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'Batch execution', logger, clientIP, { batchFile: args.batchFile });
+    }
+
+    return result;
+  }
+};
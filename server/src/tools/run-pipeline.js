@@ -0,0 +1,77 @@
+/**
+ * run_pipeline tool - Run a declarative pipeline of tool calls
+ */
+
+const requestContext = require('../utils/request-context');
+const { createTextResult } = require('../utils/helpers');
+
+module.exports = {
+  name: 'run_pipeline',
+  category: 'system',
+  description: 'Run several tools as one pipeline: steps with arguments, when / onFailure conditions, ' +
+    'variables passed between steps ({{ steps.<id>.json.<field> }}) and per-step timeouts',
+  supportsAsync: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pipeline: {
+        type: ['object', 'string'],
+        description: 'Pipeline definition, as an object or as JSON / YAML text: ' +
+          '{ name?, variables?, steps: [{ id, tool, arguments?, when?, onFailure?, timeout?, capture? }] }'
+      },
+      variables: {
+        type: 'object',
+        description: 'Values for {{ vars.<name> }}, overriding the pipeline\'s own variables'
+      }
+    },
+    required: ['pipeline'],
+    additionalProperties: false
+  },
+
+  /**
+   * Arguments as a job record keeps them: a text definition is parsed so that
+   * secrets in its steps can be redacted, and dropped when it does not parse
+   */
+  storedArguments(args) {
+    if (typeof args.pipeline !== 'string') {
+      return args;
+    }
+    const pipelineRunner = require('../utils/pipeline-runner');
+    try {
+      return { ...args, pipeline: pipelineRunner.parse(args.pipeline) };
+    } catch (error) {
+      return { ...args, pipeline: '***' };
+    }
+  },
+
+  async handler(args, { clientIP }) {
+    // Required here: the runner dispatches through the tool registry, which loads this module
+    const pipelineRunner = require('../utils/pipeline-runner');
+
+    let pipeline;
+    try {
+      pipeline = pipelineRunner.parse(args.pipeline);
+    } catch (error) {
+      if (error instanceof pipelineRunner.PipelineError) {
+        return { ...createTextResult(error.message), isError: true };
+      }
+      throw error;
+    }
+
+    const current = requestContext.get() || {};
+    const outcome = await pipelineRunner.run(pipeline, args.variables || {}, {
+      clientIP,
+      transport: current.transport,
+      sessionId: current.sessionId,
+      token: current.token,
+      identity: current.identity,
+      notify: current.notify
+    });
+
+    return {
+      ...createTextResult(pipelineRunner.describe(outcome)),
+      ...(outcome.status === 'succeeded' ? {} : { isError: true }),
+      pipeline: outcome
+    };
+  }
+};
@@ -0,0 +1,225 @@
+/**
+ * run_powershell tool - Execute PowerShell commands with optional timeout
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const powershellExecutor = require('../utils/powershell-enhanced');
+const requestContext = require('../utils/request-context');
+const { createTextResult, getNumericEnv } = require('../utils/helpers');
+const { executeRemoteCommand } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'run_powershell',
+  category: 'system',
+  description: 'Execute PowerShell commands with optional timeout',
+  supportsAsync: true,
+
+  // Resolved on every tools/list so the advertised limits follow the current environment
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        command: { type: 'string' },
+        remoteHost: { type: 'string', description: 'Optional remote host IP (NordVPN mesh)' },
+        timeout: { 
+          type: 'number', 
+          description: `Command timeout in seconds (default: ${getNumericEnv('POWERSHELL_DEFAULT_TIMEOUT', 300)}, max: ${getNumericEnv('POWERSHELL_MAX_TIMEOUT', 1800)})`,
+          minimum: 1,
+          maximum: 1800
+        },
+        streaming: {
+          type: 'boolean',
+          description: 'Stream stdout/stderr chunks to the client as notifications/tools/output while the command runs (default: false)'
+        },
+        workingDirectory: {
+          type: 'string',
+          description: 'Working directory for the command'
+        }
+      },
+      required: ['command'],
+      additionalProperties: false
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      // CRITICAL UPDATE: Enhanced PowerShell execution with UTF-8 and streaming support
+      if (!args.command) {
+        throw new Error('Command is required for PowerShell execution');
+      }
+
+      const dangerousMode = elevationManager.isUnrestricted();
+      const startTime = Date.now();
+
+      // Enhanced command validation
+      let validatedCommand;
+      if (dangerousMode) {
+        validatedCommand = args.command;
+        logger.security('DANGEROUS MODE: Unrestricted PowerShell execution', { 
+          clientIP, 
+          command: args.command.substring(0, 100),
+          fullCommand: args.command.length
+        });
+      } else {
+        // Validate command using security module
+        const validation = powershellExecutor.validateCommand(args.command);
+        if (!validation.isValid) {
+          throw new Error(`Command validation failed: ${validation.warnings.join(', ')}`);
+        }
+
+        // Enhanced PowerShell validation for enterprise environments
+        const isEnterpriseMode = process.env.ENABLE_ENTERPRISE_DEV_MODE === 'true';
+        const enhancedPowerShell = process.env.ENABLE_ENHANCED_POWERSHELL === 'true';
+
+        if (isEnterpriseMode || enhancedPowerShell) {
+          try {
+            validatedCommand = security.validateEnhancedPowerShell(args.command);
+            logger.info('Enterprise PowerShell validation successful', { 
+              clientIP, 
+              commandLength: args.command.length,
+              enhancedFeatures: true
+            });
+          } catch (enterpriseError) {
+            // Fallback to standard validation if enterprise fails
+            logger.warn('Enterprise validation failed, falling back to standard', { 
+              clientIP, 
+              error: enterpriseError.message 
+            });
+            validatedCommand = security.validatePowerShellCommand(args.command);
+          }
+        } else {
+          validatedCommand = security.validatePowerShellCommand(args.command);
+        }
+      }
+
+      // Enhanced timeout handling with dotnet-aware defaults
+      const maxAllowedTimeout = getNumericEnv('MAX_ALLOWED_TIMEOUT', 3600000); // 60 minutes max
+      let defaultTimeout = getNumericEnv('POWERSHELL_DEFAULT_TIMEOUT', 300) * 1000; // Use PowerShell default timeout in milliseconds
+
+      // Increase default timeout for dotnet commands (initial compilation can be slow)
+      if (validatedCommand.toLowerCase().includes('dotnet')) {
+        defaultTimeout = Math.max(defaultTimeout, getNumericEnv('DOTNET_BUILD_TIMEOUT', 600000)); // Use .NET build timeout
+      }
+
+      const requestedTimeoutMs = args.timeout ? 
+        Math.min(parseInt(args.timeout) * 1000, maxAllowedTimeout) : 
+        defaultTimeout;
+
+      // Execution options
+      const execOptions = {
+        timeout: requestedTimeoutMs,
+        streaming: args.streaming || false,
+        workingDirectory: args.workingDirectory || null,
+        // Forward chunks to the client while the command is still running
+        onStream: (chunk) => requestContext.emitOutput(chunk.type, chunk.content)
+      };
+
+      // Handle remote execution
+      if (args.remoteHost) {
+        const validatedHost = security.validateIPAddress(args.remoteHost);
+        result = await executeRemoteCommand(validatedHost, validatedCommand);
+      } else {
+        // Execute with enhanced PowerShell executor (UTF-8 + streaming)
+        const execResult = await powershellExecutor.executePowerShellCommand(
+          validatedCommand, 
+          execOptions
+        );
+
+        // Create enhanced response with detailed information
+        const response = {
+          success: execResult.success,
+          exitCode: execResult.exitCode,
+          executionTime: execResult.executionTime,
+          timestamp: execResult.timestamp,
+          processId: execResult.processId,
+          command: execResult.command,
+          workingDirectory: execResult.workingDirectory
+        };
+
+        // Include output based on success/failure
+        if (execResult.success) {
+          response.output = execResult.stdout;
+          if (execResult.stderr && execResult.stderr.trim()) {
+            response.warnings = execResult.stderr;
+          }
+        } else {
+          response.error = {
+            code: 'POWERSHELL_EXECUTION_FAILED',
+            message: `PowerShell command failed with exit code ${execResult.exitCode}`,
+            details: {
+              stdout: execResult.stdout,
+              stderr: execResult.stderr,
+              exitCode: execResult.exitCode,
+              signal: execResult.signal,
+              executionTime: execResult.executionTime,
+              command: execResult.command,
+              workingDirectory: execResult.workingDirectory,
+              suggestions: [
+                'Check command syntax and permissions',
+                'Verify file paths and accessibility',
+                'Review PowerShell execution policy settings',
+                'Check for Japanese characters in file paths (encoding issue)'
+              ]
+            }
+          };
+        }
+
+        // Include streaming data if requested
+        if (args.streaming && execResult.streamingData) {
+          response.streamingData = execResult.streamingData;
+        }
+
+        result = createTextResult(JSON.stringify(response, null, 2));
+      }
+
+      logger.info('Enhanced PowerShell command executed', { 
+        clientIP, 
+        command: args.command.substring(0, 100),
+        success: result.success !== false,
+        executionTime: Date.now() - startTime,
+        dangerousMode,
+        streaming: args.streaming || false,
+        timeout: requestedTimeoutMs
+      });
+
+    } catch (error) {
+      // Enhanced error reporting for PowerShell failures
+      const errorResponse = {
+        error: {
+          code: 'POWERSHELL_COMMAND_ERROR',
+          message: error.message,
+          details: {
+            command: args.command?.substring(0, 200) + (args.command?.length > 200 ? '...' : ''),
+            timestamp: new Date().toISOString(),
+            clientIP,
+            suggestions: [
+              'Check command syntax and special character escaping',
+              'Verify PowerShell execution permissions',
+              'Use proper JSON escaping for complex commands',
+              'Consider using batch file execution for complex scripts'
+            ],
+            helpEndpoints: {
+              documentation: '/help/category/system',
+              troubleshooting: '/help/quick'
+            }
+          }
+        }
+      };
+
+      logger.error('PowerShell command failed with enhanced error', { 
+        clientIP, 
+        command: args.command?.substring(0, 100),
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      result = createTextResult(JSON.stringify(errorResponse, null, 2));
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * ssh_command tool - Execute command on remote Windows via SSH
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const elevationManager = require('../utils/elevation-manager');
+const { handleValidationError } = require('../utils/helpers');
+const { executeSSHCommand } = require('../utils/command-executor');
+
+module.exports = {
+  name: 'ssh_command',
+  category: 'network',
+  description: 'Execute command on remote Windows via SSH',
+  supportsAsync: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      host: { type: 'string' },
+      username: { type: 'string' },
+      password: { type: 'string' },
+      command: { type: 'string' }
+    },
+    required: ['host', 'username', 'password', 'command'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      const validatedCreds = security.validateSSHCredentials(args.host, args.username, args.password);
+
+      // Dangerous mode (or an elevation for this call) applies to SSH commands too
+      const dangerousMode = elevationManager.isUnrestricted();
+      let validatedCommand;
+
+      if (dangerousMode) {
+        validatedCommand = args.command;
+        logger.security('DANGEROUS MODE: Unrestricted SSH command execution', { 
+          clientIP, 
+          host: validatedCreds.host,
+          command: args.command.substring(0, 100),
+          fullCommand: args.command
+        });
+      } else {
+        validatedCommand = security.validatePowerShellCommand(args.command);
+      }
+
+      result = await executeSSHCommand(validatedCreds.host, validatedCreds.username, validatedCreds.password, validatedCommand);
+      logger.info('SSH command executed', { 
+        clientIP, 
+        host: validatedCreds.host, 
+        username: validatedCreds.username,
+        dangerousMode 
+      });
+    } catch (error) {
+      result = handleValidationError(error, 'SSH', logger, clientIP, { host: args.host });
+    }
+
+    return result;
+  }
+};
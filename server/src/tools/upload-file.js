@@ -0,0 +1,185 @@
+/**
+ * upload_file tool - Write a Base64 file into an allowed build path, in resumable chunks
+ * The inverse of encode_file_base64. Chunks are appended to <file>.<hash>.part next
+ * to the target; once totalSize bytes have arrived and their SHA-256 matches, the
+ * part file is renamed over the target, so readers never see a half-written file.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const { createTextResult, handleValidationError, getNumericEnv, hashFile, toLocalPath } = require('../utils/helpers');
+
+// Decoded bytes per call; keeps requests well under the 10mb JSON body limit
+const MAX_CHUNK_BYTES = 4 * 1024 * 1024;
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Part file of an upload; named after the final hash so different uploads to
+ * the same target do not mix
+ */
+function partPathOf(filePath, sha256) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${sha256.substring(0, 16)}.part`);
+}
+
+function uploadError(message, details) {
+  return {
+    ...createTextResult(JSON.stringify({ error: message, ...details }, null, 2)),
+    isError: true
+  };
+}
+
+module.exports = {
+  name: 'upload_file',
+  category: 'files',
+  description: 'Upload a file into an allowed build path as Base64 chunks; resumable by offset and verified by SHA-256',
+
+  // Resolved on every tools/list so the advertised limits follow the current environment
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        filePath: {
+          type: 'string',
+          description: 'Absolute target path (must be in allowed build directories)'
+        },
+        data: {
+          type: 'string',
+          description: `Base64 content of this chunk (at most ${MAX_CHUNK_BYTES} bytes decoded)`
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Byte offset of this chunk in the file (default: 0). Resume with nextOffset from the last response'
+        },
+        totalSize: {
+          type: 'integer',
+          minimum: 0,
+          maximum: getNumericEnv('FILE_UPLOAD_MAX_SIZE', 209715200),
+          description: 'Size of the complete file in bytes'
+        },
+        sha256: {
+          type: 'string',
+          pattern: '^[0-9a-fA-F]{64}$',
+          description: 'SHA-256 of the complete file; checked before the file is put in place'
+        },
+        chunkSha256: {
+          type: 'string',
+          pattern: '^[0-9a-fA-F]{64}$',
+          description: 'Optional SHA-256 of this chunk, checked before it is written'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing file (default: false)'
+        }
+      },
+      required: ['filePath', 'data', 'totalSize', 'sha256'],
+      additionalProperties: false
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      // Uploads never bypass path validation, not even in dangerous mode
+      const filePath = toLocalPath(security.validateBuildPath(args.filePath));
+      const sha256 = args.sha256.toLowerCase();
+      const offset = args.offset || 0;
+      const partPath = partPathOf(filePath, sha256);
+
+      if (!BASE64_PATTERN.test(args.data)) {
+        throw new Error('data is not valid Base64');
+      }
+
+      const chunk = Buffer.from(args.data, 'base64');
+      if (chunk.length > MAX_CHUNK_BYTES) {
+        throw new Error(`Chunk of ${chunk.length} bytes exceeds the maximum of ${MAX_CHUNK_BYTES} bytes`);
+      }
+      if (offset + chunk.length > args.totalSize) {
+        throw new Error(`Chunk ends at byte ${offset + chunk.length}, beyond totalSize ${args.totalSize}`);
+      }
+      if (args.chunkSha256 && crypto.createHash('sha256').update(chunk).digest('hex') !== args.chunkSha256.toLowerCase()) {
+        return uploadError('Chunk SHA-256 mismatch; resend the chunk', { nextOffset: offset });
+      }
+
+      if (fs.existsSync(filePath)) {
+        if (fs.statSync(filePath).isDirectory()) {
+          throw new Error(`Target is a directory: ${filePath}`);
+        }
+        if (!args.overwrite) {
+          throw new Error(`File already exists: ${filePath} (pass overwrite: true to replace it)`);
+        }
+      }
+
+      const received = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+      if (offset > received) {
+        return uploadError(`Chunk at offset ${offset} would leave a gap; ${received} bytes received so far`, {
+          filePath: args.filePath,
+          nextOffset: received
+        });
+      }
+
+      // Writing from offset also replaces a resent chunk whose response was lost
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const fd = fs.openSync(partPath, received === 0 ? 'w' : 'r+');
+      try {
+        fs.ftruncateSync(fd, offset);
+        fs.writeSync(fd, chunk, 0, chunk.length, offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      const nextOffset = offset + chunk.length;
+      if (nextOffset < args.totalSize) {
+        return createTextResult(JSON.stringify({
+          filePath: args.filePath,
+          received: nextOffset,
+          totalSize: args.totalSize,
+          nextOffset,
+          complete: false
+        }, null, 2));
+      }
+
+      const actual = await hashFile(partPath);
+      if (actual !== sha256) {
+        fs.rmSync(partPath, { force: true });
+        return uploadError('SHA-256 mismatch; the upload was discarded, start again from offset 0', {
+          filePath: args.filePath,
+          expected: sha256,
+          actual,
+          nextOffset: 0
+        });
+      }
+
+      fs.renameSync(partPath, filePath);
+
+      logger.security('File uploaded', {
+        clientIP,
+        filePath,
+        size: args.totalSize,
+        sha256,
+        overwrite: Boolean(args.overwrite)
+      });
+
+      result = createTextResult(JSON.stringify({
+        filePath: args.filePath,
+        received: args.totalSize,
+        totalSize: args.totalSize,
+        nextOffset,
+        complete: true,
+        sha256
+      }, null, 2));
+    } catch (error) {
+      result = {
+        ...handleValidationError(error, 'File upload', logger, clientIP, { filePath: args.filePath }),
+        isError: true
+      };
+    }
+
+    return result;
+  }
+};
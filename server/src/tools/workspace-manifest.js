@@ -0,0 +1,45 @@
+/**
+ * workspace_manifest tool - Hashes of the files in a build directory, for incremental pushes
+ */
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const workspaceSync = require('../utils/workspace-sync');
+const { createTextResult, handleValidationError, toLocalPath } = require('../utils/helpers');
+
+module.exports = {
+  name: 'workspace_manifest',
+  category: 'files',
+  description: 'List the files of a build directory with their SHA-256, so workspace_push can send only what changed',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      targetPath: {
+        type: 'string',
+        description: 'Directory on the build host (must be in allowed build directories)'
+      }
+    },
+    required: ['targetPath'],
+    additionalProperties: false
+  },
+
+  async handler(args, { clientIP }) {
+    try {
+      const files = await workspaceSync.manifest(toLocalPath(security.validateBuildPath(args.targetPath)));
+
+      return createTextResult(JSON.stringify({
+        targetPath: args.targetPath,
+        excludes: workspaceSync.excludes(),
+        fileCount: files.length,
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+        files
+      }, null, 2));
+    } catch (error) {
+      return {
+        ...handleValidationError(error, 'Workspace manifest', logger, clientIP, { targetPath: args.targetPath }),
+        isError: true
+      };
+    }
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * workspace_push tool - Sync source from the client into a build directory
+ * The client sends a tar, tar.gz or zip archive, or a git bundle, either inline as
+ * Base64 or as a file uploaded beforehand with upload_file. By default the archive is
+ * laid over the directory; a mirror push also deletes what the archive lacks, and an
+ * incremental push only carries the files that differ from workspace_manifest plus a
+ * list of deletions.
+ */
+
+const fs = require('fs');
+
+const security = require('../utils/security');
+const logger = require('../utils/logger');
+const workspaceSync = require('../utils/workspace-sync');
+const { createTextResult, handleValidationError, getNumericEnv, toLocalPath } = require('../utils/helpers');
+
+// Inline archives share the 10mb JSON body limit with their Base64 overhead
+const MAX_INLINE_BYTES = 4 * 1024 * 1024;
+
+module.exports = {
+  name: 'workspace_push',
+  category: 'files',
+  description: 'Extract a tar/zip archive or git bundle from the client into an allowed build path, as an overlay, mirror or incremental update',
+
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        targetPath: {
+          type: 'string',
+          description: 'Directory to sync into (must be in allowed build directories)'
+        },
+        format: {
+          type: 'string',
+          enum: workspaceSync.FORMATS,
+          description: 'Archive format'
+        },
+        data: {
+          type: 'string',
+          description: `Base64 archive (at most ${MAX_INLINE_BYTES} bytes decoded); use archivePath for larger ones`
+        },
+        archivePath: {
+          type: 'string',
+          description: `Archive previously sent with upload_file (at most ${getNumericEnv('WORKSPACE_PUSH_MAX_SIZE', 209715200)} bytes)`
+        },
+        sha256: {
+          type: 'string',
+          pattern: '^[0-9a-fA-F]{64}$',
+          description: 'SHA-256 of the archive; nothing is extracted unless it matches'
+        },
+        mode: {
+          type: 'string',
+          enum: workspaceSync.MODES,
+          description: 'overlay: write the archived files, delete nothing (default). mirror: also delete files the archive lacks ' +
+            '(not allowed on an allowed build directory itself). incremental: write the archived files and remove deletions'
+        },
+        deletions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Relative paths to delete in incremental mode'
+        },
+        ref: {
+          type: 'string',
+          pattern: workspaceSync.REF_PATTERN.source,
+          description: 'git-bundle only: ref to check out (default: HEAD)'
+        }
+      },
+      required: ['targetPath', 'format', 'sha256'],
+      additionalProperties: false
+    };
+  },
+
+  async handler(args, { clientIP }) {
+    let result;
+
+    try {
+      if (Boolean(args.data) === Boolean(args.archivePath)) {
+        throw new Error('Provide exactly one of data or archivePath');
+      }
+
+      let archive;
+      let archivePath;
+      if (args.data) {
+        archive = Buffer.from(args.data, 'base64');
+        if (archive.length > MAX_INLINE_BYTES) {
+          throw new Error(`Inline archive of ${archive.length} bytes exceeds ${MAX_INLINE_BYTES} bytes; upload it with upload_file and pass archivePath`);
+        }
+      } else {
+        archivePath = toLocalPath(security.validateBuildPath(args.archivePath));
+        if (!fs.existsSync(archivePath)) {
+          throw new Error(`Archive not found: ${args.archivePath}`);
+        }
+      }
+
+      const summary = await workspaceSync.apply({
+        targetPath: args.targetPath,
+        format: args.format,
+        archive,
+        archivePath,
+        sha256: args.sha256,
+        mode: args.mode,
+        deletions: args.deletions,
+        ref: args.ref
+      });
+
+      logger.security('Workspace pushed', {
+        clientIP,
+        targetPath: args.targetPath,
+        format: args.format,
+        mode: summary.mode,
+        sha256: summary.sha256
+      });
+
+      result = createTextResult(JSON.stringify(summary, null, 2));
+    } catch (error) {
+      result = {
+        ...handleValidationError(error, 'Workspace push', logger, clientIP, { targetPath: args.targetPath }),
+        isError: true
+      };
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * Access Tokens - Short-lived signed tokens issued by POST /auth/refresh
+ * A token is mcp1.<payload>.<signature>: base64url JSON { jti, sub, knd, fpr, iat, exp }
+ * signed with HMAC-SHA256 under ACCESS_TOKEN_SECRET. Revoked token ids are kept in
+ * MCP_REVOKED_TOKENS_FILE until the tokens would have expired anyway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getNumericEnv } = require('./helpers');
+
+const PREFIX = 'mcp1';
+const DEFAULT_TTL = 900;
+
+class AccessTokens {
+  constructor() {
+    this.revokedFile = process.env.MCP_REVOKED_TOKENS_FILE || path.join(__dirname, '..', 'auth', 'revoked-tokens.json');
+    // Token id -> expiry (seconds since the epoch)
+    this.revoked = null;
+    this.generatedSecret = null;
+  }
+
+  /**
+   * Signing key; without ACCESS_TOKEN_SECRET a random one, so tokens end with the process
+   */
+  secret() {
+    if (process.env.ACCESS_TOKEN_SECRET) {
+      return process.env.ACCESS_TOKEN_SECRET;
+    }
+    if (!this.generatedSecret) {
+      this.generatedSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('ACCESS_TOKEN_SECRET is not set; access tokens are signed with a random key and stop working on restart');
+    }
+    return this.generatedSecret;
+  }
+
+  /**
+   * Lifetime in seconds: the requested one, capped at ACCESS_TOKEN_TTL
+   */
+  lifetime(requested) {
+    const max = getNumericEnv('ACCESS_TOKEN_TTL', DEFAULT_TTL);
+    const seconds = Number(requested);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.min(Math.floor(seconds), max) : max;
+  }
+
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(`${PREFIX}.`);
+  }
+
+  /**
+   * Issue an access token
+   * @param {string} subject - Name of the token holder
+   * @param {string} kind - 'legacy' (MCP_AUTH_TOKEN) or 'named' (tokens file)
+   * @param {string} fingerprint - Fingerprint of the credential it was exchanged for (job ownership)
+   * @param {number} [ttl] - Requested lifetime in seconds
+   * @returns {Object} - { token, tokenId, expiresIn, expiresAt }
+   */
+  issue(subject, kind, fingerprint, ttl) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = this.lifetime(ttl);
+    const payload = { jti: crypto.randomUUID(), sub: subject, knd: kind, fpr: fingerprint, iat: now, exp: now + expiresIn };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    logger.security('Access token issued', { tokenName: subject, tokenId: payload.jti, expiresIn });
+    return {
+      token: `${PREFIX}.${encoded}.${this.sign(encoded)}`,
+      tokenId: payload.jti,
+      expiresIn,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  sign(encoded) {
+    return crypto.createHmac('sha256', this.secret()).update(`${PREFIX}.${encoded}`).digest('base64url');
+  }
+
+  /**
+   * Payload of a token with a valid signature, expired or not
+   * @returns {Object|null}
+   */
+  decode(token) {
+    if (!this.isAccessToken(token)) {
+      return null;
+    }
+    const [, encoded, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(encoded || ''));
+    const provided = Buffer.from(signature || '');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+      return payload && typeof payload.jti === 'string' && Number.isFinite(payload.exp) ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Payload of a token that is signed, unexpired and not revoked
+   * @returns {Object|null}
+   */
+  verify(token) {
+    const payload = this.decode(token);
+    if (!payload || payload.exp <= Date.now() / 1000 || this.isRevoked(payload.jti)) {
+      return null;
+    }
+    return payload;
+  }
+
+  isRevoked(tokenId) {
+    this.ensureLoaded();
+    return this.revoked.has(tokenId);
+  }
+
+  /**
+   * Add a token id to the revocation list
+   * @param {string} tokenId - jti of the token
+   * @param {number} [expiresAt] - Its expiry in seconds; unknown ids are kept for the longest lifetime
+   */
+  revoke(tokenId, expiresAt) {
+    this.ensureLoaded();
+    const exp = Number.isFinite(expiresAt) ? expiresAt : Math.floor(Date.now() / 1000) + this.lifetime();
+    this.revoked.set(tokenId, exp);
+    this.save();
+    logger.security('Access token revoked', { tokenId, expiresAt: new Date(exp * 1000).toISOString() });
+  }
+
+  /**
+   * Revocation list, without ids whose tokens have expired
+   * @returns {Array<Object>} - [{ tokenId, expiresAt }]
+   */
+  listRevoked() {
+    this.ensureLoaded();
+    this.prune();
+    return [...this.revoked].map(([tokenId, exp]) => ({ tokenId, expiresAt: new Date(exp * 1000).toISOString() }));
+  }
+
+  ensureLoaded() {
+    if (this.revoked) {
+      return;
+    }
+
+    this.revoked = new Map();
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.revokedFile, 'utf8'));
+      Object.entries(entries).forEach(([tokenId, exp]) => this.revoked.set(tokenId, exp));
+      this.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load revoked access tokens', { file: this.revokedFile, error: error.message });
+      }
+    }
+  }
+
+  prune() {
+    const now = Date.now() / 1000;
+    this.revoked.forEach((exp, tokenId) => {
+      if (exp <= now) {
+        this.revoked.delete(tokenId);
+      }
+    });
+  }
+
+  save() {
+    this.prune();
+    try {
+      fs.mkdirSync(path.dirname(this.revokedFile), { recursive: true });
+      const tempPath = `${this.revokedFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.revoked)));
+      fs.renameSync(tempPath, this.revokedFile);
+    } catch (error) {
+      logger.error('Failed to save revoked access tokens', { file: this.revokedFile, error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AccessTokens();
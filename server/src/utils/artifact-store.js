@@ -0,0 +1,358 @@
+/**
+ * Artifact Store - Content-addressed build outputs
+ * A build tool called with artifacts: [...] has the matching output files stored
+ * under ARTIFACT_STORE_DIR after a successful build: each file once, as
+ * objects/<sha256[0..2]>/<sha256>, plus a manifest per build recording the tool,
+ * its arguments, the source commit and the stored files. Old manifests are
+ * removed by the retention policy and unreferenced objects garbage-collected.
+ * A manifest also records the token that ran the build and its path arguments; tokens
+ * only see their own builds inside their allowed paths, admins see every build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const jobManager = require('./job-manager');
+const authManager = require('./auth-manager');
+const { getNumericEnv, findFiles, isFailedResult, hashFile } = require('./helpers');
+
+const MANIFEST_ID_PATTERN = /^art-[\w-]+$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+class ArtifactStore {
+  constructor() {
+    this.storeDir = process.env.ARTIFACT_STORE_DIR || path.join(__dirname, '..', 'artifacts');
+    // sha256 -> number of stores still writing a manifest that refers to it; gc keeps these objects
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Store the declared outputs of a finished build
+   * @param {Object} tool - Tool module; tool.artifactRoot(args) overrides where outputs are looked up
+   * @param {Object} args - Arguments the tool ran with
+   * @param {Array<string>} patterns - Glob patterns relative to the output root
+   * @param {Object} result - Tool result
+   * @param {Object} context - { requestId, identity, arguments (as called, when args point at an isolated copy) }
+   * @returns {Promise<Object>} - Result with the stored manifest appended (unchanged for failed builds)
+   */
+  async collect(tool, args, patterns, result, context = {}) {
+    if (isFailedResult(result)) {
+      return result;
+    }
+
+    let manifest;
+    try {
+      const root = this.outputRoot(tool, args);
+      manifest = await this.store({
+        tool: tool.name,
+        arguments: jobManager.redact(context.arguments || args),
+        owner: context.identity ? context.identity.name : null,
+        sourcePaths: authManager.pathArguments(context.arguments || args).map(([, value]) => value),
+        commit: this.readCommit(root),
+        requestId: context.requestId,
+        root,
+        files: findFiles(root, patterns)
+      });
+    } catch (error) {
+      logger.error('Failed to store build artifacts', { tool: tool.name, error: error.message });
+      return {
+        ...result,
+        content: [...(result.content || []), { type: 'text', text: `Artifacts were not stored: ${error.message}` }]
+      };
+    }
+
+    const listing = manifest.files.map(file => `  ${file.path} (${file.size} bytes, sha256 ${file.sha256})`).join('\n');
+    return {
+      ...result,
+      content: [...(result.content || []), {
+        type: 'text',
+        text: manifest.files.length > 0 ?
+          `Stored ${manifest.files.length} artifacts as ${manifest.id}:\n${listing}` :
+          `No artifacts matched; empty manifest ${manifest.id} stored`
+      }],
+      artifacts: { id: manifest.id, files: manifest.files }
+    };
+  }
+
+  /**
+   * Directory a tool's outputs are matched in: tool.artifactRoot(args), or the project directory
+   */
+  outputRoot(tool, args) {
+    if (typeof tool.artifactRoot === 'function') {
+      return tool.artifactRoot(args);
+    }
+
+    const projectPath = path.resolve(args.projectPath);
+    return fs.statSync(projectPath).isFile() ? path.dirname(projectPath) : projectPath;
+  }
+
+  /**
+   * Hash and store files and write their manifest
+   * @param {Object} build - { tool, arguments, owner, sourcePaths, commit, requestId, root, files: relative paths }
+   * @returns {Promise<Object>} - Manifest
+   */
+  async store(build) {
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const manifest = {
+      id: `art-${timestamp}-${crypto.randomBytes(4).toString('hex')}`,
+      tool: build.tool,
+      arguments: build.arguments,
+      owner: build.owner || null,
+      sourcePaths: build.sourcePaths || [],
+      commit: build.commit,
+      requestId: build.requestId !== undefined ? build.requestId : null,
+      createdAt: new Date().toISOString(),
+      files: []
+    };
+    const held = [];
+    try {
+      // One file at a time, so a large build does not open all its outputs at once
+      for (const relative of build.files) {
+        manifest.files.push(await this.storeFile(path.join(build.root, ...relative.split('/')), relative, held));
+      }
+      manifest.totalBytes = manifest.files.reduce((sum, file) => sum + file.size, 0);
+
+      fs.mkdirSync(this.manifestDir(), { recursive: true });
+      const manifestPath = this.manifestPath(manifest.id);
+      fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+      fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+    } finally {
+      held.forEach(sha256 => this.release(sha256));
+    }
+
+    logger.info('Build artifacts stored', { id: manifest.id, tool: manifest.tool, files: manifest.files.length });
+    this.gc();
+    return manifest;
+  }
+
+  /**
+   * Copy a file into the object store unless its content is already there
+   * The object is held against gc until the caller releases the hashes in held.
+   * @returns {Promise<Object>} - { path, sha256, size }
+   */
+  async storeFile(filePath, relative, held = []) {
+    const sha256 = await hashFile(filePath);
+    this.inFlight.set(sha256, (this.inFlight.get(sha256) || 0) + 1);
+    held.push(sha256);
+    const { size } = await fs.promises.stat(filePath);
+
+    const objectPath = this.objectPath(sha256);
+    if (!fs.existsSync(objectPath)) {
+      await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+      const tempPath = `${objectPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.copyFile(filePath, tempPath);
+      await fs.promises.rename(tempPath, objectPath);
+    }
+
+    return { path: relative, sha256, size };
+  }
+
+  release(sha256) {
+    const count = this.inFlight.get(sha256) - 1;
+    if (count > 0) {
+      this.inFlight.set(sha256, count);
+    } else {
+      this.inFlight.delete(sha256);
+    }
+  }
+
+  /**
+   * Whether a caller may see a stored build: admins (and everyone without authentication)
+   * see all builds, a token only its own builds whose paths are inside its allowed paths
+   * @param {Object} manifest - Manifest
+   * @param {Object|null} identity - Caller's identity
+   * @returns {boolean}
+   */
+  isVisible(manifest, identity) {
+    if (authManager.isAdmin(identity)) {
+      return true;
+    }
+    if (manifest.owner !== identity.name) {
+      return false;
+    }
+    return !identity.paths || (manifest.sourcePaths || []).every(value => authManager.isUnderPrefixes(identity.paths, value));
+  }
+
+  /**
+   * Whether a stored file belongs to a build the caller may see
+   */
+  isFileVisible(sha256, identity) {
+    return this.manifests().some(manifest => this.isVisible(manifest, identity) &&
+      manifest.files.some(file => file.sha256 === sha256));
+  }
+
+  /**
+   * Stored builds the caller may see, newest first
+   * @param {Object} filter - { tool, commit, limit }
+   * @param {Object|null} identity - Caller's identity
+   * @returns {Array<Object>} - Manifest summaries
+   */
+  list(filter = {}, identity = null) {
+    return this.manifests()
+      .filter(manifest => this.isVisible(manifest, identity))
+      .filter(manifest => (!filter.tool || manifest.tool === filter.tool) &&
+        (!filter.commit || (manifest.commit && manifest.commit.startsWith(filter.commit))))
+      .slice(0, filter.limit || 50)
+      .map(({ files, ...summary }) => ({ ...summary, fileCount: files.length }));
+  }
+
+  /**
+   * Manifest of a stored build
+   * @param {string} id - Manifest id
+   * @param {Object|null} identity - Caller's identity
+   * @returns {Object|null} - Null if unknown or not visible to the caller
+   */
+  get(id, identity = null) {
+    if (!MANIFEST_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath(id), 'utf8'));
+      return this.isVisible(manifest, identity) ? manifest : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read part of a stored file
+   * @param {string} sha256 - Content hash
+   * @param {number} offset - Byte offset
+   * @param {number} length - Maximum bytes
+   * @returns {Object|null} - { sha256, size, offset, length, data (Buffer), complete } or null if unknown
+   */
+  read(sha256, offset = 0, length = 1024 * 1024) {
+    if (!SHA256_PATTERN.test(sha256) || !fs.existsSync(this.objectPath(sha256))) {
+      return null;
+    }
+
+    const objectPath = this.objectPath(sha256);
+    const size = fs.statSync(objectPath).size;
+    const start = Math.min(offset, size);
+    const data = Buffer.alloc(Math.min(length, size - start));
+
+    if (data.length > 0) {
+      const fd = fs.openSync(objectPath, 'r');
+      try {
+        fs.readSync(fd, data, 0, data.length, start);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+
+    return { sha256, size, offset: start, length: data.length, data, complete: start + data.length >= size };
+  }
+
+  /**
+   * Apply the retention policy and delete objects no manifest refers to
+   * Objects of stores still in progress are kept. Keeps the newest ARTIFACT_RETENTION builds, and only those younger than
+   * ARTIFACT_MAX_AGE_DAYS when it is set.
+   * @returns {Object} - { manifests, objects } removed
+   */
+  gc() {
+    const retention = getNumericEnv('ARTIFACT_RETENTION', 50);
+    const maxAgeDays = getNumericEnv('ARTIFACT_MAX_AGE_DAYS', 0);
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const removed = { manifests: 0, objects: 0 };
+
+    const manifests = this.manifests();
+    const expired = manifests.filter((manifest, index) =>
+      index >= retention || (cutoff !== null && Date.parse(manifest.createdAt) < cutoff));
+
+    expired.forEach(manifest => {
+      fs.rmSync(this.manifestPath(manifest.id), { force: true });
+      removed.manifests++;
+    });
+
+    const referenced = new Set(this.inFlight.keys());
+    manifests.filter(manifest => !expired.includes(manifest))
+      .forEach(manifest => manifest.files.forEach(file => referenced.add(file.sha256)));
+
+    const objectsDir = path.join(this.storeDir, 'objects');
+    if (fs.existsSync(objectsDir)) {
+      fs.readdirSync(objectsDir).forEach(prefix => {
+        fs.readdirSync(path.join(objectsDir, prefix))
+          .filter(name => SHA256_PATTERN.test(name) && !referenced.has(name))
+          .forEach(name => {
+            fs.rmSync(path.join(objectsDir, prefix, name), { force: true });
+            removed.objects++;
+          });
+      });
+    }
+
+    if (removed.manifests > 0 || removed.objects > 0) {
+      logger.info('Artifact store garbage-collected', removed);
+    }
+    return removed;
+  }
+
+  /**
+   * All manifests, newest first
+   */
+  manifests() {
+    if (!fs.existsSync(this.manifestDir())) {
+      return [];
+    }
+
+    return fs.readdirSync(this.manifestDir())
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.get(name.replace(/\.json$/, '')))
+      .filter(Boolean)
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Commit checked out in the repository containing dir, read from .git without running git
+   * @returns {string|null}
+   */
+  readCommit(dir) {
+    let current = path.resolve(dir);
+
+    for (;;) {
+      const gitDir = path.join(current, '.git');
+      if (fs.existsSync(gitDir)) {
+        try {
+          const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+          if (!head.startsWith('ref: ')) {
+            return head;
+          }
+
+          const ref = head.substring(5);
+          const refPath = path.join(gitDir, ...ref.split('/'));
+          if (fs.existsSync(refPath)) {
+            return fs.readFileSync(refPath, 'utf8').trim();
+          }
+
+          const packed = fs.readFileSync(path.join(gitDir, 'packed-refs'), 'utf8')
+            .split('\n').find(line => line.endsWith(` ${ref}`));
+          return packed ? packed.split(' ')[0] : null;
+        } catch (error) {
+          return null;
+        }
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+
+  manifestDir() {
+    return path.join(this.storeDir, 'manifests');
+  }
+
+  manifestPath(id) {
+    return path.join(this.manifestDir(), `${id}.json`);
+  }
+
+  objectPath(sha256) {
+    return path.join(this.storeDir, 'objects', sha256.substring(0, 2), sha256);
+  }
+}
+
+// Export singleton instance
+module.exports = new ArtifactStore();
@@ -1,13 +1,43 @@
 /**
  * Authentication Manager - Secure and stable token management
  * Fixes the issue of token invalidation within the same session
+ * Besides MCP_AUTH_TOKEN, MCP_TOKENS_FILE can name a JSON file of named tokens, each
+ * with a role and optional allow lists of tools, path prefixes and remote hosts.
+ * Any of these long-lived credentials can be exchanged for short-lived access tokens.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const accessTokens = require('./access-tokens');
+const { globToRegExp, getNumericEnv } = require('./helpers');
+
+const ROLES = ['read-only', 'builder', 'admin'];
+const DEFAULT_ROLE = 'builder';
+
+// Tool arguments naming files or directories on this host
+const PATH_ARGUMENTS = [
+  'projectPath', 'contextPath', 'filePath', 'targetPath', 'archivePath', 'batchFile',
+  'workingDirectory', 'source', 'destination', 'outputPath', 'outputDir', 'buildDir'
+];
+// ...of which relative values are resolved inside the project
+const PROJECT_RELATIVE_ARGUMENTS = ['outputPath', 'outputDir', 'buildDir'];
+const HOST_ARGUMENTS = ['remoteHost', 'host'];
+
+// MCP_AUTH_TOKEN keeps full access alongside named tokens; its name is reserved
+const LEGACY_IDENTITY = Object.freeze({ name: 'default', role: 'admin', tools: null, paths: null, hosts: null });
+const SUBJECT_KINDS = ['legacy', 'named'];
+
 class AuthManager {
   constructor() {
     // Initialize auth token once at startup
     this.authToken = null;
     this.isEnabled = false;
+    // SHA-256 of each named token -> identity
+    this.tokens = new Map();
+    // SHA-256 of a rotated-out token -> end of its grace period (ms)
+    this.graceUntil = new Map();
+    this.tokensFile = null;
     this.initializeAuth();
     
     // Freeze the instance to prevent modification
@@ -29,6 +59,108 @@ class AuthManager {
       this.isEnabled = false;
       console.log('⚠️  Authentication disabled - no valid token provided');
     }
+
+    if (process.env.MCP_TOKENS_FILE) {
+      this.loadTokensFile(process.env.MCP_TOKENS_FILE);
+    }
+  }
+
+  /**
+   * Load named tokens: { "tokens": [{ name, token | sha256, role?, tools?, paths?, hosts?, previous? }] }
+   * previous lists rotated-out tokens still accepted: [{ sha256, until }].
+   * A file that cannot be read or is invalid loads no tokens but still enables authentication.
+   */
+  loadTokensFile(filePath) {
+    this.tokensFile = path.resolve(filePath);
+    this.isEnabled = true;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.tokensFile, 'utf8'));
+      const entries = Array.isArray(content) ? content : content.tokens;
+      if (!Array.isArray(entries)) {
+        throw new Error('expected a "tokens" array');
+      }
+
+      const tokens = new Map();
+      const graceUntil = new Map();
+      entries.forEach((entry, index) => {
+        const { hash, identity, previous } = this.createIdentity(entry, index);
+        if (tokens.has(hash) || [...tokens.values()].some(existing => existing.name === identity.name)) {
+          throw new Error(`tokens[${index}]: duplicate token or name '${identity.name}'`);
+        }
+        tokens.set(hash, identity);
+        previous.filter(({ until }) => until > Date.now()).forEach(({ hash: previousHash, until }) => {
+          tokens.set(previousHash, identity);
+          graceUntil.set(previousHash, until);
+        });
+      });
+
+      tokens.forEach((identity, hash) => this.tokens.set(hash, identity));
+      graceUntil.forEach((until, hash) => this.graceUntil.set(hash, until));
+      console.log(`🔐 ${entries.length} named token(s) loaded from ${this.tokensFile}`);
+    } catch (error) {
+      console.error(`❌ Tokens file ${this.tokensFile} not loaded, its tokens are rejected: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate one tokens file entry
+   * @returns {Object} - { hash, identity, previous: [{ hash, until }] }
+   */
+  createIdentity(entry, index) {
+    const where = `tokens[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where}: expected an object`);
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`${where}: name is required`);
+    }
+    if (entry.name.trim() === LEGACY_IDENTITY.name) {
+      throw new Error(`${where}: the name '${LEGACY_IDENTITY.name}' is reserved for MCP_AUTH_TOKEN`);
+    }
+
+    let hash;
+    if (typeof entry.token === 'string' && entry.token.length > 0) {
+      hash = this.hashToken(entry.token);
+    } else if (typeof entry.sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.sha256)) {
+      hash = entry.sha256.toLowerCase();
+    } else {
+      throw new Error(`${where}: token or sha256 (64 hex characters) is required`);
+    }
+
+    const role = entry.role === undefined ? DEFAULT_ROLE : entry.role;
+    if (!ROLES.includes(role)) {
+      throw new Error(`${where}: role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const list = key => {
+      if (entry[key] === undefined) {
+        return null;
+      }
+      if (!Array.isArray(entry[key]) || entry[key].some(item => typeof item !== 'string' || !item)) {
+        throw new Error(`${where}: ${key} must be an array of strings`);
+      }
+      return Object.freeze([...entry[key]]);
+    };
+    const paths = list('paths');
+    if (paths && paths.some(prefix => !path.win32.isAbsolute(prefix))) {
+      throw new Error(`${where}: paths must be absolute`);
+    }
+
+    const previous = entry.previous === undefined ? [] : entry.previous;
+    if (!Array.isArray(previous) || previous.some(item => !item || !/^[0-9a-f]{64}$/i.test(item.sha256) || isNaN(Date.parse(item.until)))) {
+      throw new Error(`${where}: previous must be an array of { sha256, until }`);
+    }
+
+    return {
+      hash,
+      identity: Object.freeze({ name: entry.name.trim(), role, tools: list('tools'), paths, hosts: list('hosts') }),
+      previous: previous.map(item => ({ hash: item.sha256.toLowerCase(), until: Date.parse(item.until) }))
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
   }
   
   /**
@@ -70,8 +202,218 @@ class AuthManager {
       return false;
     }
     
+    return this.authenticate(providedToken) !== null;
+  }
+
+  /**
+   * Identify the holder of a token
+   * @param {string} providedToken - Token from request header
+   * @returns {Object|null} - { name, role, tools, paths, hosts } (null lists are unrestricted), or null if unknown
+   */
+  authenticate(providedToken) {
+    if (!providedToken || typeof providedToken !== 'string') {
+      return null;
+    }
+
+    if (accessTokens.isAccessToken(providedToken)) {
+      const payload = accessTokens.verify(providedToken);
+      const identity = payload && SUBJECT_KINDS.includes(payload.knd) ? this.findIdentity(payload.sub, payload.knd) : null;
+      return identity && this.isCurrentCredential(identity, payload.fpr) ? identity : null;
+    }
+
     // Use constant-time comparison to prevent timing attacks
-    return this.secureCompare(providedToken, this.authToken);
+    if (this.authToken && this.secureCompare(providedToken, this.authToken)) {
+      return LEGACY_IDENTITY;
+    }
+
+    // Named tokens are looked up by hash, so the lookup does not depend on the token's characters
+    const hash = this.hashToken(providedToken);
+    const until = this.graceUntil.get(hash);
+    if (until !== undefined && until <= Date.now()) {
+      return null;
+    }
+    return this.tokens.get(hash) || null;
+  }
+
+  /**
+   * Current identity of a token holder by name (access tokens name their holder)
+   * @param {string} name - Token name
+   * @param {string} [kind] - 'legacy' or 'named'; either when omitted
+   */
+  findIdentity(name, kind) {
+    if (kind !== 'named' && name === LEGACY_IDENTITY.name && this.authToken) {
+      return LEGACY_IDENTITY;
+    }
+    if (kind === 'legacy') {
+      return null;
+    }
+    return [...this.tokens.values()].find(identity => identity.name === name) || null;
+  }
+
+  /**
+   * Whether a credential fingerprint is still accepted for an identity: its current
+   * token, or a rotated-out one in its grace period. An access token ends with the
+   * credential it was exchanged for.
+   */
+  isCurrentCredential(identity, fingerprint) {
+    if (identity === LEGACY_IDENTITY) {
+      return this.getTokenFingerprint(this.authToken) === fingerprint;
+    }
+    return [...this.tokens].some(([hash, holder]) => holder === identity && hash.substring(0, 16) === fingerprint &&
+      !(this.graceUntil.get(hash) <= Date.now()));
+  }
+
+  /**
+   * Whether an identity is MCP_AUTH_TOKEN ('legacy') or from the tokens file ('named')
+   */
+  subjectKind(identity) {
+    return identity === LEGACY_IDENTITY ? 'legacy' : 'named';
+  }
+
+  /**
+   * Exchange a long-lived credential for a short-lived access token
+   * @param {string} credential - MCP_AUTH_TOKEN or a named token (not an access token)
+   * @param {number} [ttl] - Requested lifetime in seconds
+   * @returns {Object|null} - { token, tokenId, expiresIn, expiresAt, identity }, or null if the credential is invalid
+   */
+  issueAccessToken(credential, ttl) {
+    const identity = accessTokens.isAccessToken(credential) ? null : this.authenticate(credential);
+    if (!identity) {
+      return null;
+    }
+    return {
+      ...accessTokens.issue(identity.name, this.subjectKind(identity), this.getTokenFingerprint(credential), ttl),
+      identity
+    };
+  }
+
+  /**
+   * Replace a named token with a new random one; the old one stays valid for graceSeconds
+   * The tokens file is rewritten with the new token's SHA-256 only.
+   * @param {string} name - Token name
+   * @param {number} [graceSeconds] - Defaults to TOKEN_ROTATION_GRACE (3600)
+   * @returns {Object} - { name, token, previousValidUntil }
+   */
+  rotateToken(name, graceSeconds) {
+    if (!this.tokensFile) {
+      throw new Error('Token rotation needs MCP_TOKENS_FILE; MCP_AUTH_TOKEN is changed in the environment');
+    }
+
+    const content = JSON.parse(fs.readFileSync(this.tokensFile, 'utf8'));
+    const entries = Array.isArray(content) ? content : content.tokens;
+    const entry = entries.find(item => item && typeof item.name === 'string' && item.name.trim() === name);
+    const identity = this.findIdentity(name);
+    if (!entry || !identity || identity === LEGACY_IDENTITY) {
+      throw new Error(`No token named '${name}' in ${this.tokensFile}`);
+    }
+
+    const grace = Number.isFinite(graceSeconds) && graceSeconds >= 0 ? graceSeconds : getNumericEnv('TOKEN_ROTATION_GRACE', 3600);
+    const until = Date.now() + grace * 1000;
+    const token = crypto.randomBytes(32).toString('hex');
+    const oldHash = typeof entry.token === 'string' ? this.hashToken(entry.token) : entry.sha256.toLowerCase();
+
+    delete entry.token;
+    entry.sha256 = this.hashToken(token);
+    entry.previous = (entry.previous || [])
+      .filter(item => Date.parse(item.until) > Date.now())
+      .concat(grace > 0 ? [{ sha256: oldHash, until: new Date(until).toISOString() }] : []);
+
+    const tempPath = `${this.tokensFile}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(content, null, 2));
+    fs.renameSync(tempPath, this.tokensFile);
+
+    this.tokens.set(entry.sha256, identity);
+    this.graceUntil.set(oldHash, until);
+    return { name, token, previousValidUntil: new Date(until).toISOString() };
+  }
+
+  /**
+   * Admin endpoints need the admin role; without authentication everything is allowed
+   */
+  isAdmin(identity) {
+    return !identity || identity.role === 'admin';
+  }
+
+  /**
+   * Whether a token may see and call a tool at all (role and tool list)
+   */
+  canUseTool(identity, tool) {
+    if (!identity) {
+      return true;
+    }
+    if (identity.role === 'read-only' && !(tool.annotations && tool.annotations.readOnlyHint)) {
+      return false;
+    }
+    return !identity.tools || identity.tools.some(pattern => globToRegExp(pattern).test(tool.name));
+  }
+
+  /**
+   * Check a tool call against a token's role and allow lists
+   * @param {Object|null} identity - From authenticate(); null when authentication is disabled
+   * @param {Object} tool - Registered tool
+   * @param {Object} args - Tool arguments
+   * @param {Object} [elevation] - Grant covering the call (elevation-manager): it allows the tool
+   *   and adds its paths to the token's; the token's host list still applies
+   * @returns {string|null} - Why the call is denied, or null if it is allowed
+   */
+  authorizeToolCall(identity, tool, args, elevation = null) {
+    if (!identity) {
+      return null;
+    }
+    if (!elevation && !this.canUseTool(identity, tool)) {
+      return `token '${identity.name}' (${identity.role}) may not call ${tool.name}`;
+    }
+
+    const paths = identity.paths && elevation && elevation.paths ? [...identity.paths, ...elevation.paths] : identity.paths;
+    if (paths) {
+      const denied = this.pathArguments(args).find(([, value]) => !this.isUnderPrefixes(paths, value));
+      if (denied) {
+        return `token '${identity.name}' may not use ${denied[0]} ${denied[1]}: outside its allowed paths`;
+      }
+    }
+
+    if (identity.hosts) {
+      const hosts = HOST_ARGUMENTS.filter(key => typeof args[key] === 'string' && args[key])
+        .map(key => args[key]);
+      if (typeof args.url === 'string') {
+        try {
+          hosts.push(new URL(args.url).hostname);
+        } catch (error) {
+          hosts.push(args.url);
+        }
+      }
+      const denied = hosts.find(host => !identity.hosts.some(pattern => globToRegExp(pattern).test(host)));
+      if (denied) {
+        return `token '${identity.name}' may not connect to ${denied}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Path arguments of a tool call that point somewhere on this host
+   * @returns {Array<Array<string>>} - [[argument, value]]; relative project outputs are left out
+   */
+  pathArguments(args) {
+    return PATH_ARGUMENTS
+      .filter(key => typeof args[key] === 'string' && args[key])
+      .filter(key => path.win32.isAbsolute(args[key]) || !PROJECT_RELATIVE_ARGUMENTS.includes(key))
+      .map(key => [key, args[key]]);
+  }
+
+  /**
+   * Whether a path is absolute and lies under one of the prefixes
+   */
+  isUnderPrefixes(prefixes, value) {
+    if (!path.win32.isAbsolute(value)) {
+      return false;
+    }
+    const target = path.win32.normalize(value).toLowerCase();
+    return prefixes.some(prefix => {
+      const allowed = path.win32.normalize(prefix).toLowerCase().replace(/\\+$/, '');
+      return target === allowed || target.startsWith(`${allowed}\\`);
+    });
   }
   
   /**
@@ -114,6 +456,20 @@ class AuthManager {
     return token.substring(0, 4) + '...' + token.substring(token.length - 4);
   }
   
+  /**
+   * Stable identifier for a token that does not reveal it (job ownership)
+   * @param {string} token - Full token
+   * @returns {string} - First 16 hex characters of the token's SHA-256
+   */
+  getTokenFingerprint(token) {
+    // Access tokens keep the fingerprint of the credential they were exchanged for
+    const payload = accessTokens.decode(token);
+    if (payload && typeof payload.fpr === 'string') {
+      return payload.fpr;
+    }
+    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+  }
+  
   /**
    * Check if authentication is enabled
    * @returns {boolean} - True if auth is enabled
@@ -204,6 +560,8 @@ class AuthManager {
       authEnabled: this.isEnabled,
       serverUptime: Math.floor(process.uptime()),
       tokenConfigured: !!this.authToken,
+      namedTokens: new Set(this.tokens.values()).size,
+      revokedAccessTokens: accessTokens.listRevoked().length,
       memoryUsage: process.memoryUsage(),
       instanceHealth: 'stable'
     };
@@ -0,0 +1,378 @@
+/**
+ * Build Lock Manager - Named locks on build directories
+ * Builds that write into a shared directory (build_dotnet copies into
+ * <BUILD_BASE_DIR>\<project>) take a lock keyed on the resolved directory first,
+ * so two builds of the same project cannot overwrite each other mid-build.
+ * Locks are lock files in BUILD_LOCK_DIR, created atomically and refreshed by a
+ * heartbeat; a lock whose server process died or whose heartbeat stopped is stale
+ * and is taken over by the next build. A build waiting for a lock gives its build
+ * scheduler slot to other builds until the lock is free.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const requestContext = require('./request-context');
+const cancellationManager = require('./cancellation-manager');
+const buildScheduler = require('./build-scheduler');
+const { getNumericEnv } = require('./helpers');
+
+class BuildLockError extends Error {
+  constructor(message, holder) {
+    super(message);
+    this.name = 'BuildLockError';
+    this.holder = holder || null;
+  }
+}
+
+class BuildLockManager {
+  constructor() {
+    this.lockDir = process.env.BUILD_LOCK_DIR || path.join(__dirname, '..', 'locks');
+    this.held = new Map();
+    this.waiting = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Lock key of a build directory: the resolved, case-insensitive Windows path,
+   * prefixed with the host for remote builds
+   * @param {string} buildDir - Build directory
+   * @param {string} host - Optional remote host
+   * @returns {string}
+   */
+  keyOf(buildDir, host) {
+    const resolved = path.win32.resolve(buildDir).toLowerCase();
+    return host ? `${host}:${resolved}` : resolved;
+  }
+
+  idOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Take the lock on a build directory
+   * @param {string} buildDir - Build directory the caller is about to write to
+   * @param {Object} options - { host, wait (default true), timeoutSeconds }
+   * @returns {Promise<Object>} - Lock record, to be passed to release()
+   * @throws {BuildLockError} - When the directory is locked and wait is false, or the wait timed out
+   */
+  async acquire(buildDir, options = {}) {
+    const key = this.keyOf(buildDir, options.host);
+    const context = requestContext.get() || {};
+    const timeoutSeconds = options.timeoutSeconds || getNumericEnv('BUILD_LOCK_TIMEOUT', 1800) || 1800;
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    const now = new Date().toISOString();
+    const lock = {
+      id: this.idOf(key),
+      key,
+      buildDir,
+      host: options.host || null,
+      token: crypto.randomUUID(),
+      pid: process.pid,
+      tool: context.tool || null,
+      requestId: context.requestId !== undefined ? context.requestId : null,
+      clientIP: context.clientIP || null,
+      acquiredAt: now,
+      heartbeatAt: now
+    };
+    let waitingSince = null;
+    let resume = null;
+
+    try {
+      while (!this.tryAcquire(lock)) {
+        const holder = this.read(lock.id);
+
+        if (options.wait === false) {
+          throw new BuildLockError(`Build directory ${buildDir} is locked by ${this.describeHolder(holder)}`, holder);
+        }
+        if (Date.now() >= deadline) {
+          throw new BuildLockError(`Timed out after ${timeoutSeconds}s waiting for the build lock on ${buildDir} ` +
+            `(held by ${this.describeHolder(holder)})`, holder);
+        }
+        if (cancellationManager.isCancelled()) {
+          throw new Error('Cancelled while waiting for the build lock');
+        }
+
+        if (waitingSince === null) {
+          waitingSince = Date.now();
+          resume = buildScheduler.suspend();
+          this.waiting.set(lock.id, (this.waiting.get(lock.id) || 0) + 1);
+          logger.info('Waiting for build lock', { buildDir, requestId: lock.requestId, holder: this.describeHolder(holder) });
+          requestContext.reportProgress({
+            progress: 0,
+            message: `Waiting for build lock on ${buildDir} held by ${this.describeHolder(holder)}`
+          });
+        }
+
+        await this.waitForRelease(lock.id, Math.min(deadline - Date.now(), this.pollInterval()));
+      }
+    } finally {
+      if (waitingSince !== null) {
+        const count = this.waiting.get(lock.id) - 1;
+        if (count > 0) {
+          this.waiting.set(lock.id, count);
+        } else {
+          this.waiting.delete(lock.id);
+        }
+      }
+    }
+
+    lock.heartbeat = setInterval(() => this.refresh(lock), this.staleSeconds() * 1000 / 3);
+    lock.heartbeat.unref();
+
+    if (resume) {
+      try {
+        await resume();
+      } catch (error) {
+        this.release(lock);
+        throw error;
+      }
+    }
+
+    logger.info('Build lock acquired', {
+      buildDir,
+      lockId: lock.id,
+      requestId: lock.requestId,
+      waitedMs: waitingSince === null ? 0 : Date.now() - waitingSince
+    });
+    return lock;
+  }
+
+  /**
+   * Create the lock file unless a live lock holds it; stale locks are removed first
+   * The record is written to a temp file and hard-linked into place, so the lock
+   * file never exists half-written and linking fails if another holder won.
+   */
+  tryAcquire(lock) {
+    if (this.held.has(lock.id)) {
+      return false;
+    }
+
+    const lockPath = this.lockPath(lock.id);
+    const tempPath = `${lockPath}.${lock.token}.tmp`;
+
+    fs.mkdirSync(this.lockDir, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.describe(lock), null, 2));
+
+    try {
+      fs.linkSync(tempPath, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const holder = this.read(lock.id);
+      if (!this.isStale(holder, lockPath)) {
+        return false;
+      }
+
+      logger.warn('Removing stale build lock', { buildDir: lock.buildDir, holder: this.describeHolder(holder) });
+      fs.rmSync(lockPath, { force: true });
+      return this.tryAcquire(lock);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+
+    this.held.set(lock.id, lock);
+    return true;
+  }
+
+  /**
+   * Release a lock taken with acquire()
+   * Does nothing if the lock was broken and taken by another build meanwhile.
+   * @param {Object} lock - Lock record
+   */
+  release(lock) {
+    if (!lock) {
+      return;
+    }
+
+    clearInterval(lock.heartbeat);
+
+    if (this.held.get(lock.id) === lock) {
+      this.held.delete(lock.id);
+      const current = this.read(lock.id);
+      if (current && current.token === lock.token) {
+        fs.rmSync(this.lockPath(lock.id), { force: true });
+      }
+      logger.info('Build lock released', { buildDir: lock.buildDir, lockId: lock.id, requestId: lock.requestId });
+    }
+
+    this.events.emit(lock.id);
+  }
+
+  /**
+   * Forcibly remove a lock (admin route)
+   * The build holding it keeps running; waiting builds may start straight away.
+   * @param {string} id - Lock id
+   * @param {Object} info - { clientIP, reason } of the caller breaking it
+   * @returns {Object|null} - The broken lock, or null if there was none
+   */
+  breakLock(id, info = {}) {
+    const record = /^[0-9a-f]{16}$/.test(id) ? this.read(id) : null;
+    if (!record) {
+      return null;
+    }
+
+    const held = this.held.get(id);
+    if (held) {
+      clearInterval(held.heartbeat);
+      this.held.delete(id);
+    }
+    fs.rmSync(this.lockPath(id), { force: true });
+
+    logger.security('Build lock broken', {
+      clientIP: info.clientIP,
+      reason: info.reason,
+      buildDir: record.buildDir,
+      holder: this.describeHolder(record)
+    });
+
+    this.events.emit(id);
+    return record;
+  }
+
+  /**
+   * All lock files with their state
+   * @returns {Array<Object>} - Lock records with stale, ageSeconds and waiting
+   */
+  list() {
+    if (!fs.existsSync(this.lockDir)) {
+      return [];
+    }
+
+    const now = Date.now();
+    return fs.readdirSync(this.lockDir)
+      .filter(name => name.endsWith('.lock'))
+      .map(name => this.read(name.replace(/\.lock$/, '')))
+      .filter(Boolean)
+      .map(record => ({
+        ...record,
+        stale: this.isStale(record, this.lockPath(record.id)),
+        ageSeconds: Math.round((now - Date.parse(record.acquiredAt)) / 1000),
+        waiting: this.waiting.get(record.id) || 0
+      }))
+      .sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+  }
+
+  /**
+   * Whether a lock can be taken over: its process is gone, it is not held by this
+   * process although it names it, or its heartbeat is older than BUILD_LOCK_STALE_SECONDS
+   * @param {Object|null} holder - Lock record (null if unreadable)
+   * @param {string} lockPath - Lock file, for unreadable records
+   */
+  isStale(holder, lockPath) {
+    const staleMs = this.staleSeconds() * 1000;
+
+    if (!holder) {
+      try {
+        return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+      } catch (error) {
+        return true;
+      }
+    }
+
+    if (holder.pid === process.pid) {
+      const held = this.held.get(holder.id);
+      return !held || held.token !== holder.token;
+    }
+
+    if (!this.isProcessAlive(holder.pid)) {
+      return true;
+    }
+
+    return Date.now() - Date.parse(holder.heartbeatAt) > staleMs;
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  refresh(lock) {
+    const current = this.read(lock.id);
+    if (!current || current.token !== lock.token) {
+      clearInterval(lock.heartbeat);
+      return;
+    }
+
+    lock.heartbeatAt = new Date().toISOString();
+    try {
+      const tempPath = `${this.lockPath(lock.id)}.${lock.token}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.describe(lock), null, 2));
+      fs.renameSync(tempPath, this.lockPath(lock.id));
+    } catch (error) {
+      logger.error('Failed to refresh build lock', { buildDir: lock.buildDir, error: error.message });
+    }
+  }
+
+  /**
+   * Resolve when the lock may have been released, after ms, or on cancellation
+   */
+  waitForRelease(id, ms) {
+    return new Promise(resolve => {
+      let removeCancelHandler = () => {};
+      const done = () => {
+        clearTimeout(timer);
+        this.events.removeListener(id, done);
+        removeCancelHandler();
+        resolve();
+      };
+      const timer = setTimeout(done, Math.max(ms, 0));
+
+      this.events.once(id, done);
+      removeCancelHandler = cancellationManager.onCancel(done);
+    });
+  }
+
+  read(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  describeHolder(holder) {
+    if (!holder) {
+      return 'another build';
+    }
+
+    const request = holder.requestId !== null ? `request ${JSON.stringify(holder.requestId)}` : 'a request';
+    const tool = holder.tool ? ` (${holder.tool})` : '';
+    const owner = holder.pid !== process.pid ? ` in server process ${holder.pid}` : '';
+    return `${request}${tool}${owner} since ${holder.acquiredAt}`;
+  }
+
+  /**
+   * Persisted view of a lock (without its timer)
+   */
+  describe(lock) {
+    const { heartbeat, ...record } = lock;
+    return record;
+  }
+
+  staleSeconds() {
+    return getNumericEnv('BUILD_LOCK_STALE_SECONDS', 300) || 300;
+  }
+
+  pollInterval() {
+    return getNumericEnv('BUILD_LOCK_POLL_INTERVAL', 1000) || 1000;
+  }
+
+  lockPath(id) {
+    return path.join(this.lockDir, `${id}.lock`);
+  }
+}
+
+// Export singleton instance
+module.exports = new BuildLockManager();
+module.exports.BuildLockError = BuildLockError;
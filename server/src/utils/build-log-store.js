@@ -0,0 +1,183 @@
+/**
+ * Build Log Store - Captured output of build tool calls
+ * Every tools/call of a build tool writes its process output to
+ * logs/builds/<timestamp>-<tool>-<request id>.log so it can be read back later
+ * (e.g. as an MCP resource). Only the newest BUILD_LOG_RETENTION logs are kept.
+ * The first line names the token that made the call, so resources only show a
+ * token its own logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getNumericEnv } = require('./helpers');
+
+const LOG_NAME_PATTERN = /^[\w.-]+\.log$/;
+const OWNER_PATTERN = / by ("(?:[^"\\]|\\.)*")$/;
+
+class BuildLog {
+  constructor(store, tool, requestId, owner) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const safeId = String(requestId).replace(/[^\w-]/g, '_').substring(0, 40);
+
+    this.store = store;
+    this.tool = tool;
+    this.requestId = requestId;
+    this.owner = owner || null;
+    this.fileName = `${timestamp}-${tool}-${safeId}.log`;
+    this.filePath = path.join(store.logDir, this.fileName);
+    this.startedAt = Date.now();
+    this.written = false;
+  }
+
+  /**
+   * Append process output; the file is created on the first chunk
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} data - Output chunk
+   */
+  append(stream, data) {
+    try {
+      if (!this.written) {
+        this.store.ensureDirectory();
+        fs.writeFileSync(this.filePath,
+          `# ${this.tool} request ${JSON.stringify(this.requestId)} started ${new Date(this.startedAt).toISOString()}` +
+          `${this.owner ? ` by ${JSON.stringify(this.owner)}` : ''}\n`);
+        this.written = true;
+      }
+
+      fs.appendFileSync(this.filePath, stream === 'stderr' ? this.prefixLines(data, 'STDERR: ') : data);
+    } catch (error) {
+      logger.error('Failed to write build log', { file: this.fileName, error: error.message });
+    }
+  }
+
+  /**
+   * Write the closing status line and prune old logs
+   * @param {string} status - 'succeeded', 'failed' or 'cancelled'
+   */
+  finish(status) {
+    if (!this.written) {
+      return;
+    }
+
+    try {
+      const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+      fs.appendFileSync(this.filePath, `\n# ${status} after ${seconds}s\n`);
+    } catch (error) {
+      logger.error('Failed to finish build log', { file: this.fileName, error: error.message });
+    }
+
+    this.store.prune();
+  }
+
+  prefixLines(data, prefix) {
+    return data.replace(/^(?=.)/gm, prefix);
+  }
+}
+
+class BuildLogStore {
+  constructor() {
+    this.logDir = path.join(logger.logDir, 'builds');
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Start capturing a build log for a tool call
+   * @param {string} tool - Tool name
+   * @param {string|number} requestId - JSON-RPC request id
+   * @param {string} [owner] - Name of the token that made the call
+   * @returns {BuildLog}
+   */
+  create(tool, requestId, owner = null) {
+    return new BuildLog(this, tool, requestId, owner);
+  }
+
+  /**
+   * Name of the token whose call wrote a log
+   * @param {string} filePath - Log path
+   * @returns {string|null} - Null for logs of unauthenticated calls or unreadable logs
+   */
+  ownerOf(filePath) {
+    let header;
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(1024);
+        header = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0)).toString('utf8').split('\n')[0];
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      return null;
+    }
+
+    const match = OWNER_PATTERN.exec(header);
+    return match ? JSON.parse(match[1]) : null;
+  }
+
+  /**
+   * Captured logs, newest first
+   * @returns {Array<Object>} - [{ name, filePath, size, modified }]
+   */
+  list() {
+    if (!fs.existsSync(this.logDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.logDir)
+      .filter(name => LOG_NAME_PATTERN.test(name))
+      .map(name => {
+        const filePath = path.join(this.logDir, name);
+        const stats = fs.statSync(filePath);
+        return { name, filePath, size: stats.size, modified: stats.mtime };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Newest captured log of a tool and how that run ended
+   * @param {string} tool - Tool name
+   * @returns {Object|null} - { name, filePath, size, modified, status } where status is
+   *   'succeeded', 'failed', 'cancelled' or 'running'
+   */
+  latest(tool) {
+    const log = this.list().find(entry => entry.name.includes(`-${tool}-`));
+    if (!log) {
+      return null;
+    }
+
+    const match = fs.readFileSync(log.filePath, 'utf8').match(/\n# (\w+) after [\d.]+s\n$/);
+    return { ...log, status: match ? match[1] : 'running' };
+  }
+
+  /**
+   * Resolve a log name to its path
+   * @param {string} name - Log file name
+   * @returns {string|null} - Path, or null for names that are not build logs
+   */
+  resolve(name) {
+    return LOG_NAME_PATTERN.test(name) ? path.join(this.logDir, name) : null;
+  }
+
+  /**
+   * Delete logs beyond BUILD_LOG_RETENTION
+   */
+  prune() {
+    const retention = getNumericEnv('BUILD_LOG_RETENTION', 50);
+    this.list().slice(retention).forEach(log => {
+      try {
+        fs.unlinkSync(log.filePath);
+      } catch (error) {
+        logger.error('Failed to prune build log', { file: log.name, error: error.message });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new BuildLogStore();
@@ -0,0 +1,112 @@
+/**
+ * Build Progress Tracker - Derive progress notifications from build output
+ * Recognises MSBuild project outputs, the Maven reactor, pytest percentages and
+ * npm script phases. The dispatcher keeps one tracker per tool call in the request
+ * context, so progress keeps increasing across the processes a tool runs; updates
+ * are sent as notifications/progress when the request carried _meta.progressToken.
+ */
+
+const requestContext = require('./request-context');
+
+// MSBuild:  "  MyApp -> C:\build\MyApp\bin\Release\MyApp.dll"
+const MSBUILD_OUTPUT = /^\s*([\w.-]+) -> (?:[A-Za-z]:\\|\/)\S/;
+// Maven:    "[INFO] Building my-module 1.0-SNAPSHOT            [2/5]"
+const MAVEN_REACTOR = /^\[INFO\] Building (.+?)\s+\[(\d+)\/(\d+)\]\s*$/;
+// pytest:   "tests/test_api.py ......                          [ 45%]"
+const PYTEST_PERCENT = /\[\s*(\d{1,3})%\]\s*$/;
+// npm:      "> my-app@1.0.0 build"
+const NPM_SCRIPT = /^> (\S+@\S+) (\S+)\s*$/;
+
+class BuildProgressTracker {
+  constructor() {
+    this.buffer = '';
+    this.lastProgress = 0;
+    this.projectsBuilt = 0;
+    this.npmPhases = 0;
+  }
+
+  /**
+   * Feed a chunk of process output
+   * @param {string} chunk - stdout/stderr data (may contain partial lines)
+   */
+  feed(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+    lines.forEach(line => this.processLine(line));
+  }
+
+  /**
+   * Process any trailing partial line once the process has exited
+   */
+  flush() {
+    if (this.buffer) {
+      this.processLine(this.buffer);
+      this.buffer = '';
+    }
+  }
+
+  /**
+   * Parse one line and report it if it moves progress forward
+   * Progress must increase with every notification, so stale values are dropped.
+   * @param {string} line - Output line
+   * @returns {Object|null} - The reported update
+   */
+  processLine(line) {
+    const update = this.parseLine(line);
+    if (!update || update.progress <= this.lastProgress) {
+      return null;
+    }
+
+    this.lastProgress = update.progress;
+    requestContext.reportProgress(update);
+    return update;
+  }
+
+  /**
+   * Recognise a progress marker in a line of build output
+   * @param {string} line - Output line
+   * @returns {Object|null} - { progress, total?, message }
+   */
+  parseLine(line) {
+    let match = line.match(MAVEN_REACTOR);
+    if (match) {
+      return {
+        progress: parseInt(match[2]),
+        total: parseInt(match[3]),
+        message: `Maven: building ${match[1]} (${match[2]}/${match[3]})`
+      };
+    }
+
+    match = line.match(MSBUILD_OUTPUT);
+    if (match) {
+      this.projectsBuilt++;
+      return {
+        progress: this.projectsBuilt,
+        message: `MSBuild: ${match[1]} built (${this.projectsBuilt} project${this.projectsBuilt === 1 ? '' : 's'})`
+      };
+    }
+
+    match = line.match(PYTEST_PERCENT);
+    if (match) {
+      return {
+        progress: parseInt(match[1]),
+        total: 100,
+        message: `pytest: ${match[1]}% complete`
+      };
+    }
+
+    match = line.match(NPM_SCRIPT);
+    if (match) {
+      this.npmPhases++;
+      return {
+        progress: this.npmPhases,
+        message: `npm: running "${match[2]}" (${match[1]})`
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = BuildProgressTracker;
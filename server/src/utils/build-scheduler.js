@@ -0,0 +1,350 @@
+/**
+ * Build Scheduler - Concurrency limits and queueing for build tools
+ * Build tool calls run through run(), which waits for a slot under the global
+ * limit (BUILD_MAX_CONCURRENT) and the tool's own limit (BUILD_TOOL_CONCURRENCY,
+ * e.g. "build_cpp=1,build_dotnet=2"). Waiting calls are queued by priority class
+ * (high, normal, low) and FIFO within a class; their position and an estimated
+ * wait based on recent build durations are reported while they wait. A build
+ * that has to wait for something else (a build lock) gives up its slot meanwhile.
+ */
+
+const logger = require('./logger');
+const requestContext = require('./request-context');
+const cancellationManager = require('./cancellation-manager');
+const { getNumericEnv } = require('./helpers');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Recent durations kept per tool for wait estimates
+const DURATION_HISTORY = 10;
+
+class QueueFullError extends Error {
+  constructor(size) {
+    super(`Build queue is full (${size} builds waiting); try again later`);
+    this.name = 'QueueFullError';
+  }
+}
+
+class BuildScheduler {
+  constructor() {
+    this.running = new Set();
+    this.queue = [];
+    this.durations = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Run a build once a slot is free
+   * @param {Object} info - { tool, requestId, priority }
+   * @param {Function} fn - Starts the build; its promise holds the slot until it settles
+   * @returns {Promise<*>} - Result of fn
+   */
+  async run(info, fn) {
+    const entry = await this.acquire(info);
+    try {
+      return await fn();
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Wait for a slot
+   * @param {Object} info - { tool, requestId, priority }
+   * @returns {Promise<Object>} - Running entry, to be passed to release()
+   */
+  acquire(info) {
+    const entry = {
+      id: ++this.sequence,
+      tool: info.tool,
+      requestId: info.requestId,
+      priority: PRIORITIES.includes(info.priority) ? info.priority : 'normal',
+      queuedAt: Date.now(),
+      startedAt: null,
+      context: requestContext.get(),
+      position: null
+    };
+    return this.admit(entry);
+  }
+
+  /**
+   * Start an entry now if a slot is free, else queue it
+   * @returns {Promise<Object>} - The entry, once running
+   */
+  admit(entry) {
+    if (this.canStart(entry)) {
+      this.start(entry);
+      return Promise.resolve(entry);
+    }
+
+    const maxQueue = getNumericEnv('BUILD_QUEUE_MAX', 50);
+    if (this.queue.length >= maxQueue) {
+      return Promise.reject(new QueueFullError(this.queue.length));
+    }
+
+    return new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.removeCancelHandler = cancellationManager.onCancel(() => {
+        this.remove(entry);
+        reject(new Error('Cancelled while queued'));
+      });
+
+      this.enqueue(entry);
+      logger.info('Build queued', {
+        tool: entry.tool,
+        requestId: entry.requestId,
+        priority: entry.priority,
+        position: this.queue.indexOf(entry) + 1
+      });
+      this.reportPositions();
+    });
+  }
+
+  /**
+   * Free a slot and start the next eligible builds
+   * @param {Object} entry - Entry returned by acquire()
+   */
+  release(entry) {
+    if (!this.running.delete(entry)) {
+      return;
+    }
+
+    this.recordDuration(entry.tool, Date.now() - entry.startedAt);
+    this.drain();
+  }
+
+  /**
+   * Give up the current call's slot while it waits for something outside the scheduler
+   * Outside a scheduled call there is nothing to give up and resume() resolves at once.
+   * @returns {Function} - resume(): Promise that resolves once the call holds a slot again
+   */
+  suspend() {
+    const context = requestContext.get();
+    const entry = context ? Array.from(this.running).find(running => running.context === context) : null;
+    if (!entry) {
+      return () => Promise.resolve();
+    }
+
+    this.running.delete(entry);
+    this.drain();
+    logger.info('Build slot given up while waiting', { tool: entry.tool, requestId: entry.requestId });
+
+    return () => {
+      entry.queuedAt = Date.now();
+      entry.position = null;
+      return this.admit(entry);
+    };
+  }
+
+  /**
+   * Insert by priority class, behind entries of the same class
+   */
+  enqueue(entry) {
+    const rank = PRIORITIES.indexOf(entry.priority);
+    const index = this.queue.findIndex(queued => PRIORITIES.indexOf(queued.priority) > rank);
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
+    }
+  }
+
+  remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.reportPositions();
+    }
+  }
+
+  /**
+   * Start queued builds while slots are free
+   * A build whose tool is at its own limit does not hold up other tools.
+   */
+  drain() {
+    let started = true;
+    while (started) {
+      started = false;
+      const next = this.queue.find(entry => this.canStart(entry));
+      if (next) {
+        this.queue.splice(this.queue.indexOf(next), 1);
+        next.removeCancelHandler();
+        this.start(next);
+        next.resolve(next);
+        started = true;
+      }
+    }
+
+    this.reportPositions();
+  }
+
+  start(entry) {
+    entry.startedAt = Date.now();
+    this.running.add(entry);
+
+    if (entry.position !== null) {
+      logger.info('Build dequeued', {
+        tool: entry.tool,
+        requestId: entry.requestId,
+        waitedMs: entry.startedAt - entry.queuedAt
+      });
+    }
+  }
+
+  canStart(entry) {
+    if (this.running.size >= this.globalLimit()) {
+      return false;
+    }
+
+    const sameTool = Array.from(this.running).filter(running => running.tool === entry.tool).length;
+    return sameTool < this.toolLimit(entry.tool);
+  }
+
+  /**
+   * Tell queued callers their position when it changed
+   * Sent as notifications/progress (with _meta.progressToken) in the caller's context.
+   */
+  reportPositions() {
+    this.queue.forEach((entry, index) => {
+      if (entry.position === index + 1) {
+        return;
+      }
+
+      entry.position = index + 1;
+      const estimatedWaitSeconds = this.estimateWait(index);
+      const wait = estimatedWaitSeconds === null ? 'unknown' : `~${estimatedWaitSeconds}s`;
+
+      if (entry.context) {
+        requestContext.run(entry.context, () => requestContext.reportProgress({
+          progress: 0,
+          message: `Queued for ${entry.tool}: position ${entry.position} of ${this.queue.length}, estimated wait ${wait}`
+        }));
+      }
+    });
+  }
+
+  /**
+   * Queue position and estimated wait of a request
+   * @param {string|number} requestId - Request or job id
+   * @returns {Object|null} - { position, queued, estimatedWaitSeconds } or null when not queued
+   */
+  positionOf(requestId) {
+    const index = this.queue.findIndex(entry => entry.requestId === requestId);
+    if (index === -1) {
+      return null;
+    }
+
+    return {
+      position: index + 1,
+      queued: this.queue.length,
+      estimatedWaitSeconds: this.estimateWait(index)
+    };
+  }
+
+  /**
+   * Estimated seconds until the queue entry at index starts
+   * Remaining time of running builds plus the builds ahead, spread over the global slots.
+   * @returns {number|null} - null when no build durations are known yet
+   */
+  estimateWait(index) {
+    const now = Date.now();
+    let total = 0;
+
+    for (const entry of this.running) {
+      const average = this.averageDuration(entry.tool);
+      if (average === null) {
+        return null;
+      }
+      total += Math.max(average - (now - entry.startedAt), 0);
+    }
+
+    for (const entry of this.queue.slice(0, index)) {
+      const average = this.averageDuration(entry.tool);
+      if (average === null) {
+        return null;
+      }
+      total += average;
+    }
+
+    return Math.round(total / this.globalLimit() / 1000);
+  }
+
+  recordDuration(tool, duration) {
+    const history = this.durations.get(tool) || [];
+    history.push(duration);
+    this.durations.set(tool, history.slice(-DURATION_HISTORY));
+  }
+
+  /**
+   * Average recent duration of a tool in ms, falling back to all tools
+   * @returns {number|null}
+   */
+  averageDuration(tool) {
+    const history = this.durations.get(tool) ||
+      Array.from(this.durations.values()).reduce((all, durations) => all.concat(durations), []);
+
+    if (history.length === 0) {
+      return null;
+    }
+    return history.reduce((sum, duration) => sum + duration, 0) / history.length;
+  }
+
+  globalLimit() {
+    return Math.max(getNumericEnv('BUILD_MAX_CONCURRENT', 2), 1) || 1;
+  }
+
+  /**
+   * Concurrency limit of one tool from BUILD_TOOL_CONCURRENCY (defaults to the global limit)
+   */
+  toolLimit(tool) {
+    const limits = (process.env.BUILD_TOOL_CONCURRENCY || '').split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([name, limit]) => name && !isNaN(parseInt(limit)));
+    const match = limits.find(([name]) => name === tool);
+
+    return match ? Math.max(parseInt(match[1]), 1) : this.globalLimit();
+  }
+
+  /**
+   * Current state for GET /mcp/queue
+   * @param {string} [scope] - Caller scope (cancellationManager.scopeOf); only its builds are listed,
+   *   with their positions in the whole queue and the totals of all callers
+   */
+  snapshot(scope = null) {
+    const now = Date.now();
+    const isVisible = entry => scope === null || Boolean(entry.context && cancellationManager.scopeOf(entry.context) === scope);
+    const averages = {};
+    this.durations.forEach((durations, tool) => {
+      averages[tool] = Math.round(this.averageDuration(tool) / 1000);
+    });
+
+    return {
+      limits: {
+        global: this.globalLimit(),
+        perTool: process.env.BUILD_TOOL_CONCURRENCY || null,
+        maxQueue: getNumericEnv('BUILD_QUEUE_MAX', 50)
+      },
+      totals: { running: this.running.size, queued: this.queue.length },
+      running: Array.from(this.running).filter(isVisible).map(entry => ({
+        tool: entry.tool,
+        requestId: entry.requestId,
+        priority: entry.priority,
+        runningSeconds: Math.round((now - entry.startedAt) / 1000)
+      })),
+      queued: this.queue.map((entry, index) => ({
+        tool: entry.tool,
+        requestId: entry.requestId,
+        priority: entry.priority,
+        position: index + 1,
+        waitingSeconds: Math.round((now - entry.queuedAt) / 1000),
+        estimatedWaitSeconds: this.estimateWait(index)
+      })).filter((described, index) => isVisible(this.queue[index])),
+      averageDurationSeconds: averages
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BuildScheduler();
+module.exports.QueueFullError = QueueFullError;
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,219 @@
+/**
+ * Cancellation Manager - In-flight tool calls and their child processes
+ * Every tools/call is registered under a key scoped to its caller (session id or
+ * client IP, and the token name when authenticated) so notifications/cancelled and
+ * POST /mcp/cancel can find it.
+ * Executors attach the processes they spawn with track(); cancelling a request
+ * kills those process trees and runs any cleanup registered with onCancel().
+ */
+
+const { spawn } = require('child_process');
+const logger = require('./logger');
+const requestContext = require('./request-context');
+
+class CancellationManager {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Scope of a caller's requests: its session id, or its client IP without a session,
+   * prefixed with its token name so callers sharing an IP or a session id only reach
+   * their own requests
+   * @param {Object} context - Caller context ({ sessionId, clientIP, identity })
+   * @returns {string}
+   */
+  scopeOf(context) {
+    const caller = context.sessionId || context.clientIP;
+    return context.identity ? `${context.identity.name}@${caller}` : caller;
+  }
+
+  /**
+   * Key of a request, scoped to the caller that issued it
+   * @param {Object} context - Caller context ({ sessionId, clientIP, identity })
+   * @param {string|number} requestId - JSON-RPC request id
+   * @returns {string}
+   */
+  keyFor(context, requestId) {
+    return `${this.scopeOf(context)}:${JSON.stringify(requestId)}`;
+  }
+
+  /**
+   * Register an in-flight request
+   * @param {string} key - Request key (see keyFor)
+   * @param {Object} info - { requestId, tool, clientIP }
+   * @returns {Object} - Request entry; entry.cancelled resolves when it is cancelled
+   */
+  begin(key, info) {
+    let markCancelled;
+    const entry = {
+      key,
+      ...info,
+      startedAt: Date.now(),
+      isCancelled: false,
+      reason: null,
+      children: new Set(),
+      cleanups: new Set(),
+      cancelled: new Promise(resolve => { markCancelled = resolve; })
+    };
+    entry.markCancelled = markCancelled;
+
+    if (this.requests.has(key)) {
+      logger.warn('Request id reused while still in flight', { key });
+    }
+
+    this.requests.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Forget a finished request
+   * @param {string} key - Request key
+   */
+  end(key) {
+    this.requests.delete(key);
+  }
+
+  /**
+   * Cancel an in-flight request
+   * @param {string} key - Request key
+   * @param {string} reason - Reason reported back to the caller
+   * @returns {boolean} - True if a running request was cancelled
+   */
+  cancel(key, reason = 'Cancelled by client') {
+    const entry = this.requests.get(key);
+    if (!entry || entry.isCancelled) {
+      return false;
+    }
+
+    entry.isCancelled = true;
+    entry.reason = reason;
+
+    logger.info('Cancelling request', {
+      key,
+      tool: entry.tool,
+      reason,
+      processes: entry.children.size
+    });
+
+    entry.children.forEach(child => this.killProcessTree(child));
+    entry.cleanups.forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        logger.error('Cancellation cleanup failed', { key, error: error.message });
+      }
+    });
+
+    entry.markCancelled();
+    return true;
+  }
+
+  /**
+   * Attach a spawned process to the current request
+   * Killed straight away if the request has already been cancelled.
+   * @param {Object} child - ChildProcess
+   */
+  track(child) {
+    const entry = this.current();
+    if (!entry || !child) {
+      return;
+    }
+
+    if (entry.isCancelled) {
+      this.killProcessTree(child);
+      return;
+    }
+
+    entry.children.add(child);
+    child.on('close', () => entry.children.delete(child));
+  }
+
+  /**
+   * Register cleanup to run if the current request is cancelled (temp files, connections)
+   * @param {Function} cleanup - Cleanup callback
+   * @returns {Function} - Unregisters the callback
+   */
+  onCancel(cleanup) {
+    const entry = this.current();
+    if (!entry) {
+      return () => {};
+    }
+
+    entry.cleanups.add(cleanup);
+    return () => entry.cleanups.delete(cleanup);
+  }
+
+  /**
+   * Whether the current request has been cancelled
+   * @returns {boolean}
+   */
+  isCancelled() {
+    const entry = this.current();
+    return Boolean(entry && entry.isCancelled);
+  }
+
+  /**
+   * Request entry of the code currently executing
+   * @returns {Object|null}
+   */
+  current() {
+    const context = requestContext.get();
+    return context && context.cancellation ? context.cancellation : null;
+  }
+
+  /**
+   * In-flight requests, optionally limited to one caller scope
+   * @param {string} scope - Session id or client IP
+   * @returns {Array<Object>}
+   */
+  list(scope) {
+    return Array.from(this.requests.values())
+      .filter(entry => !scope || entry.key.startsWith(`${scope}:`))
+      .map(entry => ({
+        requestId: entry.requestId,
+        tool: entry.tool,
+        startedAt: new Date(entry.startedAt).toISOString(),
+        processes: entry.children.size,
+        cancelled: entry.isCancelled
+      }));
+  }
+
+  /**
+   * Kill a process and everything it started
+   * Windows needs taskkill /T for the tree (dotnet, msbuild and node workers).
+   * @param {Object} child - ChildProcess
+   */
+  killProcessTree(child) {
+    try {
+      if (process.platform === 'win32' && child.pid) {
+        const killer = spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+        killer.on('error', error => {
+          logger.error('taskkill failed', { pid: child.pid, error: error.message });
+          child.kill('SIGKILL');
+        });
+        return;
+      }
+
+      child.kill('SIGTERM');
+      const forceKill = setTimeout(() => {
+        if (this.isRunning(child)) {
+          child.kill('SIGKILL');
+        }
+      }, 5000);
+      forceKill.unref();
+    } catch (error) {
+      logger.error('Failed to kill process', { pid: child.pid, error: error.message });
+    }
+  }
+
+  /**
+   * Whether a child process is still running
+   */
+  isRunning(child) {
+    return child.exitCode === null && child.signalCode === null;
+  }
+}
+
+// Export singleton instance
+module.exports = new CancellationManager();
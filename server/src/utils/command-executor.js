@@ -0,0 +1,214 @@
+/**
+ * Command execution helpers shared by the MCP tools
+ * Local process spawning, SSH execution on remote hosts and connectivity checks
+ */
+
+const { spawn } = require('child_process');
+const { Client } = require('ssh2');
+const ping = require('ping');
+const logger = require('./logger');
+const crypto = require('./crypto');
+const requestContext = require('./request-context');
+const BuildProgressTracker = require('./build-progress');
+const cancellationManager = require('./cancellation-manager');
+const { createTextResult, getNumericEnv } = require('./helpers');
+
+/**
+ * Spawn a local process and collect its output as an MCP text result
+ */
+async function executeBuild(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    // Prepare spawn options
+    const spawnOptions = {
+      cwd: options.workingDirectory || process.cwd(),
+      env: options.env || process.env
+    };
+    
+    // Remove shell: true to prevent command injection
+    const childProcess = spawn(command, args, spawnOptions);
+    cancellationManager.track(childProcess);
+    let output = '';
+    let error = '';
+    let processExited = false;
+
+    // Derive notifications/progress from the output when the client asked for it; the
+    // request's tracker carries on from earlier processes of the same tool call
+    const progress = requestContext.wantsProgress() ?
+      requestContext.get().progress || new BuildProgressTracker() : null;
+
+    // Add timeout handling
+    const timeout = options.timeout || getNumericEnv('COMMAND_TIMEOUT', 1800000); // 30 minutes default
+    const timer = setTimeout(() => {
+      if (!processExited) {
+        childProcess.kill('SIGTERM');
+        setTimeout(() => {
+          if (!processExited) {
+            childProcess.kill('SIGKILL');
+          }
+        }, 5000);
+        const timeoutError = new Error(`Command timed out after ${timeout/1000} seconds`);
+        timeoutError.code = 'ETIMEDOUT';
+        timeoutError.timeout = timeout;
+        reject(timeoutError);
+      }
+    }, timeout);
+
+    // Handle stdout safely
+    if (childProcess.stdout) {
+      childProcess.stdout.on('data', (data) => {
+        output += data.toString();
+        requestContext.emitOutput('stdout', data.toString());
+        if (progress) {
+          progress.feed(data.toString());
+        }
+      });
+    }
+
+    // Handle stderr safely
+    if (childProcess.stderr) {
+      childProcess.stderr.on('data', (data) => {
+        error += data.toString();
+        requestContext.emitOutput('stderr', data.toString());
+      });
+    }
+
+    childProcess.on('error', (err) => {
+      clearTimeout(timer);
+      processExited = true;
+      resolve(createTextResult(`Process error: ${err.message}`));
+    });
+
+    childProcess.on('close', (code, signal) => {
+      clearTimeout(timer);
+      processExited = true;
+      if (progress) {
+        progress.flush();
+      }
+      
+      const result = {
+        success: code === 0 && !signal,
+        output: output,
+        error: error,
+        exitCode: code,
+        signal: signal,
+        content: [{
+          type: 'text',
+          text: `${output}${error ? '\n\nErrors:\n' + error : ''}`
+        }]
+      };
+      
+      if (signal) {
+        result.content[0].text = `Process terminated by signal: ${signal}\n${result.content[0].text}`;
+        result.success = false;
+      } else if (code !== 0 && !options.ignoreExitCode) {
+        result.content[0].text = `Process failed with code ${code}:\n${result.content[0].text}`;
+        result.success = false;
+      }
+      
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Probe a host with ICMP ping
+ */
+async function pingHost(host) {
+  try {
+    const result = await ping.promise.probe(host);
+    return createTextResult(
+      `Ping result for ${host}:\nAlive: ${result.alive}\nTime: ${result.time}ms\nStatus: ${result.output}`
+    );
+  } catch (error) {
+    return createTextResult(`Ping failed for ${host}: ${error.message}`);
+  }
+}
+
+/**
+ * Execute a command on a remote host over SSH
+ */
+async function executeSSHCommand(host, username, password, command) {
+  return new Promise((resolve) => {
+    const conn = new Client();
+    let output = '';
+    let connectionTimeout;
+    
+    // Closing the connection stops the remote command when the request is cancelled
+    const removeCancelHandler = cancellationManager.onCancel(() => conn.end());
+    conn.on('close', removeCancelHandler);
+    
+    // Log connection attempt with hashed credentials
+    logger.info('SSH connection attempt', {
+      host,
+      username,
+      passwordHash: crypto.hashForLogging(password)
+    });
+    
+    // Set connection timeout
+    connectionTimeout = setTimeout(() => {
+      conn.end();
+      resolve(createTextResult(`SSH connection timeout to ${host}`));
+    }, getNumericEnv('SSH_TIMEOUT', 30000));
+    
+    conn.on('ready', () => {
+      clearTimeout(connectionTimeout);
+      conn.exec(command, (err, stream) => {
+        if (err) {
+          conn.end();
+          resolve(createTextResult(`SSH Error: ${err.message}`));
+          return;
+        }
+        
+        stream.on('close', (code, signal) => {
+          conn.end();
+          resolve(createTextResult(`SSH Command completed (code: ${code}):\n${output}`));
+        }).on('data', (data) => {
+          output += data.toString();
+        }).stderr.on('data', (data) => {
+          output += `STDERR: ${data.toString()}`;
+        });
+      });
+    }).connect({
+      host: host,
+      username: username,
+      password: password,
+      port: getNumericEnv('SSH_PORT', 22),
+      readyTimeout: getNumericEnv('SSH_TIMEOUT', 30000)
+    });
+    
+    conn.on('error', (err) => {
+      clearTimeout(connectionTimeout);
+      logger.error('SSH connection error', { host, error: err.message });
+      resolve(createTextResult(`Connection failed to ${host}: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Execute a command on a remote host using the configured REMOTE_* credentials
+ */
+async function executeRemoteCommand(host, command) {
+  const username = process.env.REMOTE_USERNAME || 'Administrator';
+  let password = process.env.REMOTE_PASSWORD;
+  
+  if (!password) {
+    return createTextResult('Error: REMOTE_PASSWORD environment variable not set');
+  }
+  
+  // Decrypt password if encrypted
+  try {
+    password = crypto.decrypt(password);
+  } catch (error) {
+    logger.error('Failed to decrypt remote password', { error: error.message });
+    return createTextResult('Error: Failed to decrypt remote password');
+  }
+  
+  return await executeSSHCommand(host, username, password, command);
+}
+
+module.exports = {
+  executeBuild,
+  pingHost,
+  executeSSHCommand,
+  executeRemoteCommand
+};
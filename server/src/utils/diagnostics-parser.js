@@ -0,0 +1,235 @@
+/**
+ * Diagnostics Parser - Structured compiler errors and warnings from build output
+ * Build tools name the toolchains whose output they produce (tool.diagnostics); the
+ * dispatcher feeds the parser every stdout/stderr chunk of the build and attaches the
+ * result as a deduplicated diagnostics array next to the raw log.
+ */
+
+// MSBuild, csc and MSVC: "C:\src\Program.cs(12,9): error CS0103: The name 'x' ... [C:\src\App.csproj]"
+// and location-less "LINK : fatal error LNK1104: cannot open file 'x.lib'"
+const MSBUILD = /^\s*(?:\d+>)?\s*(.*?)(?:\((\d+)(?:,(\d+))?(?:,\d+,\d+)?\))?\s*:\s*(fatal error|error|warning|info)\s+([A-Za-z]+\d+)\s*:\s*(.*?)(?:\s+\[[^\]]*\])?\s*$/;
+// gcc, clang and javac: "src/main.c:12:5: error: 'x' undeclared [-Werror]", "Foo.java:12: error: cannot find symbol"
+const GCC = /^\s*((?:[A-Za-z]:)?[^:\s][^:]*?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning)\s*:\s*(.*?)(?:\s+\[(-W[^\]]+)\])?\s*$/;
+// Maven compiler plugin: "[ERROR] /src/main/java/App.java:[12,8] cannot find symbol"
+const MAVEN = /^\[(ERROR|WARNING)\]\s+(.+?):\[(\d+),(\d+)\]\s+(?:(?:error|warning):\s*)?(.*?)\s*$/;
+// go build and go vet: "./main.go:12:5: undefined: foo"
+const GO = /^((?:[A-Za-z]:)?[^:\s][^:]*\.go):(\d+)(?::(\d+))?:\s+(.*?)\s*$/;
+// rustc as printed by cargo: "error[E0308]: mismatched types" followed by "  --> src/main.rs:4:5"
+const RUST_HEADER = /^(error|warning)(?:\[(\w+)\])?:\s+(.*?)\s*$/;
+const RUST_LOCATION = /^\s*-->\s+(.+?):(\d+):(\d+)\s*$/;
+const ANSI = /\x1b\[[0-9;]*m/g;
+
+const TOOLCHAINS = ['msbuild', 'gcc', 'java', 'go', 'cargo'];
+const MAX_DIAGNOSTICS = 200;
+const SUMMARY_LINES = 20;
+
+function severityOf(level) {
+  const normalized = level.toLowerCase();
+  if (normalized.includes('error')) {
+    return 'error';
+  }
+  return normalized === 'warning' ? 'warning' : 'info';
+}
+
+function toNumber(value) {
+  return value ? parseInt(value) : null;
+}
+
+class DiagnosticsParser {
+  /**
+   * @param {Array<string>} toolchains - Formats to recognise (msbuild, gcc, java, go, cargo)
+   */
+  constructor(toolchains) {
+    this.toolchains = toolchains.filter(name => TOOLCHAINS.includes(name));
+    this.buffers = {};
+    this.pendingRust = null;
+    this.seen = new Set();
+    this.diagnostics = [];
+    this.dropped = 0;
+    this.linesParsed = 0;
+  }
+
+  /**
+   * Output sink for the request context
+   * @param {string} stream - stdout or stderr (buffered separately so their lines do not mix)
+   * @param {string} data - Output chunk (may contain partial lines)
+   */
+  append(stream, data) {
+    const lines = `${this.buffers[stream] || ''}${data}`.split(/\r?\n/);
+    this.buffers[stream] = lines.pop();
+    lines.forEach(line => this.processLine(line));
+  }
+
+  /**
+   * Process trailing partial lines once the build has finished
+   */
+  flush() {
+    Object.keys(this.buffers).forEach(stream => {
+      if (this.buffers[stream]) {
+        this.processLine(this.buffers[stream]);
+      }
+      this.buffers[stream] = '';
+    });
+    this.flushRust();
+  }
+
+  /**
+   * Parse a complete log, e.g. the result text of a remote build whose output was not streamed
+   */
+  parseText(text) {
+    text.split(/\r?\n/).forEach(line => this.processLine(line));
+    this.flushRust();
+    return this.diagnostics;
+  }
+
+  processLine(rawLine) {
+    const line = rawLine.replace(ANSI, '');
+    this.linesParsed++;
+
+    if (this.toolchains.includes('cargo') && this.parseCargo(line)) {
+      return;
+    }
+
+    let match;
+    if (this.toolchains.includes('java') && (match = line.match(MAVEN))) {
+      this.add({ severity: severityOf(match[1]), file: match[2], line: match[3], column: match[4], code: null, message: match[5] });
+      return;
+    }
+
+    // gcc-style lines first: with a code-less "file:line:col: error:" the MSBuild pattern would also match
+    if ((this.toolchains.includes('gcc') || this.toolchains.includes('java')) && (match = line.match(GCC))) {
+      this.add({ severity: severityOf(match[4]), file: match[1], line: match[2], column: match[3], code: match[6] || null, message: match[5] });
+      return;
+    }
+
+    if (this.toolchains.includes('msbuild') && (match = line.match(MSBUILD))) {
+      // "CSC : error ..." names the tool, not a file
+      const file = (match[2] || /[.\\/]/.test(match[1])) ? match[1] : null;
+      this.add({ severity: severityOf(match[4]), file, line: match[2], column: match[3], code: match[5], message: match[6] });
+      return;
+    }
+
+    if (this.toolchains.includes('go') && (match = line.match(GO))) {
+      this.add({ severity: 'error', file: match[1], line: match[2], column: match[3], code: null, message: match[4] });
+    }
+  }
+
+  /**
+   * cargo --message-format=json lines and rustc's human-readable two-line format
+   * @returns {boolean} - Whether the line was consumed
+   */
+  parseCargo(line) {
+    if (line.startsWith('{') && line.includes('"compiler-message"')) {
+      try {
+        const { message } = JSON.parse(line);
+        const span = (message.spans || []).find(candidate => candidate.is_primary) || (message.spans || [])[0];
+        const code = message.code ? message.code.code : null;
+        // Closing summaries such as "aborting due to 2 previous errors" carry neither
+        if ((span || code) && !['note', 'help', 'failure-note'].includes(message.level)) {
+          this.add({
+            severity: severityOf(message.level),
+            file: span ? span.file_name : null,
+            line: span ? String(span.line_start) : null,
+            column: span ? String(span.column_start) : null,
+            code,
+            message: message.message
+          });
+        }
+      } catch (error) {
+        // Not a cargo message after all
+      }
+      return true;
+    }
+
+    let match = line.match(RUST_HEADER);
+    if (match) {
+      this.flushRust();
+      this.pendingRust = { severity: match[1], code: match[2] || null, message: match[3] };
+      return true;
+    }
+
+    match = line.match(RUST_LOCATION);
+    if (match && this.pendingRust) {
+      this.add({ ...this.pendingRust, file: match[1], line: match[2], column: match[3] });
+      this.pendingRust = null;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * A rustc header without a location only counts when it has an error code
+   */
+  flushRust() {
+    if (this.pendingRust && this.pendingRust.code) {
+      this.add({ ...this.pendingRust, file: null, line: null, column: null });
+    }
+    this.pendingRust = null;
+  }
+
+  add(diagnostic) {
+    const entry = {
+      severity: diagnostic.severity,
+      file: diagnostic.file || null,
+      line: toNumber(diagnostic.line),
+      column: toNumber(diagnostic.column),
+      code: diagnostic.code || null,
+      message: diagnostic.message
+    };
+
+    // MSBuild and Maven repeat every error in their closing summary
+    const key = [entry.severity, (entry.file || '').toLowerCase(), entry.line, entry.column, entry.code, entry.message].join('|');
+    if (this.seen.has(key)) {
+      return;
+    }
+    this.seen.add(key);
+
+    if (this.diagnostics.length >= MAX_DIAGNOSTICS) {
+      this.dropped++;
+      return;
+    }
+    this.diagnostics.push(entry);
+  }
+
+  /**
+   * Attach the diagnostics to a tool result, with a short summary after the raw log
+   * Output that never reached the parser (remote builds) is parsed from the result text.
+   * @param {Object} result - Tool result
+   * @returns {Object} - Result with diagnostics
+   */
+  annotate(result) {
+    this.flush();
+    if (this.linesParsed === 0 && result && Array.isArray(result.content)) {
+      result.content.filter(item => item.type === 'text').forEach(item => this.parseText(item.text));
+    }
+
+    const diagnostics = this.diagnostics;
+    if (diagnostics.length === 0) {
+      return { ...result, diagnostics };
+    }
+
+    const count = severity => diagnostics.filter(entry => entry.severity === severity).length;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const ordered = [...diagnostics].sort((a, b) =>
+      ['error', 'warning', 'info'].indexOf(a.severity) - ['error', 'warning', 'info'].indexOf(b.severity));
+    const lines = ordered.slice(0, SUMMARY_LINES).map(entry => {
+      const location = entry.file ? ` ${[entry.file, entry.line, entry.column].filter(part => part !== null).join(':')}` : '';
+      return `  ${entry.severity}${entry.code ? ` ${entry.code}` : ''}${location}: ${entry.message}`;
+    });
+    const more = diagnostics.length - lines.length + this.dropped;
+
+    return {
+      ...result,
+      content: [...(result.content || []), {
+        type: 'text',
+        text: `Diagnostics: ${plural(count('error'), 'error')}, ${plural(count('warning'), 'warning')}\n` +
+          `${lines.join('\n')}${more > 0 ? `\n  ... and ${more} more` : ''}`
+      }],
+      diagnostics
+    };
+  }
+}
+
+module.exports = DiagnosticsParser;
+module.exports.TOOLCHAINS = TOOLCHAINS;
@@ -0,0 +1,186 @@
+/**
+ * Elevation Manager - Time-boxed elevated scopes granted to named tokens
+ * An admin grants a token the use of specific tools, optionally only for paths under
+ * given prefixes, for a limited time. The grant is added to the token's own scope, so
+ * its host list still applies. Calls under a grant marked unrestricted also skip the
+ * tools' command and path validation, as under ENABLE_DANGEROUS_MODE, while its paths
+ * are still enforced by the token scope. Grants live in memory and end at expiry, on
+ * revocation or with the server process.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('./logger');
+const authManager = require('./auth-manager');
+const requestContext = require('./request-context');
+const { getNumericEnv } = require('./helpers');
+
+const DEFAULT_MINUTES = 30;
+
+class ElevationManager {
+  constructor() {
+    this.grants = new Map();
+  }
+
+  /**
+   * Whether the current tool call may skip validation
+   * @returns {boolean} - True under ENABLE_DANGEROUS_MODE or inside a call elevated by an unrestricted grant
+   */
+  isUnrestricted() {
+    if (process.env.ENABLE_DANGEROUS_MODE === 'true') {
+      return true;
+    }
+    const context = requestContext.get();
+    return Boolean(context && context.elevation && context.elevation.unrestricted);
+  }
+
+  /**
+   * What a tool call's request context carries about the grant covering it
+   * @returns {Object|undefined} - { id, unrestricted }
+   */
+  contextOf(grant) {
+    return grant ? { id: grant.id, unrestricted: grant.unrestricted } : undefined;
+  }
+
+  /**
+   * Grant a token an elevated scope
+   * @param {Object} request - { tokenName, tools, paths?, unrestricted?, minutes?, reason? }
+   * @param {string} grantedBy - Name of the admin token
+   * @returns {Object} - Grant ({ id, tokenName, subjectKind, tools, paths, unrestricted, reason, grantedBy, grantedAt, expiresAt, uses })
+   */
+  grant(request, grantedBy) {
+    const { tokenName, tools, paths, unrestricted, reason } = request;
+    const maxMinutes = getNumericEnv('ELEVATION_MAX_MINUTES', 240);
+    const minutes = request.minutes === undefined ? Math.min(DEFAULT_MINUTES, maxMinutes) : request.minutes;
+
+    const identity = typeof tokenName === 'string' ? authManager.findIdentity(tokenName) : null;
+    if (!identity) {
+      throw new Error(`Unknown token '${tokenName}'`);
+    }
+    if (!Array.isArray(tools) || tools.length === 0 || tools.some(tool => typeof tool !== 'string' || !tool)) {
+      throw new Error('tools must be a non-empty array of tool names');
+    }
+    if (paths !== undefined && (!Array.isArray(paths) || paths.length === 0 ||
+        paths.some(prefix => typeof prefix !== 'string' || !path.win32.isAbsolute(prefix)))) {
+      throw new Error('paths must be a non-empty array of absolute paths');
+    }
+    if (unrestricted !== undefined && typeof unrestricted !== 'boolean') {
+      throw new Error('unrestricted must be true or false');
+    }
+    if (typeof minutes !== 'number' || !(minutes > 0) || minutes > maxMinutes) {
+      throw new Error(`minutes must be more than 0 and at most ${maxMinutes}`);
+    }
+
+    const now = Date.now();
+    const grant = {
+      id: `elev-${crypto.randomUUID()}`,
+      tokenName,
+      subjectKind: authManager.subjectKind(identity),
+      tools: [...tools],
+      paths: paths ? [...paths] : null,
+      unrestricted: unrestricted === true,
+      reason: typeof reason === 'string' ? reason : null,
+      grantedBy,
+      grantedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + minutes * 60000).toISOString(),
+      uses: 0
+    };
+
+    grant.timer = setTimeout(() => this.end(grant, 'expired'), minutes * 60000);
+    grant.timer.unref();
+    this.grants.set(grant.id, grant);
+
+    logger.security('Elevation granted', {
+      elevationId: grant.id,
+      grantee: tokenName,
+      tools: grant.tools,
+      paths: grant.paths,
+      unrestricted: grant.unrestricted,
+      expiresAt: grant.expiresAt,
+      grantedBy,
+      reason: grant.reason
+    });
+    return this.describe(grant);
+  }
+
+  /**
+   * Revoke a grant before it expires
+   * @returns {Object|null} - The grant, or null if there is no active grant with this id
+   */
+  revoke(id, revokedBy) {
+    const grant = this.grants.get(id);
+    if (!grant) {
+      return null;
+    }
+    this.end(grant, 'revoked', { revokedBy });
+    return this.describe(grant);
+  }
+
+  end(grant, reason, details = {}) {
+    if (!this.grants.delete(grant.id)) {
+      return;
+    }
+    clearTimeout(grant.timer);
+    logger.security(reason === 'expired' ? 'Elevation expired' : 'Elevation revoked', {
+      elevationId: grant.id,
+      grantee: grant.tokenName,
+      uses: grant.uses,
+      ...details
+    });
+  }
+
+  /**
+   * Active grant covering a tool call, if any
+   * A grant with paths only covers calls whose path arguments all lie under them.
+   * @param {Object} identity - Caller's identity
+   * @param {Object} tool - Registered tool
+   * @param {Object} args - Tool arguments
+   * @returns {Object|null}
+   */
+  find(identity, tool, args) {
+    const now = Date.now();
+    const grant = [...this.grants.values()].find(candidate => {
+      if (Date.parse(candidate.expiresAt) <= now) {
+        this.end(candidate, 'expired');
+        return false;
+      }
+      if (candidate.tokenName !== identity.name || candidate.subjectKind !== authManager.subjectKind(identity) ||
+          !candidate.tools.includes(tool.name)) {
+        return false;
+      }
+      if (!candidate.paths) {
+        return true;
+      }
+      const values = authManager.pathArguments(args);
+      return values.length > 0 && values.every(([, value]) => authManager.isUnderPrefixes(candidate.paths, value));
+    });
+    return grant || null;
+  }
+
+  /**
+   * Record that a tool call runs under a grant
+   */
+  use(grant, toolName) {
+    grant.uses++;
+    logger.security('Elevated tool call', { elevationId: grant.id, grantee: grant.tokenName, tool: toolName });
+  }
+
+  /**
+   * Active grants, soonest expiry first
+   */
+  list() {
+    const now = Date.now();
+    return [...this.grants.values()]
+      .filter(grant => Date.parse(grant.expiresAt) > now)
+      .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
+      .map(grant => this.describe(grant));
+  }
+
+  describe(grant) {
+    const { timer, ...described } = grant;
+    return described;
+  }
+}
+
+// Export singleton instance
+module.exports = new ElevationManager();
@@ -430,6 +430,9 @@ ${this.generateCategoryOverview()}
    * @returns {string} - Category name
    */
   determineToolCategory(tool) {
+    // Registered tools declare their own category
+    if (tool.category && this.categories[tool.category]) return tool.category;
+
     const name = tool.name.toLowerCase();
     
     if (name.startsWith('build_')) return 'build';
@@ -2,6 +2,10 @@
  * Common utility functions to reduce code redundancy
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
 /**
  * Extract client IP address from request
  */
@@ -33,6 +37,13 @@ function handleValidationError(error, operation, logger, clientIP, context = {})
   return createTextResult(`Validation error: ${error.message}`);
 }
 
+/**
+ * Whether a tool result reports failure (isError, or success: false from executors)
+ */
+function isFailedResult(result) {
+  return Boolean(result && (result.isError || result.success === false));
+}
+
 /**
  * Parse numeric environment variable with default value
  */
@@ -41,6 +52,14 @@ function getNumericEnv(varName, defaultValue) {
   return isNaN(value) ? defaultValue : value;
 }
 
+/**
+ * File system path for a path returned by security.validatePath / validateBuildPath
+ * Validation normalizes to Windows separators; elsewhere (tests) they are mapped back.
+ */
+function toLocalPath(validatedPath) {
+  return path.sep === '\\' ? validatedPath : validatedPath.replace(/\\/g, '/');
+}
+
 /**
  * Create directory if not exists command for Windows
  */
@@ -48,6 +67,90 @@ function createDirCommand(dirPath) {
   return `if not exist "${dirPath}" mkdir "${dirPath}"`;
 }
 
+/**
+ * Glob pattern (*, ** and ?) to a regular expression over forward-slash paths
+ * A pattern without a slash matches the file name in any directory.
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  let source = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" everything below
+      source += normalized[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += normalized[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(normalized.includes('/') ? `^${source}$` : `(?:^|/)${source}$`, 'i');
+}
+
+/**
+ * Files below a directory matching any of the glob patterns
+ * @returns {Array<string>} - Paths relative to root, with forward slashes
+ */
+function findFiles(root, patterns) {
+  const matchers = patterns.map(pattern => globToRegExp(pattern));
+  const found = [];
+
+  const walk = (dir, relative) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), entryRelative);
+      } else if (entry.isFile() && matchers.some(matcher => matcher.test(entryRelative))) {
+        found.push(entryRelative);
+      }
+    });
+  };
+
+  walk(root, '');
+  return found;
+}
+
+// Digests of recently hashed files, most recently used last
+const hashCache = new Map();
+const HASH_CACHE_ENTRIES = 512;
+
+/**
+ * SHA-256 of a file, streamed so large files are neither held in memory nor block the event loop
+ * The digest is cached per file and reused while its size and modification time are unchanged.
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashFile(filePath) {
+  const key = path.resolve(filePath);
+  const stats = await fs.promises.stat(key);
+  const version = `${stats.ino}:${stats.size}:${stats.mtimeMs}:${stats.ctimeMs}`;
+
+  const cached = hashCache.get(key);
+  hashCache.delete(key);
+  if (cached && cached.version === version) {
+    hashCache.set(key, cached);
+    return cached.sha256;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(key, { highWaterMark: 1024 * 1024 })) {
+    hash.update(chunk);
+  }
+  const sha256 = hash.digest('hex');
+
+  hashCache.set(key, { version, sha256 });
+  if (hashCache.size > HASH_CACHE_ENTRIES) {
+    hashCache.delete(hashCache.keys().next().value);
+  }
+  return sha256;
+}
+
 /**
  * Execute command locally or remotely based on remoteHost parameter
  */
@@ -64,7 +167,12 @@ module.exports = {
   getClientIP,
   createTextResult,
   handleValidationError,
+  isFailedResult,
   getNumericEnv,
+  toLocalPath,
   createDirCommand,
+  globToRegExp,
+  findFiles,
+  hashFile,
   executeCommand
 };
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * Job Manager - Asynchronous tool calls
+ * A tools/call with async: true returns a job id straight away while the tool
+ * keeps running here, independent of the HTTP request or session that started it.
+ * Job state is persisted to MCP_JOBS_DIR (<id>.json plus an <id>.out output file)
+ * so status and output stay available after the client disconnects; jobs that
+ * were running when the server stopped are marked interrupted on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const cancellationManager = require('./cancellation-manager');
+const { createTextResult, isFailedResult, getNumericEnv } = require('./helpers');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled', 'interrupted'];
+// Output appends persist the record's outputBytes at most this often (milliseconds)
+const OUTPUT_SAVE_INTERVAL = 1000;
+const SECRET_ARGUMENT = /password|secret|token|key$/i;
+
+class JobManager {
+  constructor() {
+    this.jobsDir = process.env.MCP_JOBS_DIR || path.join(__dirname, '..', 'jobs');
+    this.jobs = null;
+    // Job id -> when its record was last saved
+    this.savedAt = new Map();
+  }
+
+  /**
+   * Load persisted jobs on first use
+   */
+  ensureLoaded() {
+    if (this.jobs) {
+      return;
+    }
+
+    this.jobs = new Map();
+    if (!fs.existsSync(this.jobsDir)) {
+      fs.mkdirSync(this.jobsDir, { recursive: true });
+      return;
+    }
+
+    fs.readdirSync(this.jobsDir)
+      .filter(name => name.endsWith('.json'))
+      .forEach(name => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.jobsDir, name), 'utf8'));
+          // Output appended after the last save is in the output file
+          const outputPath = this.outputPath(job.id);
+          job.outputBytes = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+          if (!FINISHED.includes(job.status)) {
+            // The process behind it died with the previous server instance
+            job.status = 'interrupted';
+            job.finishedAt = new Date().toISOString();
+            this.save(job);
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          logger.error('Failed to load job', { file: name, error: error.message });
+        }
+      });
+  }
+
+  /**
+   * Owner of jobs started by a caller: the name of its token, so jobs survive token
+   * rotation and access token refreshes; without an identity its token fingerprint
+   * or client IP
+   * @param {Object} context - Caller context ({ clientIP, token, identity })
+   * @returns {string}
+   */
+  ownerOf(context) {
+    if (context.identity) {
+      return `identity:${context.identity.name}`;
+    }
+    return context.token ? `token:${context.token}` : `ip:${context.clientIP}`;
+  }
+
+  /**
+   * Start a job
+   * @param {Object} info - { tool, args, context }
+   * @param {Function} execute - (job, cancellation) => Promise<result>; runs the tool and
+   *   calls markRunning(job) when it starts
+   * @returns {Object} - Job record
+   */
+  submit(info, execute) {
+    this.ensureLoaded();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${crypto.randomUUID()}`,
+      tool: info.tool,
+      arguments: this.redact(info.args),
+      owner: this.ownerOf(info.context),
+      clientIP: info.context.clientIP,
+      status: 'queued',
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      outputBytes: 0,
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.save(job);
+    fs.writeFileSync(this.outputPath(job.id), '');
+
+    const cancellation = cancellationManager.begin(this.cancellationKey(job.id), {
+      requestId: job.id,
+      tool: job.tool,
+      clientIP: job.clientIP
+    });
+    cancellation.cancelled.then(() => this.finish(job, 'cancelled', createTextResult(`Job cancelled: ${cancellation.reason}`)));
+
+    logger.info('Job submitted', { jobId: job.id, tool: job.tool, clientIP: job.clientIP });
+
+    Promise.resolve()
+      .then(() => execute(job, cancellation))
+      .then(result => this.finish(job, isFailedResult(result) ? 'failed' : 'succeeded', result))
+      .catch(error => this.finish(job, 'failed', {
+        ...createTextResult(`Job failed: ${error.message}`),
+        isError: true
+      }))
+      .finally(() => cancellationManager.end(this.cancellationKey(job.id)));
+
+    return job;
+  }
+
+  /**
+   * Mark a job as running once its tool has started (after any build queue wait)
+   */
+  markRunning(job) {
+    if (job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.save(job);
+  }
+
+  /**
+   * Record the outcome of a job (the first outcome wins)
+   */
+  finish(job, status, result) {
+    if (FINISHED.includes(job.status)) {
+      return;
+    }
+
+    job.status = status;
+    job.result = result || null;
+    job.finishedAt = new Date().toISOString();
+    this.save(job);
+    this.prune();
+
+    logger.info('Job finished', { jobId: job.id, tool: job.tool, status });
+  }
+
+  /**
+   * Append process output to a job
+   * @param {Object} job - Job record
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} data - Output chunk
+   */
+  append(job, stream, data) {
+    const chunk = stream === 'stderr' ? data.replace(/^(?=.)/gm, 'STDERR: ') : data;
+
+    try {
+      fs.appendFileSync(this.outputPath(job.id), chunk);
+      job.outputBytes += Buffer.byteLength(chunk);
+      if (Date.now() - (this.savedAt.get(job.id) || 0) >= OUTPUT_SAVE_INTERVAL) {
+        this.save(job);
+      }
+    } catch (error) {
+      logger.error('Failed to write job output', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Look up a job owned by the caller
+   * @param {string} id - Job id
+   * @param {Object} context - Caller context
+   * @returns {Object|null}
+   */
+  get(id, context) {
+    this.ensureLoaded();
+    const job = this.jobs.get(id);
+    return job && job.owner === this.ownerOf(context) ? job : null;
+  }
+
+  /**
+   * Jobs owned by the caller, newest first
+   * @param {Object} context - Caller context
+   * @param {string} status - Optional status filter
+   * @returns {Array<Object>}
+   */
+  list(context, status) {
+    this.ensureLoaded();
+    const owner = this.ownerOf(context);
+
+    return Array.from(this.jobs.values())
+      .filter(job => job.owner === owner && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Read job output from a byte offset
+   * @param {Object} job - Job record
+   * @param {number} offset - Byte offset to start from
+   * @param {number} limit - Maximum bytes to return
+   * @returns {Object} - { data, offset, nextOffset, totalBytes, complete }
+   */
+  readOutput(job, offset = 0, limit = 65536) {
+    const filePath = this.outputPath(job.id);
+    const totalBytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    const start = Math.min(offset, totalBytes);
+    const length = Math.min(limit, totalBytes - start);
+    const buffer = Buffer.alloc(length);
+
+    if (length > 0) {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, length, start);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+
+    return {
+      data: buffer.toString('utf8'),
+      offset: start,
+      nextOffset: start + length,
+      totalBytes,
+      complete: FINISHED.includes(job.status) && start + length >= totalBytes
+    };
+  }
+
+  /**
+   * Cancel a running job
+   * @param {Object} job - Job record
+   * @param {string} reason - Cancellation reason
+   * @returns {boolean} - True if the job was running
+   */
+  cancel(job, reason = 'Cancelled by client') {
+    return cancellationManager.cancel(this.cancellationKey(job.id), reason);
+  }
+
+  /**
+   * Delete the oldest finished jobs beyond MCP_JOB_RETENTION
+   */
+  prune() {
+    const retention = getNumericEnv('MCP_JOB_RETENTION', 100);
+    const finished = Array.from(this.jobs.values())
+      .filter(job => FINISHED.includes(job.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    finished.slice(retention).forEach(job => {
+      this.jobs.delete(job.id);
+      this.savedAt.delete(job.id);
+      [this.recordPath(job.id), this.outputPath(job.id)].forEach(filePath => {
+        try {
+          fs.rmSync(filePath, { force: true });
+        } catch (error) {
+          logger.error('Failed to delete job file', { jobId: job.id, error: error.message });
+        }
+      });
+    });
+  }
+
+  /**
+   * Persist a job record (written to a temp file and renamed)
+   */
+  save(job) {
+    try {
+      const tempPath = `${this.recordPath(job.id)}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+      fs.renameSync(tempPath, this.recordPath(job.id));
+      this.savedAt.set(job.id, Date.now());
+    } catch (error) {
+      logger.error('Failed to save job', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Public view of a job (without its owner key)
+   */
+  describe(job) {
+    const { owner, ...visible } = job;
+    return visible;
+  }
+
+  /**
+   * Mask secret-looking arguments for storage, at any depth
+   * Pipeline steps and similar nested arguments carry their own credentials.
+   */
+  redact(args) {
+    return this.redactValue(args || {});
+  }
+
+  redactValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value)
+      .map(([name, item]) => [name, SECRET_ARGUMENT.test(name) ? '***' : this.redactValue(item)]));
+  }
+
+  cancellationKey(id) {
+    return `job:${id}`;
+  }
+
+  recordPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+
+  outputPath(id) {
+    return path.join(this.jobsDir, `${id}.out`);
+  }
+}
+
+// Export singleton instance
+module.exports = new JobManager();
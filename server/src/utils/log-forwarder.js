@@ -0,0 +1,89 @@
+/**
+ * Log Forwarder - MCP logging capability
+ * logging/setLevel sets a minimum level per session (or client). Logger entries
+ * raised while handling one of that caller's requests are then sent back to it
+ * as notifications/message, so failures can be diagnosed without reading
+ * app.log on the build machine.
+ */
+
+const logger = require('./logger');
+const requestContext = require('./request-context');
+
+// RFC 5424 severities used by MCP, lowest first
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Logger method levels mapped onto MCP levels
+const LOGGER_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warning',
+  error: 'error'
+};
+
+class LogForwarder {
+  constructor() {
+    this.levels = new Map();
+    this.forwarding = false;
+
+    logger.on('log', entry => this.forward(entry));
+  }
+
+  /**
+   * Set the minimum level forwarded to a caller
+   * @param {string} scope - Session id or client IP
+   * @param {string} level - MCP log level
+   * @returns {boolean} - False if the level is not a valid MCP level
+   */
+  setLevel(scope, level) {
+    if (!LEVELS.includes(level)) {
+      return false;
+    }
+
+    this.levels.set(scope, level);
+    return true;
+  }
+
+  /**
+   * Stop forwarding to a caller (session ended)
+   * @param {string} scope - Session id or client IP
+   */
+  clear(scope) {
+    this.levels.delete(scope);
+  }
+
+  /**
+   * Send a logger entry to the caller of the request being handled
+   * @param {Object} entry - { level, message, metadata, logger }
+   */
+  forward(entry) {
+    const context = requestContext.get();
+    if (!context || this.forwarding) {
+      return;
+    }
+
+    const threshold = this.levels.get(context.sessionId || context.clientIP);
+    const level = LOGGER_LEVELS[entry.level] || 'info';
+    if (!threshold || LEVELS.indexOf(level) < LEVELS.indexOf(threshold)) {
+      return;
+    }
+
+    // Delivery problems must not produce log entries that are forwarded again
+    this.forwarding = true;
+    try {
+      requestContext.notify('notifications/message', {
+        level,
+        logger: entry.logger,
+        data: { message: entry.message, ...entry.metadata }
+      });
+    } finally {
+      this.forwarding = false;
+    }
+  }
+
+  get supportedLevels() {
+    return LEVELS.slice();
+  }
+}
+
+// Export singleton instance
+module.exports = new LogForwarder();
@@ -1,8 +1,17 @@
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const requestContext = require('./request-context');
 
-class Logger {
+/**
+ * Logger - File and console logging
+ * Every entry is also emitted as a 'log' event ({ level, message, metadata, logger })
+ * regardless of LOG_LEVEL, so it can be forwarded to MCP clients.
+ * Entries written while handling an authenticated request carry the token's name.
+ */
+class Logger extends EventEmitter {
   constructor() {
+    super();
     this.logLevel = process.env.LOG_LEVEL || 'info';
     this.logDir = path.join(__dirname, '..', 'logs');
     this.maxLogSize = 10 * 1024 * 1024; // 10MB
@@ -30,6 +39,10 @@ class Logger {
 
   formatMessage(level, message, metadata = {}) {
     const timestamp = new Date().toISOString();
+    const context = requestContext.get();
+    if (context && context.identity && metadata.tokenName === undefined) {
+      metadata = { ...metadata, tokenName: context.identity.name };
+    }
     const metaStr = Object.keys(metadata).length > 0 ? ` ${JSON.stringify(metadata)}` : '';
     return `[${timestamp}] ${level.toUpperCase()}: ${message}${metaStr}\n`;
   }
@@ -76,7 +89,15 @@ class Logger {
     fs.renameSync(filePath, rotatedFile);
   }
 
+  // Notify 'log' listeners (MCP notifications/message forwarding)
+  publish(level, message, metadata, logger = 'server') {
+    if (this.listenerCount('log') > 0) {
+      this.emit('log', { level, message, metadata, logger });
+    }
+  }
+
   error(message, metadata = {}) {
+    this.publish('error', message, metadata);
     if (this.shouldLog('error')) {
       const formatted = this.formatMessage('error', message, metadata);
       console.error(formatted.trim());
@@ -86,6 +107,7 @@ class Logger {
   }
 
   warn(message, metadata = {}) {
+    this.publish('warn', message, metadata);
     if (this.shouldLog('warn')) {
       const formatted = this.formatMessage('warn', message, metadata);
       console.warn(formatted.trim());
@@ -94,6 +116,7 @@ class Logger {
   }
 
   info(message, metadata = {}) {
+    this.publish('info', message, metadata);
     if (this.shouldLog('info')) {
       const formatted = this.formatMessage('info', message, metadata);
       console.log(formatted.trim());
@@ -102,6 +125,7 @@ class Logger {
   }
 
   debug(message, metadata = {}) {
+    this.publish('debug', message, metadata);
     if (this.shouldLog('debug')) {
       const formatted = this.formatMessage('debug', message, metadata);
       console.log(formatted.trim());
@@ -112,6 +136,7 @@ class Logger {
   // Security-specific logging
   security(event, details = {}) {
     const message = `SECURITY EVENT: ${event}`;
+    this.publish('warn', message, details, 'security');
     const formatted = this.formatMessage('warn', message, details);
     console.warn(formatted.trim());
     this.writeToFile('security.log', formatted);
@@ -137,7 +162,7 @@ class Logger {
     };
     
     const message = `${clientIP} - ${method} ${url} ${status} ${duration}ms`;
-    const formatted = this.formatMessage('info', message, { userAgent });
+    const formatted = this.formatMessage('info', message, req.identity ? { userAgent, tokenName: req.identity.name } : { userAgent });
     this.writeToFile('access.log', formatted);
   }
 }
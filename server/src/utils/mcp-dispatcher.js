@@ -0,0 +1,620 @@
+/**
+ * MCP Dispatcher - Transport-independent JSON-RPC method handling
+ * The HTTP /mcp endpoint and the stdio transport both hand parsed requests to
+ * dispatch(), so every transport exposes exactly the same methods and tools.
+ */
+
+const logger = require('./logger');
+const authManager = require('./auth-manager');
+const elevationManager = require('./elevation-manager');
+const helpGenerator = require('./help-generator');
+const toolRegistry = require('./tool-registry');
+const schemaValidator = require('./schema-validator');
+const requestContext = require('./request-context');
+const cancellationManager = require('./cancellation-manager');
+const buildLogStore = require('./build-log-store');
+const resourceManager = require('./resource-manager');
+const promptLibrary = require('./prompt-library');
+const jobManager = require('./job-manager');
+const buildScheduler = require('./build-scheduler');
+const workspaceManager = require('./workspace-manager');
+const artifactStore = require('./artifact-store');
+const DiagnosticsParser = require('./diagnostics-parser');
+const BuildProgressTracker = require('./build-progress');
+const testReportParser = require('./test-report-parser');
+const logForwarder = require('./log-forwarder');
+const { createTextResult, isFailedResult, getNumericEnv } = require('./helpers');
+
+class MCPDispatcher {
+  /**
+   * Handle a single JSON-RPC request
+   * @param {Object} request - Parsed JSON-RPC request ({ method, params, id })
+   * @param {Object} context - Caller context ({ clientIP, transport, sessionId, token, identity, notify })
+   * @returns {Promise<Object>} - JSON-RPC response ({ jsonrpc, id, result } or { jsonrpc, id, error })
+   */
+  async dispatch(request, context) {
+    // Log entries raised while handling the request can be forwarded to its caller
+    return requestContext.run({
+      requestId: request.id,
+      clientIP: context.clientIP,
+      transport: context.transport,
+      sessionId: context.sessionId,
+      token: context.token,
+      identity: context.identity,
+      notify: context.notify
+    }, () => this.route(request, context));
+  }
+
+  /**
+   * Route a request to its method handler
+   */
+  async route(request, context) {
+    const { method, params, id } = request;
+    const { clientIP } = context;
+
+    logger.info('Received MCP request', {
+      clientIP,
+      method,
+      toolName: params?.name,
+      transport: context.transport
+    });
+
+    try {
+      if (method === 'initialize') {
+        return this.success(id, this.initialize(context));
+      } else if (method === 'shutdown') {
+        // MCP protocol shutdown
+        logger.info('MCP shutdown requested', { clientIP });
+        return this.success(id, {});
+      } else if (method === 'ping') {
+        // MCP protocol ping/pong for health check
+        return this.success(id, { status: 'pong' });
+      } else if (method === 'tools/list') {
+        return this.success(id, this.listTools(context));
+      } else if (method === 'tools/call') {
+        return await this.callTool(id, params, context);
+      } else if (method === 'logging/setLevel') {
+        return this.setLogLevel(id, params, context);
+      } else if (method === 'prompts/list') {
+        return this.success(id, { prompts: promptLibrary.list() });
+      } else if (method === 'prompts/get') {
+        return this.getPrompt(id, params);
+      } else if (method.startsWith('resources/')) {
+        return this.handleResources(id, method, params, context);
+      } else if (method === 'notifications/cancelled') {
+        return this.success(id, this.cancelRequest(params, context));
+      }
+
+      return this.failure(id, -32601, `Method not found: ${method}`);
+    } catch (error) {
+      console.error('Error:', error);
+      return this.failure(id, -32603, 'Internal error', error.message);
+    }
+  }
+
+  /**
+   * Handle a JSON-RPC batch
+   * Entries run in order; read-only entries (ping, tools/list and tools annotated
+   * readOnlyHint) run in parallel with them unless MCP_BATCH_PARALLEL=false.
+   * Notifications (entries without an id) run but get no response.
+   * @param {Array<Object>} requests - Batch entries
+   * @param {Object} context - Caller context ({ clientIP, transport, sessionId, notify })
+   * @returns {Promise<Array<Object>|Object>} - Responses in entry order (empty when every entry was a
+   *   notification), or a single error for an invalid batch
+   */
+  async dispatchBatch(requests, context) {
+    const maxSize = getNumericEnv('MCP_BATCH_MAX_SIZE', 20);
+
+    if (requests.length === 0) {
+      return this.failure(null, -32600, 'Invalid Request: batch must not be empty');
+    }
+
+    if (requests.length > maxSize) {
+      return this.failure(null, -32600, `Invalid Request: batch exceeds ${maxSize} entries`);
+    }
+
+    logger.info('Received MCP batch', { clientIP: context.clientIP, size: requests.length });
+
+    const responses = new Array(requests.length);
+    const parallel = process.env.MCP_BATCH_PARALLEL !== 'false';
+    const run = async (request, index) => {
+      const response = await this.dispatch(request, context);
+      if (request.id !== undefined) {
+        responses[index] = response;
+      }
+    };
+
+    const readOnly = [];
+    let sequential = Promise.resolve();
+
+    requests.forEach((request, index) => {
+      const invalid = this.validateBatchEntry(request);
+      if (invalid) {
+        const id = request && typeof request === 'object' && request.id !== undefined ? request.id : null;
+        responses[index] = this.failure(id, -32600, invalid);
+      } else if (parallel && this.isReadOnly(request)) {
+        readOnly.push(run(request, index));
+      } else {
+        sequential = sequential.then(() => run(request, index));
+      }
+    });
+
+    await Promise.all([...readOnly, sequential]);
+    return responses.filter(response => response !== undefined);
+  }
+
+  /**
+   * Check a batch entry's JSON-RPC envelope
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateBatchEntry(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return 'Invalid Request: batch entries must be JSON objects';
+    }
+
+    if (request.jsonrpc !== '2.0') {
+      return 'Invalid Request: jsonrpc must be "2.0"';
+    }
+
+    if (!request.method || typeof request.method !== 'string') {
+      return 'Invalid Request: method is required and must be a string';
+    }
+
+    if (request.method === 'initialize') {
+      return 'Invalid Request: initialize cannot be batched';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a request has no side effects and may run concurrently
+   */
+  isReadOnly(request) {
+    if (['ping', 'tools/list', 'resources/list', 'resources/templates/list', 'resources/read',
+      'prompts/list', 'prompts/get'].includes(request.method)) {
+      return true;
+    }
+
+    if (request.method === 'tools/call') {
+      const tool = toolRegistry.get(request.params?.name);
+      return Boolean(tool && tool.annotations && tool.annotations.readOnlyHint);
+    }
+
+    return false;
+  }
+
+  /**
+   * MCP protocol initialization with welcome message (CLAUDE.md 第13条)
+   */
+  initialize(context) {
+    const serverInfo = {
+      name: 'windows-mcp-server',
+      version: require('../../package.json').version,
+      authConfigured: authManager.isAuthEnabled(),
+      dangerousMode: process.env.ENABLE_DANGEROUS_MODE === 'true'
+    };
+
+    const welcomeMessage = helpGenerator.generateWelcomeMessage(serverInfo);
+
+    logger.info('MCP initialization completed with welcome message', {
+      clientIP: context.clientIP,
+      version: serverInfo.version
+    });
+
+    return {
+      protocolVersion: '2024-11-05',
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        logging: {}
+      },
+      serverInfo: {
+        ...serverInfo,
+        welcomeMessage,
+        helpEndpoints: {
+          comprehensive: '/help/tools',
+          quickReference: '/help/quick',
+          categories: '/help/category/{category}',
+          authentication: '/auth/status'
+        }
+      },
+      // 第13条完全実装: 初期化時の即座機能通知
+      immediateNotification: {
+        message: '🎉 MCP Connection Successful! Python Virtual Environment Support Available!',
+        criticalFeatures: {
+          '🐍 Python Testing Ready': 'build_python tool with virtual environment auto-creation',
+          '🔨 Multi-Language Builds': '.NET, Java, Python, Node.js, Go, Rust, C++, Ruby',
+          '⚡ Windows Automation': 'PowerShell execution with security controls',
+          '📋 Help Available': 'Use tools/list or visit /help/tools for detailed examples'
+        },
+        quickStart: 'build_python: {"projectPath": "C:/project", "commands": ["test"], "useVirtualEnv": true}',
+        version: serverInfo.version,
+        totalTools: toolRegistry.size
+      }
+    };
+  }
+
+  /**
+   * Enhanced tools/list with help information (CLAUDE.md 第13条)
+   */
+  listTools(context) {
+    // Named tokens only see the tools they may call
+    const tools = context.identity ?
+      toolRegistry.list().filter(tool => authManager.canUseTool(context.identity, toolRegistry.get(tool.name))) :
+      toolRegistry.list();
+
+    logger.info('Tools list requested with help information', {
+      clientIP: context.clientIP,
+      toolCount: tools.length
+    });
+
+    return {
+      tools,
+
+      // Enhanced welcome message and help information (CLAUDE.md 第13条完全実装)
+      welcomeMessage: helpGenerator.generateWelcomeMessage({
+        version: require('../../package.json').version,
+        authConfigured: authManager.isAuthEnabled(),
+        dangerousMode: process.env.ENABLE_DANGEROUS_MODE === 'true',
+        tools
+      }),
+
+      helpInfo: {
+        message: `🎉 All ${tools.length} tools available! Environment info and project analysis included in v1.0.44!`,
+        featuredCapabilities: {
+          '🐍 Python Virtual Environments': 'build_python: Auto-creates .venv, installs deps, runs pytest/unittest',
+          '🔨 Multi-Language Builds': '.NET, Java, Python, Node.js, Go, Rust, C++, Ruby, Docker',
+          '⚡ PowerShell Execution': 'Full Windows automation with timeout controls',
+          '📁 File Operations': 'Base64 encoding, file sync, large file transfers',
+          '🌐 HTTP Client': 'Direct API testing with JSON support, bypasses PowerShell limitations'
+        },
+        quickStart: {
+          'Python Testing': 'build_python: {"projectPath": "C:/project", "commands": ["test"], "useVirtualEnv": true}',
+          'Build .NET': 'build_dotnet: {"projectPath": "C:/project.csproj", "configuration": "Release"}',
+          'Run Commands': 'run_powershell: {"command": "Get-Process"}',
+          'AI Chat Testing': 'http_request: {"url": "http://localhost:8080/api/chat", "method": "POST", "json": {"message": "Hello AI", "model": "tinyllama"}}',
+          'Get Detailed Help': 'Visit /help/tools for comprehensive examples with Python venv'
+        },
+        helpEndpoints: {
+          '/help/quick': 'Quick reference and common examples',
+          '/help/tools': 'Complete tool documentation',
+          '/help/category/build': 'Build tools documentation',
+          '/help/category/system': 'System tools documentation',
+          '/help/category/files': 'File operation tools',
+          '/auth/status': 'Check authentication status'
+        },
+        totalTools: tools.length,
+        categories: helpGenerator.categories
+      }
+    };
+  }
+
+  /**
+   * Validate arguments against the tool's inputSchema and run its handler
+   */
+  async callTool(id, params, context) {
+    const { name, arguments: args } = params;
+    const { clientIP } = context;
+
+    const tool = toolRegistry.get(name);
+
+    if (!tool) {
+      logger.warn('Unknown tool requested', { clientIP, toolName: name });
+      return this.success(id, createTextResult(`Unknown tool: ${name}`));
+    }
+
+    // Reject arguments that do not match the advertised inputSchema before dispatch
+    const rawArgs = args === undefined ? {} : args;
+    const validationErrors = schemaValidator.validate(toolRegistry.inputSchemaOf(tool), rawArgs);
+
+    if (validationErrors.length > 0) {
+      logger.warn('Invalid tool arguments', { clientIP, toolName: name, errors: validationErrors });
+      return this.failure(id, -32602, 'Invalid params', {
+        tool: name,
+        errors: validationErrors
+      });
+    }
+
+    // An elevation granted to the token is checked on top of the token's own scope
+    const elevation = context.identity ? elevationManager.find(context.identity, tool, rawArgs) : null;
+    const denied = context.identity ? authManager.authorizeToolCall(context.identity, tool, rawArgs, elevation) : null;
+    if (denied) {
+      logger.security('Tool call denied', { clientIP, toolName: name, reason: denied });
+      return this.success(id, { ...createTextResult(`Access denied: ${denied}`), isError: true });
+    }
+    if (elevation) {
+      elevationManager.use(elevation, name);
+    }
+
+    const { options, toolArgs } = this.splitOptions(tool, rawArgs);
+
+    if (options.async === true) {
+      return this.success(id, this.startJob(tool, toolArgs, context, { ...options, elevation: elevationManager.contextOf(elevation) }));
+    }
+
+    const key = cancellationManager.keyFor(context, id);
+    const cancellation = cancellationManager.begin(key, { requestId: id, tool: name, clientIP });
+    const buildLog = tool.category === 'build' ? buildLogStore.create(name, id, context.identity && context.identity.name) : null;
+    let status = 'failed';
+
+    try {
+      const execution = this.runHandler(tool, toolArgs, context, {
+        requestId: id,
+        progressToken: params._meta ? params._meta.progressToken : undefined,
+        priority: options.priority,
+        isolated: options.isolated,
+        artifacts: options.artifacts,
+        elevation: elevationManager.contextOf(elevation),
+        cancellation,
+        buildLog
+      });
+
+      // A cancelled call answers immediately; the handler winds down in the background
+      execution.catch(() => {});
+      const result = await Promise.race([execution, cancellation.cancelled]);
+
+      if (cancellation.isCancelled) {
+        status = 'cancelled';
+        return this.success(id, {
+          ...createTextResult(`Request ${id} (${name}) was cancelled: ${cancellation.reason}`),
+          isError: true,
+          cancelled: true
+        });
+      }
+
+      status = isFailedResult(result) ? 'failed' : 'succeeded';
+      return this.success(id, result);
+    } finally {
+      cancellationManager.end(key);
+      if (buildLog) {
+        buildLog.finish(status);
+      }
+    }
+  }
+
+  /**
+   * Separate the server-level options the registry adds to a tool's schema
+   * (async, priority, isolated, artifacts) from the arguments the tool handler receives
+   */
+  splitOptions(tool, args) {
+    const own = tool.inputSchema.properties || {};
+    const added = Object.keys(toolRegistry.inputSchemaOf(tool).properties || {}).filter(name => !(name in own));
+    const options = {};
+    const toolArgs = {};
+
+    Object.entries(args).forEach(([name, value]) => {
+      if (added.includes(name)) {
+        options[name] = value;
+      } else {
+        toolArgs[name] = value;
+      }
+    });
+
+    return { options, toolArgs };
+  }
+
+  /**
+   * Start a tool as a background job and describe it to the caller
+   * The job outlives this request; its output goes to the job store.
+   */
+  startJob(tool, args, context, options) {
+    const stored = typeof tool.storedArguments === 'function' ? tool.storedArguments(args) : args;
+    const job = jobManager.submit({ tool: tool.name, args: stored, context }, async (job, cancellation) => {
+      const buildLog = tool.category === 'build' ?
+        buildLogStore.create(tool.name, job.id, context.identity && context.identity.name) : null;
+      let status = 'failed';
+
+      try {
+        const result = await this.runHandler(tool, args, context, {
+          requestId: job.id,
+          priority: options.priority,
+          isolated: options.isolated,
+          artifacts: options.artifacts,
+          elevation: options.elevation,
+          cancellation,
+          buildLog,
+          jobOutput: { append: (stream, data) => jobManager.append(job, stream, data) }
+        }, () => jobManager.markRunning(job));
+        status = isFailedResult(result) ? 'failed' : 'succeeded';
+        return result;
+      } finally {
+        if (buildLog) {
+          buildLog.finish(cancellation.isCancelled ? 'cancelled' : status);
+        }
+      }
+    });
+
+    return {
+      ...createTextResult(`Started job ${job.id} (${tool.name}). ` +
+        'Poll job_status and job_output with this jobId; cancel with job_cancel.'),
+      jobId: job.id,
+      status: job.status
+    };
+  }
+
+  /**
+   * Run a tool handler inside a request context so executors can stream output,
+   * report progress and register processes for cancellation
+   * Build tools first wait for a build scheduler slot; onStart runs once the handler starts.
+   * With state.isolated the handler builds a copy of the project in a fresh workspace;
+   * with state.artifacts the matching outputs go to the artifact store. Tools naming
+   * their toolchains in tool.diagnostics get compiler diagnostics parsed from their output,
+   * and tools with tool.testReports(args) the test reports written during the run.
+   * With a progressToken, one progress tracker serves every process the handler runs.
+   */
+  runHandler(tool, args, context, state, onStart = () => {}) {
+    const caller = { clientIP: context.clientIP, token: context.token, identity: context.identity };
+    const diagnostics = tool.diagnostics ? new DiagnosticsParser(tool.diagnostics) : null;
+    const progress = state.progressToken !== undefined && state.progressToken !== null ? new BuildProgressTracker() : null;
+    const build = async buildArgs => {
+      const startedAt = Date.now();
+      const output = await tool.handler(buildArgs, caller);
+      let result = diagnostics ? diagnostics.annotate(output) : output;
+      if (typeof tool.testReports === 'function') {
+        result = testReportParser.collect(tool, buildArgs, result, startedAt);
+      }
+      return state.artifacts ?
+        artifactStore.collect(tool, buildArgs, state.artifacts, result, {
+          requestId: state.requestId,
+          identity: context.identity,
+          arguments: args
+        }) :
+        result;
+    };
+    const handle = () => {
+      onStart();
+      return state.isolated === true ? workspaceManager.run(tool, args, state.artifacts, build) : build(args);
+    };
+
+    return requestContext.run({
+      tool: tool.name,
+      clientIP: context.clientIP,
+      transport: context.transport,
+      sessionId: context.sessionId,
+      token: context.token,
+      identity: context.identity,
+      notify: context.notify,
+      diagnostics,
+      progress,
+      ...state
+    }, async () => {
+      if (!toolRegistry.isScheduled(tool)) {
+        return handle();
+      }
+
+      try {
+        return await buildScheduler.run({ tool: tool.name, requestId: state.requestId, priority: state.priority }, handle);
+      } catch (error) {
+        if (error instanceof buildScheduler.QueueFullError) {
+          return { ...createTextResult(error.message), isError: true };
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * logging/setLevel - minimum level of notifications/message for this session
+   */
+  setLogLevel(id, params, context) {
+    const level = params ? params.level : undefined;
+
+    if (!logForwarder.setLevel(context.sessionId || context.clientIP, level)) {
+      return this.failure(id, -32602, 'Invalid params', {
+        errors: [{
+          field: 'level',
+          message: `must be one of: ${logForwarder.supportedLevels.map(l => `"${l}"`).join(', ')}`
+        }]
+      });
+    }
+
+    logger.info('Client log level set', { clientIP: context.clientIP, sessionId: context.sessionId, level });
+    return this.success(id, {});
+  }
+
+  /**
+   * prompts/get - render a prompt template with its arguments
+   */
+  getPrompt(id, params) {
+    const name = params ? params.name : undefined;
+    const prompt = promptLibrary.get(name);
+
+    if (!prompt) {
+      return this.failure(id, -32602, `Unknown prompt: ${name}`);
+    }
+
+    const args = params.arguments || {};
+    const errors = promptLibrary.validate(prompt, args);
+    if (errors.length > 0) {
+      return this.failure(id, -32602, 'Invalid params', { prompt: name, errors });
+    }
+
+    return this.success(id, promptLibrary.render(prompt, args));
+  }
+
+  /**
+   * resources/list, resources/templates/list, resources/read and (un)subscribe
+   * Subscriptions are held per session (or client) and notified through the
+   * transport that subscribed. Tokens only see the resources their scope covers.
+   */
+  handleResources(id, method, params, context) {
+    const subscriber = context.sessionId || context.clientIP;
+    const uri = params ? params.uri : undefined;
+
+    try {
+      if (method === 'resources/list') {
+        return this.success(id, resourceManager.list(params ? params.cursor : undefined, context.identity));
+      } else if (method === 'resources/templates/list') {
+        return this.success(id, { resourceTemplates: resourceManager.listTemplates() });
+      } else if (method === 'resources/read') {
+        return this.success(id, resourceManager.read(uri, context.identity));
+      } else if (method === 'resources/subscribe') {
+        if (typeof context.notify !== 'function' || (context.transport === 'http' && !context.sessionId)) {
+          return this.failure(id, -32600, 'Invalid Request: resources/subscribe requires an MCP session');
+        }
+        resourceManager.subscribe(uri, subscriber, context.notify, context.identity);
+        return this.success(id, {});
+      } else if (method === 'resources/unsubscribe') {
+        resourceManager.unsubscribe(uri, subscriber);
+        return this.success(id, {});
+      }
+    } catch (error) {
+      if (error instanceof resourceManager.ResourceError) {
+        return this.failure(id, error.code, error.message, { uri });
+      }
+      throw error;
+    }
+
+    return this.failure(id, -32601, `Method not found: ${method}`);
+  }
+
+  /**
+   * notifications/cancelled - stop an in-flight tools/call from the same caller
+   */
+  cancelRequest(params, context) {
+    const requestId = params ? params.requestId : undefined;
+    const cancelled = requestId !== undefined &&
+      cancellationManager.cancel(cancellationManager.keyFor(context, requestId), params.reason);
+
+    if (!cancelled) {
+      logger.info('Cancellation for unknown or finished request ignored', {
+        clientIP: context.clientIP,
+        requestId
+      });
+    }
+
+    return { cancelled };
+  }
+
+  /**
+   * Build a JSON-RPC success response
+   */
+  success(id, result) {
+    return {
+      jsonrpc: '2.0',
+      id: id,
+      result: result
+    };
+  }
+
+  /**
+   * Build a JSON-RPC error response
+   */
+  failure(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) {
+      error.data = data;
+    }
+
+    return {
+      jsonrpc: '2.0',
+      id: id,
+      error: error
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MCPDispatcher();
@@ -0,0 +1,465 @@
+/**
+ * Pipeline Runner - Declarative multi-step tool pipelines
+ * A pipeline is a list of steps, each calling a registered tool with arguments that
+ * may reference pipeline variables and earlier step results ({{ steps.build.json.sha256 }}).
+ * Steps run in order through the dispatcher, so they get the same schema validation,
+ * build scheduling, logs and diagnostics as direct calls. when decides whether a step
+ * runs, onFailure what a failed step means for the rest, and timeout cancels a step
+ * that runs too long.
+ */
+
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const requestContext = require('./request-context');
+const cancellationManager = require('./cancellation-manager');
+const toolRegistry = require('./tool-registry');
+const mcpDispatcher = require('./mcp-dispatcher');
+const { isFailedResult, getNumericEnv } = require('./helpers');
+
+const STEP_ID = /^[A-Za-z_][\w-]*$/;
+const ON_FAILURE = ['stop', 'continue', 'ignore'];
+// Step output kept in the consolidated result; the end of a build log is what matters
+const MAX_STEP_OUTPUT = 4000;
+const TEMPLATE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHEN_KEYWORDS = ['success', 'failure', 'always'];
+
+class PipelineError extends Error {}
+
+/**
+ * Value at a dotted path such as steps.build.json.files[0].path
+ */
+function lookup(scope, expression) {
+  const parts = expression.replace(/\[(\d+)\]/g, '.$1').split('.');
+  if (!['vars', 'steps'].includes(parts[0])) {
+    throw new PipelineError(`Unknown reference '${expression}': references start with vars. or steps.`);
+  }
+
+  return parts.reduce((value, part) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return Object.prototype.hasOwnProperty.call(Object(value), part) ? value[part] : undefined;
+  }, scope);
+}
+
+function textOf(result) {
+  return ((result && result.content) || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * A when expression without the {{ }} it may be wrapped in
+ */
+function expressionOf(when) {
+  return when.replace(/^\s*\{\{([\s\S]*)\}\}\s*$/, '$1');
+}
+
+/**
+ * Split a when expression at an operator, skipping operators inside quoted strings
+ * @param {string} expression - Expression or clause
+ * @param {Array<string>} operators - Operators to split at, longest first
+ * @returns {Array<Object>} - [{ text, operator }], operator being the one that ends the part
+ */
+function splitOutsideQuotes(expression, operators) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else {
+      const operator = operators.find(candidate => expression.startsWith(candidate, i));
+      if (operator) {
+        parts.push({ text: expression.slice(start, i), operator });
+        start = i + operator.length;
+        i = start - 1;
+      }
+    }
+  }
+
+  if (quote) {
+    throw new PipelineError(`Unterminated string in when expression '${expression}'`);
+  }
+  parts.push({ text: expression.slice(start), operator: null });
+  return parts;
+}
+
+/**
+ * Parse a when expression into alternatives (||) of conditions (&&)
+ * A condition is a comparison { left, operator, right } or an operand { operand, negated }.
+ */
+function parseCondition(expression) {
+  return splitOutsideQuotes(expression, ['||']).map(({ text: any }) =>
+    splitOutsideQuotes(any, ['&&']).map(({ text: all }) => {
+      const parts = splitOutsideQuotes(all, ['==', '!=', '<=', '>=', '<', '>']);
+      if (parts.some(part => !part.text.trim())) {
+        throw new PipelineError(`Invalid when expression '${expression}'`);
+      }
+      if (parts.length > 2) {
+        throw new PipelineError(`Invalid when expression '${expression}': one comparison per condition`);
+      }
+      if (parts.length === 2) {
+        return { left: parts[0].text.trim(), operator: parts[0].operator, right: parts[1].text.trim() };
+      }
+
+      const negated = /^\s*!/.test(all);
+      const operand = all.replace(/^\s*!/, '').trim();
+      if (!operand) {
+        throw new PipelineError(`Invalid when expression '${expression}'`);
+      }
+      return { operand, negated };
+    }));
+}
+
+class PipelineRunner {
+  /**
+   * Parse and check a pipeline definition
+   * @param {Object|string} definition - Pipeline object, or JSON / YAML text
+   * @returns {Object} - { name, variables, steps }
+   */
+  parse(definition) {
+    let pipeline = definition;
+    if (typeof definition === 'string') {
+      try {
+        pipeline = yaml.safeLoad(definition);
+      } catch (error) {
+        throw new PipelineError(`Invalid pipeline definition: ${error.message.split('\n')[0]}`);
+      }
+    }
+
+    if (!pipeline || typeof pipeline !== 'object' || !Array.isArray(pipeline.steps) || pipeline.steps.length === 0) {
+      throw new PipelineError('Pipeline must define a non-empty steps array');
+    }
+
+    const maxSteps = getNumericEnv('PIPELINE_MAX_STEPS', 50) || 50;
+    if (pipeline.steps.length > maxSteps) {
+      throw new PipelineError(`Pipeline has ${pipeline.steps.length} steps; the maximum is ${maxSteps}`);
+    }
+
+    const ids = new Set();
+    const steps = pipeline.steps.map((step, index) => {
+      const where = `steps[${index}]`;
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new PipelineError(`${where} must be an object`);
+      }
+
+      const id = step.id === undefined ? `step${index + 1}` : String(step.id);
+      if (!STEP_ID.test(id) || ids.has(id)) {
+        throw new PipelineError(`${where}: id '${id}' must be unique and consist of letters, digits, _ and -`);
+      }
+      ids.add(id);
+
+      if (!step.tool || !toolRegistry.get(step.tool)) {
+        throw new PipelineError(`${where}: unknown tool '${step.tool}'`);
+      }
+      if (step.tool === 'run_pipeline') {
+        throw new PipelineError(`${where}: pipelines cannot run other pipelines`);
+      }
+      if (step.arguments !== undefined && (typeof step.arguments !== 'object' || Array.isArray(step.arguments))) {
+        throw new PipelineError(`${where}: arguments must be an object`);
+      }
+      if (step.onFailure !== undefined && !ON_FAILURE.includes(step.onFailure)) {
+        throw new PipelineError(`${where}: onFailure must be one of ${ON_FAILURE.join(', ')}`);
+      }
+      if (step.when !== undefined && typeof step.when !== 'string' && typeof step.when !== 'boolean') {
+        throw new PipelineError(`${where}: when must be success, failure, always or an expression`);
+      }
+      if (typeof step.when === 'string' && !WHEN_KEYWORDS.includes(step.when)) {
+        try {
+          parseCondition(expressionOf(step.when));
+        } catch (error) {
+          throw new PipelineError(`${where}: ${error.message}`);
+        }
+      }
+      if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+        throw new PipelineError(`${where}: timeout must be a positive number of seconds`);
+      }
+      if (step.capture !== undefined && (typeof step.capture !== 'object' || Array.isArray(step.capture))) {
+        throw new PipelineError(`${where}: capture must map variable names to expressions`);
+      }
+
+      return {
+        id,
+        tool: step.tool,
+        arguments: step.arguments || {},
+        when: step.when === undefined ? 'success' : step.when,
+        onFailure: step.onFailure || 'stop',
+        timeout: step.timeout,
+        capture: step.capture || {}
+      };
+    });
+
+    return {
+      name: pipeline.name ? String(pipeline.name) : 'pipeline',
+      variables: pipeline.variables && typeof pipeline.variables === 'object' ? pipeline.variables : {},
+      steps
+    };
+  }
+
+  /**
+   * Substitute {{ references }} in step arguments
+   * A string that is a single reference takes the referenced value as is (numbers, objects).
+   */
+  resolve(value, scope) {
+    if (typeof value === 'string') {
+      const single = /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value);
+      if (single) {
+        return this.reference(scope, single[1]);
+      }
+      return value.replace(TEMPLATE, (match, expression) => {
+        const resolved = this.reference(scope, expression);
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item, scope));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolve(item, scope)]));
+    }
+    return value;
+  }
+
+  reference(scope, expression) {
+    const value = lookup(scope, expression);
+    if (value === undefined) {
+      throw new PipelineError(`'${expression}' is not defined`);
+    }
+    return value;
+  }
+
+  /**
+   * Evaluate a when condition
+   * Keywords: success (no earlier step stopped the pipeline), failure (an earlier step
+   * failed), always. Expressions compare references and literals with == != < <= > >=,
+   * combined with && and ||, e.g. "steps.build.status == 'succeeded' && vars.smoke";
+   * operators inside quoted strings are part of the string.
+   */
+  shouldRun(when, scope, state) {
+    if (when === true || when === 'always') {
+      return true;
+    }
+    if (when === false) {
+      return false;
+    }
+    if (when === 'success') {
+      return !state.stopped;
+    }
+    if (when === 'failure') {
+      return state.failed;
+    }
+
+    return !state.stopped && this.evaluate(expressionOf(when), scope);
+  }
+
+  evaluate(expression, scope) {
+    return parseCondition(expression).some(conditions => conditions.every(condition => {
+      if (condition.operand !== undefined) {
+        const value = this.operand(condition.operand, scope);
+        return condition.negated ? !value : Boolean(value);
+      }
+
+      const left = this.operand(condition.left, scope);
+      const right = this.operand(condition.right, scope);
+      switch (condition.operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+      }
+    }));
+  }
+
+  operand(text, scope) {
+    const token = text.trim();
+    const quoted = /^'([^']*)'$|^"([^"]*)"$/.exec(token);
+    if (quoted) {
+      return quoted[1] !== undefined ? quoted[1] : quoted[2];
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+      return parseFloat(token);
+    }
+    if (['true', 'false', 'null'].includes(token)) {
+      return JSON.parse(token);
+    }
+    return lookup(scope, token);
+  }
+
+  /**
+   * Run a pipeline on behalf of a caller
+   * @param {Object} pipeline - Parsed pipeline (see parse)
+   * @param {Object} variables - Caller variables, overriding the pipeline's own
+   * @param {Object} context - Caller context ({ clientIP, transport, sessionId, token, identity, notify })
+   * @returns {Promise<Object>} - { name, status, durationMs, steps, variables }
+   */
+  async run(pipeline, variables, context) {
+    const parent = requestContext.get() || {};
+    const scope = { vars: { ...pipeline.variables, ...variables }, steps: {} };
+    const state = { failed: false, stopped: false, cancelled: false };
+    const steps = [];
+    const startedAt = Date.now();
+    let current = null;
+
+    // Cancelling the pipeline cancels the step that is running
+    const unregister = cancellationManager.onCancel(() => {
+      state.cancelled = true;
+      if (current) {
+        cancellationManager.cancel(current, 'Pipeline cancelled');
+      }
+    });
+
+    try {
+      for (let index = 0; index < pipeline.steps.length; index++) {
+        const step = pipeline.steps[index];
+        const record = { id: step.id, tool: step.tool, status: 'skipped' };
+        steps.push(record);
+
+        if (state.cancelled) {
+          record.status = 'cancelled';
+          continue;
+        }
+
+        let args;
+        try {
+          if (!this.shouldRun(step.when, scope, state)) {
+            scope.steps[step.id] = { status: 'skipped' };
+            continue;
+          }
+          args = this.resolve(step.arguments, scope);
+        } catch (error) {
+          record.status = 'failed';
+          record.error = error.message;
+          this.recordFailure(step, state);
+          scope.steps[step.id] = { status: 'failed', text: error.message };
+          continue;
+        }
+
+        this.notifyProgress(index, pipeline, step);
+        const requestId = `${parent.requestId !== undefined ? parent.requestId : 'pipeline'}/${step.id}`;
+        current = cancellationManager.keyFor(context, requestId);
+        const stepStartedAt = Date.now();
+        let timedOut = false;
+        const timer = step.timeout ? setTimeout(() => {
+          timedOut = cancellationManager.cancel(current, `Step timed out after ${step.timeout}s`);
+        }, step.timeout * 1000) : null;
+
+        let response;
+        try {
+          response = await mcpDispatcher.dispatch({
+            jsonrpc: '2.0', id: requestId, method: 'tools/call', params: { name: step.tool, arguments: args }
+          }, context);
+        } finally {
+          clearTimeout(timer);
+          current = null;
+        }
+
+        const result = response.error ?
+          { content: [{ type: 'text', text: `${response.error.message}: ${JSON.stringify(response.error.data)}` }], isError: true } :
+          response.result;
+        const text = textOf(result);
+        record.durationMs = Date.now() - stepStartedAt;
+        record.status = timedOut ? 'timedOut' :
+          result.cancelled ? 'cancelled' :
+          this.isFailure(result, text) ? 'failed' : 'succeeded';
+        record.output = text.length > MAX_STEP_OUTPUT ? `...${text.slice(-MAX_STEP_OUTPUT)}` : text;
+
+        scope.steps[step.id] = { status: record.status, text, json: parseJson(text), result };
+
+        if (record.status !== 'succeeded') {
+          if (record.status === 'cancelled' && state.cancelled) {
+            continue;
+          }
+          this.recordFailure(step, state);
+        }
+
+        try {
+          Object.entries(step.capture).forEach(([name, expression]) => {
+            scope.vars[name] = this.reference(scope, String(expression).replace(/^\s*\{\{\s*|\s*\}\}\s*$/g, ''));
+          });
+        } catch (error) {
+          record.error = `capture: ${error.message}`;
+          if (record.status === 'succeeded') {
+            record.status = 'failed';
+            this.recordFailure(step, state);
+          }
+        }
+      }
+    } finally {
+      unregister();
+    }
+
+    const status = state.cancelled ? 'cancelled' : state.failed ? 'failed' : 'succeeded';
+    logger.info('Pipeline finished', {
+      clientIP: context.clientIP,
+      pipeline: pipeline.name,
+      status,
+      steps: steps.map(step => `${step.id}:${step.status}`).join(' ')
+    });
+
+    return { name: pipeline.name, status, durationMs: Date.now() - startedAt, steps, variables: scope.vars };
+  }
+
+  /**
+   * Many tools report a failed command as a "Validation error:" text result without isError
+   */
+  isFailure(result, text) {
+    return isFailedResult(result) || text.startsWith('Validation error:');
+  }
+
+  /**
+   * onFailure: stop skips the remaining success steps, continue runs them, and ignore
+   * does not count the failure at all
+   */
+  recordFailure(step, state) {
+    if (step.onFailure === 'ignore') {
+      return;
+    }
+    state.failed = true;
+    if (step.onFailure === 'stop') {
+      state.stopped = true;
+    }
+  }
+
+  notifyProgress(index, pipeline, step) {
+    requestContext.reportProgress({
+      progress: index,
+      total: pipeline.steps.length,
+      message: `Step ${index + 1}/${pipeline.steps.length}: ${step.id} (${step.tool})`
+    });
+  }
+
+  /**
+   * Consolidated text summary, one line per step
+   */
+  describe(outcome) {
+    const lines = outcome.steps.map(step => {
+      const duration = step.durationMs !== undefined ? ` ${(step.durationMs / 1000).toFixed(1)}s` : '';
+      return `  ${step.status.padEnd(9)} ${step.id} (${step.tool})${duration}${step.error ? ` - ${step.error}` : ''}`;
+    });
+    const failed = outcome.steps.filter(step => step.output && !['succeeded', 'skipped'].includes(step.status));
+    const details = failed.map(step => `\n--- ${step.id} (${step.status}) ---\n${step.output}`);
+
+    return `Pipeline ${outcome.name} ${outcome.status} in ${(outcome.durationMs / 1000).toFixed(1)}s\n` +
+      `${lines.join('\n')}${details.join('')}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new PipelineRunner();
+module.exports.PipelineError = PipelineError;
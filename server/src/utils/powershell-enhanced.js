@@ -5,6 +5,7 @@
 
 const { spawn } = require('child_process');
 const logger = require('./logger');
+const cancellationManager = require('./cancellation-manager');
 
 class PowerShellExecutor {
   constructor() {
@@ -164,6 +165,7 @@ class PowerShellExecutor {
       });
 
       this.activeProcesses.set(processId, child);
+      cancellationManager.track(child);
 
       let stdout = '';
       let stderr = '';
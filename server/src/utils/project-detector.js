@@ -296,7 +296,7 @@ class ProjectDetector {
         testCommands: ['dotnet test']
       },
       'cross-platform': {
-        tools: ['build_dotnet', 'build_python', 'build_nodejs'],
+        tools: ['build_dotnet', 'build_python', 'build_node'],
         requirements: ['.NET Core', 'Cross-platform runtime'],
         commands: ['dotnet build', 'dotnet publish'],
         outputFormats: ['DLL', 'Executable'],
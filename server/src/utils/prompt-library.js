@@ -0,0 +1,269 @@
+/**
+ * Prompt Library - MCP prompts for common build and diagnosis workflows
+ * Prompt templates reuse the help generator's curated workflows, take their
+ * argument descriptions from the tools' inputSchemas and attach the most recent
+ * captured build log where it helps the model.
+ */
+
+const logger = require('./logger');
+const helpGenerator = require('./help-generator');
+const toolRegistry = require('./tool-registry');
+const buildLogStore = require('./build-log-store');
+const resourceManager = require('./resource-manager');
+
+class PromptLibrary {
+  constructor() {
+    this.prompts = new Map();
+
+    this.define({
+      name: 'diagnose_build_failure',
+      description: 'Diagnose a failed build run using its captured build log',
+      arguments: [
+        { name: 'tool', description: 'Build tool that failed (default: build_dotnet)' },
+        { name: 'projectPath', tool: 'build_dotnet', description: 'Path to the project that failed to build' },
+        { name: 'log', description: 'Build log name (build-log://<name>); defaults to the newest log of the tool' }
+      ],
+      render: args => this.renderDiagnosis(args)
+    });
+
+    this.define({
+      name: 'python_venv_tests',
+      description: 'Set up a Python virtual environment and run the test suite',
+      arguments: [
+        { name: 'projectPath', tool: 'build_python', required: true },
+        { name: 'testRunner', tool: 'build_python' },
+        { name: 'pythonVersion', tool: 'build_python' }
+      ],
+      render: args => this.renderPythonTests(args)
+    });
+
+    this.define({
+      name: 'verify_pdf',
+      description: 'Verify that a generated PDF exists and is a valid PDF document',
+      arguments: [
+        { name: 'filePath', tool: 'encode_file_base64', required: true }
+      ],
+      render: args => this.renderPdfVerification(args)
+    });
+
+    this.define({
+      name: 'build_workflow',
+      description: 'Clean, build and verify a .NET application',
+      arguments: [
+        { name: 'projectPath', tool: 'build_dotnet', required: true, description: 'Path to the .csproj or .sln to build' },
+        { name: 'configuration', tool: 'build_dotnet', description: 'Build configuration (default: Release)' }
+      ],
+      render: args => this.renderBuildWorkflow(args)
+    });
+  }
+
+  /**
+   * Register a prompt template
+   * @param {Object} prompt - { name, description, arguments, render }
+   */
+  define(prompt) {
+    this.prompts.set(prompt.name, prompt);
+  }
+
+  /**
+   * Prompt definitions for prompts/list
+   * @returns {Array<Object>} - [{ name, description, arguments }]
+   */
+  list() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments.map(argument => ({
+        name: argument.name,
+        description: this.describeArgument(argument),
+        required: Boolean(argument.required)
+      }))
+    }));
+  }
+
+  /**
+   * Look up a prompt template
+   * @param {string} name - Prompt name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.prompts.get(name) || null;
+  }
+
+  /**
+   * Check prompt arguments (MCP prompt arguments are always strings)
+   * @param {Object} prompt - Prompt template
+   * @param {Object} args - Arguments from prompts/get
+   * @returns {Array<Object>} - [{ field, message }], empty when valid
+   */
+  validate(prompt, args) {
+    const errors = [];
+
+    prompt.arguments.forEach(argument => {
+      const value = args[argument.name];
+      if (value === undefined || value === '') {
+        if (argument.required) {
+          errors.push({ field: `arguments.${argument.name}`, message: 'is required' });
+        }
+      } else if (typeof value !== 'string') {
+        errors.push({ field: `arguments.${argument.name}`, message: `must be of type string, received ${typeof value}` });
+      }
+    });
+
+    Object.keys(args)
+      .filter(name => !prompt.arguments.some(argument => argument.name === name))
+      .forEach(name => errors.push({ field: `arguments.${name}`, message: 'is not a recognised argument' }));
+
+    return errors;
+  }
+
+  /**
+   * Render a prompt for prompts/get
+   * @param {Object} prompt - Prompt template
+   * @param {Object} args - Validated arguments
+   * @returns {Object} - { description, messages }
+   */
+  render(prompt, args) {
+    logger.info('Prompt rendered', { prompt: prompt.name });
+    return {
+      description: prompt.description,
+      messages: prompt.render(args)
+    };
+  }
+
+  /**
+   * Argument description, taken from the tool's inputSchema when one is linked
+   */
+  describeArgument(argument) {
+    if (argument.description) {
+      return argument.description;
+    }
+
+    const tool = argument.tool ? toolRegistry.get(argument.tool) : null;
+    const property = tool ? (tool.inputSchema.properties || {})[argument.name] : null;
+    if (!property) {
+      return argument.name;
+    }
+
+    const description = property.description || argument.name;
+    return property.enum ? `${description} (${property.enum.join(', ')})` : description;
+  }
+
+  renderDiagnosis(args) {
+    const tool = args.tool || 'build_dotnet';
+    const log = args.log
+      ? { name: args.log, status: 'unknown' }
+      : buildLogStore.latest(tool);
+    const troubleshooting = helpGenerator.generateTroubleshootingExample();
+    const buildFailure = troubleshooting.scenarios.find(scenario => scenario.issue === 'Build failure');
+
+    const lines = [
+      `A ${tool} run${args.projectPath ? ` for ${args.projectPath}` : ''} failed. Diagnose the failure.`,
+      '',
+      '1. Read the build log below and identify the first real error (compiler error code, missing SDK, restore or path problem); later errors are often follow-on failures.',
+      `2. ${buildFailure.solution}, e.g. ${buildFailure.command.tool}: ${JSON.stringify({ command: buildFailure.command.command })}`,
+      '3. Explain the root cause, propose the smallest fix, and give the exact tool call to rebuild.'
+    ];
+
+    const messages = [this.userText(lines.join('\n'))];
+
+    if (!log) {
+      messages.push(this.userText(`No captured build log was found for ${tool}. Run ${tool} again first; its output is recorded as a build-log:// resource.`));
+      return messages;
+    }
+
+    if (log.status === 'succeeded') {
+      messages.push(this.userText(`Note: the newest ${tool} log (${log.name}) is from a run that succeeded.`));
+    }
+
+    messages.push(this.userResource(`build-log://${log.name}`));
+    return messages;
+  }
+
+  renderPythonTests(args) {
+    const buildArgs = {
+      projectPath: args.projectPath,
+      commands: ['install', 'test'],
+      useVirtualEnv: true
+    };
+    if (args.testRunner) {
+      buildArgs.testRunner = args.testRunner;
+    }
+    if (args.pythonVersion) {
+      buildArgs.pythonVersion = args.pythonVersion;
+    }
+
+    const lines = [
+      `Set up a Python virtual environment for ${args.projectPath} and run its tests.`,
+      '',
+      `1. Call build_python with ${JSON.stringify(buildArgs)}. It creates .venv if needed and installs requirements before testing.`,
+      '2. If dependency installation fails, check the requirements file and the Python version, then retry with extraPackages for anything missing.',
+      '3. Summarise the test results: passed, failed and skipped counts, and the failing tests with their assertion messages.'
+    ];
+
+    const previous = buildLogStore.latest('build_python');
+    if (previous) {
+      lines.push('', `The previous build_python run ${previous.status} (build-log://${previous.name}).`);
+    }
+
+    return [this.userText(lines.join('\n'))];
+  }
+
+  renderPdfVerification(args) {
+    const example = helpGenerator.generateFileOperationsExample().examples
+      .find(entry => entry.task === 'Encode PDF for verification');
+
+    const lines = [
+      `Verify the generated PDF at ${args.filePath}.`,
+      '',
+      `1. Call ${example.tool} with ${JSON.stringify({ filePath: args.filePath, options: { preview: true } })} to confirm the file exists and check its size.`,
+      `2. Call ${example.tool} with ${JSON.stringify({ filePath: args.filePath })} and check that the content starts with "JVBERi0" (base64 of "%PDF-") and ends with an %%EOF trailer.`,
+      '3. Report whether the PDF is valid, its size, and anything suspicious (empty file, HTML error page, truncated output).'
+    ];
+
+    return [this.userText(lines.join('\n'))];
+  }
+
+  renderBuildWorkflow(args) {
+    const workflow = helpGenerator.generateBuildWorkflowExample();
+    const configuration = args.configuration || 'Release';
+
+    const steps = workflow.steps.map(step => {
+      let call;
+      if (step.tool === 'build_dotnet') {
+        call = { projectPath: args.projectPath, configuration };
+      } else if (step.arguments) {
+        call = step.arguments;
+      } else {
+        call = { command: step.command };
+      }
+      return `${step.step}. ${step.action}: ${step.tool} ${JSON.stringify(call)}`;
+    });
+
+    const lines = [
+      `${workflow.title}: ${workflow.description}.`,
+      `Project: ${args.projectPath} (${configuration})`,
+      '',
+      ...steps,
+      '',
+      'Adjust the clean and verify paths to this project\'s output directory. Stop at the first failing step and diagnose it before continuing.'
+    ];
+
+    return [this.userText(lines.join('\n'))];
+  }
+
+  userText(text) {
+    return { role: 'user', content: { type: 'text', text } };
+  }
+
+  userResource(uri) {
+    try {
+      return { role: 'user', content: { type: 'resource', resource: resourceManager.read(uri).contents[0] } };
+    } catch (error) {
+      return this.userText(`Build log ${uri} could not be read: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new PromptLibrary();
@@ -6,8 +6,9 @@ class RateLimiter {
 
   /**
    * Check if client has exceeded rate limits
+   * cost is the number of requests this call represents (e.g. JSON-RPC batch size)
    */
-  checkLimit(clientIP, maxRequests = 60, windowMs = 60000) {
+  checkLimit(clientIP, maxRequests = 60, windowMs = 60000, cost = 1) {
     const now = Date.now();
     const clientData = this.clients.get(clientIP) || { requests: [], blocked: false, blockExpiry: 0 };
 
@@ -30,7 +31,7 @@ class RateLimiter {
     clientData.requests = clientData.requests.filter(timestamp => now - timestamp < windowMs);
 
     // Check if limit exceeded
-    if (clientData.requests.length >= maxRequests) {
+    if (clientData.requests.length + cost > maxRequests) {
       // Block client for 5 minutes
       clientData.blocked = true;
       clientData.blockExpiry = now + (5 * 60 * 1000);
@@ -45,7 +46,9 @@ class RateLimiter {
     }
 
     // Add current request
-    clientData.requests.push(now);
+    for (let i = 0; i < cost; i++) {
+      clientData.requests.push(now);
+    }
     this.clients.set(clientIP, clientData);
 
     return {
@@ -0,0 +1,115 @@
+/**
+ * Request Context - Per-request state carried across async calls
+ * The dispatcher runs every tool handler inside a context holding the JSON-RPC
+ * request id, the tool name and the transport's notify() function, so deep
+ * helpers such as executeBuild can stream output without threading callbacks
+ * through every tool.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function inside a request context
+   * @param {Object} context - { requestId, tool, clientIP, transport, sessionId, token, progressToken, progress, notify, cancellation, buildLog, jobOutput }
+   * @param {Function} fn - Function to run
+   * @returns {*} - Return value of fn
+   */
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  /**
+   * Context of the request currently executing
+   * @returns {Object|null}
+   */
+  get() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Send a JSON-RPC notification to the client of the current request
+   * @param {string} method - Notification method
+   * @param {Object} params - Notification params
+   * @returns {boolean} - True if a client was listening
+   */
+  notify(method, params) {
+    const context = this.get();
+    if (!context || typeof context.notify !== 'function') {
+      return false;
+    }
+
+    try {
+      context.notify({ jsonrpc: '2.0', method, params });
+      return true;
+    } catch (error) {
+      // A disconnected client must never break the running command
+      return false;
+    }
+  }
+
+  /**
+   * Report progress to the client of the current request
+   * Only sent when the request carried _meta.progressToken.
+   * @param {Object} update - { progress, total?, message? }
+   * @returns {boolean} - True if a notification was sent
+   */
+  reportProgress(update) {
+    if (!this.wantsProgress()) {
+      return false;
+    }
+
+    const params = { progressToken: this.get().progressToken, progress: update.progress };
+    if (update.total !== undefined) {
+      params.total = update.total;
+    }
+    if (update.message) {
+      params.message = update.message;
+    }
+
+    return this.notify('notifications/progress', params);
+  }
+
+  /**
+   * Whether the current request asked for progress notifications
+   * @returns {boolean}
+   */
+  wantsProgress() {
+    const context = this.get();
+    return Boolean(context && context.progressToken !== undefined && context.progressToken !== null);
+  }
+
+  /**
+   * Stream a chunk of process output to the client of the current request
+   * Build tool calls also append it to their captured build log, and
+   * background jobs to their job output.
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} data - Output chunk
+   */
+  emitOutput(stream, data) {
+    const context = this.get();
+    if (!context) {
+      return false;
+    }
+
+    [context.buildLog, context.jobOutput, context.diagnostics].forEach(sink => {
+      if (sink) {
+        sink.append(stream, data);
+      }
+    });
+
+    return this.notify('notifications/tools/output', {
+      requestId: context.requestId,
+      tool: context.tool,
+      stream,
+      data
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new RequestContext();
@@ -0,0 +1,400 @@
+/**
+ * Resource Manager - MCP resources for build artifacts and logs
+ *
+ *   build-output://<project>/<path>  files under <BUILD_BASE_DIR>\<project>\release
+ *   build-log://<name>               captured build tool output (logs/builds)
+ *   server-log://<name>              the server's own logs (app.log, error.log, ...)
+ *
+ * Subscriptions poll the file behind a URI and send
+ * notifications/resources/updated when its size or modification time changes.
+ * With authentication, server logs are for admin tokens, build logs for the token
+ * that made the call and build outputs for tokens whose allowed paths cover them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const buildLogStore = require('./build-log-store');
+const authManager = require('./auth-manager');
+const { getNumericEnv } = require('./helpers');
+
+const MIME_TYPES = {
+  '.log': 'text/plain',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.config': 'application/xml',
+  '.csproj': 'application/xml',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.pdb': 'application/octet-stream',
+  '.dll': 'application/vnd.microsoft.portable-executable',
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'text/javascript'];
+
+// Stop scanning a release directory after this many files
+const MAX_SCANNED_FILES = 10000;
+
+class ResourceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = code;
+  }
+}
+
+class ResourceManager {
+  constructor() {
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * URI templates for resources/templates/list
+   */
+  listTemplates() {
+    return [
+      {
+        uriTemplate: 'build-output://{project}/{path}',
+        name: 'Build output',
+        description: 'Files in <BUILD_BASE_DIR>\\<project>\\release written by build tools'
+      },
+      {
+        uriTemplate: 'build-log://{name}',
+        name: 'Build log',
+        description: 'Captured output of a build tool call',
+        mimeType: 'text/plain'
+      },
+      {
+        uriTemplate: 'server-log://{name}',
+        name: 'Server log',
+        description: 'MCP server logs (app.log, error.log, security.log, access.log)',
+        mimeType: 'text/plain'
+      }
+    ];
+  }
+
+  /**
+   * One page of resources
+   * @param {string} cursor - Opaque cursor from a previous page
+   * @param {Object|null} identity - Caller's identity
+   * @returns {Object} - { resources, nextCursor? }
+   */
+  list(cursor, identity = null) {
+    const pageSize = getNumericEnv('MCP_RESOURCES_PAGE_SIZE', 100);
+    const offset = cursor ? this.decodeCursor(cursor) : 0;
+    const all = [
+      ...(this.canRead('server-log', null, identity) ? this.listServerLogs() : []),
+      ...this.listBuildLogs(identity),
+      ...this.listBuildOutputs(identity)
+    ];
+
+    const page = { resources: all.slice(offset, offset + pageSize) };
+    if (offset + pageSize < all.length) {
+      page.nextCursor = Buffer.from(String(offset + pageSize)).toString('base64');
+    }
+    return page;
+  }
+
+  listServerLogs() {
+    const logDir = logger.logDir;
+    if (!fs.existsSync(logDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(logDir)
+      .filter(name => fs.statSync(path.join(logDir, name)).isFile())
+      .sort()
+      .map(name => this.describe(`server-log://${name}`, name, path.join(logDir, name), 'Server log'));
+  }
+
+  listBuildLogs(identity) {
+    return buildLogStore.list()
+      .filter(log => this.canRead('build-log', log.filePath, identity))
+      .map(log => this.describe(`build-log://${log.name}`, log.name, log.filePath, 'Build log'));
+  }
+
+  listBuildOutputs(identity) {
+    const baseDir = this.buildBaseDir();
+    if (!fs.existsSync(baseDir)) {
+      return [];
+    }
+
+    const resources = [];
+    fs.readdirSync(baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort()
+      .forEach(project => {
+        const releaseDir = path.join(baseDir, project, 'release');
+        if (!fs.existsSync(releaseDir)) {
+          return;
+        }
+
+        if (!this.canRead('build-output', releaseDir, identity)) {
+          return;
+        }
+
+        this.walk(releaseDir).forEach(filePath => {
+          const relative = path.relative(releaseDir, filePath).split(path.sep).map(encodeURIComponent).join('/');
+          resources.push(this.describe(
+            `build-output://${encodeURIComponent(project)}/${relative}`,
+            `${project}/${relative}`,
+            filePath,
+            `Build output of ${project}`
+          ));
+        });
+      });
+
+    return resources;
+  }
+
+  /**
+   * Whether a caller may see a resource
+   * @param {string} scheme - 'server-log', 'build-log' or 'build-output'
+   * @param {string|null} filePath - File (or release directory) behind it
+   * @param {Object|null} identity - Caller's identity; null without authentication
+   * @returns {boolean}
+   */
+  canRead(scheme, filePath, identity) {
+    if (authManager.isAdmin(identity)) {
+      return true;
+    }
+    if (scheme === 'build-log') {
+      return buildLogStore.ownerOf(filePath) === identity.name;
+    }
+    if (scheme === 'build-output') {
+      return !identity.paths || authManager.isUnderPrefixes(identity.paths, filePath);
+    }
+    return false;
+  }
+
+  /**
+   * Resource descriptor for resources/list
+   */
+  describe(uri, name, filePath, description) {
+    return {
+      uri,
+      name,
+      description,
+      mimeType: this.mimeType(filePath),
+      size: fs.statSync(filePath).size
+    };
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @param {Object|null} identity - Caller's identity
+   * @returns {Object} - { contents: [{ uri, mimeType, text | blob }] }
+   */
+  read(uri, identity = null) {
+    const filePath = this.resolve(uri, identity);
+    const stats = fs.statSync(filePath);
+    const maxBytes = getNumericEnv('MCP_RESOURCE_MAX_BYTES', 10485760);
+
+    if (stats.size > maxBytes) {
+      throw new ResourceError(-32602, `Resource too large (${stats.size} bytes, limit ${maxBytes}): ${uri}`);
+    }
+
+    const mimeType = this.mimeType(filePath);
+    const content = fs.readFileSync(filePath);
+    const entry = { uri, mimeType };
+
+    if (this.isText(mimeType)) {
+      entry.text = content.toString('utf8');
+    } else {
+      entry.blob = content.toString('base64');
+    }
+
+    return { contents: [entry] };
+  }
+
+  /**
+   * Map a URI to a file, refusing anything outside its root
+   * Resources the caller may not see are reported as not found.
+   * @param {string} uri - Resource URI
+   * @param {Object|null} identity - Caller's identity
+   * @returns {string} - Absolute file path
+   */
+  resolve(uri, identity = null) {
+    const match = typeof uri === 'string' ? uri.match(/^(build-output|build-log|server-log):\/\/(.+)$/) : null;
+    if (!match) {
+      throw new ResourceError(-32602, `Invalid resource URI: ${uri}`);
+    }
+
+    const [, scheme, rest] = match;
+    let root;
+    let relative;
+
+    if (scheme === 'build-output') {
+      const [project, ...parts] = rest.split('/').map(part => this.decode(part, uri));
+      if (!/^[\w.-]+$/.test(project) || project === '..' || project === '.') {
+        throw new ResourceError(-32602, `Invalid resource URI: ${uri}`);
+      }
+      root = path.join(this.buildBaseDir(), project, 'release');
+      relative = path.join(...parts.length ? parts : ['']);
+    } else if (scheme === 'build-log') {
+      root = buildLogStore.logDir;
+      const name = this.decode(rest, uri);
+      relative = buildLogStore.resolve(name) ? name : null;
+    } else {
+      root = logger.logDir;
+      relative = this.decode(rest, uri);
+    }
+
+    const filePath = relative ? path.resolve(root, relative) : null;
+    if (!filePath || !filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new ResourceError(-32602, `Invalid resource URI: ${uri}`);
+    }
+
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile() ||
+        !this.canRead(scheme, scheme === 'build-output' ? root : filePath, identity)) {
+      throw new ResourceError(-32002, `Resource not found: ${uri}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Subscribe to change notifications for a resource
+   * @param {string} uri - Resource URI
+   * @param {string} subscriber - Subscriber key (session id or client)
+   * @param {Function} notify - Sends a JSON-RPC notification to the subscriber
+   * @param {Object|null} identity - Subscriber's identity
+   */
+  subscribe(uri, subscriber, notify, identity = null) {
+    const filePath = this.resolve(uri, identity);
+    let watch = this.subscriptions.get(uri);
+
+    if (!watch) {
+      watch = {
+        filePath,
+        signature: this.signature(filePath),
+        subscribers: new Map(),
+        timer: setInterval(() => this.poll(uri), getNumericEnv('MCP_RESOURCE_POLL_INTERVAL', 2000))
+      };
+      watch.timer.unref();
+      this.subscriptions.set(uri, watch);
+    }
+
+    watch.subscribers.set(subscriber, notify);
+    logger.info('Resource subscribed', { uri, subscriber });
+  }
+
+  /**
+   * Remove one subscriber from a resource
+   * @returns {boolean} - True if the subscription existed
+   */
+  unsubscribe(uri, subscriber) {
+    const watch = this.subscriptions.get(uri);
+    if (!watch || !watch.subscribers.delete(subscriber)) {
+      return false;
+    }
+
+    if (watch.subscribers.size === 0) {
+      clearInterval(watch.timer);
+      this.subscriptions.delete(uri);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every subscription of a subscriber (session ended)
+   */
+  unsubscribeAll(subscriber) {
+    Array.from(this.subscriptions.keys()).forEach(uri => this.unsubscribe(uri, subscriber));
+  }
+
+  /**
+   * Check a subscribed file and notify subscribers when it changed
+   */
+  poll(uri) {
+    const watch = this.subscriptions.get(uri);
+    if (!watch) {
+      return;
+    }
+
+    const signature = this.signature(watch.filePath);
+    if (signature === watch.signature) {
+      return;
+    }
+
+    watch.signature = signature;
+    watch.subscribers.forEach((notify, subscriber) => {
+      try {
+        notify({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+      } catch (error) {
+        logger.warn('Resource notification failed', { uri, subscriber, error: error.message });
+      }
+    });
+  }
+
+  signature(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      return `${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+      return 'missing';
+    }
+  }
+
+  buildBaseDir() {
+    return process.env.BUILD_BASE_DIR || 'C:\\build';
+  }
+
+  mimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  isText(mimeType) {
+    return mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Recursively list files, bounded by MAX_SCANNED_FILES
+   */
+  walk(dir, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        if (files.length >= MAX_SCANNED_FILES) {
+          return;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          this.walk(fullPath, files);
+        } else if (entry.isFile()) {
+          files.push(fullPath);
+        }
+      });
+    return files;
+  }
+
+  decode(component, uri) {
+    try {
+      return decodeURIComponent(component);
+    } catch (error) {
+      throw new ResourceError(-32602, `Invalid resource URI: ${uri}`);
+    }
+  }
+
+  decodeCursor(cursor) {
+    const offset = parseInt(Buffer.from(String(cursor), 'base64').toString('utf8'), 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ResourceError(-32602, 'Invalid cursor');
+    }
+    return offset;
+  }
+}
+
+// Export singleton instance
+module.exports = new ResourceManager();
+module.exports.ResourceError = ResourceError;
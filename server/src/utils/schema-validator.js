@@ -0,0 +1,166 @@
+/**
+ * JSON Schema validation for tool arguments
+ * Supports the subset of JSON Schema used by tool inputSchemas:
+ * type, enum, required, properties, additionalProperties, items,
+ * minimum/maximum, minLength/maxLength, pattern and minItems/maxItems
+ */
+
+class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {Object} schema - JSON Schema
+   * @param {*} value - Value to validate
+   * @returns {Array<Object>} - Per-field errors ([{ field, message }]), empty when valid
+   */
+  validate(schema, value) {
+    const errors = [];
+    this.validateNode(schema, value, '', errors);
+    return errors;
+  }
+
+  /**
+   * Recursively validate a value, collecting errors
+   * @param {Object} schema - Schema for this node
+   * @param {*} value - Value at this node
+   * @param {string} field - Dotted path of this node ('' for the root)
+   * @param {Array<Object>} errors - Error accumulator
+   */
+  validateNode(schema, value, field, errors) {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+
+    const fieldName = field || 'arguments';
+
+    if (schema.type) {
+      const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!allowedTypes.some(type => this.matchesType(type, value))) {
+        errors.push({
+          field: fieldName,
+          message: `must be of type ${allowedTypes.join(' or ')}, received ${this.describeType(value)}`
+        });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        field: fieldName,
+        message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`
+      });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ field: fieldName, message: `must be at least ${schema.minLength} characters long` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ field: fieldName, message: `must be at most ${schema.maxLength} characters long` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ field: fieldName, message: `must match pattern ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ field: fieldName, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ field: fieldName, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field: fieldName, message: `must contain at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field: fieldName, message: `must contain at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this.validateNode(schema.items, item, `${field}[${index}]`, errors);
+        });
+      }
+    }
+
+    if (this.matchesType('object', value)) {
+      this.validateObject(schema, value, field, errors);
+    }
+  }
+
+  /**
+   * Validate required, properties and additionalProperties of an object
+   */
+  validateObject(schema, value, field, errors) {
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ field: `${prefix}${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        if (propertyValue !== undefined) {
+          this.validateNode(properties[key], propertyValue, `${prefix}${key}`, errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        const suggestion = this.suggestProperty(key, Object.keys(properties));
+        errors.push({
+          field: `${prefix}${key}`,
+          message: `is not a recognised property${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        this.validateNode(schema.additionalProperties, propertyValue, `${prefix}${key}`, errors);
+      }
+    });
+  }
+
+  /**
+   * Check a value against a single JSON Schema type
+   */
+  matchesType(type, value) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Describe the JSON type of a value for error messages
+   */
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Suggest a declared property for an unknown key (e.g. project_path -> projectPath)
+   */
+  suggestProperty(key, declared) {
+    const normalize = name => name.replace(/[_-]/g, '').toLowerCase();
+    return declared.find(name => normalize(name) === normalize(key)) || null;
+  }
+}
+
+// Export singleton instance
+module.exports = new SchemaValidator();
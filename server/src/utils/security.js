@@ -121,6 +121,23 @@ class SecurityValidator {
     return sanitized;
   }
 
+  /**
+   * Allowed build directories (ALLOWED_BUILD_PATHS)
+   */
+  getAllowedPaths() {
+    return process.env.ALLOWED_BUILD_PATHS ?
+      process.env.ALLOWED_BUILD_PATHS.split(',').map(p => p.trim()) :
+      ['C:\\projects\\', 'Z:\\', 'C:\\build\\', 'C:\\builds\\'];
+  }
+
+  /**
+   * Whether a validated path is one of the allowed build directories itself
+   */
+  isAllowedRoot(validatedPath) {
+    const trimmed = value => path.win32.normalize(value.replace(/\//g, '\\')).replace(/\\+$/, '').toLowerCase();
+    return this.getAllowedPaths().some(allowedPath => trimmed(allowedPath) === trimmed(validatedPath));
+  }
+
   /**
    * Validate file path
    */
@@ -148,9 +165,7 @@ class SecurityValidator {
     const crossPlatformMode = process.env.ENABLE_CROSS_PLATFORM_PATHS === 'true';
     
     // Standard allowed build paths
-    const allowedPaths = process.env.ALLOWED_BUILD_PATHS ? 
-      process.env.ALLOWED_BUILD_PATHS.split(',').map(p => p.trim()) : 
-      ['C:\\projects\\', 'Z:\\', 'C:\\build\\', 'C:\\builds\\'];
+    const allowedPaths = this.getAllowedPaths();
 
     // Enterprise project paths (supports wildcards)
     const enterprisePaths = process.env.ENTERPRISE_PROJECT_PATHS ? 
@@ -186,6 +201,37 @@ class SecurityValidator {
     return normalizedPath;
   }
 
+  /**
+   * Validate a build file path that tools read or write directly (uploads, file sync, encoding)
+   * Same directories as validatePath, additionally rejecting what Windows would
+   * resolve to something else: device names (CON, NUL, COM1...), alternate data
+   * streams (file.txt:stream) and names ending in a dot or space.
+   * @returns {string} - Normalized path
+   */
+  validateBuildPath(filePath) {
+    const normalizedPath = this.validatePath(filePath);
+    const segments = normalizedPath.split('\\').filter(Boolean);
+    const drive = /^[a-zA-Z]:$/.test(segments[0]) ? segments.shift() : null;
+
+    if (drive === null && normalizedPath.includes(':')) {
+      throw new Error('Alternate data streams are not allowed in build paths');
+    }
+
+    segments.forEach(segment => {
+      if (segment.includes(':')) {
+        throw new Error('Alternate data streams are not allowed in build paths');
+      }
+      if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(segment)) {
+        throw new Error(`Reserved device name in build path: ${segment}`);
+      }
+      if (/[. ]$/.test(segment)) {
+        throw new Error(`Path segment must not end with a dot or space: ${segment}`);
+      }
+    });
+
+    return normalizedPath;
+  }
+
   /**
    * Validate IP address
    */
@@ -0,0 +1,181 @@
+/**
+ * Session Manager - MCP Streamable HTTP sessions
+ * A session is created by initialize and identified by the Mcp-Session-Id header.
+ * Each session can hold open GET /mcp Server-Sent Event streams that receive
+ * server-initiated messages. A 'terminated' event is emitted with the session id
+ * when a session ends so per-session state can be released. A session belongs to
+ * the token that created it; other tokens cannot find, stream from or end it.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getNumericEnv } = require('./helpers');
+
+class SessionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map();
+    this.idleTimeout = getNumericEnv('MCP_SESSION_TIMEOUT', 3600000); // 1 hour default
+    this.heartbeatInterval = 15000;
+
+    // Drop idle sessions every minute
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Create a new session
+   * @param {string} clientIP - Client that sent initialize
+   * @param {string|null} [tokenName] - Name of the token that sent it, null without authentication
+   * @returns {Object} - Session ({ id, clientIP, tokenName, createdAt, lastActivity, streams })
+   */
+  create(clientIP, tokenName = null) {
+    const session = {
+      id: crypto.randomUUID(),
+      clientIP,
+      tokenName,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      streams: new Set()
+    };
+
+    this.sessions.set(session.id, session);
+    logger.info('MCP session created', { sessionId: session.id, clientIP, tokenName });
+    return session;
+  }
+
+  /**
+   * Look up a session and mark it active
+   * @param {string} id - Session id
+   * @param {string|null} [tokenName] - Caller's token name; another token's session is not found
+   * @returns {Object|null}
+   */
+  get(id, tokenName = null) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session || session.tokenName !== tokenName) {
+      return null;
+    }
+
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  /**
+   * Terminate a session and close its streams
+   * @param {string} id - Session id
+   * @returns {boolean} - True if the session existed
+   */
+  terminate(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    session.streams.forEach(res => res.end());
+    this.sessions.delete(id);
+    logger.info('MCP session terminated', { sessionId: id });
+    this.emit('terminated', id);
+    return true;
+  }
+
+  /**
+   * Switch a response to Server-Sent Events and keep it alive with heartbeats
+   * @param {Object} res - Express response
+   * @returns {Function} - Stops the heartbeat
+   */
+  openStream(res) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) {
+        res.write(': keepalive\n\n');
+      }
+    }, this.heartbeatInterval);
+
+    const stop = () => clearInterval(heartbeat);
+    res.on('close', stop);
+    return stop;
+  }
+
+  /**
+   * Attach a GET stream for server-initiated messages
+   * @param {string} id - Session id
+   * @param {Object} res - Express response
+   * @param {string|null} [tokenName] - Caller's token name
+   */
+  attachStream(id, res, tokenName = null) {
+    const session = this.get(id, tokenName);
+    if (!session) {
+      return false;
+    }
+
+    this.openStream(res);
+    session.streams.add(res);
+    res.on('close', () => session.streams.delete(res));
+    return true;
+  }
+
+  /**
+   * Write one JSON-RPC message as an SSE event
+   * @param {Object} res - Express response in SSE mode
+   * @param {Object} message - JSON-RPC message
+   */
+  writeEvent(res, message) {
+    if (res.writableEnded || res.destroyed) {
+      return false;
+    }
+
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    return true;
+  }
+
+  /**
+   * Send a message to every GET stream of a session
+   * @param {string} id - Session id
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean} - True if at least one stream received it
+   */
+  broadcast(id, message) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    let delivered = false;
+    session.streams.forEach(res => {
+      delivered = this.writeEvent(res, message) || delivered;
+    });
+    return delivered;
+  }
+
+  /**
+   * Remove sessions idle for longer than MCP_SESSION_TIMEOUT
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions.entries()) {
+      if (session.streams.size === 0 && now - session.lastActivity > this.idleTimeout) {
+        this.terminate(id);
+      }
+    }
+  }
+
+  /**
+   * Number of active sessions
+   * @returns {number}
+   */
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionManager();
@@ -0,0 +1,146 @@
+/**
+ * Source Copy - Incremental copy of a project into its build directory
+ * The target keeps a manifest of the files it received (size, mtime, SHA-256), so a
+ * later copy only transfers files that changed and removes the ones deleted from the
+ * source. Files the copy never wrote (build output, test results) are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { hashFile } = require('./helpers');
+
+// Build output and tool state are rebuilt on the host, not copied
+const DEFAULT_EXCLUDES = 'bin,obj,.vs,.git';
+const MANIFEST_FILE = '.mcp-source-manifest.json';
+const MANIFEST_VERSION = 1;
+
+class SourceCopy {
+  /**
+   * Directory names that are not copied
+   */
+  excludes() {
+    return (process.env.BUILD_COPY_EXCLUDE || DEFAULT_EXCLUDES)
+      .split(',').map(name => name.trim().replace(/[\\/]+$/, '').toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Files below sourceDir outside excluded directories
+   * @returns {Map<string, fs.Stats>} - Relative paths with forward slashes
+   */
+  scan(sourceDir) {
+    const excludes = this.excludes();
+    const files = new Map();
+
+    const walk = (dir, relative) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!excludes.includes(entry.name.toLowerCase())) {
+            walk(path.join(dir, entry.name), entryRelative);
+          }
+        } else if (entry.isFile() && entryRelative !== MANIFEST_FILE) {
+          files.set(entryRelative, fs.statSync(path.join(dir, entry.name)));
+        }
+      });
+    };
+
+    walk(sourceDir, '');
+    return files;
+  }
+
+  readManifest(targetDir) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(targetDir, MANIFEST_FILE), 'utf8'));
+      return manifest.version === MANIFEST_VERSION && manifest.files ? manifest.files : {};
+    } catch (error) {
+      // First copy, or a manifest from another version: compare by content instead
+      return {};
+    }
+  }
+
+  /**
+   * Bring targetDir up to date with sourceDir
+   * @param {string} sourceDir - Project source directory
+   * @param {string} targetDir - Build directory (created if missing)
+   * @returns {Promise<Object>} - { copied: [], unchanged, deleted: [] }
+   */
+  async sync(sourceDir, targetDir) {
+    if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+      throw new Error(`Source directory not found: ${sourceDir}`);
+    }
+    const inside = path.relative(sourceDir.toLowerCase(), targetDir.toLowerCase());
+    if (!inside.startsWith('..') && !path.isAbsolute(inside)) {
+      throw new Error(`Build directory ${targetDir} is inside the source directory ${sourceDir}`);
+    }
+
+    const previous = this.readManifest(targetDir);
+    const sourceFiles = this.scan(sourceDir);
+    const files = {};
+    const summary = { copied: [], unchanged: 0, deleted: [] };
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    for (const [relative, stats] of sourceFiles) {
+      const sourcePath = path.join(sourceDir, ...relative.split('/'));
+      const targetPath = path.join(targetDir, ...relative.split('/'));
+      const target = fs.existsSync(targetPath) ? fs.statSync(targetPath) : null;
+      const known = previous[relative];
+
+      // Size and mtime unchanged since the last copy: no need to read the file
+      if (known && target && target.isFile() && target.size === stats.size &&
+          known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+        files[relative] = known;
+        summary.unchanged++;
+        continue;
+      }
+
+      const sha256 = await hashFile(sourcePath);
+      files[relative] = { size: stats.size, mtimeMs: stats.mtimeMs, sha256 };
+      if (target && target.isFile() && target.size === stats.size && await hashFile(targetPath) === sha256) {
+        summary.unchanged++;
+        continue;
+      }
+
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      const tempPath = `${targetPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.copyFile(sourcePath, tempPath);
+      // Keep the source timestamp like xcopy did, so MSBuild's up-to-date checks still work
+      await fs.promises.utimes(tempPath, stats.atimeMs / 1000, stats.mtimeMs / 1000);
+      await fs.promises.rename(tempPath, targetPath);
+      summary.copied.push(relative);
+    }
+
+    // Only files an earlier copy wrote are removed; excluded directories are never touched
+    const excludes = this.excludes();
+    Object.keys(previous)
+      .filter(relative => !sourceFiles.has(relative))
+      .map(relative => relative.split('/'))
+      .filter(segments => !segments.includes('..') && !segments.slice(0, -1).some(segment => excludes.includes(segment.toLowerCase())))
+      .map(segments => segments.join('/'))
+      .forEach(relative => {
+        const targetPath = path.join(targetDir, ...relative.split('/'));
+        if (fs.existsSync(targetPath) && fs.statSync(targetPath).isFile()) {
+          fs.rmSync(targetPath, { force: true });
+          summary.deleted.push(relative);
+        }
+      });
+
+    fs.writeFileSync(path.join(targetDir, MANIFEST_FILE), JSON.stringify({ version: MANIFEST_VERSION, files }));
+    summary.copied.sort();
+    summary.deleted.sort();
+
+    logger.info('Source copied', {
+      sourceDir,
+      targetDir,
+      copied: summary.copied.length,
+      unchanged: summary.unchanged,
+      deleted: summary.deleted.length
+    });
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new SourceCopy();
+module.exports.MANIFEST_FILE = MANIFEST_FILE;
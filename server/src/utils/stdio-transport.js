@@ -0,0 +1,152 @@
+/**
+ * Stdio Transport - Newline-delimited JSON-RPC over stdin/stdout
+ * Used when the MCP client launches the server as a child process
+ * ("type": "stdio"). No port, token or mcp-remote bridge is involved;
+ * requests go straight to the shared MCP dispatcher.
+ */
+
+const readline = require('readline');
+const logger = require('./logger');
+const mcpDispatcher = require('./mcp-dispatcher');
+
+class StdioTransport {
+  /**
+   * @param {Object} options - { input, output } streams (default: process.stdin / process.stdout)
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.pending = new Set();
+    this.reader = null;
+  }
+
+  /**
+   * Start reading requests
+   * @returns {Promise<void>} - Resolves once input has closed and in-flight requests have answered
+   */
+  start() {
+    this.reader = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+
+    this.reader.on('line', (line) => {
+      if (line.trim().length === 0) {
+        return;
+      }
+
+      const task = this.handleLine(line)
+        .catch(error => logger.error('stdio request failed', { error: error.message }))
+        .finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    });
+
+    return new Promise(resolve => {
+      this.reader.on('close', async () => {
+        await Promise.all(Array.from(this.pending));
+        logger.info('stdio input closed');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Parse, validate and dispatch a single line of input
+   * @param {string} line - One JSON-RPC message
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32700,
+          message: 'Parse error: Invalid JSON was received by the server'
+        }
+      });
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      const responses = await mcpDispatcher.dispatchBatch(message, {
+        clientIP: 'stdio',
+        transport: 'stdio',
+        notify: (notification) => this.send(notification)
+      });
+      // Nothing is sent for a batch of notifications only
+      if (!Array.isArray(responses) || responses.length > 0) {
+        this.send(responses);
+      }
+      return;
+    }
+
+    const invalid = this.validateMessage(message);
+    if (invalid) {
+      this.send({
+        jsonrpc: '2.0',
+        id: message && message.id !== undefined ? message.id : null,
+        error: { code: -32600, message: invalid }
+      });
+      return;
+    }
+
+    // Responses to server-initiated requests carry no method - nothing to answer
+    if (message.method === undefined) {
+      return;
+    }
+
+    const response = await mcpDispatcher.dispatch(message, {
+      clientIP: 'stdio',
+      transport: 'stdio',
+      notify: (notification) => this.send(notification)
+    });
+
+    // Notifications (no id) never get a response
+    if (message.id !== undefined) {
+      this.send(response);
+    }
+  }
+
+  /**
+   * Check the JSON-RPC envelope
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return 'Invalid Request: message must be a JSON object';
+    }
+
+    if (message.jsonrpc !== '2.0') {
+      return 'Invalid Request: jsonrpc must be "2.0"';
+    }
+
+    if (message.method !== undefined && typeof message.method !== 'string') {
+      return 'Invalid Request: method is required and must be a string';
+    }
+
+    if (message.method === undefined && message.id === undefined) {
+      return 'Invalid Request: method is required and must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * Write one JSON-RPC message to the output stream
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Stop reading input
+   */
+  close() {
+    if (this.reader) {
+      this.reader.close();
+    }
+  }
+}
+
+module.exports = StdioTransport;
@@ -0,0 +1,261 @@
+/**
+ * Test Report Parser - Normalised test results from JUnit XML and TRX reports
+ * Build tools that run tests say where their reports land (tool.testReports(args));
+ * after the build the dispatcher parses the reports written during the run and
+ * attaches totals and per-test results, with failure messages and stack traces.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { findFiles } = require('./helpers');
+
+const MAX_CASES = 500;
+const SUMMARY_FAILURES = 20;
+// Reports written just before the build started (coarse file system timestamps) still count
+const MTIME_SLACK_MS = 2000;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1)));
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Parse XML into { name, attributes, children, text }; element names lose their namespace prefix
+ * Enough for test reports: no DTDs, no external entities.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const source = xml.replace(/^\uFEFF/, '');
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[2] !== undefined) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else if (match[3] !== undefined) {
+      const element = { name: match[3].replace(/^.*:/, ''), attributes: {}, children: [], text: '' };
+      const attributes = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributes.exec(match[4])) !== null) {
+        element.attributes[attribute[1].replace(/^.*:/, '')] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      current.children.push(element);
+      if (!match[5]) {
+        stack.push(element);
+      }
+    } else if (match[6] !== undefined) {
+      current.text += decodeEntities(match[6]);
+    }
+  }
+
+  return root;
+}
+
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+function descendantsNamed(element, name) {
+  return element.children.reduce((found, child) =>
+    found.concat(child.name === name ? [child] : [], descendantsNamed(child, name)), []);
+}
+
+function seconds(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * TRX durations are "hh:mm:ss.fffffff"
+ */
+function timespanSeconds(value) {
+  const match = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : null;
+}
+
+function trimmed(text) {
+  const value = (text || '').trim();
+  return value || null;
+}
+
+class TestReportParser {
+  /**
+   * Parse the reports a tool wrote during this run and attach them to its result
+   * @param {Object} tool - Tool module with testReports(args) => { root, patterns }, or null when no tests ran
+   * @param {Object} args - Arguments the tool ran with
+   * @param {Object} result - Tool result
+   * @param {number} startedAt - When the build started (ms); older reports are ignored
+   * @returns {Object} - Result with result.tests and a summary, unchanged without reports
+   */
+  collect(tool, args, result, startedAt) {
+    let reports;
+    try {
+      const location = tool.testReports(args);
+      if (!location || !fs.existsSync(location.root)) {
+        return result;
+      }
+
+      const { root, patterns } = location;
+      reports = findFiles(root, patterns)
+        .filter(relative => fs.statSync(path.join(root, ...relative.split('/'))).mtimeMs >= startedAt - MTIME_SLACK_MS)
+        .map(relative => ({ path: relative, content: fs.readFileSync(path.join(root, ...relative.split('/')), 'utf8') }));
+    } catch (error) {
+      logger.warn('Failed to read test reports', { tool: tool.name, error: error.message });
+      return result;
+    }
+
+    if (reports.length === 0) {
+      return result;
+    }
+
+    const cases = [];
+    const unreadable = [];
+    reports.forEach(report => {
+      try {
+        cases.push(...this.parse(report.content));
+      } catch (error) {
+        unreadable.push(report.path);
+      }
+    });
+
+    const tests = this.summarize(cases);
+    tests.reports = reports.map(report => report.path).filter(report => !unreadable.includes(report));
+    if (unreadable.length > 0) {
+      tests.unreadable = unreadable;
+    }
+
+    return {
+      ...result,
+      content: [...(result.content || []), { type: 'text', text: this.describe(tests) }],
+      tests
+    };
+  }
+
+  /**
+   * Test cases of a JUnit XML or TRX report
+   * @param {string} content - Report XML
+   * @returns {Array<Object>} - [{ suite, className, name, status, durationSeconds, message, stackTrace }]
+   */
+  parse(content) {
+    const document = parseXml(content);
+    const [root] = document.children;
+    if (!root) {
+      throw new Error('Empty report');
+    }
+
+    return root.name === 'TestRun' ? this.parseTrx(root) : this.parseJUnit(root);
+  }
+
+  /**
+   * JUnit XML as written by Surefire, Gradle, pytest --junitxml, jest-junit and mocha-junit-reporter
+   */
+  parseJUnit(root) {
+    const suites = root.name === 'testsuite' ? [root] : descendantsNamed(root, 'testsuite');
+
+    return suites.reduce((cases, suite) => cases.concat(childrenNamed(suite, 'testcase').map(testCase => {
+      const [problem] = [...childrenNamed(testCase, 'failure'), ...childrenNamed(testCase, 'error')];
+      const [skipped] = childrenNamed(testCase, 'skipped');
+      let status = 'passed';
+      if (problem) {
+        status = problem.name === 'failure' ? 'failed' : 'error';
+      } else if (skipped) {
+        status = 'skipped';
+      }
+
+      return {
+        suite: suite.attributes.name || null,
+        className: testCase.attributes.classname || null,
+        name: testCase.attributes.name,
+        status,
+        durationSeconds: seconds(testCase.attributes.time),
+        message: problem ? trimmed(problem.attributes.message) || trimmed(problem.text.split('\n')[0]) :
+          skipped ? trimmed(skipped.attributes.message) : null,
+        stackTrace: problem ? trimmed(problem.text) : null
+      };
+    })), []);
+  }
+
+  /**
+   * Visual Studio test results as written by dotnet test --logger trx
+   */
+  parseTrx(root) {
+    const classNames = {};
+    descendantsNamed(root, 'UnitTest').forEach(unitTest => {
+      const [method] = childrenNamed(unitTest, 'TestMethod');
+      if (method) {
+        classNames[unitTest.attributes.id] = method.attributes.className || null;
+      }
+    });
+
+    const outcomes = { passed: 'passed', failed: 'failed', notexecuted: 'skipped', inconclusive: 'skipped', pending: 'skipped' };
+
+    return descendantsNamed(root, 'UnitTestResult').map(testResult => {
+      const [errorInfo] = descendantsNamed(testResult, 'ErrorInfo');
+      const [message] = errorInfo ? childrenNamed(errorInfo, 'Message') : [];
+      const [stackTrace] = errorInfo ? childrenNamed(errorInfo, 'StackTrace') : [];
+
+      return {
+        suite: null,
+        className: classNames[testResult.attributes.testId] || null,
+        name: testResult.attributes.testName,
+        status: outcomes[(testResult.attributes.outcome || '').toLowerCase()] || 'error',
+        durationSeconds: timespanSeconds(testResult.attributes.duration),
+        message: message ? trimmed(message.text) : null,
+        stackTrace: stackTrace ? trimmed(stackTrace.text) : null
+      };
+    });
+  }
+
+  /**
+   * Totals plus the cases; with more than MAX_CASES tests, passed ones are left out
+   */
+  summarize(cases) {
+    const count = status => cases.filter(testCase => testCase.status === status).length;
+    const durations = cases.map(testCase => testCase.durationSeconds).filter(duration => duration !== null);
+    const truncated = cases.length > MAX_CASES;
+
+    return {
+      total: cases.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      durationSeconds: Math.round(durations.reduce((sum, duration) => sum + duration, 0) * 1000) / 1000,
+      cases: truncated ? cases.filter(testCase => testCase.status !== 'passed').slice(0, MAX_CASES) : cases,
+      truncated
+    };
+  }
+
+  describe(tests) {
+    const failing = tests.cases.filter(testCase => testCase.status === 'failed' || testCase.status === 'error');
+    const lines = failing.slice(0, SUMMARY_FAILURES).map(testCase => {
+      const name = testCase.className ? `${testCase.className}.${testCase.name}` : testCase.name;
+      const message = testCase.message ? `: ${testCase.message.split('\n')[0]}` : '';
+      return `  ${testCase.status === 'failed' ? 'FAILED' : 'ERROR'} ${name}${message}`;
+    });
+    if (failing.length > lines.length) {
+      lines.push(`  ... and ${failing.length - lines.length} more`);
+    }
+
+    return `Tests: ${tests.total} total, ${tests.passed} passed, ${tests.failed} failed, ` +
+      `${tests.errors} errors, ${tests.skipped} skipped (${tests.durationSeconds}s)` +
+      `${lines.length > 0 ? `\n${lines.join('\n')}` : ''}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new TestReportParser();
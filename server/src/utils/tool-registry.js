@@ -0,0 +1,237 @@
+/**
+ * Tool Registry - Single source of truth for MCP tools
+ * tools/list, the /help endpoints and tools/call dispatch are all generated from the
+ * registered tool modules, so the advertised schema is always the one that is executed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.initializeTools();
+  }
+
+  /**
+   * Register built-in tools and any in-house tools from MCP_TOOLS_DIR
+   * Called once at server startup
+   */
+  initializeTools() {
+    require('../tools').forEach(tool => this.register(tool));
+
+    const customDirs = process.env.MCP_TOOLS_DIR ?
+      process.env.MCP_TOOLS_DIR.split(',').map(dir => dir.trim()).filter(Boolean) : [];
+
+    customDirs.forEach(dir => {
+      try {
+        const loaded = this.loadDirectory(dir);
+        logger.info('Custom tools loaded', { dir, tools: loaded });
+      } catch (error) {
+        logger.error('Failed to load custom tools', { dir, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Validate and register a tool module
+   * @param {Object} tool - Tool module ({ name, description, category, inputSchema, annotations?, supportsAsync?, handler })
+   * @returns {Object} - The registered tool
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(tool.name)) {
+      throw new Error('Tool name must be a lowercase identifier (e.g. "build_dotnet")');
+    }
+
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+
+    if (typeof tool.description !== 'string' || tool.description.length === 0) {
+      throw new Error(`Tool ${tool.name} must declare a description`);
+    }
+
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} must declare an inputSchema of type "object"`);
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} must declare a handler function`);
+    }
+
+    this.tools.set(tool.name, tool);
+    return tool;
+  }
+
+  /**
+   * Load every tool module (*.js) from a directory
+   * A module may export a single tool or an array of tools.
+   * @param {string} dir - Directory containing tool modules
+   * @returns {Array<string>} - Names of the tools that were registered
+   */
+  loadDirectory(dir) {
+    const resolvedDir = path.resolve(dir);
+    const registered = [];
+
+    fs.readdirSync(resolvedDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        const exported = require(path.join(resolvedDir, file));
+        const tools = Array.isArray(exported) ? exported : [exported];
+        tools.forEach(tool => registered.push(this.register(tool).name));
+      });
+
+    return registered;
+  }
+
+  /**
+   * Remove a tool from the registry
+   * @param {string} name - Tool name
+   * @returns {boolean} - True if the tool was registered
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a registered tool module
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} - Tool module
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Whether a tool can run as a background job (async: true)
+   * Build tools can by default; other tools opt in with supportsAsync: true.
+   * @param {Object} tool - Tool module
+   * @returns {boolean}
+   */
+  supportsAsync(tool) {
+    return tool.supportsAsync !== undefined ? Boolean(tool.supportsAsync) : tool.category === 'build';
+  }
+
+  /**
+   * Whether calls of a tool go through the build scheduler (build tools)
+   * @param {Object} tool - Tool module
+   * @returns {boolean}
+   */
+  isScheduled(tool) {
+    return tool.category === 'build';
+  }
+
+  /**
+   * Whether a tool can run on an isolated copy of its project (build tools taking projectPath)
+   * @param {Object} tool - Tool module
+   * @returns {boolean}
+   */
+  supportsIsolation(tool) {
+    return tool.category === 'build' && Boolean(tool.inputSchema.properties && tool.inputSchema.properties.projectPath);
+  }
+
+  /**
+   * Input schema as advertised and validated, including the async, priority and isolation options
+   * @param {Object} tool - Tool module
+   * @returns {Object} - JSON Schema
+   */
+  inputSchemaOf(tool) {
+    const schema = tool.inputSchema;
+    const options = {};
+
+    if (this.supportsAsync(tool)) {
+      options.async = {
+        type: 'boolean',
+        description: 'Run as a background job and return a jobId immediately; poll with job_status and job_output'
+      };
+    }
+
+    if (this.isScheduled(tool)) {
+      options.priority = {
+        type: 'string',
+        enum: ['high', 'normal', 'low'],
+        description: 'Build queue priority when the build machine is busy (default: normal)'
+      };
+    }
+
+    if (this.supportsIsolation(tool)) {
+      options.isolated = {
+        type: 'boolean',
+        description: 'Build a fresh copy of the project in a temporary workspace and harvest its artifacts'
+      };
+      options.artifacts = {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Glob patterns of build outputs to keep in the artifact store (see artifact_list); ' +
+          'isolated builds also harvest them into their workspace'
+      };
+    }
+
+    if (Object.keys(options).length === 0) {
+      return schema;
+    }
+
+    return {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        ...options
+      }
+    };
+  }
+
+  /**
+   * Number of registered tools
+   * @returns {number}
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Tool definitions as advertised by tools/list
+   * @returns {Array<Object>} - [{ name, description, inputSchema, annotations? }]
+   */
+  list() {
+    return Array.from(this.tools.values()).map(tool => {
+      const definition = {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: this.inputSchemaOf(tool)
+      };
+
+      if (tool.annotations) {
+        definition.annotations = tool.annotations;
+      }
+
+      return definition;
+    });
+  }
+
+  /**
+   * Tool definitions including category, for the help system
+   * @returns {Array<Object>} - [{ name, description, category, inputSchema }]
+   */
+  listWithCategories() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      category: tool.category,
+      inputSchema: this.inputSchemaOf(tool)
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new ToolRegistry();
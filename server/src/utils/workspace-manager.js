@@ -0,0 +1,276 @@
+/**
+ * Workspace Manager - Isolated per-build workspaces
+ * A build tool called with isolated: true runs on a fresh copy of its project in
+ * <BUILD_WORKSPACE_DIR>\<workspace id>\source, so bin/obj, node_modules or .venv
+ * left over from earlier runs cannot leak into it. The workspace is in the request
+ * context while the build runs, so tools that write outside their project (such as
+ * build_dotnet's release directory) can keep their output inside it instead. Files
+ * matching the artifact patterns are harvested into <workspace>\artifacts afterwards,
+ * from tool.artifactRoot(args) when the tool has one; the source copy
+ * is removed according to BUILD_WORKSPACE_CLEANUP and only the newest
+ * BUILD_WORKSPACE_RETENTION workspaces are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const security = require('./security');
+const requestContext = require('./request-context');
+const { getNumericEnv, isFailedResult, findFiles, toLocalPath } = require('./helpers');
+
+// Build state that is never copied into a workspace
+const DEFAULT_EXCLUDES = 'bin,obj,node_modules,.venv,venv,__pycache__,target,.vs';
+const DEFAULT_ARTIFACTS = 'bin/**,dist/**,build/**,target/**,out/**,release/**,*.nupkg,*.whl';
+const CLEANUP_POLICIES = ['always', 'on-success', 'never'];
+const WORKSPACE_ID_PATTERN = /^ws-[\w-]+$/;
+
+class WorkspaceManager {
+  constructor() {
+    this.active = new Set();
+  }
+
+  /**
+   * Directory holding all workspaces; it must lie inside the allowed build paths
+   * so tools accept the copied project path
+   */
+  rootDir() {
+    const buildBaseDir = process.env.BUILD_BASE_DIR || 'C:\\build';
+    return process.env.BUILD_WORKSPACE_DIR || path.join(buildBaseDir, 'workspaces');
+  }
+
+  /**
+   * Run a build on an isolated copy of its project
+   * @param {Object} tool - Tool module
+   * @param {Object} args - Tool arguments; args.projectPath is copied
+   * @param {Array<string>} patterns - Artifact glob patterns (default BUILD_WORKSPACE_ARTIFACTS)
+   * @param {Function} build - (isolatedArgs) => Promise<result>
+   * @returns {Promise<Object>} - Tool result with a workspace summary appended
+   */
+  async run(tool, args, patterns, build) {
+    let workspace;
+    try {
+      workspace = this.create(tool.name, args.projectPath);
+    } catch (error) {
+      logger.warn('Failed to create build workspace', { tool: tool.name, projectPath: args.projectPath, error: error.message });
+      return {
+        content: [{ type: 'text', text: `Could not create isolated workspace: ${error.message}` }],
+        isError: true
+      };
+    }
+
+    let succeeded = false;
+    try {
+      const isolatedArgs = { ...args, projectPath: workspace.projectPath };
+      return await requestContext.run({ ...requestContext.get(), workspace }, async () => {
+        const result = await build(isolatedArgs);
+        succeeded = Boolean(result) && !isFailedResult(result);
+
+        const root = typeof tool.artifactRoot === 'function' ? tool.artifactRoot(isolatedArgs) : workspace.copyDir;
+        const artifacts = this.harvest(workspace, patterns, root);
+        return this.annotate(result, workspace, artifacts, succeeded);
+      });
+    } finally {
+      this.finish(workspace, succeeded);
+    }
+  }
+
+  /**
+   * Create a workspace and copy the project into it
+   * A project file (e.g. App.csproj, pom.xml) brings its whole directory along.
+   * @param {string} tool - Tool name
+   * @param {string} projectPath - Project directory or project file
+   * @returns {Object} - Workspace { id, dir, sourceDir, artifactsDir, projectPath, files }
+   */
+  create(tool, projectPath) {
+    const sourcePath = toLocalPath(security.validatePath(projectPath));
+    const stats = fs.statSync(sourcePath);
+    const projectDir = stats.isFile() ? path.dirname(sourcePath) : sourcePath;
+    const projectFile = stats.isFile() ? path.basename(sourcePath) : null;
+
+    const root = this.rootDir();
+    try {
+      security.validatePath(root);
+    } catch (error) {
+      throw new Error(`Workspace directory ${root} is outside the allowed build paths`);
+    }
+
+    // Millisecond timestamps keep ids in creation order for prune()
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const id = `ws-${timestamp}-${tool}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = path.join(root, id);
+    const copyDir = path.join(dir, 'source', path.basename(projectDir));
+
+    const workspace = {
+      id,
+      tool,
+      dir,
+      sourceDir: path.join(dir, 'source'),
+      artifactsDir: path.join(dir, 'artifacts'),
+      copyDir,
+      projectPath: projectFile ? path.join(copyDir, projectFile) : copyDir,
+      files: 0
+    };
+
+    this.active.add(id);
+    try {
+      fs.mkdirSync(copyDir, { recursive: true });
+      workspace.files = this.copyTree(projectDir, copyDir, this.excludes(), process.env.BUILD_WORKSPACE_LINK === 'true');
+    } catch (error) {
+      this.active.delete(id);
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    logger.info('Build workspace created', { tool, workspace: id, source: projectDir, files: workspace.files });
+    return workspace;
+  }
+
+  /**
+   * Copy a directory tree, skipping excluded directory names
+   * With link set, files are hard-linked instead (falling back to a copy across volumes);
+   * linked files share content with the source, so builds that rewrite them in place
+   * would change the original.
+   * @returns {number} - Files copied
+   */
+  copyTree(from, to, excludes, link) {
+    let files = 0;
+
+    fs.readdirSync(from, { withFileTypes: true }).forEach(entry => {
+      const source = path.join(from, entry.name);
+      const target = path.join(to, entry.name);
+
+      if (entry.isDirectory()) {
+        if (excludes.includes(entry.name.toLowerCase())) {
+          return;
+        }
+        fs.mkdirSync(target, { recursive: true });
+        files += this.copyTree(source, target, excludes, link);
+      } else if (entry.isFile()) {
+        if (link) {
+          try {
+            fs.linkSync(source, target);
+            files++;
+            return;
+          } catch (error) {
+            // Different volume or no hard link support
+          }
+        }
+        fs.copyFileSync(source, target);
+        files++;
+      }
+    });
+
+    return files;
+  }
+
+  /**
+   * Copy files matching the artifact patterns into the workspace's artifacts directory
+   * @param {Object} workspace - Workspace from create()
+   * @param {Array<string>} patterns - Glob patterns relative to root
+   * @param {string} [root] - Directory the build wrote its outputs to (default: the project copy)
+   * @returns {Array<string>} - Harvested paths, relative and with forward slashes
+   */
+  harvest(workspace, patterns, root = workspace.copyDir) {
+    try {
+      const harvested = fs.existsSync(root) ?
+        findFiles(root, patterns && patterns.length > 0 ? patterns : this.defaultArtifacts()) : [];
+      harvested.forEach(relative => {
+        const target = path.join(workspace.artifactsDir, ...relative.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(path.join(root, ...relative.split('/')), target);
+      });
+      return harvested;
+    } catch (error) {
+      logger.error('Failed to harvest build artifacts', { workspace: workspace.id, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Remove the source copy according to BUILD_WORKSPACE_CLEANUP and prune old workspaces
+   * @param {Object} workspace - Workspace from create()
+   * @param {boolean} succeeded - Whether the build succeeded
+   */
+  finish(workspace, succeeded) {
+    this.active.delete(workspace.id);
+
+    if (this.shouldClean(succeeded)) {
+      try {
+        fs.rmSync(workspace.sourceDir, { recursive: true, force: true });
+      } catch (error) {
+        logger.error('Failed to remove build workspace', { workspace: workspace.id, error: error.message });
+      }
+    }
+
+    this.prune();
+  }
+
+  shouldClean(succeeded) {
+    const policy = CLEANUP_POLICIES.includes(process.env.BUILD_WORKSPACE_CLEANUP) ?
+      process.env.BUILD_WORKSPACE_CLEANUP : 'on-success';
+
+    return policy === 'always' || (policy === 'on-success' && succeeded);
+  }
+
+  /**
+   * Delete the oldest workspaces beyond BUILD_WORKSPACE_RETENTION (never one in use)
+   */
+  prune() {
+    const retention = getNumericEnv('BUILD_WORKSPACE_RETENTION', 10);
+    const root = this.rootDir();
+
+    try {
+      if (!fs.existsSync(root)) {
+        return;
+      }
+
+      fs.readdirSync(root)
+        .filter(name => WORKSPACE_ID_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .slice(retention)
+        .filter(name => !this.active.has(name))
+        .forEach(name => fs.rmSync(path.join(root, name), { recursive: true, force: true }));
+    } catch (error) {
+      logger.error('Failed to prune build workspaces', { error: error.message });
+    }
+  }
+
+  /**
+   * Append the workspace summary to a tool result
+   */
+  annotate(result, workspace, artifacts, succeeded) {
+    const kept = !this.shouldClean(succeeded);
+    const lines = [
+      `Isolated workspace: ${workspace.dir}${kept ? ' (source copy kept)' : ''}`,
+      artifacts.length > 0 ?
+        `Artifacts (${artifacts.length}) harvested to ${workspace.artifactsDir}:\n${artifacts.map(name => `  ${name}`).join('\n')}` :
+        'No artifacts matched'
+    ];
+
+    const annotated = result && typeof result === 'object' ? { ...result } : {};
+    annotated.content = [...(annotated.content || []), { type: 'text', text: lines.join('\n') }];
+    annotated.workspace = {
+      id: workspace.id,
+      path: workspace.dir,
+      artifactsDir: workspace.artifactsDir,
+      artifacts,
+      sourceKept: kept
+    };
+    return annotated;
+  }
+
+  excludes() {
+    return (process.env.BUILD_WORKSPACE_EXCLUDE || DEFAULT_EXCLUDES)
+      .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+
+  defaultArtifacts() {
+    return (process.env.BUILD_WORKSPACE_ARTIFACTS || DEFAULT_ARTIFACTS)
+      .split(',').map(pattern => pattern.trim()).filter(Boolean);
+  }
+}
+
+// Export singleton instance
+module.exports = new WorkspaceManager();
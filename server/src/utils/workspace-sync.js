@@ -0,0 +1,661 @@
+/**
+ * Workspace Sync - Apply source pushed from a client to a directory on the build host
+ * Archives (tar, tar.gz, zip) are parsed here rather than by an external tool, so every
+ * entry can be checked before anything is written: paths must stay inside the target,
+ * links and encrypted entries are refused and the extracted size is capped. Files whose
+ * content is unchanged are not rewritten, which keeps timestamps stable for incremental
+ * builds. Git bundles are applied with git itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const logger = require('./logger');
+const security = require('./security');
+const { pipeline, Readable } = require('stream');
+const { pipeline: streamPipeline } = require('stream/promises');
+const { getNumericEnv, hashFile, toLocalPath } = require('./helpers');
+const { executeBuild } = require('./command-executor');
+
+// Never part of a pushed tree: repository metadata and build state of the host
+const DEFAULT_EXCLUDES = '.git,bin,obj,node_modules,.vs';
+const FORMATS = ['tar', 'tar.gz', 'zip', 'git-bundle'];
+const MODES = ['overlay', 'incremental', 'mirror'];
+// Refs are passed to git as arguments, so they must not look like options
+const REF_PATTERN = /^(?!-)[\w./-]+$/;
+
+class WorkspaceSyncError extends Error {}
+
+/**
+ * Validate an archive entry name and split it into path segments
+ */
+function entrySegments(name) {
+  const normalized = name.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+
+  if (!normalized || normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw new WorkspaceSyncError(`Absolute path in archive: ${name}`);
+  }
+
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw new WorkspaceSyncError(`Directory traversal in archive: ${name}`);
+  }
+  if (segments.some(segment => segment.includes(':'))) {
+    throw new WorkspaceSyncError(`Alternate data stream in archive: ${name}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Whether a file lies below one of the excluded directory names
+ */
+function isExcluded(segments, excludes) {
+  return segments.slice(0, -1).some(segment => excludes.includes(segment.toLowerCase()));
+}
+
+/**
+ * Check that the directories leading to a file below the target resolve inside it
+ * A symlink or junction already on the host would otherwise carry writes and deletions elsewhere.
+ * @param {string} root - Real path of the target directory
+ * @param {string} targetDir - Target directory
+ * @param {string} relative - File path relative to the target, with forward slashes
+ */
+async function assertInside(root, targetDir, relative) {
+  let dir = targetDir;
+  for (const segment of relative.split('/').slice(0, -1)) {
+    dir = path.join(dir, segment);
+    let stats;
+    try {
+      stats = await fs.promises.lstat(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    if (!stats.isSymbolicLink() && !stats.isDirectory()) {
+      return;
+    }
+
+    const real = await fs.promises.realpath(dir).catch(() => null);
+    if (!real || (real !== root && !real.startsWith(`${root}${path.sep}`))) {
+      throw new WorkspaceSyncError(`Refusing to write through ${path.relative(targetDir, dir)}: it leads out of the target`);
+    }
+  }
+}
+
+function readOctal(buffer, start, length) {
+  const text = buffer.toString('ascii', start, start + length).replace(/\0.*$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+// Long-name and pax records are held in memory; real ones are a few hundred bytes
+const MAX_TAR_RECORD = 1024 * 1024;
+
+/**
+ * Walk a tar stream (ustar, with GNU long names and pax path records)
+ * Each entry goes to visit({ name, directory?, size? }), which may return a sink
+ * ({ write(chunk), end() }, either may be async) for the content of a file.
+ * @param {AsyncIterable<Buffer>} chunks - Uncompressed tar stream
+ */
+async function readTar(chunks, limits, visit) {
+  let pending = Buffer.alloc(0);
+  let offset = 0;
+  let longName = null;
+  let entry = null;
+
+  const consume = length => {
+    const data = pending.subarray(0, length);
+    pending = pending.subarray(length);
+    offset += length;
+    return data;
+  };
+
+  for await (const chunk of chunks) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+    for (;;) {
+      if (entry) {
+        if (entry.remaining > 0 && pending.length > 0) {
+          const data = consume(Math.min(entry.remaining, pending.length));
+          entry.remaining -= data.length;
+          if (entry.record) {
+            entry.record.push(data);
+          } else if (entry.sink) {
+            await entry.sink.write(data);
+          }
+        }
+        if (entry.remaining === 0 && entry.padding > 0 && pending.length > 0) {
+          entry.padding -= consume(Math.min(entry.padding, pending.length)).length;
+        }
+        if (entry.remaining > 0 || entry.padding > 0) {
+          break;
+        }
+
+        if (entry.type === 'L') {
+          longName = Buffer.concat(entry.record).toString('utf8').replace(/\0.*$/, '');
+        } else if (entry.type === 'x') {
+          const record = Buffer.concat(entry.record).toString('utf8').split('\n').find(line => / path=/.test(line));
+          longName = record ? record.substring(record.indexOf('path=') + 5) : longName;
+        } else if (entry.sink) {
+          await entry.sink.end();
+        }
+        entry = null;
+        continue;
+      }
+
+      if (pending.length < 512) {
+        break;
+      }
+      const header = pending.subarray(0, 512);
+      if (header.every(byte => byte === 0)) {
+        return;
+      }
+
+      let checksum = 0;
+      for (let i = 0; i < 512; i++) {
+        checksum += i >= 148 && i < 156 ? 32 : header[i];
+      }
+      if (checksum !== readOctal(header, 148, 8)) {
+        throw new WorkspaceSyncError(`Corrupt tar header at byte ${offset}`);
+      }
+      if (header[124] & 0x80) {
+        throw new WorkspaceSyncError('Tar entries over 8 GB are not supported');
+      }
+      consume(512);
+
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 48);
+      entry = { type, remaining: size, padding: (512 - size % 512) % 512, sink: null, record: null };
+
+      if (type === 'L' || type === 'x') {
+        if (size > MAX_TAR_RECORD) {
+          throw new WorkspaceSyncError(`Tar header record of ${size} bytes is too large`);
+        }
+        entry.record = [];
+        continue;
+      }
+      if (type === 'g') {
+        continue;
+      }
+
+      const prefix = header.toString('utf8', 345, 500).replace(/\0.*$/, '');
+      const shortName = header.toString('utf8', 0, 100).replace(/\0.*$/, '');
+      const name = longName || (prefix ? `${prefix}/${shortName}` : shortName);
+      longName = null;
+
+      if (type === '5') {
+        await visit({ name, directory: true });
+      } else if (type === '0' || type === '7') {
+        limits.add(size);
+        entry.sink = await visit({ name, size });
+      } else {
+        throw new WorkspaceSyncError(`Unsupported tar entry type '${type}' (links are not allowed): ${name}`);
+      }
+    }
+  }
+
+  throw new WorkspaceSyncError('Truncated tar archive');
+}
+
+/**
+ * Walk a zip archive (stored and deflated, without zip64 or encryption)
+ * Only the central directory is read whole; entries are inflated as streams.
+ * @param {Object} source - Archive source (see openSource)
+ */
+async function readZip(source, limits, visit) {
+  const tailStart = Math.max(0, source.size - 22 - 65535);
+  const tail = await source.read(tailStart, source.size - tailStart);
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new WorkspaceSyncError('Not a zip archive (no end of central directory)');
+  }
+
+  const count = tail.readUInt16LE(end + 10);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new WorkspaceSyncError('Zip64 archives are not supported');
+  }
+  const directory = await source.read(directoryOffset, tail.readUInt32LE(end + 12));
+
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== 0x02014b50) {
+      throw new WorkspaceSyncError('Corrupt zip central directory');
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    const compressedSize = directory.readUInt32LE(offset + 20);
+    const size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const mode = directory.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = directory.readUInt32LE(offset + 42);
+    const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+
+    if (flags & 0x1) {
+      throw new WorkspaceSyncError(`Encrypted zip entries are not supported: ${name}`);
+    }
+    if ((mode & 0o170000) === 0o120000) {
+      throw new WorkspaceSyncError(`Symbolic links are not allowed: ${name}`);
+    }
+    if (name.endsWith('/')) {
+      await visit({ name, directory: true });
+      continue;
+    }
+
+    const local = await source.read(localOffset, 30);
+    if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) {
+      throw new WorkspaceSyncError(`Corrupt zip entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    if (dataStart + compressedSize > source.size) {
+      throw new WorkspaceSyncError(`Corrupt zip entry: ${name}`);
+    }
+    if (method !== 0 && method !== 8) {
+      throw new WorkspaceSyncError(`Unsupported zip compression method ${method}: ${name}`);
+    }
+
+    limits.add(size);
+    const sink = await visit({ name, size });
+    let data = source.stream(dataStart, compressedSize);
+    if (method === 8) {
+      const inflate = zlib.createInflateRaw();
+      pipeline(data, inflate, () => {});
+      data = inflate;
+    }
+
+    let extracted = 0;
+    for await (const chunk of data) {
+      extracted += chunk.length;
+      if (extracted > size) {
+        break;
+      }
+      if (sink) {
+        await sink.write(chunk);
+      }
+    }
+    if (extracted !== size) {
+      throw new WorkspaceSyncError(`Size mismatch in zip entry: ${name}`);
+    }
+    if (sink) {
+      await sink.end();
+    }
+  }
+}
+
+/**
+ * Random and streaming access to a pushed archive, inline (Buffer) or on disk
+ * @param {Object} push - { archive } or { archivePath }
+ * @returns {Promise<Object>} - { size, read(position, length), stream(start, length), close() }
+ */
+async function openSource(push) {
+  if (push.archive) {
+    const buffer = push.archive;
+    return {
+      size: buffer.length,
+      read: async (position, length) => buffer.subarray(position, position + length),
+      stream: (start, length) => Readable.from([buffer.subarray(start, start + length)]),
+      close: async () => {}
+    };
+  }
+
+  const handle = await fs.promises.open(push.archivePath, 'r');
+  const { size } = await handle.stat();
+  return {
+    size,
+    read: async (position, length) => {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    },
+    stream: (start, length) => (length > 0 ?
+      fs.createReadStream(push.archivePath, { start, end: start + length - 1 }) :
+      Readable.from([])),
+    close: () => handle.close()
+  };
+}
+
+class WorkspaceSync {
+  /**
+   * Directory names left alone: not listed in manifests and never deleted by a mirror push
+   */
+  excludes() {
+    return (process.env.WORKSPACE_PUSH_EXCLUDE || DEFAULT_EXCLUDES)
+      .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Files below a directory with their hashes, for clients to work out what changed
+   * @param {string} targetDir - Directory (need not exist yet)
+   * @returns {Promise<Array<Object>>} - [{ path, sha256, size }], paths relative with forward slashes
+   */
+  async manifest(targetDir) {
+    const excludes = this.excludes();
+    const files = [];
+
+    const walk = async (dir, relative) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!excludes.includes(entry.name.toLowerCase())) {
+            await walk(path.join(dir, entry.name), entryRelative);
+          }
+        } else if (entry.isFile()) {
+          const filePath = path.join(dir, entry.name);
+          const { size } = await fs.promises.stat(filePath);
+          files.push({ path: entryRelative, sha256: await hashFile(filePath), size });
+        }
+      }
+    };
+
+    if (fs.existsSync(targetDir)) {
+      await walk(targetDir, '');
+    }
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Verify and apply a pushed archive or bundle
+   * The archive is streamed three times: to check its SHA-256, to validate every entry
+   * and hash its content, and to write the files that changed.
+   * @param {Object} push - { targetPath, format, archive (Buffer) or archivePath, sha256, mode, deletions, ref }
+   * @returns {Promise<Object>} - Summary of what changed
+   */
+  async apply(push) {
+    if (!FORMATS.includes(push.format)) {
+      throw new WorkspaceSyncError(`Unknown format '${push.format}'. Supported: ${FORMATS.join(', ')}`);
+    }
+    const mode = push.mode || 'overlay';
+    if (!MODES.includes(mode)) {
+      throw new WorkspaceSyncError(`Unknown mode '${mode}'. Supported: ${MODES.join(', ')}`);
+    }
+    if (push.ref !== undefined && !REF_PATTERN.test(push.ref)) {
+      throw new WorkspaceSyncError(`Invalid ref '${push.ref}'`);
+    }
+
+    // Push targets are checked even in dangerous mode, like uploads
+    const validatedTarget = security.validateBuildPath(push.targetPath);
+    const targetDir = toLocalPath(validatedTarget);
+    if (mode === 'mirror' && push.format !== 'git-bundle' && security.isAllowedRoot(validatedTarget)) {
+      throw new WorkspaceSyncError(`Refusing to mirror onto the allowed build directory ${validatedTarget} itself; push into a subdirectory`);
+    }
+
+    const source = await openSource(push);
+    try {
+      const maxSize = getNumericEnv('WORKSPACE_PUSH_MAX_SIZE', 209715200) || 209715200;
+      if (source.size > maxSize) {
+        throw new WorkspaceSyncError(`Archive of ${source.size} bytes exceeds the maximum of ${maxSize} bytes`);
+      }
+
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of source.stream(0, source.size)) {
+        hash.update(chunk);
+      }
+      const actual = hash.digest('hex');
+      if (actual !== push.sha256.toLowerCase()) {
+        throw new WorkspaceSyncError(`Archive SHA-256 mismatch (expected ${push.sha256.toLowerCase()}, got ${actual})`);
+      }
+
+      if (push.format === 'git-bundle') {
+        return await this.applyBundle(push, source, targetDir);
+      }
+      return await this.applyArchive({ ...push, mode }, source, validatedTarget, targetDir);
+    } finally {
+      await source.close();
+    }
+  }
+
+  async applyArchive(push, source, validatedTarget, targetDir) {
+    const excludes = this.excludes();
+    // Relative path -> { sha256, index } of the last archive entry for it
+    const files = new Map();
+    let skipped = 0;
+    let index = 0;
+
+    await this.readArchive(source, push.format, entry => {
+      const segments = entrySegments(entry.name);
+      security.validateBuildPath(path.win32.join(validatedTarget, ...segments));
+      // A pushed .git (hooks, config) or bin/obj must not overwrite the host's own
+      if (isExcluded(segments, excludes)) {
+        skipped += entry.directory ? 0 : 1;
+        return null;
+      }
+      if (entry.directory) {
+        return null;
+      }
+
+      const file = { sha256: null, index: index++ };
+      const hash = crypto.createHash('sha256');
+      return {
+        write: chunk => hash.update(chunk),
+        end: () => {
+          file.sha256 = hash.digest('hex');
+          files.set(segments.join('/'), file);
+        }
+      };
+    });
+
+    // A mirror push makes the directory match the archive, an incremental one only
+    // deletes what it lists and an overlay deletes nothing
+    let deletions = [];
+    if (push.mode === 'incremental') {
+      deletions = push.deletions || [];
+    } else if (push.mode === 'mirror') {
+      deletions = (await this.manifest(targetDir)).map(file => file.path).filter(relative => !files.has(relative));
+    }
+    deletions = deletions
+      .map(relative => entrySegments(relative))
+      .filter(segments => !isExcluded(segments, excludes))
+      .map(segments => segments.join('/'));
+
+    const summary = {
+      targetPath: push.targetPath,
+      format: push.format,
+      mode: push.mode,
+      sha256: push.sha256.toLowerCase(),
+      written: [],
+      unchanged: 0,
+      skipped,
+      deleted: []
+    };
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    const root = await fs.promises.realpath(targetDir);
+    for (const relative of [...files.keys(), ...deletions]) {
+      await assertInside(root, targetDir, relative);
+    }
+
+    // lstat: a link in place of a file is replaced or deleted, never followed
+    const changed = new Map();
+    for (const [relative, file] of files) {
+      const filePath = path.join(targetDir, ...relative.split('/'));
+      if (fs.existsSync(filePath) && fs.lstatSync(filePath).isFile() && await hashFile(filePath) === file.sha256) {
+        summary.unchanged++;
+      } else {
+        changed.set(file.index, { relative, filePath, sha256: file.sha256 });
+      }
+    }
+
+    if (changed.size > 0) {
+      await this.writeChanged(source, push.format, changed, excludes, summary);
+    }
+
+    deletions.forEach(relative => {
+      const filePath = path.join(targetDir, ...relative.split('/'));
+      if (fs.existsSync(filePath) && fs.lstatSync(filePath).isFile()) {
+        fs.rmSync(filePath, { force: true });
+        summary.deleted.push(relative);
+      }
+    });
+
+    logger.info('Workspace push applied', {
+      targetPath: push.targetPath,
+      mode: push.mode,
+      written: summary.written.length,
+      unchanged: summary.unchanged,
+      deleted: summary.deleted.length
+    });
+    return summary;
+  }
+
+  /**
+   * Second pass over a validated archive: write each changed file to a temp file and
+   * rename it into place once its content matches the hash from the first pass
+   * @param {Map<number, Object>} changed - Entry index -> { relative, filePath, sha256 }
+   */
+  async writeChanged(source, format, changed, excludes, summary) {
+    let index = 0;
+    let current = null;
+
+    try {
+      await this.readArchive(source, format, async entry => {
+        const segments = entrySegments(entry.name);
+        if (entry.directory || isExcluded(segments, excludes)) {
+          return null;
+        }
+        const file = changed.get(index++);
+        if (!file) {
+          return null;
+        }
+
+        await fs.promises.mkdir(path.dirname(file.filePath), { recursive: true });
+        const tempPath = `${file.filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const hash = crypto.createHash('sha256');
+        current = { tempPath, handle: await fs.promises.open(tempPath, 'w') };
+
+        return {
+          write: async chunk => {
+            hash.update(chunk);
+            await current.handle.write(chunk);
+          },
+          end: async () => {
+            await current.handle.close();
+            current.handle = null;
+            if (hash.digest('hex') !== file.sha256) {
+              throw new WorkspaceSyncError(`Archive changed while it was being applied: ${file.relative}`);
+            }
+            await fs.promises.rename(tempPath, file.filePath);
+            current = null;
+            summary.written.push(file.relative);
+          }
+        };
+      });
+    } finally {
+      if (current) {
+        if (current.handle) {
+          await current.handle.close().catch(() => {});
+        }
+        await fs.promises.rm(current.tempPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Walk an archive, capping the total extracted size at WORKSPACE_PUSH_MAX_EXTRACTED
+   */
+  async readArchive(source, format, visit) {
+    const maxExtracted = getNumericEnv('WORKSPACE_PUSH_MAX_EXTRACTED', 1073741824) || 1073741824;
+    let total = 0;
+    const limits = {
+      add(size) {
+        total += size;
+        if (total > maxExtracted) {
+          throw new WorkspaceSyncError(`Archive expands to more than ${maxExtracted} bytes`);
+        }
+      }
+    };
+
+    try {
+      if (format === 'zip') {
+        return await readZip(source, limits, visit);
+      }
+      if (format === 'tar') {
+        return await readTar(source.stream(0, source.size), limits, visit);
+      }
+
+      // Headers and padding count too, so a stream of empty entries cannot run forever
+      const gunzip = zlib.createGunzip();
+      pipeline(source.stream(0, source.size), gunzip, () => {});
+      const inflated = async function* () {
+        let length = 0;
+        for await (const chunk of gunzip) {
+          length += chunk.length;
+          if (length > maxExtracted + 1024 * 1024) {
+            throw new WorkspaceSyncError(`Archive expands to more than ${maxExtracted} bytes`);
+          }
+          yield chunk;
+        }
+      };
+      return await readTar(inflated(), limits, visit);
+    } catch (error) {
+      if (error instanceof WorkspaceSyncError) {
+        throw error;
+      }
+      throw new WorkspaceSyncError(`Invalid ${format} archive: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clone a bundle into a new directory, or fetch it into an existing clone and check out ref
+   * Bundles created with a base (git bundle create x.bundle base..main) carry only the new
+   * commits; git refuses them unless the base is already present in the target.
+   */
+  async applyBundle(push, source, targetDir) {
+    const bundlePath = path.join(path.dirname(targetDir), `.${path.basename(targetDir)}.${push.sha256.substring(0, 16)}.bundle`);
+    const ref = push.ref || 'HEAD';
+    const git = async (args, cwd) => {
+      const result = await executeBuild('git', args, { workingDirectory: cwd });
+      if (result.success === false) {
+        throw new WorkspaceSyncError(`git ${args[0]} failed: ${result.content[0].text.trim()}`);
+      }
+      return result;
+    };
+
+    fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+    await streamPipeline(source.stream(0, source.size), fs.createWriteStream(bundlePath));
+
+    try {
+      const existing = fs.existsSync(path.join(targetDir, '.git'));
+      if (existing) {
+        await git(['bundle', 'verify', bundlePath], targetDir);
+        await git(['fetch', '--no-tags', bundlePath, ref], targetDir);
+        await git(['checkout', '--force', 'FETCH_HEAD', '--'], targetDir);
+      } else {
+        if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+          throw new WorkspaceSyncError(`${push.targetPath} exists and is not a git repository; push an archive or choose an empty directory`);
+        }
+        await git(['clone', '--no-checkout', bundlePath, targetDir], path.dirname(targetDir));
+        await git(['checkout', '--force', ref, '--'], targetDir);
+      }
+
+      const head = await git(['rev-parse', 'HEAD'], targetDir);
+      logger.info('Workspace bundle applied', { targetPath: push.targetPath, ref, cloned: !existing });
+      return {
+        targetPath: push.targetPath,
+        format: push.format,
+        sha256: push.sha256.toLowerCase(),
+        ref,
+        cloned: !existing,
+        head: (head.output || '').trim()
+      };
+    } finally {
+      fs.rmSync(bundlePath, { force: true });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WorkspaceSync();
+module.exports.WorkspaceSyncError = WorkspaceSyncError;
+module.exports.FORMATS = FORMATS;
+module.exports.MODES = MODES;
+module.exports.REF_PATTERN = REF_PATTERN;
@@ -0,0 +1,167 @@
+/**
+ * Artifacts Test - content-addressed artifact store and artifact_* tools
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const artifactStore = require('../../server/src/utils/artifact-store');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Artifact Store', () => {
+  const originalEnv = { ...process.env };
+  const commit = '3f786850e387550fdab836ed7e6dc881de23001b';
+  let tmpDir;
+  let projectDir;
+  let originalStoreDir;
+  let version = 'v1';
+
+  const callTool = (name, args) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+  const parse = response => JSON.parse(response.result.content[0].text);
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-artifacts-'));
+    projectDir = path.join(tmpDir, 'repo', 'cli');
+    originalStoreDir = artifactStore.storeDir;
+    artifactStore.storeDir = path.join(tmpDir, 'store');
+
+    fs.mkdirSync(path.join(tmpDir, 'repo', '.git', 'refs', 'heads'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'repo', '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    fs.writeFileSync(path.join(tmpDir, 'repo', '.git', 'refs', 'heads', 'main'), `${commit}\n`);
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    toolRegistry.register({
+      name: 'artifact_build',
+      category: 'build',
+      description: 'Compiles a CLI into bin',
+      inputSchema: {
+        type: 'object',
+        properties: { projectPath: { type: 'string' }, apiKey: { type: 'string' }, fail: { type: 'boolean' } },
+        additionalProperties: false
+      },
+      handler: async (args) => {
+        fs.mkdirSync(path.join(args.projectPath, 'bin'), { recursive: true });
+        fs.writeFileSync(path.join(args.projectPath, 'bin', 'cli.exe'), `binary ${version}`);
+        fs.writeFileSync(path.join(args.projectPath, 'bin', 'README.txt'), 'readme');
+        return { content: [{ type: 'text', text: 'Built' }], isError: Boolean(args.fail) };
+      }
+    });
+  });
+
+  beforeEach(() => {
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    delete process.env.ARTIFACT_RETENTION;
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('artifact_build');
+    artifactStore.storeDir = originalStoreDir;
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should store declared outputs by SHA-256 with a manifest', async () => {
+    const response = await callTool('artifact_build', { projectPath: projectDir, apiKey: 'k-123', artifacts: ['bin/**'] });
+    const { id, files } = response.result.artifacts;
+
+    expect(files).toEqual(expect.arrayContaining([
+      { path: 'bin/cli.exe', sha256: sha256('binary v1'), size: 9 },
+      { path: 'bin/README.txt', sha256: sha256('readme'), size: 6 }
+    ]));
+    expect(response.result.content[1].text).toMatch(new RegExp(`^Stored 2 artifacts as ${id}:`));
+
+    const manifest = parse(await callTool('artifact_get', { id }));
+    expect(manifest).toEqual(expect.objectContaining({
+      id,
+      tool: 'artifact_build',
+      commit,
+      arguments: { projectPath: projectDir, apiKey: '***' },
+      totalBytes: 15
+    }));
+  });
+
+  test('should store identical content once', async () => {
+    await callTool('artifact_build', { projectPath: projectDir, artifacts: ['*.exe'] });
+
+    const objects = fs.readdirSync(path.join(artifactStore.storeDir, 'objects'))
+      .reduce((count, prefix) => count + fs.readdirSync(path.join(artifactStore.storeDir, 'objects', prefix)).length, 0);
+    expect(objects).toBe(2);
+    expect(parse(await callTool('artifact_list', {})).artifacts.map(entry => entry.fileCount)).toEqual([1, 2]);
+  });
+
+  test('should download stored files in chunks', async () => {
+    const [latest] = parse(await callTool('artifact_list', { tool: 'artifact_build', commit: commit.substring(0, 7) })).artifacts;
+
+    const first = parse(await callTool('artifact_download', { id: latest.id, path: 'bin/cli.exe', length: 4 }));
+    expect(Buffer.from(first.data, 'base64').toString()).toBe('bina');
+    expect(first.complete).toBe(false);
+
+    const rest = parse(await callTool('artifact_download', { sha256: first.sha256, offset: first.nextOffset }));
+    expect(Buffer.from(rest.data, 'base64').toString()).toBe('ry v1');
+    expect(rest.complete).toBe(true);
+
+    expect((await callTool('artifact_download', { id: latest.id, path: 'bin/other.exe' })).result.isError).toBe(true);
+    expect((await callTool('artifact_get', { id: '../../etc/passwd' })).result.isError).toBe(true);
+  });
+
+  test('should only show tokens their own builds inside their allowed paths', async () => {
+    const ci = { name: 'ci', role: 'builder', tools: null, paths: [tmpDir], hosts: null };
+    const dashboard = { name: 'dashboard', role: 'read-only', tools: null, paths: null, hosts: null };
+    const callAs = (identity, name, args) => mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+    }, { clientIP: '127.0.0.1', transport: 'test', identity });
+
+    const { id } = (await callAs(ci, 'artifact_build', { projectPath: projectDir, artifacts: ['bin/cli.exe'] })).result.artifacts;
+    expect(artifactStore.get(id)).toEqual(expect.objectContaining({ owner: 'ci', sourcePaths: [projectDir] }));
+
+    expect(parse(await callAs(ci, 'artifact_list', {})).artifacts.map(entry => entry.id)).toEqual([id]);
+    expect(parse(await callAs(dashboard, 'artifact_list', {})).artifacts).toEqual([]);
+    expect((await callAs(dashboard, 'artifact_get', { id })).result.isError).toBe(true);
+    expect((await callAs(dashboard, 'artifact_download', { sha256: sha256('binary v1') })).result.isError).toBe(true);
+    expect(parse(await callAs(ci, 'artifact_download', { sha256: sha256('binary v1') })).complete).toBe(true);
+
+    const narrowed = { ...ci, paths: [path.join(tmpDir, 'other')] };
+    expect(parse(await callAs(narrowed, 'artifact_list', {})).artifacts).toEqual([]);
+    expect(parse(await callTool('artifact_list', {})).artifacts.map(entry => entry.id)).toContain(id);
+  });
+
+  test('should not store outputs of failed builds', async () => {
+    const response = await callTool('artifact_build', { projectPath: projectDir, fail: true, artifacts: ['bin/**'] });
+
+    expect(response.result.isError).toBe(true);
+    expect(response.result.artifacts).toBeUndefined();
+  });
+
+  test('should drop old builds and their unreferenced files', async () => {
+    process.env.ARTIFACT_RETENTION = '1';
+    version = 'v2';
+
+    const { id } = (await callTool('artifact_build', { projectPath: projectDir, artifacts: ['bin/cli.exe'] })).result.artifacts;
+
+    expect(parse(await callTool('artifact_list', {})).artifacts.map(entry => entry.id)).toEqual([id]);
+    expect(artifactStore.read(sha256('binary v1'))).toBeNull();
+    expect(artifactStore.read(sha256('readme'))).toBeNull();
+    expect(artifactStore.read(sha256('binary v2')).data.toString()).toBe('binary v2');
+  });
+
+  test('should keep the objects of stores still in progress when collecting garbage', async () => {
+    const filePath = path.join(projectDir, 'bin', 'pending.dll');
+    fs.writeFileSync(filePath, 'pending');
+    const held = [];
+    await artifactStore.storeFile(filePath, 'bin/pending.dll', held);
+
+    artifactStore.gc();
+    expect(artifactStore.read(sha256('pending'))).not.toBeNull();
+
+    held.forEach(hash => artifactStore.release(hash));
+    artifactStore.gc();
+    expect(artifactStore.read(sha256('pending'))).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Build Locks Test - per-directory build locks, fail-fast, stale detection and breaking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const buildLockManager = require('../../server/src/utils/build-lock-manager');
+const buildScheduler = require('../../server/src/utils/build-scheduler');
+const requestContext = require('../../server/src/utils/request-context');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Build Locks', () => {
+  let tmpDir;
+  let originalLockDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-locks-'));
+    originalLockDir = buildLockManager.lockDir;
+    buildLockManager.lockDir = tmpDir;
+  });
+
+  afterAll(() => {
+    buildLockManager.lockDir = originalLockDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.readdirSync(tmpDir).forEach(name => fs.rmSync(path.join(tmpDir, name), { force: true }));
+    buildLockManager.held.clear();
+    delete process.env.BUILD_LOCK_STALE_SECONDS;
+  });
+
+  test('should make a second build of the same directory wait', async () => {
+    const first = await buildLockManager.acquire('C:\\build\\App');
+    let secondAcquired = false;
+    const second = buildLockManager.acquire('c:\\build\\app\\').then(lock => {
+      secondAcquired = true;
+      return lock;
+    });
+    await flush();
+
+    expect(secondAcquired).toBe(false);
+    expect(buildLockManager.list()[0]).toEqual(expect.objectContaining({ buildDir: 'C:\\build\\App', waiting: 1 }));
+
+    buildLockManager.release(first);
+    const lock = await second;
+    expect(lock.id).toBe(first.id);
+    buildLockManager.release(lock);
+    expect(buildLockManager.list()).toEqual([]);
+  });
+
+  test('should give up the build slot while waiting for a lock', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    const holder = await buildLockManager.acquire('C:\\build\\App');
+    const order = [];
+    const scheduled = (requestId, fn) => requestContext.run({ requestId },
+      () => buildScheduler.run({ tool: 'build_dotnet', requestId }, fn));
+
+    try {
+      const waiting = scheduled('locked', async () => {
+        const lock = await buildLockManager.acquire('C:\\build\\App');
+        order.push('locked');
+        buildLockManager.release(lock);
+      });
+      await flush();
+      const other = scheduled('other', async () => order.push('other'));
+
+      await other;
+      expect(order).toEqual(['other']);
+      expect(buildScheduler.running.size).toBe(0);
+
+      buildLockManager.release(holder);
+      await waiting;
+      expect(order).toEqual(['other', 'locked']);
+    } finally {
+      delete process.env.BUILD_MAX_CONCURRENT;
+    }
+  });
+
+  test('should keep different directories and hosts apart', async () => {
+    const local = await buildLockManager.acquire('C:\\build\\App');
+    const other = await buildLockManager.acquire('C:\\build\\Other');
+    const remote = await buildLockManager.acquire('C:\\build\\App', { host: '10.0.0.5' });
+
+    expect(new Set([local.id, other.id, remote.id]).size).toBe(3);
+    [local, other, remote].forEach(lock => buildLockManager.release(lock));
+  });
+
+  test('should fail fast when asked not to wait', async () => {
+    const lock = await buildLockManager.acquire('C:\\build\\App');
+
+    await expect(buildLockManager.acquire('C:\\build\\App', { wait: false }))
+      .rejects.toThrow(/^Build directory C:\\build\\App is locked by a request since /);
+    buildLockManager.release(lock);
+  });
+
+  test('should give up waiting after the timeout', async () => {
+    const lock = await buildLockManager.acquire('C:\\build\\App');
+
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    try {
+      const waiting = buildLockManager.acquire('C:\\build\\App', { timeoutSeconds: 2 });
+      const failed = expect(waiting).rejects.toBeInstanceOf(buildLockManager.BuildLockError);
+      await jest.advanceTimersByTimeAsync(3000);
+      await failed;
+    } finally {
+      jest.useRealTimers();
+      buildLockManager.release(lock);
+    }
+  });
+
+  test('should take over locks left by a server process that died', async () => {
+    const id = buildLockManager.idOf(buildLockManager.keyOf('C:\\build\\App'));
+    const now = new Date().toISOString();
+    fs.writeFileSync(path.join(tmpDir, `${id}.lock`), JSON.stringify({
+      id, buildDir: 'C:\\build\\App', token: 'old', pid: process.pid + 100000, requestId: 7, acquiredAt: now, heartbeatAt: now
+    }));
+    const alive = jest.spyOn(buildLockManager, 'isProcessAlive').mockReturnValue(false);
+
+    expect(buildLockManager.list()[0].stale).toBe(true);
+    const lock = await buildLockManager.acquire('C:\\build\\App', { wait: false });
+    expect(buildLockManager.read(id).token).toBe(lock.token);
+
+    alive.mockRestore();
+    buildLockManager.release(lock);
+  });
+
+  test('should treat locks with an old heartbeat as stale', () => {
+    process.env.BUILD_LOCK_STALE_SECONDS = '60';
+    const alive = jest.spyOn(buildLockManager, 'isProcessAlive').mockReturnValue(true);
+    const holder = { id: 'x', pid: process.pid + 100000, heartbeatAt: new Date(Date.now() - 120000).toISOString() };
+
+    expect(buildLockManager.isStale(holder)).toBe(true);
+    expect(buildLockManager.isStale({ ...holder, heartbeatAt: new Date().toISOString() })).toBe(false);
+    alive.mockRestore();
+  });
+
+  test('should let a waiting build start when a lock is broken', async () => {
+    const lock = await buildLockManager.acquire('C:\\build\\App');
+    const waiting = buildLockManager.acquire('C:\\build\\App');
+    await flush();
+
+    expect(buildLockManager.breakLock('not-a-lock-id')).toBeNull();
+    expect(buildLockManager.breakLock(lock.id, { reason: 'hung' }).token).toBe(lock.token);
+
+    const next = await waiting;
+    // Releasing the broken lock must not remove the new holder's lock
+    buildLockManager.release(lock);
+    expect(buildLockManager.read(lock.id).token).toBe(next.token);
+    buildLockManager.release(next);
+  });
+
+  test('should report a locked project from build_dotnet with lockMode fail', async () => {
+    const lock = await buildLockManager.acquire('C:\\build\\App');
+    const callTool = args => mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'build_dotnet', arguments: args }
+    }, { clientIP: '127.0.0.1', transport: 'test' });
+
+    const response = await callTool({ projectPath: 'C:\\projects\\App\\App.csproj', lockMode: 'fail' });
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toMatch(/^Build directory C:\\build\\App is locked by/);
+    expect(spawn).not.toHaveBeenCalled();
+
+    buildLockManager.release(lock);
+    spawn.mockImplementation(() => new MockProcess(0, 'Build succeeded.\n'));
+    const built = await callTool({ projectPath: 'C:\\projects\\App\\App.csproj', lockMode: 'fail' });
+    expect(built.result.content[0].text).toContain('Release output saved to: C:\\build\\App\\release');
+    expect(buildLockManager.list()).toEqual([]);
+  });
+});
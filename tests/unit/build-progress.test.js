@@ -0,0 +1,158 @@
+/**
+ * Build Progress Test - notifications/progress derived from build output
+ */
+
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const BuildProgressTracker = require('../../server/src/utils/build-progress');
+const requestContext = require('../../server/src/utils/request-context');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const { executeBuild } = require('../../server/src/utils/command-executor');
+
+describe('Build Progress', () => {
+  describe('parseLine', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new BuildProgressTracker();
+    });
+
+    test('should parse the Maven reactor', () => {
+      expect(tracker.parseLine('[INFO] Building core-module 1.0-SNAPSHOT                          [2/5]')).toEqual({
+        progress: 2,
+        total: 5,
+        message: 'Maven: building core-module 1.0-SNAPSHOT (2/5)'
+      });
+    });
+
+    test('should count MSBuild project outputs', () => {
+      expect(tracker.parseLine('  Core -> C:\\build\\Core\\bin\\Release\\net8.0\\Core.dll')).toEqual({
+        progress: 1,
+        message: 'MSBuild: Core built (1 project)'
+      });
+      expect(tracker.parseLine('  App -> C:\\build\\App\\bin\\Release\\net8.0\\App.dll').message)
+        .toBe('MSBuild: App built (2 projects)');
+    });
+
+    test('should parse pytest percentages', () => {
+      expect(tracker.parseLine('tests/test_api.py ......                                   [ 45%]')).toEqual({
+        progress: 45,
+        total: 100,
+        message: 'pytest: 45% complete'
+      });
+    });
+
+    test('should count npm script phases', () => {
+      expect(tracker.parseLine('> my-app@1.0.0 build')).toEqual({
+        progress: 1,
+        message: 'npm: running "build" (my-app@1.0.0)'
+      });
+    });
+
+    test('should ignore ordinary output', () => {
+      expect(tracker.parseLine('Compiling 42 source files')).toBeNull();
+      expect(tracker.parseLine('value -> other')).toBeNull();
+    });
+  });
+
+  describe('reporting', () => {
+    test('should report only increasing progress across split chunks', () => {
+      const notify = jest.fn();
+      const tracker = new BuildProgressTracker();
+
+      requestContext.run({ requestId: 1, progressToken: 'tok', notify }, () => {
+        tracker.feed('test_a.py ..   [ 20%]\ntest_b.py ');
+        tracker.feed('..   [ 60%]\n');
+        tracker.feed('test_a.py ..   [ 20%]\n');
+        tracker.feed('test_c.py ..   [100%]');
+        tracker.flush();
+      });
+
+      expect(notify.mock.calls.map(([message]) => message.params.progress)).toEqual([20, 60, 100]);
+      expect(notify).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: 'tok', progress: 60, total: 100, message: 'pytest: 60% complete' }
+      });
+    });
+
+    test('should stay silent without a progressToken', () => {
+      const notify = jest.fn();
+      requestContext.run({ requestId: 1, notify }, () => {
+        new BuildProgressTracker().feed('[INFO] Building app 1.0 [1/1]\n');
+      });
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tools/call integration', () => {
+    beforeAll(() => {
+      toolRegistry.register({
+        name: 'progress_test',
+        description: 'Runs a Maven build',
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => executeBuild('mvn.cmd', ['package'])
+      });
+      toolRegistry.register({
+        name: 'progress_steps_test',
+        description: 'Builds two solutions one after the other',
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => {
+          await executeBuild('dotnet.exe', ['build', 'Core.sln']);
+          return executeBuild('dotnet.exe', ['build', 'App.sln']);
+        }
+      });
+    });
+
+    afterAll(() => {
+      toolRegistry.unregister('progress_test');
+      toolRegistry.unregister('progress_steps_test');
+    });
+
+    test('should emit notifications/progress for _meta.progressToken', async () => {
+      spawn.mockImplementationOnce(() => new MockProcess(0,
+        '[INFO] Building api 1.0 [1/2]\n[INFO] Building web 1.0 [2/2]\n[INFO] BUILD SUCCESS\n'));
+      const notify = jest.fn();
+
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0',
+        id: 11,
+        method: 'tools/call',
+        params: { name: 'progress_test', arguments: {}, _meta: { progressToken: 'build-11' } }
+      }, { clientIP: '127.0.0.1', transport: 'test', notify });
+
+      expect(response.result.success).toBe(true);
+      const progress = notify.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.method === 'notifications/progress');
+      expect(progress.map(message => message.params)).toEqual([
+        { progressToken: 'build-11', progress: 1, total: 2, message: 'Maven: building api 1.0 (1/2)' },
+        { progressToken: 'build-11', progress: 2, total: 2, message: 'Maven: building web 1.0 (2/2)' }
+      ]);
+    });
+
+    test('should keep counting across the processes of one tool call', async () => {
+      spawn
+        .mockImplementationOnce(() => new MockProcess(0, '  Core -> C:\\build\\Core\\bin\\Core.dll\n'))
+        .mockImplementationOnce(() => new MockProcess(0,
+          '  Web -> C:\\build\\App\\bin\\Web.dll\n  App -> C:\\build\\App\\bin\\App.dll\n'));
+      const notify = jest.fn();
+
+      await mcpDispatcher.dispatch({
+        jsonrpc: '2.0',
+        id: 12,
+        method: 'tools/call',
+        params: { name: 'progress_steps_test', arguments: {}, _meta: { progressToken: 'build-12' } }
+      }, { clientIP: '127.0.0.1', transport: 'test', notify });
+
+      const progress = notify.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.method === 'notifications/progress');
+      expect(progress.map(message => message.params.progress)).toEqual([1, 2, 3]);
+      expect(progress[2].params.message).toBe('MSBuild: App built (3 projects)');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Build Scheduler Test - concurrency limits, priority queueing and wait estimates
+ */
+
+const buildScheduler = require('../../server/src/utils/build-scheduler');
+const cancellationManager = require('../../server/src/utils/cancellation-manager');
+const requestContext = require('../../server/src/utils/request-context');
+
+// A build that finishes when the test says so
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Build Scheduler', () => {
+  const started = [];
+  const builds = {};
+
+  const schedule = (tool, requestId, priority) => {
+    builds[requestId] = deferred();
+    return buildScheduler.run({ tool, requestId, priority }, () => {
+      started.push(requestId);
+      return builds[requestId].promise;
+    });
+  };
+
+  beforeEach(() => {
+    started.length = 0;
+    buildScheduler.durations.clear();
+    process.env.BUILD_MAX_CONCURRENT = '2';
+    delete process.env.BUILD_TOOL_CONCURRENCY;
+    delete process.env.BUILD_QUEUE_MAX;
+  });
+
+  afterAll(() => {
+    delete process.env.BUILD_MAX_CONCURRENT;
+  });
+
+  test('should hold builds beyond the global limit in FIFO order', async () => {
+    const runs = ['a', 'b', 'c', 'd'].map(id => schedule('build_dotnet', id));
+    await flush();
+
+    expect(started).toEqual(['a', 'b']);
+    expect(buildScheduler.positionOf('c')).toEqual(expect.objectContaining({ position: 1, queued: 2 }));
+    expect(buildScheduler.positionOf('d').position).toBe(2);
+
+    builds.a.resolve('done');
+    await expect(runs[0]).resolves.toBe('done');
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    builds.b.resolve();
+    builds.c.resolve();
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+    builds.d.resolve();
+    await Promise.all(runs);
+    expect(buildScheduler.snapshot().running).toEqual([]);
+  });
+
+  test('should apply per-tool limits without blocking other tools', async () => {
+    process.env.BUILD_TOOL_CONCURRENCY = 'build_cpp=1';
+    const runs = [
+      schedule('build_cpp', 'cpp-1'),
+      schedule('build_cpp', 'cpp-2'),
+      schedule('build_go', 'go-1')
+    ];
+    await flush();
+
+    expect(started).toEqual(['cpp-1', 'go-1']);
+    expect(buildScheduler.positionOf('cpp-2').position).toBe(1);
+
+    builds['cpp-1'].resolve();
+    await flush();
+    expect(started).toEqual(['cpp-1', 'go-1', 'cpp-2']);
+
+    builds['cpp-2'].resolve();
+    builds['go-1'].resolve();
+    await Promise.all(runs);
+  });
+
+  test('should start higher priority classes first', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    const runs = [
+      schedule('build_java', 'running'),
+      schedule('build_java', 'low', 'low'),
+      schedule('build_java', 'normal'),
+      schedule('build_java', 'high', 'high')
+    ];
+    await flush();
+
+    expect(buildScheduler.snapshot().queued.map(entry => entry.requestId)).toEqual(['high', 'normal', 'low']);
+
+    for (const id of ['running', 'high', 'normal', 'low']) {
+      builds[id].resolve();
+      await flush();
+    }
+    await Promise.all(runs);
+    expect(started).toEqual(['running', 'high', 'normal', 'low']);
+  });
+
+  test('should estimate waits from recent build durations', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    buildScheduler.recordDuration('build_rust', 40000);
+    buildScheduler.recordDuration('build_rust', 20000);
+
+    const runs = [schedule('build_rust', 'r1'), schedule('build_rust', 'r2'), schedule('build_rust', 'r3')];
+    await flush();
+
+    // r1 has ~30s left, r2 takes ~30s
+    expect(buildScheduler.positionOf('r2').estimatedWaitSeconds).toBe(30);
+    expect(buildScheduler.positionOf('r3').estimatedWaitSeconds).toBe(60);
+    expect(buildScheduler.snapshot().averageDurationSeconds).toEqual({ build_rust: 30 });
+
+    for (const id of ['r1', 'r2', 'r3']) {
+      builds[id].resolve();
+      await flush();
+    }
+    await Promise.all(runs);
+  });
+
+  test('should report the queue position to the waiting caller', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    const notify = jest.fn();
+
+    const first = schedule('build_node', 'n1');
+    const second = requestContext.run({ requestId: 'n2', progressToken: 'p-2', notify }, () => schedule('build_node', 'n2'));
+    await flush();
+
+    expect(notify).toHaveBeenCalledWith({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'p-2', progress: 0, message: 'Queued for build_node: position 1 of 1, estimated wait unknown' }
+    });
+
+    builds.n1.resolve();
+    await flush();
+    builds.n2.resolve();
+    await Promise.all([first, second]);
+  });
+
+  test('should report each caller its own position when request ids repeat', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    buildScheduler.recordDuration('build_node', 10000);
+    const notifications = [jest.fn(), jest.fn()];
+    const running = schedule('build_node', 'n0');
+    const done = deferred();
+
+    const queued = notifications.map((notify, index) => requestContext.run({ requestId: 1, progressToken: `p-${index}`, notify },
+      () => buildScheduler.run({ tool: 'build_node', requestId: 1 }, () => done.promise)));
+    await flush();
+
+    expect(notifications[0].mock.lastCall[0].params.message).toBe('Queued for build_node: position 1 of 1, estimated wait ~10s');
+    expect(notifications[1].mock.lastCall[0].params.message).toBe('Queued for build_node: position 2 of 2, estimated wait ~20s');
+
+    builds.n0.resolve();
+    done.resolve();
+    await Promise.all([running, ...queued]);
+  });
+
+  test('should list only the caller\'s builds in a scoped snapshot', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    const caller = { clientIP: '10.0.0.1', identity: { name: 'ci' } };
+    const other = { clientIP: '10.0.0.1', identity: { name: 'dashboard' } };
+    const done = deferred();
+    const runs = [caller, other, caller].map((context, index) =>
+      requestContext.run({ ...context }, () => buildScheduler.run({ tool: 'build_go', requestId: index }, () => done.promise)));
+    await flush();
+
+    const snapshot = buildScheduler.snapshot(cancellationManager.scopeOf(caller));
+    expect(snapshot.totals).toEqual({ running: 1, queued: 2 });
+    expect(snapshot.running.map(entry => entry.requestId)).toEqual([0]);
+    expect(snapshot.queued.map(entry => [entry.requestId, entry.position])).toEqual([[2, 2]]);
+
+    done.resolve();
+    await Promise.all(runs);
+  });
+
+  test('should drop cancelled builds from the queue', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    const first = schedule('build_php', 'p1');
+    const entry = cancellationManager.begin('test:p2', { requestId: 'p2', tool: 'build_php' });
+    const second = requestContext.run({ cancellation: entry }, () => schedule('build_php', 'p2'));
+    await flush();
+
+    cancellationManager.cancel('test:p2', 'stop');
+    await expect(second).rejects.toThrow('Cancelled while queued');
+    expect(buildScheduler.positionOf('p2')).toBeNull();
+
+    builds.p1.resolve();
+    await first;
+    expect(started).toEqual(['p1']);
+    cancellationManager.end('test:p2');
+  });
+
+  test('should reject builds when the queue is full', async () => {
+    process.env.BUILD_MAX_CONCURRENT = '1';
+    process.env.BUILD_QUEUE_MAX = '1';
+    const first = schedule('build_go', 'g1');
+    const second = schedule('build_go', 'g2');
+
+    await expect(schedule('build_go', 'g3')).rejects.toBeInstanceOf(buildScheduler.QueueFullError);
+
+    builds.g1.resolve();
+    await flush();
+    builds.g2.resolve();
+    await Promise.all([first, second]);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Cancellation Test - notifications/cancelled and POST /mcp/cancel
+ */
+
+const EventEmitter = require('events');
+const request = require('supertest');
+const { spawn } = require('child_process');
+
+const cancellationManager = require('../../server/src/utils/cancellation-manager');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const requestContext = require('../../server/src/utils/request-context');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const { executeBuild } = require('../../server/src/utils/command-executor');
+
+// A child process that runs until it is killed
+class HangingProcess extends EventEmitter {
+  constructor() {
+    super();
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.exitCode = null;
+    this.signalCode = null;
+    this.kill = jest.fn((signal) => {
+      this.signalCode = signal;
+      process.nextTick(() => this.emit('close', null, signal));
+      return true;
+    });
+  }
+}
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('Cancellation', () => {
+  let child;
+  const context = { clientIP: '10.0.0.5', transport: 'test' };
+
+  beforeAll(() => {
+    toolRegistry.register({
+      name: 'long_build',
+      description: 'Runs until cancelled',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => executeBuild('msbuild.exe', ['App.sln'])
+    });
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('long_build');
+  });
+
+  beforeEach(() => {
+    child = new HangingProcess();
+    spawn.mockImplementationOnce(() => child);
+  });
+
+  const callLongBuild = (id, ctx = context) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0',
+    id,
+    method: 'tools/call',
+    params: { name: 'long_build', arguments: {} }
+  }, ctx);
+
+  test('should kill the build and answer with a cancelled result', async () => {
+    const pending = callLongBuild(21);
+    await waitFor(() => cancellationManager.list().length > 0);
+
+    expect(cancellationManager.list('10.0.0.5')).toEqual([
+      expect.objectContaining({ requestId: 21, tool: 'long_build', processes: 1, cancelled: false })
+    ]);
+
+    await mcpDispatcher.dispatch({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 21, reason: 'User pressed stop' }
+    }, context);
+
+    const response = await pending;
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+    expect(response.id).toBe(21);
+    expect(response.result.cancelled).toBe(true);
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toBe('Request 21 (long_build) was cancelled: User pressed stop');
+    expect(cancellationManager.list()).toEqual([]);
+  });
+
+  test('should only cancel requests from the same caller', async () => {
+    const pending = callLongBuild(22);
+    await waitFor(() => cancellationManager.list().length > 0);
+
+    const other = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 22 }
+    }, { clientIP: '10.0.0.99', transport: 'test' });
+
+    expect(other.result).toEqual({ cancelled: false });
+    expect(child.kill).not.toHaveBeenCalled();
+
+    cancellationManager.cancel(cancellationManager.keyFor(context, 22));
+    await pending;
+  });
+
+  test('should only let the token that started a call cancel it from the same IP', async () => {
+    const ci = { ...context, identity: { name: 'ci', role: 'builder', tools: null, paths: null, hosts: null } };
+    const nightly = { ...context, identity: { ...ci.identity, name: 'nightly' } };
+    const cancel = ctx => mcpDispatcher.dispatch({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 23 }
+    }, ctx);
+
+    const pending = callLongBuild(23, ci);
+    await waitFor(() => cancellationManager.list().length > 0);
+
+    expect(cancellationManager.list(cancellationManager.scopeOf(nightly))).toEqual([]);
+    expect((await cancel(nightly)).result).toEqual({ cancelled: false });
+    expect((await cancel(context)).result).toEqual({ cancelled: false });
+    expect(child.kill).not.toHaveBeenCalled();
+
+    expect((await cancel(ci)).result).toEqual({ cancelled: true });
+    expect((await pending).result.cancelled).toBe(true);
+  });
+
+  test('should kill processes started after cancellation and run cleanups', () => {
+    const cleanup = jest.fn();
+    const entry = cancellationManager.begin('test:1', { requestId: 1, tool: 'x' });
+
+    requestContext.run({ cancellation: entry }, () => {
+      cancellationManager.onCancel(cleanup);
+      expect(cancellationManager.cancel('test:1', 'stop')).toBe(true);
+      expect(cancellationManager.isCancelled()).toBe(true);
+
+      const late = new HangingProcess();
+      cancellationManager.track(late);
+      expect(late.kill).toHaveBeenCalledWith('SIGTERM');
+    });
+
+    expect(cleanup).toHaveBeenCalled();
+    expect(cancellationManager.cancel('test:1')).toBe(false);
+    cancellationManager.end('test:1');
+  });
+
+  describe('HTTP', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.MCP_AUTH_TOKEN = '';
+      delete require.cache[require.resolve('../../server/src/server')];
+      app = require('../../server/src/server');
+    });
+
+    test('should cancel an in-flight tools/call via POST /mcp/cancel', async () => {
+      const pending = request(app)
+        .post('/mcp')
+        .send({ jsonrpc: '2.0', id: 'build-1', method: 'tools/call', params: { name: 'long_build', arguments: {} } })
+        .then(response => response);
+      await waitFor(() => cancellationManager.list().length > 0);
+
+      const listed = await request(app).get('/mcp/requests');
+      expect(listed.body.requests.map(r => r.requestId)).toEqual(['build-1']);
+
+      const cancel = await request(app).post('/mcp/cancel').send({ requestId: 'build-1' });
+      expect(cancel.status).toBe(200);
+      expect(cancel.body).toEqual({ cancelled: true, requestId: 'build-1' });
+
+      const response = await pending;
+      expect(response.body.result.cancelled).toBe(true);
+      expect(response.body.result.content[0].text).toContain('Cancelled via REST API');
+    });
+
+    test('should accept notifications/cancelled as a notification', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'nothing' } });
+
+      expect(response.status).toBe(202);
+      expect(response.text).toBe('');
+    });
+
+    test('should validate POST /mcp/cancel', async () => {
+      expect((await request(app).post('/mcp/cancel').send({})).status).toBe(400);
+      expect((await request(app).post('/mcp/cancel').send({ requestId: 404 })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Diagnostics Test - structured compiler diagnostics parsed from build output
+ */
+
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const DiagnosticsParser = require('../../server/src/utils/diagnostics-parser');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+const parse = (toolchains, text) => new DiagnosticsParser(toolchains).parseText(text);
+
+describe('Compiler Diagnostics', () => {
+  describe('parsers', () => {
+    test('should parse MSBuild and csc output and drop the repeated summary', () => {
+      const log = [
+        '  Determining projects to restore...',
+        'C:\\build\\App\\Program.cs(12,9): error CS0103: The name \'foo\' does not exist in the current context [C:\\build\\App\\App.csproj]',
+        '  1>C:\\build\\App\\Util.cs(3,7): warning CS0168: The variable \'e\' is declared but never used [C:\\build\\App\\App.csproj]',
+        'CSC : error CS5001: Program does not contain a static \'Main\' method suitable for an entry point [C:\\build\\App\\App.csproj]',
+        'Build FAILED.',
+        'C:\\build\\App\\Program.cs(12,9): error CS0103: The name \'foo\' does not exist in the current context [C:\\build\\App\\App.csproj]'
+      ].join('\r\n');
+
+      expect(parse(['msbuild'], log)).toEqual([
+        { severity: 'error', file: 'C:\\build\\App\\Program.cs', line: 12, column: 9, code: 'CS0103', message: 'The name \'foo\' does not exist in the current context' },
+        { severity: 'warning', file: 'C:\\build\\App\\Util.cs', line: 3, column: 7, code: 'CS0168', message: 'The variable \'e\' is declared but never used' },
+        { severity: 'error', file: null, line: null, column: null, code: 'CS5001', message: 'Program does not contain a static \'Main\' method suitable for an entry point' }
+      ]);
+    });
+
+    test('should parse MSVC, gcc and clang output', () => {
+      const log = [
+        'main.cpp(10): fatal error C1083: Cannot open include file: \'missing.h\': No such file or directory',
+        'main.obj : error LNK2019: unresolved external symbol foo referenced in function main',
+        'src/util.c:7:12: warning: unused variable \'n\' [-Wunused-variable]',
+        'C:\\src\\app.c:20:3: error: \'x\' undeclared (first use in this function)',
+        'src/util.c:7:12: note: declared here',
+        'make: *** [Makefile:12: all] Error 1'
+      ].join('\n');
+
+      expect(parse(['msbuild', 'gcc'], log)).toEqual([
+        { severity: 'error', file: 'main.cpp', line: 10, column: null, code: 'C1083', message: 'Cannot open include file: \'missing.h\': No such file or directory' },
+        { severity: 'error', file: 'main.obj', line: null, column: null, code: 'LNK2019', message: 'unresolved external symbol foo referenced in function main' },
+        { severity: 'warning', file: 'src/util.c', line: 7, column: 12, code: '-Wunused-variable', message: 'unused variable \'n\'' },
+        { severity: 'error', file: 'C:\\src\\app.c', line: 20, column: 3, code: null, message: '\'x\' undeclared (first use in this function)' }
+      ]);
+    });
+
+    test('should parse javac and Maven output', () => {
+      const log = [
+        'src/App.java:12: error: cannot find symbol',
+        '[ERROR] COMPILATION ERROR : ',
+        '[ERROR] /work/src/main/java/App.java:[12,8] cannot find symbol',
+        '[WARNING] /work/src/main/java/Old.java:[3,15] [deprecation] Date(String) in Date has been deprecated',
+        '[ERROR] /work/src/main/java/App.java:[12,8] cannot find symbol'
+      ].join('\n');
+
+      expect(parse(['java'], log)).toEqual([
+        { severity: 'error', file: 'src/App.java', line: 12, column: null, code: null, message: 'cannot find symbol' },
+        { severity: 'error', file: '/work/src/main/java/App.java', line: 12, column: 8, code: null, message: 'cannot find symbol' },
+        { severity: 'warning', file: '/work/src/main/java/Old.java', line: 3, column: 15, code: null, message: '[deprecation] Date(String) in Date has been deprecated' }
+      ]);
+    });
+
+    test('should parse go build output but not test logs', () => {
+      const log = '# example.com/app\n./main.go:12:5: undefined: foo\n    main_test.go:9: expected 2, got 3\n';
+
+      expect(parse(['go'], log)).toEqual([
+        { severity: 'error', file: './main.go', line: 12, column: 5, code: null, message: 'undefined: foo' }
+      ]);
+    });
+
+    test('should parse cargo JSON messages and rustc text', () => {
+      const json = JSON.stringify({
+        reason: 'compiler-message',
+        message: {
+          level: 'error',
+          message: 'mismatched types',
+          code: { code: 'E0308' },
+          spans: [{ file_name: 'src/main.rs', line_start: 4, column_start: 18, is_primary: true }]
+        }
+      });
+      const aborting = JSON.stringify({
+        reason: 'compiler-message',
+        message: { level: 'error', message: 'aborting due to 1 previous error', code: null, spans: [] }
+      });
+      const text = [
+        '\x1b[1m\x1b[33mwarning\x1b[0m: unused variable: `x`',
+        '  --> src/lib.rs:2:9',
+        'error[E0425]: cannot find value `y` in this scope',
+        ' --> src/lib.rs:5:5',
+        'error: could not compile `app` (lib) due to 1 previous error'
+      ].join('\n');
+
+      expect(parse(['cargo'], `${json}\n${aborting}\n${JSON.stringify({ reason: 'build-finished', success: false })}`)).toEqual([
+        { severity: 'error', file: 'src/main.rs', line: 4, column: 18, code: 'E0308', message: 'mismatched types' }
+      ]);
+      expect(parse(['cargo'], text)).toEqual([
+        { severity: 'warning', file: 'src/lib.rs', line: 2, column: 9, code: null, message: 'unused variable: `x`' },
+        { severity: 'error', file: 'src/lib.rs', line: 5, column: 5, code: 'E0425', message: 'cannot find value `y` in this scope' }
+      ]);
+    });
+
+    test('should reassemble lines split across output chunks', () => {
+      const parser = new DiagnosticsParser(['go']);
+      parser.append('stderr', './main.go:3');
+      parser.append('stdout', 'ok\n');
+      parser.append('stderr', ':1: expected \'package\'\n');
+
+      expect(parser.annotate({ content: [{ type: 'text', text: 'raw' }] }).diagnostics).toEqual([
+        { severity: 'error', file: './main.go', line: 3, column: 1, code: null, message: 'expected \'package\'' }
+      ]);
+    });
+  });
+
+  describe('build tools', () => {
+    test('should attach diagnostics from stderr next to the raw log', async () => {
+      spawn.mockImplementationOnce(() => new MockProcess(1, 'go: downloading example.com/lib v1.0.0\n',
+        '# example.com/app\n./main.go:12:5: undefined: foo\n./main.go:14:2: declared and not used: x\n'));
+
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 1, method: 'tools/call',
+        params: { name: 'build_go', arguments: { projectPath: 'C:\\projects\\app', action: 'build' } }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(response.result.diagnostics).toEqual([
+        { severity: 'error', file: './main.go', line: 12, column: 5, code: null, message: 'undefined: foo' },
+        { severity: 'error', file: './main.go', line: 14, column: 2, code: null, message: 'declared and not used: x' }
+      ]);
+      expect(response.result.content[0].text).toContain('Go build failed');
+      expect(response.result.content[1].text).toBe(
+        'Diagnostics: 2 errors, 0 warnings\n' +
+        '  error ./main.go:12:5: undefined: foo\n' +
+        '  error ./main.go:14:2: declared and not used: x'
+      );
+    });
+
+    test('should report an empty diagnostics array for clean builds', async () => {
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 2, method: 'tools/call',
+        params: { name: 'build_rust', arguments: { projectPath: 'C:\\projects\\cli', action: 'check', messageFormat: 'json' } }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(spawn).toHaveBeenCalledWith('cargo', ['check', '--message-format=json'], expect.any(Object));
+      expect(response.result.diagnostics).toEqual([]);
+      expect(response.result.content).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Encode Ranges Test - ranged and chunked encode_file_base64 reads with SHA-256 and gzip
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Ranged File Encoding', () => {
+  const originalEnv = { ...process.env };
+  const content = Buffer.from('MZ installer payload 0123456789\n'.repeat(40));
+  let tmpDir;
+  let filePath;
+
+  const encode = options => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'encode_file_base64', arguments: { filePath, options } }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+  const parse = response => JSON.parse(response.result.content[0].text);
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-encode-'));
+    filePath = path.join(tmpDir, 'setup.msi');
+    fs.writeFileSync(filePath, content);
+  });
+
+  beforeEach(() => {
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    process.env.FILE_ENCODING_ALLOWED_EXTENSIONS = '.msi,.txt';
+    process.env.FILE_ENCODING_MAX_SIZE = '512';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should still reject whole-file reads over the size limit', async () => {
+    const response = await encode();
+
+    expect(response.result.content[0].text).toContain('exceeds maximum allowed size 512 bytes');
+  });
+
+  test('should read a byte range of a file larger than the limit', async () => {
+    const range = parse(await encode({ offset: 100, length: 50, sha256: true }));
+
+    expect(Buffer.from(range.data, 'base64')).toEqual(content.subarray(100, 150));
+    expect(range).toEqual(expect.objectContaining({
+      fileSize: content.length,
+      offset: 100,
+      length: 50,
+      nextOffset: 150,
+      complete: false,
+      compression: 'none',
+      chunkSha256: sha256(content.subarray(100, 150)),
+      sha256: sha256(content)
+    }));
+    expect(range.nextCursor).toBeUndefined();
+
+    const tooLong = await encode({ offset: 0, length: 1000 });
+    expect(tooLong.result.content[0].text).toContain('Range of 1000 bytes exceeds maximum allowed size');
+  });
+
+  test('should walk the file chunk by chunk with a cursor', async () => {
+    const chunks = [];
+    let chunk = parse(await encode({ chunkSize: 500, gzip: true }));
+    chunks.push(chunk);
+    while (!chunk.complete) {
+      chunk = parse(await encode({ cursor: chunk.nextCursor }));
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(entry => entry.length)).toEqual([500, 500, 280]);
+    expect(chunks.every(entry => entry.compression === 'gzip')).toBe(true);
+    const data = Buffer.concat(chunks.map(entry => zlib.gunzipSync(Buffer.from(entry.data, 'base64'))));
+    expect(data).toEqual(content);
+    expect(chunks[0].sha256).toBeUndefined();
+    expect(chunk.sha256).toBe(sha256(content));
+    expect(chunk.nextCursor).toBeUndefined();
+  });
+
+  test('should refuse a cursor once the file has changed', async () => {
+    const other = path.join(tmpDir, 'notes.txt');
+    fs.writeFileSync(other, content);
+    const first = parse(await encode({ chunkSize: 100 }));
+
+    const wrongFile = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 2, method: 'tools/call',
+      params: { name: 'encode_file_base64', arguments: { filePath: other, options: { cursor: first.nextCursor } } }
+    }, { clientIP: '127.0.0.1', transport: 'test' });
+    expect(wrongFile.result.content[0].text).toContain('start again from offset 0');
+
+    fs.appendFileSync(filePath, 'patched');
+    const changed = await encode({ cursor: first.nextCursor });
+    expect(changed.result.content[0].text).toContain('File changed since the cursor was issued');
+    expect((await encode({ cursor: 'not-a-cursor' })).result.content[0].text).toContain('Invalid cursor');
+    fs.writeFileSync(filePath, content);
+  });
+
+  test('should hash the file once while it is unchanged', async () => {
+    process.env.FILE_ENCODING_MAX_SIZE = String(2 * content.length);
+    const streams = jest.spyOn(fs, 'createReadStream');
+    const first = parse(await encode({ offset: 0, length: 10, sha256: true }));
+    const again = parse(await encode({ preview: true, sha256: true }));
+
+    expect(again.sha256).toBe(first.sha256);
+    expect(streams.mock.calls.filter(([file]) => file === filePath).length).toBeLessThanOrEqual(1);
+
+    fs.writeFileSync(filePath, Buffer.concat([content, Buffer.from('patched')]));
+    expect(parse(await encode({ preview: true, sha256: true })).sha256).toBe(sha256(Buffer.concat([content, Buffer.from('patched')])));
+    fs.writeFileSync(filePath, content);
+    streams.mockRestore();
+  });
+
+  test('should keep the whole-file response and add optional hashes', async () => {
+    process.env.FILE_ENCODING_MAX_SIZE = String(content.length);
+    const whole = parse(await encode({ sha256: true }));
+
+    expect(Buffer.from(whole.content[0].text, 'base64')).toEqual(content);
+    expect(whole).toEqual(expect.objectContaining({ encoded: true, encoding: 'base64', sha256: sha256(content) }));
+    expect(whole.compression).toBeUndefined();
+  });
+});
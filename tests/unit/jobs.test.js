@@ -0,0 +1,207 @@
+/**
+ * Jobs Test - async tools/call with job_status, job_output and job_cancel
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const jobManager = require('../../server/src/utils/job-manager');
+const buildLogStore = require('../../server/src/utils/build-log-store');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const { executeBuild } = require('../../server/src/utils/command-executor');
+
+// A child process that runs until it is killed
+class HangingProcess extends EventEmitter {
+  constructor() {
+    super();
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.exitCode = null;
+    this.signalCode = null;
+    this.kill = jest.fn((signal) => {
+      this.signalCode = signal;
+      process.nextTick(() => this.emit('close', null, signal));
+      return true;
+    });
+  }
+}
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('Async Jobs', () => {
+  const context = { clientIP: '10.0.0.7', transport: 'test', token: 'fingerprint-a' };
+  let tmpDir;
+  let originalJobsDir;
+  let originalBuildLogDir;
+
+  const callTool = (name, args, ctx = context) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+  }, ctx);
+  const parse = response => JSON.parse(response.result.content[0].text);
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-jobs-'));
+    originalJobsDir = jobManager.jobsDir;
+    originalBuildLogDir = buildLogStore.logDir;
+    jobManager.jobsDir = path.join(tmpDir, 'jobs');
+    jobManager.jobs = null;
+    buildLogStore.logDir = path.join(tmpDir, 'builds');
+
+    toolRegistry.register({
+      name: 'job_build',
+      category: 'build',
+      description: 'Runs a Maven build',
+      inputSchema: { type: 'object', properties: { goal: { type: 'string' } }, additionalProperties: false },
+      handler: async (args) => executeBuild('mvn.cmd', [args.goal || 'package'])
+    });
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('job_build');
+    jobManager.jobsDir = originalJobsDir;
+    jobManager.jobs = null;
+    buildLogStore.logDir = originalBuildLogDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should advertise async only on tools that support it', () => {
+    const tools = toolRegistry.list();
+    expect(tools.find(tool => tool.name === 'build_java').inputSchema.properties.async.type).toBe('boolean');
+    expect(tools.find(tool => tool.name === 'run_powershell').inputSchema.properties.async).toBeDefined();
+    expect(tools.find(tool => tool.name === 'ping_host').inputSchema.properties.async).toBeUndefined();
+  });
+
+  test('should return a jobId immediately and expose output and result', async () => {
+    spawn.mockImplementationOnce(() => new MockProcess(0, '[INFO] Building app\n[INFO] BUILD SUCCESS\n', 'WARNING: deprecated\n'));
+
+    const started = await callTool('job_build', { goal: 'verify', async: true });
+    expect(started.result.status).toBe('queued');
+    expect(started.result.jobId).toMatch(/^job-/);
+    const { jobId } = started.result;
+
+    await waitFor(() => !['queued', 'running'].includes(jobManager.get(jobId, context).status));
+
+    const status = parse(await callTool('job_status', { jobId }));
+    expect(status).toEqual(expect.objectContaining({
+      id: jobId,
+      tool: 'job_build',
+      arguments: { goal: 'verify' },
+      status: 'succeeded'
+    }));
+    expect(status.owner).toBeUndefined();
+    expect(status.result.exitCode).toBe(0);
+
+    const first = parse(await callTool('job_output', { jobId, limit: 20 }));
+    expect(first.data).toBe('[INFO] Building app\n');
+    expect(first.complete).toBe(false);
+
+    const rest = parse(await callTool('job_output', { jobId, offset: first.nextOffset }));
+    expect(rest.data).toBe('[INFO] BUILD SUCCESS\nSTDERR: WARNING: deprecated\n');
+    expect(rest.complete).toBe(true);
+
+    const persisted = JSON.parse(fs.readFileSync(path.join(jobManager.jobsDir, `${jobId}.json`), 'utf8'));
+    expect(persisted.status).toBe('succeeded');
+  });
+
+  test('should cancel a running job and kill its process', async () => {
+    const child = new HangingProcess();
+    spawn.mockImplementationOnce(() => child);
+
+    const { jobId } = (await callTool('job_build', { async: true })).result;
+    await waitFor(() => child.listenerCount('close') > 0);
+
+    const cancelled = await callTool('job_cancel', { jobId, reason: 'Wrong branch' });
+    expect(cancelled.result.content[0].text).toBe(`Job ${jobId} (job_build) cancelled`);
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+
+    await waitFor(() => jobManager.get(jobId, context).status === 'cancelled');
+    expect(jobManager.get(jobId, context).result.content[0].text).toBe('Job cancelled: Wrong branch');
+
+    const again = await callTool('job_cancel', { jobId });
+    expect(again.result.isError).toBe(true);
+  });
+
+  test('should list jobs per token and hide other callers\' jobs', async () => {
+    const other = { clientIP: '10.0.0.7', transport: 'test', token: 'fingerprint-b' };
+
+    const mine = parse(await callTool('job_status', {}));
+    expect(mine.jobs.length).toBe(2);
+    expect(mine.jobs[0].result).toBeUndefined();
+
+    const cancelledOnly = parse(await callTool('job_status', { status: 'cancelled' }));
+    expect(cancelledOnly.jobs.map(job => job.status)).toEqual(['cancelled']);
+
+    expect(parse(await callTool('job_status', {}, other)).jobs).toEqual([]);
+    const foreign = await callTool('job_output', { jobId: mine.jobs[0].id }, other);
+    expect(foreign.result.isError).toBe(true);
+  });
+
+  test('should keep jobs with the token name across rotation and persist output while running', async () => {
+    const ci = { name: 'ci', role: 'builder', tools: null, paths: null, hosts: null };
+    const before = { clientIP: '10.0.0.8', transport: 'test', token: 'fingerprint-old', identity: ci };
+    const after = { clientIP: '10.0.0.9', transport: 'test', token: 'fingerprint-new', identity: ci };
+    const line = '[INFO] Compiling 12 sources\n';
+    const child = new HangingProcess();
+    spawn.mockImplementationOnce(() => {
+      setImmediate(() => child.stdout.emit('data', Buffer.from(line)));
+      return child;
+    });
+    let clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => (clock += 2000));
+
+    const { jobId } = (await callTool('job_build', { async: true }, before)).result;
+    const recordPath = path.join(jobManager.jobsDir, `${jobId}.json`);
+    await waitFor(() => JSON.parse(fs.readFileSync(recordPath, 'utf8')).outputBytes > 0);
+    jest.restoreAllMocks();
+    expect(JSON.parse(fs.readFileSync(recordPath, 'utf8')).outputBytes).toBe(line.length);
+
+    expect(parse(await callTool('job_status', {}, after)).jobs.map(job => job.id)).toEqual([jobId]);
+    expect(parse(await callTool('job_status', {}, { ...after, identity: { ...ci, name: 'dashboard' } })).jobs).toEqual([]);
+
+    expect((await callTool('job_cancel', { jobId }, after)).result.isError).toBeUndefined();
+    await waitFor(() => jobManager.get(jobId, after).status === 'cancelled');
+  });
+
+  test('should mark jobs that were running at shutdown as interrupted', () => {
+    const record = {
+      id: 'job-stale',
+      tool: 'job_build',
+      arguments: {},
+      owner: jobManager.ownerOf(context),
+      status: 'running',
+      createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(path.join(jobManager.jobsDir, 'job-stale.json'), JSON.stringify(record));
+
+    jobManager.jobs = null;
+    expect(jobManager.get('job-stale', context).status).toBe('interrupted');
+  });
+
+  test('should redact secrets in stored arguments', () => {
+    expect(jobManager.redact({ host: '10.0.0.2', password: 'hunter2', apiToken: 'x' }))
+      .toEqual({ host: '10.0.0.2', password: '***', apiToken: '***' });
+  });
+
+  test('should redact secrets nested in pipeline steps', async () => {
+    const step = { id: 'deploy', tool: 'ssh_command', arguments: { host: '10.0.0.2', username: 'ops', password: 'hunter2', command: 'ls' } };
+    const fromObject = (await callTool('run_pipeline', { pipeline: { steps: [step] }, async: true })).result;
+    const fromText = (await callTool('run_pipeline', { pipeline: JSON.stringify({ steps: [step] }), async: true })).result;
+
+    for (const { jobId } of [fromObject, fromText]) {
+      await waitFor(() => jobManager.get(jobId, context).finishedAt);
+      const stored = fs.readFileSync(path.join(jobManager.jobsDir, `${jobId}.json`), 'utf8');
+      expect(stored).not.toContain('hunter2');
+      expect(JSON.parse(stored).arguments.pipeline.steps[0].arguments).toMatchObject({ host: '10.0.0.2', password: '***' });
+    }
+    expect(jobManager.redact({ hosts: [{ name: 'a', privateKey: 'k' }] })).toEqual({ hosts: [{ name: 'a', privateKey: '***' }] });
+  });
+});
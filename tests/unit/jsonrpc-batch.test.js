@@ -0,0 +1,174 @@
+/**
+ * JSON-RPC Batch Test - batch arrays on /mcp
+ */
+
+const request = require('supertest');
+
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const rateLimiter = require('../../server/src/utils/rate-limiter');
+
+describe('JSON-RPC Batch', () => {
+  let app;
+  const originalRateLimit = process.env.RATE_LIMIT_REQUESTS;
+
+  beforeAll(() => {
+    process.env.MCP_AUTH_TOKEN = '';
+    delete require.cache[require.resolve('../../server/src/server')];
+    app = require('../../server/src/server');
+  });
+
+  afterEach(() => {
+    toolRegistry.unregister('slow_write');
+    toolRegistry.unregister('slow_read');
+    delete process.env.MCP_BATCH_PARALLEL;
+    delete process.env.MCP_BATCH_MAX_SIZE;
+    if (originalRateLimit === undefined) {
+      delete process.env.RATE_LIMIT_REQUESTS;
+    } else {
+      process.env.RATE_LIMIT_REQUESTS = originalRateLimit;
+    }
+  });
+
+  const sendBatch = (batch) => request(app).post('/mcp').send(batch);
+
+  test('should return one response per entry with matching ids', async () => {
+    const response = await sendBatch([
+      { jsonrpc: '2.0', id: 'env', method: 'tools/call', params: { name: 'environment_info', arguments: { includeSystemInfo: false } } },
+      { jsonrpc: '2.0', id: 2, method: 'ping' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'build_node', arguments: {} } }
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(3);
+    expect(response.body.map(r => r.id)).toEqual(['env', 2, 3]);
+    expect(response.body[0].result.content[0].text).toContain('Windows MCP Server Environment');
+    expect(response.body[1].result).toEqual({ status: 'pong' });
+    expect(response.body[2].error.code).toBe(-32602);
+  });
+
+  test('should report invalid entries without failing the batch', async () => {
+    const response = await sendBatch([
+      { jsonrpc: '1.0', id: 1, method: 'ping' },
+      'not an object',
+      { jsonrpc: '2.0', id: 3, method: 'initialize' },
+      { jsonrpc: '2.0', id: 4, method: 'unknown/method' },
+      { jsonrpc: '2.0', id: 5, method: 'ping' }
+    ]);
+
+    expect(response.body).toEqual([
+      { jsonrpc: '2.0', id: 1, error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' } },
+      { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request: batch entries must be JSON objects' } },
+      { jsonrpc: '2.0', id: 3, error: { code: -32600, message: 'Invalid Request: initialize cannot be batched' } },
+      { jsonrpc: '2.0', id: 4, error: { code: -32601, message: 'Method not found: unknown/method' } },
+      { jsonrpc: '2.0', id: 5, result: { status: 'pong' } }
+    ]);
+  });
+
+  test('should run notifications without answering them', async () => {
+    const mixed = await sendBatch([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'ping' },
+      { jsonrpc: '2.0', method: 'ping' }
+    ]);
+    expect(mixed.status).toBe(200);
+    expect(mixed.body).toEqual([{ jsonrpc: '2.0', id: 2, result: { status: 'pong' } }]);
+
+    const notificationsOnly = await sendBatch([{ jsonrpc: '2.0', method: 'notifications/initialized' }]);
+    expect(notificationsOnly.status).toBe(202);
+    expect(notificationsOnly.text).toBe('');
+  });
+
+  test('should reject empty and oversized batches', async () => {
+    const empty = await sendBatch([]);
+    expect(empty.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32600, message: 'Invalid Request: batch must not be empty' }
+    });
+
+    process.env.MCP_BATCH_MAX_SIZE = '2';
+    const ping = (id) => ({ jsonrpc: '2.0', id, method: 'ping' });
+    const oversized = await sendBatch([ping(1), ping(2), ping(3)]);
+    expect(oversized.body.error.message).toBe('Invalid Request: batch exceeds 2 entries');
+  });
+
+  test('should count every entry against the rate limit', async () => {
+    process.env.RATE_LIMIT_REQUESTS = '3';
+    const ping = (id) => ({ jsonrpc: '2.0', id, method: 'ping' });
+
+    const allowed = await sendBatch([ping(1), ping(2)]);
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers['x-ratelimit-remaining']).toBe('1');
+
+    const limited = await sendBatch([ping(3), ping(4)]);
+    expect(limited.status).toBe(429);
+
+    rateLimiter.clear();
+  });
+
+  test('should check the batch size before charging the rate limit', async () => {
+    process.env.RATE_LIMIT_REQUESTS = '3';
+    process.env.MCP_BATCH_MAX_SIZE = '2';
+    const ping = (id) => ({ jsonrpc: '2.0', id, method: 'ping' });
+
+    const oversized = await sendBatch([ping(1), ping(2), ping(3), ping(4), ping(5)]);
+    expect(oversized.body.error.message).toBe('Invalid Request: batch exceeds 2 entries');
+    expect(oversized.headers['x-ratelimit-remaining']).toBe('2');
+
+    rateLimiter.clear();
+  });
+
+  describe('Parallel dispatch', () => {
+    const events = [];
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+      events.length = 0;
+      toolRegistry.register({
+        name: 'slow_write',
+        description: 'Mutating test tool',
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => {
+          events.push('write:start');
+          await delay(30);
+          events.push('write:end');
+          return { content: [{ type: 'text', text: 'written' }] };
+        }
+      });
+      toolRegistry.register({
+        name: 'slow_read',
+        description: 'Read-only test tool',
+        annotations: { readOnlyHint: true },
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => {
+          events.push('read:start');
+          await delay(10);
+          events.push('read:end');
+          return { content: [{ type: 'text', text: 'read' }] };
+        }
+      });
+    });
+
+    const batch = [
+      { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'slow_write', arguments: {} } },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow_read', arguments: {} } }
+    ];
+
+    test('should run read-only tools alongside other entries', async () => {
+      const responses = await mcpDispatcher.dispatchBatch(batch, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(responses.map(r => r.result.content[0].text)).toEqual(['written', 'read']);
+      // The read-only call finishes while the mutating call is still running
+      expect(events.indexOf('read:end')).toBeLessThan(events.indexOf('write:end'));
+      expect(events.indexOf('write:start')).toBeLessThan(events.indexOf('read:end'));
+    });
+
+    test('should run entries strictly in order when MCP_BATCH_PARALLEL=false', async () => {
+      process.env.MCP_BATCH_PARALLEL = 'false';
+      await mcpDispatcher.dispatchBatch(batch, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(events).toEqual(['write:start', 'write:end', 'read:start', 'read:end']);
+    });
+  });
+});
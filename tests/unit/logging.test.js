@@ -0,0 +1,96 @@
+/**
+ * Logging Test - logging/setLevel and notifications/message
+ */
+
+const logger = require('../../server/src/utils/logger');
+const logForwarder = require('../../server/src/utils/log-forwarder');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+
+describe('MCP Logging', () => {
+  const messages = notify => notify.mock.calls
+    .map(([message]) => message)
+    .filter(message => message.method === 'notifications/message');
+
+  const setLevel = (level, context) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'logging/setLevel', params: { level }
+  }, context);
+
+  const callTool = (context) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'noisy_tool', arguments: {} }
+  }, context);
+
+  beforeAll(() => {
+    toolRegistry.register({
+      name: 'noisy_tool',
+      description: 'Logs at every level',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => {
+        logger.debug('Resolving SDK');
+        logger.info('Build started', { project: 'App' });
+        logger.warn('Deprecated option');
+        logger.security('Path outside allowed directories', { path: 'C:\\Windows' });
+        return { content: [{ type: 'text', text: 'done' }] };
+      }
+    });
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('noisy_tool');
+    logForwarder.clear('log-session');
+    logForwarder.clear('log-session-2');
+  });
+
+  test('should not forward log entries before logging/setLevel', async () => {
+    const notify = jest.fn();
+    await callTool({ clientIP: '127.0.0.1', transport: 'test', sessionId: 'log-quiet', notify });
+
+    expect(messages(notify)).toEqual([]);
+  });
+
+  test('should forward entries at or above the session level', async () => {
+    const notify = jest.fn();
+    const context = { clientIP: '127.0.0.1', transport: 'test', sessionId: 'log-session', notify };
+
+    expect((await setLevel('warning', context)).result).toEqual({});
+    await callTool(context);
+
+    expect(messages(notify).map(message => message.params)).toEqual([
+      { level: 'warning', logger: 'server', data: { message: 'Deprecated option' } },
+      { level: 'warning', logger: 'security', data: { message: 'SECURITY EVENT: Path outside allowed directories', path: 'C:\\Windows' } }
+    ]);
+  });
+
+  test('should include info entries of the request at level info', async () => {
+    const notify = jest.fn();
+    const context = { clientIP: '127.0.0.1', transport: 'test', sessionId: 'log-session-2', notify };
+
+    await setLevel('info', context);
+    await callTool(context);
+
+    const forwarded = messages(notify).map(message => message.params.data.message);
+    expect(forwarded).toEqual(expect.arrayContaining(['Received MCP request', 'Build started']));
+    expect(forwarded).not.toContain('Resolving SDK');
+  });
+
+  test('should only forward entries raised by the caller\'s own requests', async () => {
+    const subscriber = jest.fn();
+    await setLevel('debug', { clientIP: '127.0.0.1', transport: 'test', sessionId: 'log-session', notify: subscriber });
+    subscriber.mockClear();
+
+    logger.error('Unrelated failure');
+    await callTool({ clientIP: '127.0.0.1', transport: 'test', sessionId: 'other-session', notify: jest.fn() });
+
+    expect(messages(subscriber)).toEqual([]);
+  });
+
+  test('should reject unknown levels', async () => {
+    const response = await setLevel('verbose', { clientIP: '127.0.0.1', transport: 'test' });
+
+    expect(response.error.code).toBe(-32602);
+    expect(response.error.data.errors[0]).toEqual({
+      field: 'level',
+      message: 'must be one of: "debug", "info", "notice", "warning", "error", "critical", "alert", "emergency"'
+    });
+  });
+});
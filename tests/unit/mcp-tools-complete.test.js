@@ -113,9 +113,11 @@ describe('Complete MCP Tools Test Suite', () => {
         });
 
       expect(response.status).toBe(200);
-      expect(response.body.result).toBeDefined();
-      expect(response.body.result.content).toBeDefined();
-      expect(response.body.result.content[0].text).toMatch(/Validation error:|not in allowed directories/);
+      expect(response.body.error.code).toBe(-32602);
+      expect(response.body.error.data.errors).toEqual(expect.arrayContaining([
+        { field: 'batchFile', message: 'is required' },
+        { field: 'batchPath', message: 'is not a recognised property' }
+      ]));
     });
 
     test('should accept valid batch file paths', async () => {
@@ -172,7 +174,7 @@ describe('Complete MCP Tools Test Suite', () => {
             name: 'build_dotnet',
             arguments: {
               projectPath: 'C:\\invalid\\path',
-              buildType: 'debug'
+              configuration: 'Debug'
             }
           }
         });
@@ -578,11 +580,11 @@ describe('Complete MCP Tools Test Suite', () => {
         });
 
       expect(response.status).toBe(200);
-      expect(response.body.result).toBeDefined();
-      expect(response.body.result.content).toBeDefined();
-      // The response structure is different for this error
-      const text = response.body.result.content[0].text;
-      expect(text).toMatch(/[Cc]ommand is required/);
+      expect(response.body.result).toBeUndefined();
+      expect(response.body.error.code).toBe(-32602);
+      expect(response.body.error.data.errors).toEqual([
+        { field: 'command', message: 'is required' }
+      ]);
     });
 
     test('should handle invalid tool names', async () => {
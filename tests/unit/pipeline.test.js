@@ -0,0 +1,176 @@
+/**
+ * Pipeline Test - run_pipeline steps, conditions, variables and timeouts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const pipelineRunner = require('../../server/src/utils/pipeline-runner');
+
+describe('Pipelines', () => {
+  const callPipeline = args => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 'p1', method: 'tools/call', params: { name: 'run_pipeline', arguments: args }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+  const statuses = response => response.result.pipeline.steps.map(step => `${step.id}:${step.status}`);
+
+  describe('definitions', () => {
+    test('should reject unknown tools, duplicate ids and nested pipelines', () => {
+      expect(() => pipelineRunner.parse({ steps: [] })).toThrow('non-empty steps array');
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'no_such_tool' }] })).toThrow('unknown tool \'no_such_tool\'');
+      expect(() => pipelineRunner.parse({ steps: [{ id: 'a', tool: 'ping_host' }, { id: 'a', tool: 'ping_host' }] }))
+        .toThrow('must be unique');
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'run_pipeline' }] })).toThrow('cannot run other pipelines');
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'ping_host', onFailure: 'retry' }] })).toThrow('onFailure must be one of');
+      expect(() => pipelineRunner.parse('steps: [')).toThrow('Invalid pipeline definition');
+    });
+
+    test('should evaluate when expressions against variables and step results', () => {
+      const scope = { vars: { smoke: true, retries: 2 }, steps: { build: { status: 'succeeded' } } };
+      const run = when => pipelineRunner.shouldRun(when, scope, { failed: false, stopped: false });
+
+      expect(run('steps.build.status == \'succeeded\' && vars.smoke')).toBe(true);
+      expect(run('{{ vars.retries > 3 }}')).toBe(false);
+      expect(run('!vars.smoke || vars.retries >= 2')).toBe(true);
+      expect(run('failure')).toBe(false);
+      expect(() => run('env.PATH')).toThrow('references start with vars. or steps.');
+    });
+
+    test('should keep operators inside quoted strings', () => {
+      const scope = { vars: { message: 'lint && test || deploy', op: '<=' }, steps: {} };
+      const run = when => pipelineRunner.shouldRun(when, scope, { failed: false, stopped: false });
+
+      expect(run('vars.message == \'lint && test || deploy\'')).toBe(true);
+      expect(run('vars.message != "lint && test" && vars.op == \'<=\'')).toBe(true);
+      expect(run('"a == b" == vars.op || vars.missing')).toBe(false);
+
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'ping_host', when: 'vars.message == \'lint && test' }] }))
+        .toThrow('Unterminated string in when expression');
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'ping_host', when: 'vars.a == && vars.b' }] }))
+        .toThrow('Invalid when expression');
+      expect(() => pipelineRunner.parse({ steps: [{ tool: 'ping_host', when: 'vars.a == vars.b == vars.c' }] }))
+        .toThrow('one comparison per condition');
+    });
+  });
+
+  describe('run_pipeline', () => {
+    let tmpDir;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-pipeline-'));
+      fs.writeFileSync(path.join(tmpDir, 'report.pdf'), 'pdf content');
+    });
+
+    beforeEach(() => {
+      process.env.ALLOWED_BUILD_PATHS = `C:\\projects\\,${tmpDir}${path.sep}`;
+    });
+
+    afterAll(() => {
+      process.env.ALLOWED_BUILD_PATHS = 'C:\\projects\\,D:\\builds\\,C:\\build\\';
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should pass results from one step to the next in a YAML pipeline', async () => {
+      const definition = [
+        'name: package',
+        'variables:',
+        '  project: C:\\projects\\app',
+        'steps:',
+        '  - id: build',
+        '    tool: build_go',
+        '    arguments: { projectPath: "{{ vars.project }}", action: build }',
+        '  - id: encode',
+        '    tool: encode_file_base64',
+        `    arguments: { filePath: ${JSON.stringify(path.join(tmpDir, 'report.pdf'))}, options: { sha256: true } }`,
+        '    capture: { hash: steps.encode.json.sha256 }',
+        '  - id: publish',
+        '    tool: run_powershell',
+        '    arguments: { command: "Write-Output {{ vars.hash }}" }'
+      ].join('\n');
+
+      const response = await callPipeline({ pipeline: definition });
+      const hash = require('crypto').createHash('sha256').update('pdf content').digest('hex');
+
+      expect(response.result.isError).toBeUndefined();
+      expect(statuses(response)).toEqual(['build:succeeded', 'encode:succeeded', 'publish:succeeded']);
+      expect(response.result.pipeline.variables.hash).toBe(hash);
+      expect(spawn.mock.calls[0][0]).toBe('go');
+      expect(spawn.mock.calls[spawn.mock.calls.length - 1][1].pop()).toContain(`Write-Output ${hash}`);
+      expect(response.result.content[0].text).toMatch(/^Pipeline package succeeded in [\d.]+s\n {2}succeeded build \(build_go\)/);
+    });
+
+    test('should stop after a failed step and still run failure and always steps', async () => {
+      spawn.mockImplementationOnce(() => new MockProcess(1, '', './main.go:3:1: undefined: x\n'));
+
+      const response = await callPipeline({
+        pipeline: {
+          steps: [
+            { id: 'build', tool: 'build_go', arguments: { projectPath: 'C:\\projects\\app', action: 'build' } },
+            { id: 'test', tool: 'build_go', arguments: { projectPath: 'C:\\projects\\app', action: 'test' } },
+            { id: 'report', tool: 'run_powershell', when: 'failure', arguments: { command: 'Write-Output failed' } },
+            { id: 'cleanup', tool: 'run_powershell', when: 'always', arguments: { command: 'Write-Output done' } }
+          ]
+        }
+      });
+
+      expect(response.result.isError).toBe(true);
+      expect(response.result.pipeline.status).toBe('failed');
+      expect(statuses(response)).toEqual(['build:failed', 'test:skipped', 'report:succeeded', 'cleanup:succeeded']);
+      expect(response.result.content[0].text).toContain('--- build (failed) ---');
+    });
+
+    test('should keep going after continue and ignore failures', async () => {
+      spawn.mockImplementationOnce(() => new MockProcess(1, 'lint failed'));
+      spawn.mockImplementationOnce(() => new MockProcess(1, 'docs failed'));
+
+      const response = await callPipeline({
+        pipeline: {
+          steps: [
+            { id: 'lint', tool: 'build_go', onFailure: 'ignore', arguments: { projectPath: 'C:\\projects\\app', action: 'vet' } },
+            { id: 'docs', tool: 'build_go', onFailure: 'continue', arguments: { projectPath: 'C:\\projects\\app', action: 'build' } },
+            { id: 'build', tool: 'build_go', arguments: { projectPath: 'C:\\projects\\app', action: 'build' } },
+            { id: 'smoke', tool: 'run_powershell', when: 'steps.lint.status == \'succeeded\'', arguments: { command: 'Write-Output smoke' } }
+          ]
+        },
+        variables: { unused: 1 }
+      });
+
+      expect(statuses(response)).toEqual(['lint:failed', 'docs:failed', 'build:succeeded', 'smoke:skipped']);
+      expect(response.result.pipeline.status).toBe('failed');
+    });
+
+    test('should cancel a step that exceeds its timeout', async () => {
+      spawn.mockImplementationOnce(() => {
+        const hanging = new MockProcess(0, '');
+        hanging.killed = true;
+        return hanging;
+      });
+
+      const response = await callPipeline({
+        pipeline: {
+          steps: [
+            { id: 'build', tool: 'build_go', timeout: 0.05, arguments: { projectPath: 'C:\\projects\\app', action: 'build' } },
+            { id: 'after', tool: 'run_powershell', arguments: { command: 'Write-Output after' } }
+          ]
+        }
+      });
+
+      expect(statuses(response)).toEqual(['build:timedOut', 'after:skipped']);
+      expect(response.result.pipeline.steps[0].output).toContain('Step timed out after 0.05s');
+    });
+
+    test('should fail a step whose arguments reference an unknown value', async () => {
+      const response = await callPipeline({
+        pipeline: { steps: [{ id: 'run', tool: 'run_powershell', arguments: { command: 'Write-Output {{ vars.missing }}' } }] }
+      });
+
+      expect(response.result.pipeline.steps[0]).toEqual({
+        id: 'run', tool: 'run_powershell', status: 'failed', error: '\'vars.missing\' is not defined'
+      });
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+});
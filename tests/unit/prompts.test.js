@@ -0,0 +1,106 @@
+/**
+ * Prompts Test - prompts/list and prompts/get
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildLogStore = require('../../server/src/utils/build-log-store');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+describe('MCP Prompts', () => {
+  const context = { clientIP: '127.0.0.1', transport: 'test' };
+  let tmpDir;
+  let originalBuildLogDir;
+
+  const call = (method, params) => mcpDispatcher.dispatch({ jsonrpc: '2.0', id: 1, method, params }, context);
+  const getPrompt = (name, args) => call('prompts/get', { name, arguments: args });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompts-'));
+    originalBuildLogDir = buildLogStore.logDir;
+    buildLogStore.logDir = tmpDir;
+  });
+
+  afterAll(() => {
+    buildLogStore.logDir = originalBuildLogDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should list prompts with arguments described by tool schemas', async () => {
+    const response = await call('prompts/list');
+    const prompts = response.result.prompts;
+
+    expect(prompts.map(prompt => prompt.name)).toEqual([
+      'diagnose_build_failure',
+      'python_venv_tests',
+      'verify_pdf',
+      'build_workflow'
+    ]);
+
+    const pythonTests = prompts.find(prompt => prompt.name === 'python_venv_tests');
+    expect(pythonTests.arguments).toEqual([
+      { name: 'projectPath', description: 'Path to Python project directory', required: true },
+      { name: 'testRunner', description: 'Test runner to use (pytest, unittest, nose2, tox)', required: false },
+      { name: 'pythonVersion', description: 'Python version requirement (e.g., "3.9", ">=3.8")', required: false }
+    ]);
+  });
+
+  test('should render the Python test prompt with a build_python call', async () => {
+    const response = await getPrompt('python_venv_tests', { projectPath: 'C:\\projects\\api', testRunner: 'pytest' });
+    const text = response.result.messages[0].content.text;
+
+    expect(response.result.messages[0].role).toBe('user');
+    expect(text).toContain('Set up a Python virtual environment for C:\\projects\\api');
+    expect(text).toContain('"commands":["install","test"],"useVirtualEnv":true,"testRunner":"pytest"');
+  });
+
+  test('should render the build workflow from the help examples', async () => {
+    const response = await getPrompt('build_workflow', { projectPath: 'C:\\projects\\App\\App.csproj' });
+    const text = response.result.messages[0].content.text;
+
+    expect(text).toContain('Complete Build Workflow');
+    expect(text).toContain('2. Build .NET application: build_dotnet {"projectPath":"C:\\\\projects\\\\App\\\\App.csproj","configuration":"Release"}');
+  });
+
+  test('should embed the newest failed build log when diagnosing', async () => {
+    fs.writeFileSync(path.join(tmpDir, '20250101T000000Z-build_dotnet-1.log'),
+      '# build_dotnet request 1 started\nok\n\n# succeeded after 1.0s\n');
+    fs.writeFileSync(path.join(tmpDir, '20250102T000000Z-build_dotnet-2.log'),
+      '# build_dotnet request 2 started\nSTDERR: error CS1002: ; expected\n\n# failed after 2.5s\n');
+
+    const response = await getPrompt('diagnose_build_failure', { projectPath: 'C:\\projects\\App' });
+    const [instructions, log] = response.result.messages;
+
+    expect(instructions.content.text).toContain('A build_dotnet run for C:\\projects\\App failed.');
+    expect(log.content).toEqual({
+      type: 'resource',
+      resource: {
+        uri: 'build-log://20250102T000000Z-build_dotnet-2.log',
+        mimeType: 'text/plain',
+        text: expect.stringContaining('error CS1002')
+      }
+    });
+  });
+
+  test('should explain when no build log has been captured', async () => {
+    const response = await getPrompt('diagnose_build_failure', { tool: 'build_rust' });
+    expect(response.result.messages[1].content.text).toContain('No captured build log was found for build_rust');
+  });
+
+  test('should reject unknown prompts and invalid arguments', async () => {
+    const unknown = await getPrompt('deploy_everything', {});
+    expect(unknown.error).toEqual({ code: -32602, message: 'Unknown prompt: deploy_everything' });
+
+    const invalid = await getPrompt('verify_pdf', { path: 'C:\\out.pdf' });
+    expect(invalid.error.code).toBe(-32602);
+    expect(invalid.error.data).toEqual({
+      prompt: 'verify_pdf',
+      errors: [
+        { field: 'arguments.filePath', message: 'is required' },
+        { field: 'arguments.path', message: 'is not a recognised argument' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Resources Test - resources/list, resources/read and subscriptions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const logger = require('../../server/src/utils/logger');
+const buildLogStore = require('../../server/src/utils/build-log-store');
+const resourceManager = require('../../server/src/utils/resource-manager');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const { executeBuild } = require('../../server/src/utils/command-executor');
+
+describe('MCP Resources', () => {
+  const context = { clientIP: '127.0.0.1', transport: 'test', sessionId: 'session-1' };
+  let tmpDir;
+  let originalLogDir;
+  let originalBuildLogDir;
+
+  const call = (method, params) => mcpDispatcher.dispatch({ jsonrpc: '2.0', id: 1, method, params }, context);
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-'));
+    originalLogDir = logger.logDir;
+    originalBuildLogDir = buildLogStore.logDir;
+
+    logger.logDir = path.join(tmpDir, 'logs');
+    buildLogStore.logDir = path.join(tmpDir, 'logs', 'builds');
+    process.env.BUILD_BASE_DIR = path.join(tmpDir, 'build');
+
+    const release = path.join(tmpDir, 'build', 'App', 'release');
+    fs.mkdirSync(path.join(release, 'runtimes'), { recursive: true });
+    fs.mkdirSync(logger.logDir, { recursive: true });
+    fs.writeFileSync(path.join(release, 'App.dll'), Buffer.from([0x4d, 0x5a, 0x90, 0x00]));
+    fs.writeFileSync(path.join(release, 'appsettings.json'), '{"Logging":{}}');
+    fs.writeFileSync(path.join(release, 'runtimes', 'native.txt'), 'native');
+    fs.writeFileSync(path.join(logger.logDir, 'app.log'), 'started\n');
+
+    toolRegistry.register({
+      name: 'resource_build',
+      category: 'build',
+      description: 'Runs a build',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => executeBuild('dotnet.exe', ['build'])
+    });
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('resource_build');
+    logger.logDir = originalLogDir;
+    buildLogStore.logDir = originalBuildLogDir;
+    delete process.env.BUILD_BASE_DIR;
+    delete process.env.MCP_RESOURCES_PAGE_SIZE;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should advertise resource subscriptions', async () => {
+    const response = await call('initialize', {});
+    expect(response.result.capabilities.resources).toEqual({ subscribe: true });
+  });
+
+  test('should list server logs and build outputs', async () => {
+    const response = await call('resources/list');
+    const uris = response.result.resources.map(resource => resource.uri);
+
+    expect(uris).toEqual([
+      'server-log://app.log',
+      'build-output://App/App.dll',
+      'build-output://App/appsettings.json',
+      'build-output://App/runtimes/native.txt'
+    ]);
+    expect(response.result.resources[1]).toEqual(expect.objectContaining({
+      mimeType: 'application/vnd.microsoft.portable-executable',
+      size: 4
+    }));
+    expect(response.result.nextCursor).toBeUndefined();
+  });
+
+  test('should paginate with nextCursor', async () => {
+    process.env.MCP_RESOURCES_PAGE_SIZE = '3';
+
+    const first = await call('resources/list');
+    expect(first.result.resources).toHaveLength(3);
+    expect(first.result.nextCursor).toEqual(expect.any(String));
+
+    const second = await call('resources/list', { cursor: first.result.nextCursor });
+    expect(second.result.resources.map(resource => resource.uri)).toEqual(['build-output://App/runtimes/native.txt']);
+    expect(second.result.nextCursor).toBeUndefined();
+
+    delete process.env.MCP_RESOURCES_PAGE_SIZE;
+  });
+
+  test('should read text as text and binaries as blob', async () => {
+    const text = await call('resources/read', { uri: 'build-output://App/appsettings.json' });
+    expect(text.result.contents).toEqual([
+      { uri: 'build-output://App/appsettings.json', mimeType: 'application/json', text: '{"Logging":{}}' }
+    ]);
+
+    const binary = await call('resources/read', { uri: 'build-output://App/App.dll' });
+    expect(binary.result.contents[0].blob).toBe(Buffer.from([0x4d, 0x5a, 0x90, 0x00]).toString('base64'));
+  });
+
+  test('should reject traversal and report missing resources', async () => {
+    const traversal = await call('resources/read', { uri: 'build-output://App/..%2F..%2F..%2Flogs%2Fapp.log' });
+    expect(traversal.error.code).toBe(-32602);
+
+    const missing = await call('resources/read', { uri: 'server-log://missing.log' });
+    expect(missing.error).toEqual({
+      code: -32002,
+      message: 'Resource not found: server-log://missing.log',
+      data: { uri: 'server-log://missing.log' }
+    });
+
+    const invalid = await call('resources/read', { uri: 'file:///etc/passwd' });
+    expect(invalid.error.code).toBe(-32602);
+  });
+
+  test('should capture build tool output as a build-log resource', async () => {
+    spawn.mockImplementationOnce(() => new MockProcess(0, 'Build succeeded.\n', 'warning CS0168\n'));
+
+    const response = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0',
+      id: 'b-1',
+      method: 'tools/call',
+      params: { name: 'resource_build', arguments: {} }
+    }, context);
+    expect(response.result.success).toBe(true);
+
+    const logs = (await call('resources/list')).result.resources.filter(r => r.uri.startsWith('build-log://'));
+    expect(logs).toHaveLength(1);
+    expect(logs[0].uri).toMatch(/^build-log:\/\/\d{8}T\d{6}Z-resource_build-b-1\.log$/);
+
+    const content = (await call('resources/read', { uri: logs[0].uri })).result.contents[0].text;
+    expect(content).toContain('Build succeeded.');
+    expect(content).toContain('STDERR: warning CS0168');
+    expect(content).toMatch(/# succeeded after \d+\.\ds\n$/);
+  });
+
+  test('should only show tokens the logs and outputs their scope covers', async () => {
+    const ci = { name: 'ci', role: 'builder', tools: null, paths: [path.join(tmpDir, 'build', 'App')], hosts: null };
+    const reader = { name: 'dashboard', role: 'read-only', tools: null, paths: null, hosts: null };
+    const projA = { ...ci, name: 'proj-a', paths: ['C:\\projA'] };
+    const as = identity => (method, params) => mcpDispatcher.dispatch({ jsonrpc: '2.0', id: 1, method, params },
+      { ...context, identity, notify: jest.fn() });
+    const uris = async identity => (await as(identity)('resources/list')).result.resources.map(r => r.uri);
+
+    spawn.mockImplementationOnce(() => new MockProcess(0, 'Build succeeded.\n'));
+    await mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 'b-2', method: 'tools/call', params: { name: 'resource_build', arguments: {} }
+    }, { ...context, identity: ci });
+    const ciLog = (await uris(ci)).find(uri => uri.includes('-b-2.log'));
+
+    expect(ciLog).toBeDefined();
+    expect(await uris(ci)).toContain('build-output://App/App.dll');
+    expect((await uris(ci)).filter(uri => uri.startsWith('server-log://') || uri.includes('-b-1.log'))).toEqual([]);
+    expect((await as(ci)('resources/read', { uri: ciLog })).result.contents[0].text).toContain('Build succeeded.');
+
+    expect((await uris(reader)).filter(uri => !uri.startsWith('build-output://'))).toEqual([]);
+    expect(await uris(projA)).toEqual([]);
+    for (const [identity, uri] of [[reader, 'server-log://app.log'], [reader, ciLog], [projA, 'build-output://App/App.dll']]) {
+      expect((await as(identity)('resources/read', { uri })).error.code).toBe(-32002);
+      expect((await as(identity)('resources/subscribe', { uri })).error.code).toBe(-32002);
+    }
+    expect(resourceManager.subscriptions.size).toBe(0);
+  });
+
+  test('should notify subscribers when a resource changes', async () => {
+    const notify = jest.fn();
+    const uri = 'server-log://app.log';
+
+    const subscribed = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri }
+    }, { ...context, notify });
+    expect(subscribed.result).toEqual({});
+
+    fs.appendFileSync(path.join(logger.logDir, 'app.log'), 'more output\n');
+    resourceManager.poll(uri);
+    resourceManager.poll(uri);
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith({
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri }
+    });
+
+    resourceManager.unsubscribeAll('session-1');
+    expect(resourceManager.subscriptions.size).toBe(0);
+  });
+
+  test('should require a session to subscribe over HTTP', async () => {
+    const response = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'server-log://app.log' }
+    }, { clientIP: '127.0.0.1', transport: 'http', sessionId: null, notify: jest.fn() });
+
+    expect(response.error.code).toBe(-32600);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Schema Validator Test - inputSchema enforcement for tools/call
+ */
+
+const request = require('supertest');
+
+const schemaValidator = require('../../server/src/utils/schema-validator');
+
+describe('Schema Validator', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      projectPath: { type: 'string' },
+      action: { type: 'string', enum: ['build', 'test'] },
+      timeout: { type: 'number', minimum: 1, maximum: 1800 },
+      retries: { type: 'integer' },
+      verbose: { type: 'boolean' },
+      targets: { type: 'array', items: { type: 'string' } },
+      options: {
+        type: 'object',
+        properties: { level: { type: 'number' } },
+        additionalProperties: false
+      }
+    },
+    required: ['projectPath', 'action'],
+    additionalProperties: false
+  };
+
+  describe('validate', () => {
+    test('should accept valid arguments', () => {
+      expect(schemaValidator.validate(schema, {
+        projectPath: 'C:\\build\\app',
+        action: 'build',
+        timeout: 60,
+        retries: 2,
+        verbose: true,
+        targets: ['x64'],
+        options: { level: 3 }
+      })).toEqual([]);
+    });
+
+    test('should report missing required properties', () => {
+      expect(schemaValidator.validate(schema, { action: 'build' })).toEqual([
+        { field: 'projectPath', message: 'is required' }
+      ]);
+    });
+
+    test('should report type mismatches', () => {
+      const errors = schemaValidator.validate(schema, {
+        projectPath: 42,
+        action: 'build',
+        retries: 1.5,
+        verbose: 'true'
+      });
+
+      expect(errors).toEqual([
+        { field: 'projectPath', message: 'must be of type string, received number' },
+        { field: 'retries', message: 'must be of type integer, received number' },
+        { field: 'verbose', message: 'must be of type boolean, received string' }
+      ]);
+    });
+
+    test('should report enum and range violations', () => {
+      const errors = schemaValidator.validate(schema, {
+        projectPath: 'C:\\build\\app',
+        action: 'deploy',
+        timeout: 0
+      });
+
+      expect(errors).toEqual([
+        { field: 'action', message: 'must be one of: "build", "test"' },
+        { field: 'timeout', message: 'must be >= 1' }
+      ]);
+    });
+
+    test('should report unknown properties with a suggestion', () => {
+      const errors = schemaValidator.validate(schema, {
+        project_path: 'C:\\build\\app',
+        action: 'build',
+        colour: 'red'
+      });
+
+      expect(errors).toEqual([
+        { field: 'projectPath', message: 'is required' },
+        { field: 'project_path', message: 'is not a recognised property (did you mean "projectPath"?)' },
+        { field: 'colour', message: 'is not a recognised property' }
+      ]);
+    });
+
+    test('should report nested array items and object properties by path', () => {
+      const errors = schemaValidator.validate(schema, {
+        projectPath: 'C:\\build\\app',
+        action: 'test',
+        targets: ['x64', 86],
+        options: { level: 'high', extra: true }
+      });
+
+      expect(errors).toEqual([
+        { field: 'targets[1]', message: 'must be of type string, received number' },
+        { field: 'options.level', message: 'must be of type number, received string' },
+        { field: 'options.extra', message: 'is not a recognised property' }
+      ]);
+    });
+
+    test('should reject non-object arguments', () => {
+      expect(schemaValidator.validate(schema, ['build'])).toEqual([
+        { field: 'arguments', message: 'must be of type object, received array' }
+      ]);
+    });
+
+    test('should allow additional properties unless the schema forbids them', () => {
+      expect(schemaValidator.validate({ type: 'object', properties: {} }, { anything: 1 })).toEqual([]);
+    });
+  });
+
+  describe('Built-in tool schemas', () => {
+    test('should close every built-in schema against unknown properties', () => {
+      const toolRegistry = require('../../server/src/utils/tool-registry');
+      require('../../server/src/tools').forEach(tool => {
+        expect(toolRegistry.get(tool.name).inputSchema.additionalProperties).toBe(false);
+      });
+    });
+  });
+
+  describe('tools/call integration', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.MCP_AUTH_TOKEN = '';
+      delete require.cache[require.resolve('../../server/src/server')];
+      app = require('../../server/src/server');
+    });
+
+    const callTool = (name, args) => request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name, arguments: args } });
+
+    test('should return -32602 with per-field errors for invalid arguments', async () => {
+      const response = await callTool('build_go', { project_path: 'C:\\projects\\app', action: 'deploy' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(7);
+      expect(response.body.result).toBeUndefined();
+      expect(response.body.error.code).toBe(-32602);
+      expect(response.body.error.message).toBe('Invalid params');
+      expect(response.body.error.data.tool).toBe('build_go');
+      expect(response.body.error.data.errors).toEqual(expect.arrayContaining([
+        { field: 'projectPath', message: 'is required' },
+        { field: 'action', message: expect.stringContaining('must be one of') },
+        { field: 'project_path', message: expect.stringContaining('did you mean "projectPath"') }
+      ]));
+    });
+
+    test('should reject wrong argument types', async () => {
+      const response = await callTool('run_powershell', { command: 'Get-Date', timeout: '30' });
+
+      expect(response.body.error.code).toBe(-32602);
+      expect(response.body.error.data.errors).toEqual([
+        { field: 'timeout', message: 'must be of type number, received string' }
+      ]);
+    });
+
+    test('should dispatch valid arguments to the tool handler', async () => {
+      const response = await callTool('environment_info', { includeSystemInfo: false });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.result.content[0].text).toContain('build_dotnet projectPath=');
+    });
+  });
+});
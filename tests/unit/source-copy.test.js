@@ -0,0 +1,112 @@
+/**
+ * Source Copy Test - incremental copy of a project into its build directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const sourceCopy = require('../../server/src/utils/source-copy');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+describe('Source Copy', () => {
+  const originalEnv = { ...process.env };
+  let tmpDir;
+  let source;
+  let target;
+
+  const write = (root, relative, content) => {
+    const filePath = path.join(root, ...relative.split('/'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+  const read = relative => fs.readFileSync(path.join(target, ...relative.split('/')), 'utf8');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-copy-'));
+    source = path.join(tmpDir, 'src', 'App');
+    target = path.join(tmpDir, 'build', 'App');
+    write(source, 'App.csproj', '<Project />');
+    write(source, 'Program.cs', 'class Program {}');
+    write(source, 'Assets/logo.png', 'png');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should copy everything once and then only what changed', async () => {
+    expect(await sourceCopy.sync(source, target)).toEqual({
+      copied: ['App.csproj', 'Assets/logo.png', 'Program.cs'],
+      unchanged: 0,
+      deleted: []
+    });
+    const mtime = fs.statSync(path.join(source, 'Program.cs')).mtimeMs;
+    expect(fs.statSync(path.join(target, 'Program.cs')).mtimeMs).toBeCloseTo(mtime, -1);
+
+    expect(await sourceCopy.sync(source, target)).toEqual({ copied: [], unchanged: 3, deleted: [] });
+
+    write(source, 'Program.cs', 'class Program { static void Main() {} }');
+    const summary = await sourceCopy.sync(source, target);
+    expect(summary).toEqual({ copied: ['Program.cs'], unchanged: 2, deleted: [] });
+    expect(read('Program.cs')).toBe('class Program { static void Main() {} }');
+  });
+
+  test('should not rewrite files whose content did not change', async () => {
+    await sourceCopy.sync(source, target);
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(path.join(source, 'App.csproj'), later, later);
+
+    expect(await sourceCopy.sync(source, target)).toEqual({ copied: [], unchanged: 3, deleted: [] });
+  });
+
+  test('should delete files removed from the source but keep build output', async () => {
+    await sourceCopy.sync(source, target);
+    write(target, 'release/App.dll', 'dll');
+    write(target, 'TestResults/run.trx', '<TestRun />');
+    fs.rmSync(path.join(source, 'Assets'), { recursive: true });
+
+    expect(await sourceCopy.sync(source, target)).toEqual({ copied: [], unchanged: 2, deleted: ['Assets/logo.png'] });
+    expect(fs.existsSync(path.join(target, 'release', 'App.dll'))).toBe(true);
+    expect(fs.existsSync(path.join(target, 'TestResults', 'run.trx'))).toBe(true);
+  });
+
+  test('should skip ignored directories', async () => {
+    write(source, 'bin/Debug/App.dll', 'dll');
+    write(source, 'obj/project.assets.json', '{}');
+    write(source, '.vs/App/v17/.suo', 'suo');
+    write(source, '.git/HEAD', 'ref: refs/heads/main');
+    write(source, 'src/Models/Item.cs', 'class Item {}');
+
+    expect((await sourceCopy.sync(source, target)).copied).toEqual(['App.csproj', 'Assets/logo.png', 'Program.cs', 'src/Models/Item.cs']);
+    expect(fs.readdirSync(target).sort()).toEqual(['.mcp-source-manifest.json', 'App.csproj', 'Assets', 'Program.cs', 'src']);
+
+    process.env.BUILD_COPY_EXCLUDE = 'Assets/';
+    fs.rmSync(target, { recursive: true });
+    expect((await sourceCopy.sync(source, target)).copied).toEqual([
+      '.git/HEAD', '.vs/App/v17/.suo', 'App.csproj', 'Program.cs', 'bin/Debug/App.dll', 'obj/project.assets.json', 'src/Models/Item.cs'
+    ]);
+  });
+
+  test('should refuse to copy a project into itself', async () => {
+    await expect(sourceCopy.sync(source, path.join(source, 'build'))).rejects.toThrow('is inside the source directory');
+    await expect(sourceCopy.sync(path.join(tmpDir, 'missing'), target)).rejects.toThrow('Source directory not found');
+  });
+
+  test('should report the copy in the build_dotnet result instead of running xcopy', async () => {
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    process.env.BUILD_BASE_DIR = path.join(tmpDir, 'build');
+
+    const response = await mcpDispatcher.dispatch({
+      jsonrpc: '2.0', id: 1, method: 'tools/call',
+      params: { name: 'build_dotnet', arguments: { projectPath: path.join(source, 'App.csproj') } }
+    }, { clientIP: '127.0.0.1', transport: 'test' });
+
+    expect(spawn.mock.calls.map(([command]) => command)).not.toContain('xcopy.exe');
+    expect(response.result.sourceCopy).toEqual(expect.objectContaining({ unchanged: 0, deleted: [] }));
+    expect(response.result.sourceCopy.copied).toHaveLength(3);
+    expect(response.result.content[0].text).toContain('Source copy: 3 copied, 0 unchanged, 0 deleted');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Stdio Transport Test - newline-delimited JSON-RPC over stdin/stdout
+ */
+
+const { PassThrough } = require('stream');
+
+const StdioTransport = require('../../server/src/utils/stdio-transport');
+
+describe('Stdio Transport', () => {
+  let input;
+  let output;
+  let transport;
+  let written;
+
+  beforeEach(() => {
+    input = new PassThrough();
+    output = new PassThrough();
+    written = '';
+    output.on('data', chunk => { written += chunk.toString(); });
+    transport = new StdioTransport({ input, output });
+  });
+
+  // Feed lines, close stdin and collect every response written to stdout
+  const run = async (lines) => {
+    const finished = transport.start();
+    lines.forEach(line => input.write(`${typeof line === 'string' ? line : JSON.stringify(line)}\n`));
+    input.end();
+    await finished;
+    return written.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  };
+
+  test('should answer initialize and tools/list through the shared dispatcher', async () => {
+    const responses = await run([
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+    ]);
+
+    const byId = Object.fromEntries(responses.map(r => [r.id, r]));
+    expect(byId[1].result.protocolVersion).toBe('2024-11-05');
+    expect(byId[2].result.tools.map(t => t.name)).toContain('build_dotnet');
+  });
+
+  test('should dispatch tools/call with argument validation', async () => {
+    const responses = await run([
+      { jsonrpc: '2.0', id: 'a', method: 'tools/call', params: { name: 'build_dotnet', arguments: {} } }
+    ]);
+
+    expect(responses).toEqual([{
+      jsonrpc: '2.0',
+      id: 'a',
+      error: {
+        code: -32602,
+        message: 'Invalid params',
+        data: { tool: 'build_dotnet', errors: [{ field: 'projectPath', message: 'is required' }] }
+      }
+    }]);
+  });
+
+  test('should not respond to notifications', async () => {
+    const responses = await run([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 3, method: 'ping' }
+    ]);
+
+    expect(responses).toEqual([{ jsonrpc: '2.0', id: 3, result: { status: 'pong' } }]);
+  });
+
+  test('should report parse errors and invalid requests', async () => {
+    const responses = await run([
+      'not json',
+      { jsonrpc: '1.0', id: 4, method: 'ping' },
+      { jsonrpc: '2.0', id: 5, method: 'no/such/method' }
+    ]);
+
+    expect(responses).toEqual([
+      { jsonrpc: '2.0', id: null, error: { code: -32700, message: expect.stringContaining('Parse error') } },
+      { jsonrpc: '2.0', id: 4, error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' } },
+      { jsonrpc: '2.0', id: 5, error: { code: -32601, message: 'Method not found: no/such/method' } }
+    ]);
+  });
+
+  test('should ignore blank lines', async () => {
+    const responses = await run(['', '   ', { jsonrpc: '2.0', id: 6, method: 'ping' }]);
+
+    expect(responses).toHaveLength(1);
+    expect(responses[0].id).toBe(6);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Streamable HTTP Transport Test - sessions, SSE responses and live output
+ */
+
+const request = require('supertest');
+
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const sessionManager = require('../../server/src/utils/session-manager');
+const requestContext = require('../../server/src/utils/request-context');
+const { executeBuild } = require('../../server/src/utils/command-executor');
+
+// Parse an SSE body into the JSON-RPC messages it carries
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.startsWith('event: message'))
+  .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+
+describe('Streamable HTTP Transport', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.MCP_AUTH_TOKEN = '';
+    delete require.cache[require.resolve('../../server/src/server')];
+    app = require('../../server/src/server');
+
+    toolRegistry.register({
+      name: 'stream_test',
+      description: 'Runs a build and streams its output',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => executeBuild('dotnet.exe', ['build'])
+    });
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('stream_test');
+  });
+
+  const initialize = () => request(app)
+    .post('/mcp')
+    .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+  describe('Sessions', () => {
+    test('should issue an Mcp-Session-Id on initialize', async () => {
+      const response = await initialize();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['mcp-session-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(sessionManager.get(response.headers['mcp-session-id'])).not.toBeNull();
+    });
+
+    test('should reject unknown session ids with 404', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', 'does-not-exist')
+        .send({ jsonrpc: '2.0', id: 2, method: 'ping' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe(-32001);
+    });
+
+    test('should terminate a session with DELETE', async () => {
+      const sessionId = (await initialize()).headers['mcp-session-id'];
+
+      const deleted = await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId);
+      expect(deleted.status).toBe(204);
+
+      const after = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', id: 3, method: 'ping' });
+      expect(after.status).toBe(404);
+    });
+
+    test('should keep plain JSON responses for clients without a session', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .send({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'stream_test', arguments: {} } });
+
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.body.result.success).toBe(true);
+    });
+  });
+
+  describe('SSE responses', () => {
+    test('should stream executeBuild output before the final result', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Accept', 'application/json, text/event-stream')
+        .send({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'stream_test', arguments: {} } });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+
+      const messages = parseEvents(response.text);
+      expect(messages[0]).toEqual({
+        jsonrpc: '2.0',
+        method: 'notifications/tools/output',
+        params: { requestId: 5, tool: 'stream_test', stream: 'stdout', data: 'Build successful' }
+      });
+      expect(messages[messages.length - 1].id).toBe(5);
+      expect(messages[messages.length - 1].result.output).toBe('Build successful');
+    });
+
+    test('should answer non-tool methods with JSON even when SSE is accepted', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Accept', 'application/json, text/event-stream')
+        .send({ jsonrpc: '2.0', id: 6, method: 'ping' });
+
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.body.result).toEqual({ status: 'pong' });
+    });
+  });
+
+  describe('GET stream', () => {
+    test('should require Accept: text/event-stream', async () => {
+      const response = await request(app).get('/mcp');
+      expect(response.status).toBe(406);
+    });
+
+    test('should require a known session', async () => {
+      const missing = await request(app).get('/mcp').set('Accept', 'text/event-stream');
+      expect(missing.status).toBe(400);
+
+      const unknown = await request(app)
+        .get('/mcp')
+        .set('Accept', 'text/event-stream')
+        .set('Mcp-Session-Id', 'does-not-exist');
+      expect(unknown.status).toBe(404);
+    });
+
+    test('should deliver session broadcasts to attached streams', () => {
+      const session = sessionManager.create('127.0.0.1');
+      const written = [];
+      const res = {
+        writableEnded: false,
+        destroyed: false,
+        status: jest.fn(),
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+        on: jest.fn(),
+        write: jest.fn(chunk => written.push(chunk)),
+        end: jest.fn()
+      };
+
+      expect(sessionManager.attachStream(session.id, res)).toBe(true);
+      expect(sessionManager.broadcast(session.id, { jsonrpc: '2.0', method: 'notifications/test' })).toBe(true);
+      expect(written).toEqual(['event: message\ndata: {"jsonrpc":"2.0","method":"notifications/test"}\n\n']);
+
+      sessionManager.terminate(session.id);
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+
+  describe('Request context', () => {
+    test('should only emit output inside a request', () => {
+      expect(requestContext.emitOutput('stdout', 'ignored')).toBe(false);
+
+      const notify = jest.fn();
+      requestContext.run({ requestId: 9, tool: 'x', notify }, () => {
+        expect(requestContext.emitOutput('stderr', 'warning')).toBe(true);
+      });
+
+      expect(notify).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/tools/output',
+        params: { requestId: 9, tool: 'x', stream: 'stderr', data: 'warning' }
+      });
+    });
+  });
+});
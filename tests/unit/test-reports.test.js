@@ -0,0 +1,195 @@
+/**
+ * Test Reports Test - normalised results from JUnit XML and TRX reports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const testReportParser = require('../../server/src/utils/test-report-parser');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+const SUREFIRE = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="com.acme.CalculatorTest" tests="4" failures="1" errors="1" skipped="1" time="0.31">
+  <properties><property name="java.version" value="21"/></properties>
+  <testcase name="adds" classname="com.acme.CalculatorTest" time="0.012"/>
+  <testcase name="divides" classname="com.acme.CalculatorTest" time="0.2">
+    <failure message="expected: &lt;2&gt; but was: &lt;3&gt;" type="org.opentest4j.AssertionFailedError"><![CDATA[org.opentest4j.AssertionFailedError: expected: <2> but was: <3>
+	at com.acme.CalculatorTest.divides(CalculatorTest.java:21)]]></failure>
+  </testcase>
+  <testcase name="parses" classname="com.acme.CalculatorTest" time="0.098">
+    <error type="java.lang.NullPointerException">java.lang.NullPointerException
+	at com.acme.Parser.parse(Parser.java:9)</error>
+  </testcase>
+  <testcase name="rounds" classname="com.acme.CalculatorTest" time="0"><skipped message="not on CI"/></testcase>
+</testsuite>`;
+
+const TRX = `\uFEFF<?xml version="1.0" encoding="utf-8"?>
+<TestRun id="1" name="build 2024-05-01" xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010">
+  <Results>
+    <UnitTestResult testId="a1" testName="Adds" outcome="Passed" duration="00:00:00.0123000" />
+    <UnitTestResult testId="b2" testName="Divides" outcome="Failed" duration="00:00:01.5000000">
+      <Output>
+        <ErrorInfo>
+          <Message>Assert.Equal() Failure
+Expected: 2
+Actual:   3</Message>
+          <StackTrace>   at App.Tests.CalculatorTests.Divides() in C:\\src\\CalculatorTests.cs:line 21</StackTrace>
+        </ErrorInfo>
+      </Output>
+    </UnitTestResult>
+    <UnitTestResult testId="c3" testName="Rounds" outcome="NotExecuted" duration="00:00:00" />
+  </Results>
+  <TestDefinitions>
+    <UnitTest name="Adds" id="a1"><TestMethod className="App.Tests.CalculatorTests" name="Adds" /></UnitTest>
+    <UnitTest name="Divides" id="b2"><TestMethod className="App.Tests.CalculatorTests" name="Divides" /></UnitTest>
+    <UnitTest name="Rounds" id="c3"><TestMethod className="App.Tests.CalculatorTests" name="Rounds" /></UnitTest>
+  </TestDefinitions>
+</TestRun>`;
+
+describe('Test Reports', () => {
+  describe('parsers', () => {
+    test('should parse Surefire JUnit XML', () => {
+      const cases = testReportParser.parse(SUREFIRE);
+
+      expect(cases.map(testCase => [testCase.name, testCase.status])).toEqual([
+        ['adds', 'passed'], ['divides', 'failed'], ['parses', 'error'], ['rounds', 'skipped']
+      ]);
+      expect(cases[1]).toEqual({
+        suite: 'com.acme.CalculatorTest',
+        className: 'com.acme.CalculatorTest',
+        name: 'divides',
+        status: 'failed',
+        durationSeconds: 0.2,
+        message: 'expected: <2> but was: <3>',
+        stackTrace: 'org.opentest4j.AssertionFailedError: expected: <2> but was: <3>\n\tat com.acme.CalculatorTest.divides(CalculatorTest.java:21)'
+      });
+      expect(cases[2].message).toBe('java.lang.NullPointerException');
+      expect(cases[3].message).toBe('not on CI');
+    });
+
+    test('should parse nested suites from pytest and jest-junit', () => {
+      const pytest = `<?xml version="1.0" encoding="utf-8"?><testsuites><testsuite name="pytest" tests="2">
+        <testcase classname="tests.test_api" name="test_get" time="0.003" />
+        <testcase classname="tests.test_api" name="test_post" time="0.010"><failure message="assert 404 == 201">def test_post(client):
+&gt;       assert client.post('/items').status_code == 201
+E       assert 404 == 201</failure></testcase>
+      </testsuite></testsuites>`;
+
+      const cases = testReportParser.parse(pytest);
+      expect(cases.map(testCase => testCase.status)).toEqual(['passed', 'failed']);
+      expect(cases[1].stackTrace).toContain('>       assert client.post');
+    });
+
+    test('should parse TRX with class names, outcomes and durations', () => {
+      const cases = testReportParser.parse(TRX);
+
+      expect(cases).toEqual([
+        expect.objectContaining({ className: 'App.Tests.CalculatorTests', name: 'Adds', status: 'passed', durationSeconds: 0.0123 }),
+        expect.objectContaining({
+          name: 'Divides',
+          status: 'failed',
+          durationSeconds: 1.5,
+          message: 'Assert.Equal() Failure\nExpected: 2\nActual:   3',
+          stackTrace: 'at App.Tests.CalculatorTests.Divides() in C:\\src\\CalculatorTests.cs:line 21'
+        }),
+        expect.objectContaining({ name: 'Rounds', status: 'skipped' })
+      ]);
+    });
+  });
+
+  describe('build tools', () => {
+    let tmpDir;
+    let projectDir;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tests-'));
+      projectDir = path.join(tmpDir, 'calculator');
+      fs.mkdirSync(path.join(projectDir, 'target', 'surefire-reports'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, 'pom.xml'), '<project/>');
+    });
+
+    beforeEach(() => {
+      process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    });
+
+    afterAll(() => {
+      process.env.ALLOWED_BUILD_PATHS = 'C:\\projects\\,D:\\builds\\,C:\\build\\';
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should attach the reports a Maven run wrote, ignoring older ones', async () => {
+      const stale = path.join(projectDir, 'target', 'surefire-reports', 'TEST-com.acme.OldTest.xml');
+      fs.writeFileSync(stale, '<testsuite name="old"><testcase name="gone"/></testsuite>');
+      fs.utimesSync(stale, new Date(Date.now() - 3600000), new Date(Date.now() - 3600000));
+
+      spawn.mockImplementationOnce(() => {
+        fs.writeFileSync(path.join(projectDir, 'target', 'surefire-reports', 'TEST-com.acme.CalculatorTest.xml'), SUREFIRE);
+        return new MockProcess(1, '[INFO] Tests run: 4, Failures: 1, Errors: 1, Skipped: 1\n[INFO] BUILD FAILURE\n');
+      });
+
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 1, method: 'tools/call',
+        params: { name: 'build_java', arguments: { projectPath: path.join(projectDir, 'pom.xml'), goals: ['test'] } }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+      const { tests } = response.result;
+
+      expect(tests).toEqual(expect.objectContaining({
+        total: 4, passed: 1, failed: 1, errors: 1, skipped: 1, durationSeconds: 0.31, truncated: false,
+        reports: ['target/surefire-reports/TEST-com.acme.CalculatorTest.xml']
+      }));
+      expect(response.result.content[response.result.content.length - 1].text).toBe(
+        'Tests: 4 total, 1 passed, 1 failed, 1 errors, 1 skipped (0.31s)\n' +
+        '  FAILED com.acme.CalculatorTest.divides: expected: <2> but was: <3>\n' +
+        '  ERROR com.acme.CalculatorTest.parses: java.lang.NullPointerException'
+      );
+    });
+
+    test('should ask pytest for a JUnit XML report', async () => {
+      await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 2, method: 'tools/call',
+        params: {
+          name: 'build_python',
+          arguments: { projectPath: projectDir, buildTool: 'pip', commands: ['test'], useVirtualEnv: false, installDeps: false }
+        }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(spawn).toHaveBeenCalledWith('pytest', ['--junitxml=test-results/pytest-junit.xml'], expect.any(Object));
+    });
+
+    test('should add the JUnit reporter the project declares to its test script', async () => {
+      const runTests = () => mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 3, method: 'tools/call',
+        params: { name: 'build_node', arguments: { projectPath: projectDir, scripts: ['test'], installDeps: false } }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+      const writePackage = (test, devDependencies) => fs.writeFileSync(path.join(projectDir, 'package.json'),
+        JSON.stringify({ scripts: { test }, devDependencies }));
+
+      writePackage('jest --ci', { jest: '^29.0.0', 'jest-junit': '^16.0.0' });
+      await runTests();
+      writePackage('mocha "test/**/*.js"', { mocha: '^10.0.0', 'mocha-junit-reporter': '^2.0.0' });
+      await runTests();
+      writePackage('jest --reporters=default', { jest: '^29.0.0', 'jest-junit': '^16.0.0' });
+      await runTests();
+      fs.rmSync(path.join(projectDir, 'package.json'));
+
+      expect(spawn.mock.calls.map(([, args]) => args)).toEqual([
+        ['run', 'test', '--', '--reporters=default', '--reporters=jest-junit'],
+        ['run', 'test', '--', '--reporter', 'mocha-junit-reporter'],
+        ['run', 'test']
+      ]);
+    });
+
+    test('should leave results without reports unchanged', async () => {
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 3, method: 'tools/call',
+        params: { name: 'build_node', arguments: { projectPath: projectDir, installDeps: false } }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+
+      expect(spawn.mock.calls[0][2].env).toEqual(expect.objectContaining({ JEST_JUNIT_OUTPUT_DIR: 'test-results' }));
+      expect(response.result.tests).toBeUndefined();
+    });
+  });
+});
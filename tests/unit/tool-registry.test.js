@@ -0,0 +1,160 @@
+/**
+ * Tool Registry Test - registration, validation and tools/list generation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const toolRegistry = require('../../server/src/utils/tool-registry');
+
+describe('Tool Registry', () => {
+  const createTool = (overrides = {}) => ({
+    name: 'custom_tool',
+    description: 'In-house test tool',
+    category: 'management',
+    inputSchema: { type: 'object', properties: { value: { type: 'string' } } },
+    handler: jest.fn(async (args) => ({ content: [{ type: 'text', text: `value=${args.value}` }] })),
+    ...overrides
+  });
+
+  afterEach(() => {
+    toolRegistry.unregister('custom_tool');
+    toolRegistry.unregister('dir_tool_a');
+    toolRegistry.unregister('dir_tool_b');
+  });
+
+  describe('Built-in tools', () => {
+    test('should register every built-in tool module', () => {
+      const builtIn = require('../../server/src/tools');
+      expect(toolRegistry.size).toBe(builtIn.length);
+      builtIn.forEach(tool => expect(toolRegistry.get(tool.name)).toBe(tool));
+    });
+
+    test('should declare a known category for every built-in tool', () => {
+      const helpGenerator = require('../../server/src/utils/help-generator');
+      toolRegistry.listWithCategories().forEach(tool => {
+        expect(helpGenerator.categories[tool.category]).toBeDefined();
+      });
+    });
+
+    test('should list definitions without handlers', () => {
+      const definitions = toolRegistry.list();
+      const buildDotnet = definitions.find(t => t.name === 'build_dotnet');
+
+      expect(definitions[0].name).toBe('build_dotnet');
+      expect(buildDotnet).toEqual({
+        name: 'build_dotnet',
+        description: expect.any(String),
+        inputSchema: expect.objectContaining({ type: 'object', required: ['projectPath'] })
+      });
+      expect(buildDotnet.handler).toBeUndefined();
+    });
+
+    test('should resolve environment-dependent schemas at list time', () => {
+      const original = process.env.POWERSHELL_DEFAULT_TIMEOUT;
+      process.env.POWERSHELL_DEFAULT_TIMEOUT = '42';
+
+      const runPowershell = toolRegistry.list().find(t => t.name === 'run_powershell');
+      expect(runPowershell.inputSchema.properties.timeout.description).toContain('default: 42');
+
+      if (original === undefined) {
+        delete process.env.POWERSHELL_DEFAULT_TIMEOUT;
+      } else {
+        process.env.POWERSHELL_DEFAULT_TIMEOUT = original;
+      }
+    });
+  });
+
+  describe('Registration', () => {
+    test('should register and unregister a custom tool', () => {
+      const tool = createTool();
+      toolRegistry.register(tool);
+
+      expect(toolRegistry.has('custom_tool')).toBe(true);
+      expect(toolRegistry.get('custom_tool')).toBe(tool);
+      expect(toolRegistry.unregister('custom_tool')).toBe(true);
+      expect(toolRegistry.has('custom_tool')).toBe(false);
+    });
+
+    test('should reject duplicate tool names', () => {
+      expect(() => toolRegistry.register(createTool({ name: 'build_dotnet' })))
+        .toThrow('Tool already registered: build_dotnet');
+    });
+
+    test('should reject invalid tool modules', () => {
+      expect(() => toolRegistry.register(createTool({ name: 'Bad Name' }))).toThrow('lowercase identifier');
+      expect(() => toolRegistry.register(createTool({ description: '' }))).toThrow('must declare a description');
+      expect(() => toolRegistry.register(createTool({ inputSchema: { type: 'string' } }))).toThrow('inputSchema');
+      expect(() => toolRegistry.register(createTool({ handler: 'not a function' }))).toThrow('handler function');
+    });
+
+    test('should load tool modules from a directory', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tools-'));
+      const moduleSource = (name) => `module.exports = {
+        name: '${name}',
+        description: 'Directory tool',
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => ({ content: [{ type: 'text', text: '${name}' }] })
+      };`;
+      fs.writeFileSync(path.join(dir, 'b.js'), moduleSource('dir_tool_b'));
+      fs.writeFileSync(path.join(dir, 'a.js'), moduleSource('dir_tool_a'));
+      fs.writeFileSync(path.join(dir, 'README.md'), 'not a tool');
+
+      try {
+        expect(toolRegistry.loadDirectory(dir)).toEqual(['dir_tool_a', 'dir_tool_b']);
+        expect(toolRegistry.has('dir_tool_a')).toBe(true);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Server integration', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.MCP_AUTH_TOKEN = '';
+      delete require.cache[require.resolve('../../server/src/server')];
+      app = require('../../server/src/server');
+    });
+
+    test('should advertise registered tools in tools/list', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.tools).toHaveLength(toolRegistry.size);
+      expect(response.body.result.helpInfo.totalTools).toBe(toolRegistry.size);
+    });
+
+    test('should dispatch tools/call to the registered handler', async () => {
+      const tool = createTool();
+      toolRegistry.register(tool);
+
+      const response = await request(app)
+        .post('/mcp')
+        .send({
+          jsonrpc: '2.0',
+          id: 2,
+          method: 'tools/call',
+          params: { name: 'custom_tool', arguments: { value: 'abc' } }
+        });
+
+      expect(response.body.result.content[0].text).toBe('value=abc');
+      expect(tool.handler).toHaveBeenCalledWith({ value: 'abc' }, expect.objectContaining({ clientIP: expect.any(String) }));
+    });
+
+    test('should document registered tools in /help/tools', async () => {
+      const response = await request(app).get('/help/tools');
+
+      expect(response.status).toBe(200);
+      expect(response.body.documentation.totalTools).toBe(toolRegistry.size);
+      const buildTools = response.body.documentation.categories.build.tools.map(t => t.name);
+      expect(buildTools).toContain('build_dotnet');
+      expect(response.body.documentation.categories.network.tools.map(t => t.name)).toContain('http_request');
+    });
+  });
+});
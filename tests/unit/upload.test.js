@@ -0,0 +1,116 @@
+/**
+ * Upload Test - resumable upload_file chunks, SHA-256 verification and validateBuildPath
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const security = require('../../server/src/utils/security');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('File Upload', () => {
+  const originalAllowed = process.env.ALLOWED_BUILD_PATHS;
+  const content = Buffer.from('Hello from the build client!\n'.repeat(3));
+  let tmpDir;
+  let target;
+
+  const upload = args => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'upload_file', arguments: args }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+  const parse = response => JSON.parse(response.result.content[0].text);
+  const chunk = (start, end) => ({
+    filePath: target,
+    data: content.subarray(start, end).toString('base64'),
+    offset: start,
+    totalSize: content.length,
+    sha256: sha256(content)
+  });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-upload-'));
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+  });
+
+  beforeEach(() => {
+    target = path.join(tmpDir, 'drop', `config-${Date.now()}.json`);
+  });
+
+  afterAll(() => {
+    process.env.ALLOWED_BUILD_PATHS = originalAllowed;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should assemble chunks and put the file in place once verified', async () => {
+    const first = parse(await upload(chunk(0, 40)));
+    expect(first).toEqual(expect.objectContaining({ received: 40, nextOffset: 40, complete: false }));
+    expect(fs.existsSync(target)).toBe(false);
+
+    const last = parse(await upload(chunk(40, content.length)));
+    expect(last).toEqual(expect.objectContaining({ complete: true, sha256: sha256(content) }));
+    expect(fs.readFileSync(target)).toEqual(content);
+    expect(fs.readdirSync(path.dirname(target)).filter(name => name.endsWith('.part'))).toEqual([]);
+  });
+
+  test('should resume from nextOffset and accept a resent chunk', async () => {
+    await upload(chunk(0, 30));
+
+    const gap = await upload(chunk(60, content.length));
+    expect(gap.result.isError).toBe(true);
+    expect(parse(gap).nextOffset).toBe(30);
+
+    // The response to this chunk was lost; the client sends it again
+    await upload(chunk(30, 60));
+    await upload(chunk(30, 60));
+    expect(parse(await upload(chunk(60, content.length))).complete).toBe(true);
+    expect(fs.readFileSync(target)).toEqual(content);
+  });
+
+  test('should discard uploads whose SHA-256 does not match', async () => {
+    const response = await upload({ ...chunk(0, content.length), sha256: sha256('something else') });
+
+    expect(response.result.isError).toBe(true);
+    expect(parse(response)).toEqual(expect.objectContaining({ actual: sha256(content), nextOffset: 0 }));
+    expect(fs.existsSync(target)).toBe(false);
+    expect(fs.readdirSync(path.dirname(target)).filter(name => name.endsWith('.part'))).toEqual([]);
+  });
+
+  test('should reject a corrupted chunk before writing it', async () => {
+    const response = await upload({ ...chunk(0, 40), chunkSha256: sha256('not this chunk') });
+
+    expect(response.result.isError).toBe(true);
+    expect(parse(response).error).toBe('Chunk SHA-256 mismatch; resend the chunk');
+  });
+
+  test('should only replace existing files with overwrite', async () => {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, 'old');
+
+    const refused = await upload(chunk(0, content.length));
+    expect(refused.result.isError).toBe(true);
+    expect(refused.result.content[0].text).toContain('File already exists');
+
+    await upload({ ...chunk(0, content.length), overwrite: true });
+    expect(fs.readFileSync(target)).toEqual(content);
+  });
+
+  test('should refuse paths outside the allowed build paths', async () => {
+    const response = await upload({ ...chunk(0, content.length), filePath: path.join(os.tmpdir(), 'elsewhere.txt') });
+
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toContain('Path not in allowed directories');
+  });
+
+  test('should reject device names and alternate data streams in build paths', () => {
+    process.env.ALLOWED_BUILD_PATHS = 'C:\\build\\';
+    expect(security.validateBuildPath('C:\\build\\app\\out.zip')).toBe('C:\\build\\app\\out.zip');
+    expect(() => security.validateBuildPath('C:\\build\\NUL.txt')).toThrow('Reserved device name');
+    expect(() => security.validateBuildPath('C:\\build\\app.exe:hidden')).toThrow('Alternate data streams');
+    expect(() => security.validateBuildPath('C:\\build\\app.')).toThrow('must not end with a dot or space');
+    expect(() => security.validateBuildPath('C:\\build\\..\\Windows\\x.dll')).toThrow('Directory traversal');
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Workspace Push Test - workspace_manifest and workspace_push with tar, zip and git bundles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const workspaceSync = require('../../server/src/utils/workspace-sync');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Minimal ustar writer: { name: content } plus optional { name: type } overrides
+ */
+function tar(files, types = {}) {
+  const blocks = Object.entries(files).map(([name, content]) => {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(types[name] || '0', 156);
+    header.write('ustar\u000000', 257);
+    header.fill(32, 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return Buffer.concat([header, data, Buffer.alloc((512 - data.length % 512) % 512)]);
+  });
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+/**
+ * Minimal deflating zip writer (CRCs are left at zero; the reader relies on the archive SHA-256)
+ */
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(Buffer.byteLength(name), 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(Buffer.byteLength(name), 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, Buffer.from(name), compressed);
+    central.push(entry, Buffer.from(name));
+    offset += 30 + Buffer.byteLength(name) + compressed.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('Workspace Push', () => {
+  const originalEnv = { ...process.env };
+  let tmpDir;
+  let target;
+
+  const callTool = (name, args) => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+  const parse = response => JSON.parse(response.result.content[0].text);
+  const push = (archive, args) => callTool('workspace_push', {
+    targetPath: target, format: 'tar', data: archive.toString('base64'), sha256: sha256(archive), ...args
+  });
+  const read = relative => fs.readFileSync(path.join(target, relative), 'utf8');
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-push-'));
+  });
+
+  beforeEach(() => {
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    target = path.join(tmpDir, `app-${Date.now()}`);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should lay a push over the directory without deleting anything by default', async () => {
+    fs.mkdirSync(target, { recursive: true });
+    fs.writeFileSync(path.join(target, 'Local.cs'), 'keep');
+
+    const summary = parse(await push(tar({ 'App.csproj': '<Project />' })));
+
+    expect(summary).toEqual(expect.objectContaining({ mode: 'overlay', written: ['App.csproj'], deleted: [] }));
+    expect(read('Local.cs')).toBe('keep');
+  });
+
+  test('should extract a mirror push and mirror deletions, leaving build output alone', async () => {
+    fs.mkdirSync(path.join(target, 'obj'), { recursive: true });
+    fs.writeFileSync(path.join(target, 'obj', 'project.assets.json'), '{}');
+    fs.writeFileSync(path.join(target, 'Stale.cs'), 'old');
+
+    const summary = parse(await push(tar({ 'App.csproj': '<Project />', 'src/Program.cs': 'class P {}' }), { mode: 'mirror' }));
+
+    expect(summary.written.sort()).toEqual(['App.csproj', 'src/Program.cs']);
+    expect(summary.deleted).toEqual(['Stale.cs']);
+    expect(read('src/Program.cs')).toBe('class P {}');
+    expect(fs.existsSync(path.join(target, 'obj', 'project.assets.json'))).toBe(true);
+  });
+
+  test('should refuse to mirror onto an allowed build directory itself', async () => {
+    const marker = path.join(tmpDir, 'other-project.txt');
+    fs.writeFileSync(marker, 'keep');
+
+    const response = await push(tar({ 'a.txt': 'a' }), { targetPath: `${tmpDir}${path.sep}`, mode: 'mirror' });
+
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toContain('Refusing to mirror onto the allowed build directory');
+    expect(fs.existsSync(marker)).toBe(true);
+    fs.rmSync(marker);
+  });
+
+  test('should stream a large uploaded tar.gz archive from archivePath', async () => {
+    const large = crypto.randomBytes(3 * 1024 * 1024).toString('hex');
+    const archive = zlib.gzipSync(tar({ 'big.txt': large, 'small.txt': 'small' }));
+    const archivePath = path.join(tmpDir, `upload-${Date.now()}.tar.gz`);
+    fs.writeFileSync(archivePath, archive);
+
+    const summary = parse(await callTool('workspace_push', {
+      targetPath: target, format: 'tar.gz', archivePath, sha256: sha256(archive)
+    }));
+
+    expect(summary.written.sort()).toEqual(['big.txt', 'small.txt']);
+    expect(read('big.txt')).toBe(large);
+    expect(fs.readdirSync(target).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should send only changed files against the manifest in incremental mode', async () => {
+    await callTool('workspace_push', {
+      targetPath: target,
+      format: 'zip',
+      data: zip({ 'main.go': 'package main', 'util.go': 'package util', 'README.md': 'readme' }).toString('base64'),
+      sha256: sha256(zip({ 'main.go': 'package main', 'util.go': 'package util', 'README.md': 'readme' }))
+    });
+
+    const manifest = parse(await callTool('workspace_manifest', { targetPath: target }));
+    expect(manifest.files.find(file => file.path === 'main.go').sha256).toBe(sha256('package main'));
+
+    const local = { 'main.go': 'package main', 'util.go': 'package util // v2' };
+    const changed = Object.keys(local).filter(name => manifest.files.find(file => file.path === name).sha256 !== sha256(local[name]));
+    expect(changed).toEqual(['util.go']);
+
+    const summary = parse(await push(tar({ 'util.go': local['util.go'] }), {
+      format: 'tar.gz',
+      data: zlib.gzipSync(tar({ 'util.go': local['util.go'] })).toString('base64'),
+      sha256: sha256(zlib.gzipSync(tar({ 'util.go': local['util.go'] }))),
+      mode: 'incremental',
+      deletions: ['README.md']
+    }));
+
+    expect(summary).toEqual(expect.objectContaining({ written: ['util.go'], deleted: ['README.md'] }));
+    expect(read('main.go')).toBe('package main');
+    expect(read('util.go')).toBe('package util // v2');
+  });
+
+  test('should leave unchanged files untouched', async () => {
+    const archive = tar({ 'a.txt': 'same' });
+    await push(archive);
+    const before = fs.statSync(path.join(target, 'a.txt')).mtimeMs;
+
+    const summary = parse(await push(archive));
+    expect(summary).toEqual(expect.objectContaining({ written: [], unchanged: 1 }));
+    expect(fs.statSync(path.join(target, 'a.txt')).mtimeMs).toBe(before);
+  });
+
+  test('should refuse archives that do not verify or escape the target', async () => {
+    const archive = tar({ 'a.txt': 'content' });
+    const mismatch = await push(archive, { sha256: sha256('other') });
+    expect(mismatch.result.isError).toBe(true);
+    expect(mismatch.result.content[0].text).toContain('Archive SHA-256 mismatch');
+
+    const traversal = await push(tar({ '../evil.txt': 'x' }));
+    expect(traversal.result.content[0].text).toContain('Directory traversal in archive');
+    expect(fs.existsSync(path.join(tmpDir, 'evil.txt'))).toBe(false);
+
+    const link = await push(tar({ 'link': '' }, { link: '2' }));
+    expect(link.result.content[0].text).toContain('links are not allowed');
+
+    const device = await push(tar({ 'ok.txt': 'fine', 'src/CON.txt': 'x' }));
+    expect(device.result.content[0].text).toContain('Reserved device name');
+    expect(fs.existsSync(path.join(target, 'ok.txt'))).toBe(false);
+
+    const corrupt = Buffer.from(archive);
+    corrupt[0] = 0x41;
+    expect((await push(corrupt)).result.content[0].text).toContain('Corrupt tar header');
+
+    const outside = await push(archive, { targetPath: path.join(os.tmpdir(), 'elsewhere') });
+    expect(outside.result.content[0].text).toContain('Path not in allowed directories');
+  });
+
+  test('should not write or delete through links on the host that lead out of the target', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-push-outside-'));
+    fs.writeFileSync(path.join(outside, 'Keep.cs'), 'keep');
+    fs.mkdirSync(target, { recursive: true });
+    fs.symlinkSync(outside, path.join(target, 'src'), 'junction');
+
+    try {
+      const written = await push(tar({ 'src/Program.cs': 'class P {}' }));
+      expect(written.result.content[0].text).toContain('Refusing to write through src: it leads out of the target');
+      expect(fs.existsSync(path.join(outside, 'Program.cs'))).toBe(false);
+
+      const deleted = await push(tar({ 'a.txt': 'a' }), { mode: 'incremental', deletions: ['src/Keep.cs'] });
+      expect(deleted.result.content[0].text).toContain('Refusing to write through src');
+      expect(fs.existsSync(path.join(outside, 'Keep.cs'))).toBe(true);
+
+      fs.mkdirSync(path.join(target, 'lib'));
+      fs.symlinkSync(path.join(target, 'lib'), path.join(target, 'shared'), 'junction');
+      expect(parse(await push(tar({ 'shared/util.cs': 'u' }))).written).toEqual(['shared/util.cs']);
+      expect(read('lib/util.cs')).toBe('u');
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  test('should not write pushed .git directories', async () => {
+    const summary = parse(await push(tar({ '.git/hooks/post-checkout': '#!/bin/sh', 'a.txt': 'a' })));
+
+    expect(summary).toEqual(expect.objectContaining({ written: ['a.txt'], skipped: 1 }));
+    expect(fs.existsSync(path.join(target, '.git'))).toBe(false);
+  });
+
+  test('should clone a git bundle into a new directory', async () => {
+    const bundle = Buffer.from('# v2 git bundle\n');
+    const summary = parse(await push(bundle, { format: 'git-bundle', ref: 'main' }));
+
+    expect(summary).toEqual(expect.objectContaining({ cloned: true, ref: 'main' }));
+    const commands = spawn.mock.calls.map(([command, args]) => `${command} ${args[0]}`);
+    expect(commands).toEqual(['git clone', 'git checkout', 'git rev-parse']);
+    expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining([target]));
+    expect(fs.readdirSync(tmpDir).filter(name => name.endsWith('.bundle'))).toEqual([]);
+  });
+
+  test('should reject refs that git would read as options', async () => {
+    const bundle = Buffer.from('# v2 git bundle\n');
+    const response = await push(bundle, { format: 'git-bundle', ref: '--upload-pack=evil' });
+
+    expect(JSON.stringify(response.error)).toContain('ref');
+    await expect(workspaceSync.apply({ targetPath: target, format: 'git-bundle', archive: bundle, sha256: sha256(bundle), ref: '-b' }))
+      .rejects.toThrow('Invalid ref');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
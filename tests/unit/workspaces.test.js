@@ -0,0 +1,187 @@
+/**
+ * Workspaces Test - isolated builds, artifact harvest and workspace retention
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockProcess } = require('../helpers/mock-process');
+
+const buildLockManager = require('../../server/src/utils/build-lock-manager');
+const workspaceManager = require('../../server/src/utils/workspace-manager');
+const artifactStore = require('../../server/src/utils/artifact-store');
+const mcpDispatcher = require('../../server/src/utils/mcp-dispatcher');
+const toolRegistry = require('../../server/src/utils/tool-registry');
+const { globToRegExp } = require('../../server/src/utils/helpers');
+
+describe('Isolated Workspaces', () => {
+  const originalEnv = { ...process.env };
+  let tmpDir;
+  let projectDir;
+  let workspaceDir;
+  let originalStoreDir;
+  const builds = [];
+
+  const callTool = args => mcpDispatcher.dispatch({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'workspace_build', arguments: args }
+  }, { clientIP: '127.0.0.1', transport: 'test' });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-ws-'));
+    projectDir = path.join(tmpDir, 'projects', 'web');
+    workspaceDir = path.join(tmpDir, 'workspaces');
+    originalStoreDir = artifactStore.storeDir;
+    artifactStore.storeDir = path.join(tmpDir, 'store');
+
+    fs.mkdirSync(path.join(projectDir, 'src'), { recursive: true });
+    fs.mkdirSync(path.join(projectDir, 'node_modules', 'stale'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'package.json'), '{"name":"web"}');
+    fs.writeFileSync(path.join(projectDir, 'src', 'index.js'), 'console.log(1);');
+    fs.writeFileSync(path.join(projectDir, 'node_modules', 'stale', 'index.js'), '');
+
+    toolRegistry.register({
+      name: 'workspace_build',
+      category: 'build',
+      description: 'Bundles a web project into dist',
+      inputSchema: {
+        type: 'object',
+        properties: { projectPath: { type: 'string' }, fail: { type: 'boolean' } },
+        additionalProperties: false
+      },
+      handler: async (args) => {
+        builds.push(args.projectPath);
+        const root = fs.statSync(args.projectPath).isFile() ? path.dirname(args.projectPath) : args.projectPath;
+        fs.mkdirSync(path.join(root, 'dist'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'dist', 'bundle.js'), 'bundle');
+        fs.writeFileSync(path.join(root, 'dist', 'bundle.js.map'), '{}');
+        return {
+          content: [{ type: 'text', text: args.fail ? 'Bundling failed' : 'Bundled' }],
+          isError: Boolean(args.fail)
+        };
+      }
+    });
+  });
+
+  beforeEach(() => {
+    builds.length = 0;
+    process.env.ALLOWED_BUILD_PATHS = `${tmpDir}${path.sep}`;
+    process.env.BUILD_WORKSPACE_DIR = workspaceDir;
+    delete process.env.BUILD_WORKSPACE_CLEANUP;
+    delete process.env.BUILD_WORKSPACE_RETENTION;
+  });
+
+  afterAll(() => {
+    toolRegistry.unregister('workspace_build');
+    artifactStore.storeDir = originalStoreDir;
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should advertise isolation only on build tools taking a projectPath', () => {
+    const tools = toolRegistry.list();
+    expect(tools.find(tool => tool.name === 'build_node').inputSchema.properties.isolated.type).toBe('boolean');
+    expect(tools.find(tool => tool.name === 'build_go').inputSchema.properties.artifacts.items.type).toBe('string');
+    expect(tools.find(tool => tool.name === 'run_powershell').inputSchema.properties.isolated).toBeUndefined();
+  });
+
+  test('should build a fresh copy and harvest matching artifacts', async () => {
+    const response = await callTool({ projectPath: projectDir, isolated: true, artifacts: ['dist/*.js'] });
+    const { workspace } = response.result;
+
+    expect(builds[0]).toBe(path.join(workspace.path, 'source', 'web'));
+    expect(workspace.artifacts).toEqual(['dist/bundle.js']);
+    expect(fs.readFileSync(path.join(workspace.artifactsDir, 'dist', 'bundle.js'), 'utf8')).toBe('bundle');
+    expect(response.result.content[2].text).toContain(`Artifacts (1) harvested to ${workspace.artifactsDir}`);
+    expect(response.result.artifacts.files.map(file => file.path)).toEqual(['dist/bundle.js']);
+
+    // The original project is untouched and the successful build's source copy is gone
+    expect(fs.existsSync(path.join(projectDir, 'dist'))).toBe(false);
+    expect(fs.existsSync(path.join(workspace.path, 'source'))).toBe(false);
+    expect(workspace.sourceKept).toBe(false);
+  });
+
+  test('should copy the directory of a project file and use the default artifacts', async () => {
+    const response = await callTool({ projectPath: path.join(projectDir, 'package.json'), isolated: true });
+    const { workspace } = response.result;
+
+    expect(builds[0]).toBe(path.join(workspace.path, 'source', 'web', 'package.json'));
+    expect(workspace.artifacts.sort()).toEqual(['dist/bundle.js', 'dist/bundle.js.map']);
+  });
+
+  test('should keep the output and lock of an isolated build_dotnet inside its workspace', async () => {
+    const originalLockDir = buildLockManager.lockDir;
+    const defaultSpawn = spawn.getMockImplementation();
+    buildLockManager.lockDir = path.join(tmpDir, 'locks');
+    fs.writeFileSync(path.join(projectDir, 'web.csproj'), '<Project />');
+    spawn.mockImplementation((command, args) => {
+      if (command === 'dotnet.exe') {
+        const output = args[args.indexOf('-o') + 1];
+        fs.mkdirSync(output, { recursive: true });
+        fs.writeFileSync(path.join(output, 'web.dll'), 'dll');
+      }
+      return new MockProcess(0, 'Build succeeded.\n');
+    });
+    // A shared build of the same project must not block the isolated one
+    const shared = await buildLockManager.acquire('C:\\build\\web');
+
+    try {
+      const response = await mcpDispatcher.dispatch({
+        jsonrpc: '2.0', id: 1, method: 'tools/call', params: {
+          name: 'build_dotnet',
+          arguments: { projectPath: path.join(projectDir, 'web.csproj'), isolated: true, lockMode: 'fail', artifacts: ['*.dll'] }
+        }
+      }, { clientIP: '127.0.0.1', transport: 'test' });
+      const { workspace } = response.result;
+
+      const releaseDir = path.join(workspace.path, 'source', 'web', 'release');
+      expect(spawn.mock.calls.find(([command]) => command === 'dotnet.exe')[1]).toContain(releaseDir);
+      expect(workspace.artifacts).toEqual(['web.dll']);
+      expect(fs.readFileSync(path.join(workspace.artifactsDir, 'web.dll'), 'utf8')).toBe('dll');
+      expect(response.result.artifacts.files.map(file => file.path)).toEqual(['web.dll']);
+    } finally {
+      buildLockManager.release(shared);
+      buildLockManager.lockDir = originalLockDir;
+      spawn.mockImplementation(defaultSpawn);
+      fs.rmSync(path.join(projectDir, 'web.csproj'));
+    }
+  });
+
+  test('should keep the source copy of failed builds by default', async () => {
+    const response = await callTool({ projectPath: projectDir, fail: true, isolated: true });
+    const { workspace } = response.result;
+
+    expect(response.result.isError).toBe(true);
+    expect(workspace.sourceKept).toBe(true);
+    expect(fs.existsSync(path.join(workspace.path, 'source', 'web', 'src', 'index.js'))).toBe(true);
+    expect(fs.existsSync(path.join(workspace.path, 'source', 'web', 'node_modules'))).toBe(false);
+  });
+
+  test('should prune workspaces beyond the retention', async () => {
+    process.env.BUILD_WORKSPACE_RETENTION = '2';
+    process.env.BUILD_WORKSPACE_CLEANUP = 'never';
+
+    const latest = [];
+    for (let i = 0; i < 3; i++) {
+      latest.push((await callTool({ projectPath: projectDir, isolated: true })).result.workspace.id);
+    }
+
+    expect(fs.readdirSync(workspaceDir).sort()).toEqual(latest.slice(1).sort());
+  });
+
+  test('should refuse projects outside the allowed build paths', async () => {
+    process.env.ALLOWED_BUILD_PATHS = path.join(tmpDir, 'elsewhere') + path.sep;
+
+    const response = await callTool({ projectPath: projectDir, isolated: true });
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toMatch(/^Could not create isolated workspace: /);
+    expect(builds).toEqual([]);
+  });
+
+  test('should match glob patterns against relative paths', () => {
+    expect(globToRegExp('bin/**').test('bin/Release/net8.0/App.dll')).toBe(true);
+    expect(globToRegExp('**/*.nupkg').test('App.1.0.0.nupkg')).toBe(true);
+    expect(globToRegExp('*.whl').test('dist/app-1.0-py3-none-any.whl')).toBe(true);
+    expect(globToRegExp('dist/*.js').test('dist/chunks/a.js')).toBe(false);
+  });
+});